@@ -99,7 +99,7 @@ const deviceProcessor = async (job) => {
         // Dispatch the response for Job completion
         // In the past this was called from job complete event but there were some missing events
         // So moved the dispatcher to here
-        dispatcher.complete(job.id, job.data.response);
+        dispatcher.complete(job.id, job.data.response, job.data.metadata);
         resolve();
       }
     });
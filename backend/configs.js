@@ -46,6 +46,9 @@ const configEnv = {
     userRefreshTokenExpiration: 604800,
     // Key used for device tokens, override default with environment variable DEVICE_SECRET_KEY
     deviceTokenSecretKey: 'abcdefg1234567',
+    // The duration of the device JWT token in seconds, set to 0 for tokens that never expire.
+    // Tokens are renewed over the device connection when half of their duration has passed
+    deviceTokenExpiration: 2592000,
     // Key used to validate google captcha token, generated at https://www.google.com/u/1/recaptcha/admin/create
     // Default value is not set, which only validate the client side captcha
     captchaKey: '',
@@ -99,6 +102,9 @@ const configEnv = {
     // Default agent broker the device tries to create connection for
     // The agent is sent to the device when it registers
     agentBroker: 'local.flexiwan.com:3443',
+    // UDP port of the NAT traversal responder, used by devices to learn their public
+    // tunnels endpoint. Set to 0 to disable the responder
+    natResponderPort: 3478,
     // Whitelist of allowed domains for CORS checks
     corsWhiteList: ['http://local.flexiwan.com:3000', 'https://local.flexiwan.com:3000', 'https://local.flexiwan.com:3443', 'https://127.0.0.1:3000'],
     // Client static root directory
@@ -0,0 +1,29 @@
+const Controller = require('./Controller');
+
+class DeviceTemplatesController {
+  constructor (Service) {
+    this.service = Service;
+  }
+
+  async devicetemplatesGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicetemplatesGET);
+  }
+
+  async devicetemplatesPOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicetemplatesPOST);
+  }
+
+  async devicetemplatesIdPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicetemplatesIdPUT);
+  }
+
+  async devicetemplatesIdDELETE (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicetemplatesIdDELETE);
+  }
+
+  async devicetemplatesIdApplyPOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicetemplatesIdApplyPOST);
+  }
+}
+
+module.exports = DeviceTemplatesController;
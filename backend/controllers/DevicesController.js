@@ -123,6 +123,10 @@ class DevicesController {
     await Controller.handleRequest(request, response, this.service.devicesIdDhcpDhcpIdPATCH);
   }
 
+  async devicesIdDhcpDhcpIdLeasesGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdDhcpDhcpIdLeasesGET);
+  }
+
   async devicesIdDhcpGET (request, response) {
     await Controller.handleRequest(request, response, this.service.devicesIdDhcpGET);
   }
@@ -130,6 +134,79 @@ class DevicesController {
   async devicesIdDhcpPOST (request, response) {
     await Controller.handleRequest(request, response, this.service.devicesIdDhcpPOST);
   }
+
+  async devicesIdBgpGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdBgpGET);
+  }
+
+  async devicesIdBgpPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdBgpPUT);
+  }
+
+  async devicesIdFirewallGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdFirewallGET);
+  }
+
+  async devicesIdFirewallPOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdFirewallPOST);
+  }
+
+  async devicesIdFirewallRuleIdPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdFirewallRuleIdPUT);
+  }
+
+  async devicesIdFirewallRuleIdDELETE (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdFirewallRuleIdDELETE);
+  }
+
+  async devicesIdNatGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdNatGET);
+  }
+
+  async devicesIdNatPOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdNatPOST);
+  }
+
+  async devicesIdNatRuleIdPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdNatRuleIdPUT);
+  }
+
+  async devicesIdNatRuleIdDELETE (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdNatRuleIdDELETE);
+  }
+
+  async devicesIdMultilinkPolicyGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdMultilinkPolicyGET);
+  }
+
+  async devicesIdMultilinkPolicyPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdMultilinkPolicyPUT);
+  }
+
+  async devicesIdRevokeTokenPOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdRevokeTokenPOST);
+  }
+
+  async devicesIdConfigDriftGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdConfigDriftGET);
+  }
+
+  async devicesIdConfigDriftPOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdConfigDriftPOST);
+  }
+
+  async devicesIdConfigHistoryGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdConfigHistoryGET);
+  }
+
+  async devicesIdConfigHistoryDiffGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.devicesIdConfigHistoryDiffGET);
+  }
+
+  async devicesIdConfigHistoryRollbackVersionPOST (request, response) {
+    await Controller.handleRequest(request, response,
+      this.service.devicesIdConfigHistoryRollbackVersionPOST);
+  }
 }
 
 module.exports = DevicesController;
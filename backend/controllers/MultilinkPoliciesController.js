@@ -0,0 +1,29 @@
+const Controller = require('./Controller');
+
+class MultilinkPoliciesController {
+  constructor (Service) {
+    this.service = Service;
+  }
+
+  async multilinkpoliciesGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.multilinkpoliciesGET);
+  }
+
+  async multilinkpoliciesPOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.multilinkpoliciesPOST);
+  }
+
+  async multilinkpoliciesIdGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.multilinkpoliciesIdGET);
+  }
+
+  async multilinkpoliciesIdPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.multilinkpoliciesIdPUT);
+  }
+
+  async multilinkpoliciesIdDELETE (request, response) {
+    await Controller.handleRequest(request, response, this.service.multilinkpoliciesIdDELETE);
+  }
+}
+
+module.exports = MultilinkPoliciesController;
@@ -38,6 +38,26 @@ class OrganizationsController {
     await Controller.handleRequest(request, response, this.service.organizationsIdPUT);
   }
 
+  async organizationsIdCryptoProfileGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.organizationsIdCryptoProfileGET);
+  }
+
+  async organizationsIdCryptoProfilePUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.organizationsIdCryptoProfilePUT);
+  }
+
+  async organizationsIdIpamGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.organizationsIdIpamGET);
+  }
+
+  async organizationsIdFirewallGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.organizationsIdFirewallGET);
+  }
+
+  async organizationsIdFirewallPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.organizationsIdFirewallPUT);
+  }
+
   async organizationsSelectPOST (request, response) {
     await Controller.handleRequest(request, response, this.service.organizationsSelectPOST);
   }
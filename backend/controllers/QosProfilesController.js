@@ -0,0 +1,25 @@
+const Controller = require('./Controller');
+
+class QosProfilesController {
+  constructor (Service) {
+    this.service = Service;
+  }
+
+  async qosprofilesGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.qosprofilesGET);
+  }
+
+  async qosprofilesPOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.qosprofilesPOST);
+  }
+
+  async qosprofilesIdPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.qosprofilesIdPUT);
+  }
+
+  async qosprofilesIdDELETE (request, response) {
+    await Controller.handleRequest(request, response, this.service.qosprofilesIdDELETE);
+  }
+}
+
+module.exports = QosProfilesController;
@@ -0,0 +1,25 @@
+const Controller = require('./Controller');
+
+class StagedDevicesController {
+  constructor (Service) {
+    this.service = Service;
+  }
+
+  async stageddevicesGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.stageddevicesGET);
+  }
+
+  async stageddevicesPOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.stageddevicesPOST);
+  }
+
+  async stageddevicesIdPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.stageddevicesIdPUT);
+  }
+
+  async stageddevicesIdDELETE (request, response) {
+    await Controller.handleRequest(request, response, this.service.stageddevicesIdDELETE);
+  }
+}
+
+module.exports = StagedDevicesController;
@@ -17,6 +17,10 @@ class TokensController {
     await Controller.handleRequest(request, response, this.service.tokensIdGET);
   }
 
+  async tokensIdRevokePOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.tokensIdRevokePOST);
+  }
+
   async tokensIdPUT (request, response) {
     await Controller.handleRequest(request, response, this.service.tokensIdPUT);
   }
@@ -9,9 +9,29 @@ class TunnelsController {
     await Controller.handleRequest(request, response, this.service.tunnelsIdDELETEGET);
   }
 
+  async tunnelsIdPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.tunnelsIdPUT);
+  }
+
   async tunnelsGET (request, response) {
     await Controller.handleRequest(request, response, this.service.tunnelsGET);
   }
+
+  async tunnelpoliciesGET (request, response) {
+    await Controller.handleRequest(request, response, this.service.tunnelpoliciesGET);
+  }
+
+  async tunnelpoliciesPOST (request, response) {
+    await Controller.handleRequest(request, response, this.service.tunnelpoliciesPOST);
+  }
+
+  async tunnelpoliciesIdPUT (request, response) {
+    await Controller.handleRequest(request, response, this.service.tunnelpoliciesIdPUT);
+  }
+
+  async tunnelpoliciesIdDELETE (request, response) {
+    await Controller.handleRequest(request, response, this.service.tunnelpoliciesIdDELETE);
+  }
 }
 
 module.exports = TunnelsController;
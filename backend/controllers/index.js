@@ -28,6 +28,10 @@ const TunnelsController = require('./TunnelsController');
 const UsersController = require('./UsersController');
 const BillingController = require('./BillingController');
 const PathLabelsController = require('./PathLabelsController');
+const MultilinkPoliciesController = require('./MultilinkPoliciesController');
+const QosProfilesController = require('./QosProfilesController');
+const StagedDevicesController = require('./StagedDevicesController');
+const DeviceTemplatesController = require('./DeviceTemplatesController');
 
 module.exports = {
   AccessTokensController,
@@ -42,5 +46,9 @@ module.exports = {
   TunnelsController,
   UsersController,
   BillingController,
-  PathLabelsController
+  PathLabelsController,
+  MultilinkPoliciesController,
+  QosProfilesController,
+  StagedDevicesController,
+  DeviceTemplatesController
 };
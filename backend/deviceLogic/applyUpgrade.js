@@ -23,8 +23,22 @@ const deviceQueues = require('../utils/deviceQueue')(
   configs.get('redisUrl')
 );
 const { devices } = require('../models/devices');
+const { createDryRunResult, addDryRunJob } = require('./dryRun');
 const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
 
+/**
+ * Creates the upgrade tasks sent to the devices.
+ * @param  {string} targetVersion the version to which the device will be upgraded
+ * @return {Array}                the upgrade tasks
+ */
+const prepareUpgradeTasks = (targetVersion) => {
+  return [{
+    entity: 'agent',
+    message: 'upgrade-device-sw',
+    params: { version: targetVersion }
+  }];
+};
+
 /**
  * Queues upgrade jobs to a list of devices.
  * @param  {Array}   devices       array of devices to which an upgrade job should be queued
@@ -34,11 +48,7 @@ const logger = require('../logging/logging')({ module: module.filename, type: 'j
  * @return {Promise}               a promise for queuing an upgrade job
  */
 const queueUpgradeJobs = (devices, user, org, targetVersion) => {
-  const tasks = [{
-    entity: 'agent',
-    message: 'upgrade-device-sw',
-    params: { version: targetVersion }
-  }];
+  const tasks = prepareUpgradeTasks(targetVersion);
   const jobs = [];
   devices.forEach(dev => {
     deviceStatus.setDeviceStatsField(dev.machineId, 'state', 'pending');
@@ -59,14 +69,14 @@ const queueUpgradeJobs = (devices, user, org, targetVersion) => {
 };
 
 /**
- * Applies the upgrade request on all requested devices
+ * Gets the devices that should be upgraded by an upgrade request.
+ * Devices that already have a pending upgrade job are filtered out.
  * @async
- * @param  {Array}    device    an array of the devices to be modified
- * @param  {Object}   user      User object
+ * @param  {Array}    devicesIn an array of the devices
  * @param  {Object}   data      Additional data used by caller
- * @return {None}
+ * @return {Array}    the devices to be upgraded
  */
-const apply = async (devicesIn, user, data) => {
+const getUpgradeDevices = async (devicesIn, data) => {
   // If the apply method was called for multiple devices, extract
   // only the devices that appear in the body. If it was called for
   // a single device, simply used the first device in the devices array.
@@ -84,15 +94,26 @@ const apply = async (devicesIn, user, data) => {
 
   // Filter out devices that already have
   // a pending upgrade job in the queue.
-  opDevices = await devices.find({
+  return devices.find({
     $and: [
       { _id: { $in: opDevices } },
       { 'upgradeSchedule.jobQueued': { $ne: true } }
     ]
   },
-  '_id machineId hostname'
+  '_id machineId hostname name'
   );
+};
 
+/**
+ * Applies the upgrade request on all requested devices
+ * @async
+ * @param  {Array}    device    an array of the devices to be modified
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {None}
+ */
+const apply = async (devicesIn, user, data) => {
+  const opDevices = await getUpgradeDevices(devicesIn, data);
   const swUpdater = await DevSwUpdater.getSwVerUpdaterInstance();
   const version = swUpdater.getLatestDevSwVersion();
   const userName = user.username;
@@ -114,6 +135,26 @@ const apply = async (devicesIn, user, data) => {
   return jobResults;
 };
 
+/**
+ * Returns the upgrade jobs that would be queued by an upgrade
+ * request, without changing the database or queuing any job.
+ * @async
+ * @param  {Array}    devicesIn an array of the devices
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {Object}   the dry run result
+ */
+const dryRun = async (devicesIn, user, data) => {
+  const result = createDryRunResult();
+  const opDevices = await getUpgradeDevices(devicesIn, data);
+  const swUpdater = await DevSwUpdater.getSwVerUpdaterInstance();
+  const tasks = prepareUpgradeTasks(swUpdater.getLatestDevSwVersion());
+  opDevices.forEach(dev => {
+    addDryRunJob(result, dev, `Upgrade device ${dev.hostname}`, tasks);
+  });
+  return result;
+};
+
 /**
  * Sets the value of the pending upgrade flag in the database.
  * The pending upgrade flag indicates if a pending upgrade job
@@ -193,6 +234,7 @@ const remove = async (job) => {
 
 module.exports = {
   apply: apply,
+  dryRun: dryRun,
   complete: complete,
   queueUpgradeJobs: queueUpgradeJobs,
   error: error,
@@ -0,0 +1,179 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const configs = require('../configs')();
+const { devices } = require('../models/devices');
+const deviceQueues = require('../utils/deviceQueue')(
+  configs.get('kuePrefix'),
+  configs.get('redisUrl')
+);
+const mongoose = require('mongoose');
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+
+/**
+ * Creates the add-routing-bgp message parameters
+ * @param  {Object} bgp the BGP configuration of the device
+ * @return {Object}     the message parameters
+ */
+const prepareBgpParams = (bgp) => {
+  return {
+    'local-asn': bgp.localAsn,
+    'router-id': bgp.routerId || '',
+    neighbors: (bgp.neighbors || []).map(neighbor => ({
+      ip: neighbor.ip,
+      'remote-asn': neighbor.remoteAsn,
+      password: neighbor.password || ''
+    })),
+    networks: (bgp.networks || []).map(network => ({ ipv4: network }))
+  };
+};
+
+/**
+ * Queues a BGP configuration job to a device. The previous
+ * configuration is removed before the new one is added.
+ * @async
+ * @param  {Object}   device    the device to be configured
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      the new (bgp) and the original (origBgp) configurations
+ * @return {Array}    jobs created
+ */
+const apply = async (device, user, data) => {
+  const userName = user.username;
+  const org = user.defaultOrg._id.toString();
+  const { bgp, origBgp } = data;
+
+  // {
+  //   "entity":  "agent",
+  //   "message": "add-routing-bgp",
+  //   "params": {
+  //       "local-asn": 65001,
+  //       "router-id": "",
+  //       "neighbors": [{"ip": "192.168.1.1", "remote-asn": 65002, "password": ""}],
+  //       "networks": [{"ipv4": "10.0.0.0/24"}]
+  //    }
+  // },
+  const tasks = [];
+  if (origBgp && origBgp.enable) {
+    tasks.push({ entity: 'agent', message: 'remove-routing-bgp', params: {} });
+  }
+  if (bgp.enable) {
+    tasks.push({ entity: 'agent', message: 'add-routing-bgp', params: prepareBgpParams(bgp) });
+  }
+  if (tasks.length === 0) return [];
+
+  const message = bgp.enable ? 'add-routing-bgp' : 'remove-routing-bgp';
+  const titlePrefix = !bgp.enable ? 'Remove' : origBgp && origBgp.enable ? 'Modify' : 'Add';
+  const job = await deviceQueues.addJob(device.machineId, userName, org,
+    // Data
+    { title: `${titlePrefix} BGP in device ${device.hostname}`, tasks: tasks },
+    // Response data
+    { method: 'bgp', data: { deviceId: device.id, message } },
+    // Metadata
+    { priority: 'low', attempts: 1, removeOnComplete: false },
+    // Complete callback
+    null);
+
+  logger.info('BGP job queued', { params: { job: job } });
+  return [job];
+};
+
+/**
+ * Updates the status of the device BGP configuration
+ * @param  {string} deviceId the device id
+ * @param  {string} status   the new status
+ * @return {Promise}
+ */
+const setBgpStatus = (deviceId, status) => {
+  return devices.updateOne(
+    { _id: mongoose.Types.ObjectId(deviceId) },
+    { $set: { 'bgp.status': status } }
+  );
+};
+
+/**
+ * Called when add/remove BGP job completed and
+ * updates the status of the operation.
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   device object ID and message
+ * @return {void}
+ */
+const complete = async (jobId, res) => {
+  logger.info('BGP job complete', { params: { result: res, jobId: jobId } });
+
+  if (!res || !res.deviceId || !res.message) {
+    logger.warn('BGP job complete got an invalid job result', {
+      params: { result: res, jobId: jobId }
+    });
+    return;
+  }
+  try {
+    await setBgpStatus(res.deviceId, 'complete');
+  } catch (error) {
+    logger.warn('Complete BGP job, failed to update database', {
+      params: { result: res, jobId: jobId }
+    });
+  }
+};
+
+/**
+ * Called if add/remove BGP job failed and
+ * updates the status of the operation.
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   device object ID and message
+ * @return {void}
+ */
+const error = async (jobId, res) => {
+  logger.info('BGP job failed', { params: { result: res, jobId: jobId } });
+
+  try {
+    const status = res.message === 'remove-routing-bgp' ? 'remove-failed' : 'add-failed';
+    await setBgpStatus(res.deviceId, status);
+  } catch (error) {
+    logger.warn('BGP job error, failed to update database', {
+      params: { result: res, jobId: jobId, message: error.message }
+    });
+  }
+};
+
+/**
+ * Called when add/remove BGP job is removed only
+ * for tasks that were deleted before completion/failure.
+ * @async
+ * @param  {Object} job Kue job
+ * @return {void}
+ */
+const remove = async (job) => {
+  if (['inactive', 'delayed', 'active'].includes(job._state)) {
+    logger.info('BGP remove job, mark as deleted', {
+      params: { job: job }
+    });
+    try {
+      await setBgpStatus(job.data.response.data.deviceId, 'job-deleted');
+    } catch (error) {
+      logger.warn('Failed to remove BGP job', { params: { job: job, message: error.message } });
+    }
+  }
+};
+
+module.exports = {
+  apply: apply,
+  complete: complete,
+  error: error,
+  remove: remove
+};
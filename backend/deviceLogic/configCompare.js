@@ -0,0 +1,250 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Comparison of the configuration stored in the MGMT with the configuration
+// running on the device. Both configurations are normalized to the form of
+// the device messages parameters, so they can be compared and re-pushed.
+const { isDynamicAddressing } = require('./validators');
+const pick = require('lodash/pick');
+const isEqual = require('lodash/isEqual');
+
+/**
+ * Normalizes the parameters of an interface, as sent to the device
+ * @param  {Object} params the interface parameters
+ * @return {Object}        the normalized interface
+ */
+const normalizeInterface = (params) => {
+  return {
+    pci: params.pci,
+    addr: params.addr || '',
+    addr6: params.addr6 || '',
+    type: (params.type || '').toUpperCase(),
+    routing: (params.routing || 'none').toLowerCase()
+  };
+};
+
+/**
+ * Normalizes the parameters of a static route, as sent to the device
+ * @param  {Object} params the route parameters
+ * @return {Object}        the normalized route
+ */
+const normalizeRoute = (params) => {
+  const route = { addr: params.addr, via: params.via };
+  if (params.pci) route.pci = params.pci;
+  if (params.metric) route.metric = params.metric.toString();
+  return route;
+};
+
+/**
+ * Normalizes the parameters of a DHCP configuration, as sent to the device
+ * @param  {Object} params the DHCP configuration parameters
+ * @return {Object}        the normalized DHCP configuration
+ */
+const normalizeDhcp = (params) => {
+  if (params.mode === 'relay') {
+    return {
+      interface: params.interface,
+      mode: 'relay',
+      relay_servers: params.relay_servers || []
+    };
+  }
+  return {
+    interface: params.interface,
+    range_start: params.range_start || '',
+    range_end: params.range_end || '',
+    dns: params.dns || [],
+    mac_assign: (params.mac_assign || []).map(mac => pick(mac, ['host', 'mac', 'ipv4']))
+  };
+};
+
+/**
+ * Gets the configuration of a device as stored in the MGMT,
+ * in the same form as the configuration reported by the device.
+ * Only static routes and DHCP configurations applied on the device are included.
+ * @param  {Object} device  the device
+ * @param  {Array}  tunnels the active tunnels of the device
+ * @return {Object}         the normalized configuration
+ */
+const getManagedConfig = (device, tunnels) => {
+  const deviceId = device._id.toString();
+  return {
+    interfaces: device.interfaces
+      .filter(ifc => ifc.isAssigned)
+      .map(ifc => normalizeInterface({
+        pci: ifc.pciaddr,
+        addr: ifc.IPv4 && ifc.IPv4Mask && !isDynamicAddressing(ifc)
+          ? `${ifc.IPv4}/${ifc.IPv4Mask}` : '',
+        addr6: ifc.IPv6 && ifc.IPv6Mask ? `${ifc.IPv6}/${ifc.IPv6Mask}` : '',
+        type: ifc.type,
+        routing: ifc.routing
+      })),
+    staticroutes: (device.staticroutes || [])
+      .filter(route => route.status === 'complete')
+      .map(route => normalizeRoute({
+        addr: route.destination,
+        via: route.gateway,
+        pci: route.ifname,
+        metric: route.metric
+      })),
+    dhcp: (device.dhcp || [])
+      .filter(dhcpConfig => dhcpConfig.status === 'complete')
+      .map(dhcpConfig => normalizeDhcp({
+        interface: dhcpConfig.interface,
+        mode: dhcpConfig.mode,
+        range_start: dhcpConfig.rangeStart,
+        range_end: dhcpConfig.rangeEnd,
+        dns: dhcpConfig.dns,
+        mac_assign: dhcpConfig.macAssign,
+        relay_servers: dhcpConfig.relayServers
+      })),
+    // Tunnels which are not configured yet are known to the MGMT to be missing
+    tunnels: tunnels.map(tunnel => {
+      const isDeviceA = (tunnel.deviceA._id || tunnel.deviceA).toString() === deviceId;
+      return {
+        num: tunnel.num,
+        configured: isDeviceA ? tunnel.deviceAconf : tunnel.deviceBconf
+      };
+    })
+  };
+};
+
+/**
+ * Gets the configuration of a device from the get-router-config response,
+ * which holds the list of requests that configured the device.
+ * @param  {Array}  requests the device configuration requests
+ * @return {Object}          the normalized configuration
+ */
+const getRunningConfig = (requests) => {
+  if (!Array.isArray(requests)) {
+    throw new Error('Invalid device configuration');
+  }
+  const config = { interfaces: [], staticroutes: [], dhcp: [], tunnels: [] };
+  // The default route is configured with the interfaces, it is not a static route
+  const addRoute = (params) => {
+    if (params.addr !== 'default') config.staticroutes.push(normalizeRoute(params));
+  };
+  requests.forEach(({ message, params }) => {
+    if (!params) return;
+    switch (message) {
+      case 'start-router':
+        (params.interfaces || []).forEach(ifc => {
+          config.interfaces.push(normalizeInterface(ifc));
+        });
+        (params.routes || []).forEach(addRoute);
+        break;
+      case 'add-interface':
+        config.interfaces.push(normalizeInterface(params));
+        break;
+      case 'add-route':
+        addRoute(params);
+        break;
+      case 'add-dhcp-config':
+        config.dhcp.push(normalizeDhcp(params));
+        break;
+      case 'add-tunnel':
+        config.tunnels.push({
+          num: params['tunnel-id'],
+          params: pick(params, ['src', 'dst', 'tunnel-id', 'loopback-iface'])
+        });
+        break;
+    }
+  });
+  return config;
+};
+
+/**
+ * Compares two lists of items by a key
+ * @param  {Array}    expected the items stored in the MGMT
+ * @param  {Array}    actual   the items configured on the device
+ * @param  {Function} getKey   returns the key of an item
+ * @return {{missing: Array, unexpected: Array, modified: Array}}
+ */
+const diffItems = (expected, actual, getKey) => {
+  const missing = expected.filter(item => !actual.some(a => getKey(a) === getKey(item)));
+  const unexpected = actual.filter(item => !expected.some(e => getKey(e) === getKey(item)));
+  const modified = [];
+  expected.forEach(expectedItem => {
+    const actualItem = actual.find(item => getKey(item) === getKey(expectedItem));
+    if (actualItem && !isEqual(expectedItem, actualItem)) {
+      modified.push({ expected: expectedItem, actual: actualItem });
+    }
+  });
+  return { missing, unexpected, modified };
+};
+
+/**
+ * Compares the configuration stored in the MGMT with the device configuration
+ * @param  {Object} managed the normalized MGMT configuration
+ * @param  {Object} running the normalized device configuration
+ * @return {Object}         the drift per configuration section
+ */
+const compareConfigs = (managed, running) => {
+  const runningTunnels = running.tunnels.map(tunnel => tunnel.num);
+  return {
+    interfaces: diffItems(managed.interfaces, running.interfaces, ifc => ifc.pci),
+    staticroutes: diffItems(managed.staticroutes, running.staticroutes, JSON.stringify),
+    dhcp: diffItems(managed.dhcp, running.dhcp, dhcpConfig => dhcpConfig.interface),
+    tunnels: {
+      missing: managed.tunnels
+        .filter(tunnel => tunnel.configured && !runningTunnels.includes(tunnel.num))
+        .map(tunnel => ({ num: tunnel.num })),
+      unexpected: running.tunnels
+        .filter(tunnel => !managed.tunnels.some(t => t.num === tunnel.num)),
+      modified: []
+    }
+  };
+};
+
+/**
+ * Checks whether the device configuration drifted from the MGMT configuration
+ * @param  {Object}  drift the drift per configuration section
+ * @return {boolean}       true if drifted, false otherwise
+ */
+const isDrifted = (drift) => {
+  return Object.values(drift).some(({ missing, unexpected, modified }) => {
+    return missing.length > 0 || unexpected.length > 0 || modified.length > 0;
+  });
+};
+
+/**
+ * Gets a description of the drifted configuration sections
+ * @param  {Object} drift the drift per configuration section
+ * @return {string}       the description, e.g. 'interfaces: 1, tunnels: 2'
+ */
+const getDriftSummary = (drift) => {
+  const names = {
+    interfaces: 'interfaces',
+    staticroutes: 'static routes',
+    dhcp: 'DHCP',
+    tunnels: 'tunnels'
+  };
+  return Object.entries(drift)
+    .map(([section, { missing, unexpected, modified }]) => {
+      return [names[section], missing.length + unexpected.length + modified.length];
+    })
+    .filter(([name, count]) => count > 0)
+    .map(([name, count]) => `${name}: ${count}`)
+    .join(', ');
+};
+
+module.exports = {
+  getManagedConfig,
+  getRunningConfig,
+  compareConfigs,
+  isDrifted,
+  getDriftSummary
+};
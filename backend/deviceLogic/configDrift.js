@@ -0,0 +1,353 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Configuration drift detection. The configuration running on the device
+// is compared with the configuration stored in the MGMT, and the MGMT
+// configuration can be re-pushed to devices which configuration drifted.
+const configs = require('../configs')();
+const { devices } = require('../models/devices');
+const tunnelsModel = require('../models/tunnels');
+const deviceConfigDrift = require('../models/deviceConfigDrift');
+const connections = require('../websocket/Connections')();
+const deviceStatus = require('../periodic/deviceStatus')();
+const notificationsMgr = require('../notifications/notifications')();
+const deviceQueues = require('../utils/deviceQueue')(
+  configs.get('kuePrefix'),
+  configs.get('redisUrl')
+);
+const { resyncInterfaces } = require('./modifyDevice');
+const { reconnectTunnel } = require('./tunnels');
+const {
+  getManagedConfig,
+  getRunningConfig,
+  compareConfigs,
+  isDrifted,
+  getDriftSummary
+} = require('./configCompare');
+const { getMajorVersion } = require('../versioning');
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+
+// Statuses of static routes and DHCP configurations which are not applied yet
+const pendingStatuses = ['waiting', 'add-wait', 'del-wait'];
+
+// Time (msec) after which a resync which is not done is considered stale,
+// e.g. when the resync job was lost, and the drift of the device is checked again
+const resyncTimeout = 3600000;
+
+/**
+ * Checks whether the device has configuration changes which are not applied yet.
+ * The configuration of such devices is expected to differ from the MGMT.
+ * @param  {Object}  device the device
+ * @return {boolean}        true if there are pending changes, false otherwise
+ */
+const hasPendingChanges = (device) => {
+  return device.pendingDevModification ||
+    (device.staticroutes || []).some(route => pendingStatuses.includes(route.status)) ||
+    (device.dhcp || []).some(dhcpConfig => pendingStatuses.includes(dhcpConfig.status));
+};
+
+/**
+ * Retrieves the configuration of a device, compares it with the configuration
+ * stored in the MGMT and stores the drift report. A notification is sent when
+ * the configuration of the device drifts.
+ * @async
+ * @param  {Object} device the device
+ * @return {Promise<Object>} the drift report
+ */
+const checkDeviceDrift = async (device) => {
+  const prevReport = await deviceConfigDrift.findOne({ device: device._id }).lean();
+  const report = {
+    org: device.org,
+    status: 'in-sync',
+    checkedAt: new Date(),
+    resyncStartedAt: null,
+    drift: {},
+    error: ''
+  };
+  try {
+    const deviceConf = await connections.deviceSendMessage(
+      null,
+      device.machineId,
+      { entity: 'agent', message: 'get-router-config' }
+    );
+    if (!deviceConf.ok) throw new Error('Failed to get device configuration');
+
+    const tunnels = await tunnelsModel.find({
+      isActive: true,
+      $or: [{ deviceA: device._id }, { deviceB: device._id }]
+    }, { num: 1, deviceA: 1, deviceB: 1, deviceAconf: 1, deviceBconf: 1 }).lean();
+    report.drift = compareConfigs(
+      getManagedConfig(device, tunnels),
+      getRunningConfig(deviceConf.message)
+    );
+    if (isDrifted(report.drift)) report.status = 'drifted';
+  } catch (err) {
+    logger.warn('Device configuration drift check failed', {
+      params: { deviceId: device._id, err: err.message }
+    });
+    report.status = 'error';
+    report.error = err.message;
+  }
+
+  const updReport = await deviceConfigDrift.findOneAndUpdate(
+    { device: device._id },
+    { $set: report },
+    { upsert: true, new: true }
+  ).lean();
+
+  // Notify only when the configuration starts to drift
+  if (report.status === 'drifted' && (!prevReport || prevReport.status !== 'drifted')) {
+    logger.info('Device configuration drifted', {
+      params: { deviceId: device._id, drift: getDriftSummary(report.drift) }
+    });
+    await notificationsMgr.sendNotifications([{
+      org: device.org,
+      title: 'Configuration drift',
+      time: new Date(),
+      device: device._id,
+      machineId: device.machineId,
+      details: `The configuration of device ${device.hostname} differs from` +
+        ` the configuration in flexiManage (${getDriftSummary(report.drift)})`
+    }]);
+  }
+  return updReport;
+};
+
+/**
+ * Checks the configuration drift of all the running devices.
+ * Devices with pending changes or that are being resynced are skipped,
+ * unless the resync is stale.
+ * Called periodically by the check_config_drift task.
+ * @async
+ * @return {void}
+ */
+const checkConfigDrift = async () => {
+  try {
+    const approvedDevices = await devices.find({ isApproved: true });
+    const resyncing = await deviceConfigDrift.find({
+      status: 'resyncing',
+      resyncStartedAt: { $gt: new Date(Date.now() - resyncTimeout) }
+    }, { device: 1 }).lean();
+    const resyncingIds = resyncing.map(report => report.device.toString());
+    for (const device of approvedDevices) {
+      const { machineId } = device;
+      const status = deviceStatus.getDeviceStatus(machineId);
+      if (!connections.isConnected(machineId) || !status || status.state !== 'running') continue;
+      if (getMajorVersion(device.versions.agent) < 1) continue;
+      if (hasPendingChanges(device) || resyncingIds.includes(device._id.toString())) continue;
+      try {
+        await checkDeviceDrift(device);
+      } catch (err) {
+        logger.error('Device configuration drift check failed', {
+          params: { deviceId: device._id, err: err.message }
+        });
+      }
+    }
+  } catch (err) {
+    logger.error('Configuration drift check failed', { params: { err: err.message } });
+  }
+};
+
+/**
+ * Re-pushes the configuration stored in the MGMT to a device which configuration
+ * drifted. The drift is checked again before, and only drifted items are re-pushed:
+ * interfaces by a modify-device job, missing tunnels are reconnected, and static
+ * routes, DHCP configurations and unexpected tunnels by a resync job.
+ * @async
+ * @param  {Array}    device    an array with the device to resync
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {Array}              the queued jobs
+ */
+const apply = async (device, user, data) => {
+  const [origDevice] = device;
+  if (!origDevice.isApproved) {
+    throw new Error('Device must be first approved');
+  }
+  if (!connections.isConnected(origDevice.machineId)) {
+    throw new Error('Device must be connected');
+  }
+  if (hasPendingChanges(origDevice)) {
+    throw new Error('The device has pending configuration changes');
+  }
+  const report = await checkDeviceDrift(origDevice);
+  if (report.status === 'error') throw new Error(report.error);
+  if (report.status !== 'drifted') {
+    throw new Error('The device configuration is in sync with flexiManage');
+  }
+
+  const { interfaces, staticroutes, dhcp, tunnels } = report.drift;
+  const jobs = await resyncInterfaces(origDevice, interfaces, user);
+
+  // Tunnels of resynced interfaces are rebuilt by the modify-device job
+  const resyncedPcis = [...interfaces.missing, ...interfaces.unexpected,
+    ...interfaces.modified.map(({ expected }) => expected)].map(ifc => ifc.pci);
+  const missingTunnels = await tunnelsModel.find({
+    org: origDevice.org,
+    isActive: true,
+    num: { $in: tunnels.missing.map(tunnel => tunnel.num) }
+  })
+    .populate('deviceA')
+    .populate('deviceB');
+  for (const tunnel of missingTunnels) {
+    const rebuilt = [tunnel.deviceA, tunnel.deviceB].some(tunnelDevice => {
+      return tunnelDevice._id.toString() === origDevice._id.toString() &&
+        tunnelDevice.interfaces.some(ifc => {
+          return resyncedPcis.includes(ifc.pciaddr) &&
+            [tunnel.interfaceA.toString(), tunnel.interfaceB.toString()]
+              .includes(ifc._id.toString());
+        });
+    });
+    if (!rebuilt) jobs.push(...await reconnectTunnel(tunnel, user.username));
+  }
+
+  const tasks = [];
+  tunnels.unexpected.forEach(({ params }) => {
+    tasks.push({ entity: 'agent', message: 'remove-tunnel', params });
+  });
+  staticroutes.unexpected.forEach(params => {
+    tasks.push({ entity: 'agent', message: 'remove-route', params });
+  });
+  staticroutes.missing.forEach(params => {
+    tasks.push({ entity: 'agent', message: 'add-route', params });
+  });
+  dhcp.unexpected.forEach(params => {
+    tasks.push({
+      entity: 'agent',
+      message: 'remove-dhcp-config',
+      params: { interface: params.interface }
+    });
+  });
+  dhcp.missing.forEach(params => {
+    tasks.push({ entity: 'agent', message: 'add-dhcp-config', params });
+  });
+  if (dhcp.modified.length > 0) {
+    tasks.push({
+      entity: 'agent',
+      message: 'modify-device',
+      params: {
+        modify_dhcp_config: {
+          dhcp_configs: dhcp.modified.map(({ expected }) => expected)
+        }
+      }
+    });
+  }
+
+  if (tasks.length > 0) {
+    const org = user.defaultOrg._id.toString();
+    const job = await deviceQueues.addJob(
+      origDevice.machineId,
+      user.username,
+      org,
+      // Data
+      { title: `Resync device ${origDevice.hostname}`, tasks: tasks },
+      // Response data
+      { method: 'resync', data: { device: origDevice._id, org: org } },
+      // Metadata
+      { priority: 'low', attempts: 1, removeOnComplete: false },
+      // Complete callback
+      null
+    );
+    logger.info('Resync device job queued', { params: { job: job } });
+    jobs.push(job);
+
+    // The drift is not checked until the resync job is done
+    await deviceConfigDrift.updateOne(
+      { device: origDevice._id },
+      { $set: { status: 'resyncing', resyncStartedAt: new Date() } }
+    );
+  }
+  return jobs;
+};
+
+/**
+ * Updates the drift status of the device when the resync job is done
+ * @async
+ * @param  {string} deviceId the device id
+ * @param  {string} status   the new drift status
+ * @return {void}
+ */
+const setResyncStatus = async (deviceId, status) => {
+  await deviceConfigDrift.updateOne(
+    { device: deviceId, status: 'resyncing' },
+    { $set: { status: status, resyncStartedAt: null } }
+  );
+};
+
+/**
+ * Called when the resync job completes
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   job result
+ * @return {void}
+ */
+const complete = async (jobId, res) => {
+  logger.info('Resync device job complete', { params: { result: res, jobId: jobId } });
+  if (!res || !res.device) {
+    logger.warn('Got an invalid job result', { params: { result: res, jobId: jobId } });
+    return;
+  }
+  try {
+    await setResyncStatus(res.device, 'resynced');
+  } catch (err) {
+    logger.error('Failed to update the drift status', {
+      params: { jobId: jobId, err: err.message }
+    });
+  }
+};
+
+/**
+ * Called when the resync job fails, the device configuration is still drifted
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   job result
+ * @return {void}
+ */
+const error = async (jobId, res) => {
+  logger.info('Resync device job failed', { params: { result: res, jobId: jobId } });
+  if (!res || !res.device) return;
+  try {
+    await setResyncStatus(res.device, 'drifted');
+  } catch (err) {
+    logger.error('Failed to update the drift status', {
+      params: { jobId: jobId, err: err.message }
+    });
+  }
+};
+
+/**
+ * Called when the resync job is removed
+ * @async
+ * @param  {Object} job the removed job
+ * @return {void}
+ */
+const remove = async (job) => {
+  if (['inactive', 'delayed', 'active'].includes(job._state)) {
+    await error(job.id, job.data.response.data);
+  }
+};
+
+module.exports = {
+  apply,
+  complete,
+  error,
+  remove,
+  checkDeviceDrift,
+  tasks: {
+    checkConfigDrift
+  }
+};
@@ -0,0 +1,308 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Device configuration history. A versioned snapshot of the device
+// configuration is stored after each successful configuration change,
+// which allows comparing versions and rolling the device back.
+const deviceConfigHistory = require('../models/deviceConfigHistory');
+const { devices } = require('../models/devices');
+const { isDynamicAddressing } = require('./validators');
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+const pick = require('lodash/pick');
+const isEqual = require('lodash/isEqual');
+
+// The number of configuration versions kept per device
+const maxConfigVersions = 100;
+
+// The number of attempts to store a snapshot, when versions are stored concurrently
+const maxSnapshotAttempts = 5;
+
+// Interface fields which are part of the device configuration.
+// Other fields (MAC, public address, etc.) are observed by the device.
+const ifcConfigFields = [
+  '_id', 'name', 'pciaddr', 'parentPciaddr', 'vlanId', 'IPv4', 'IPv4Mask', 'IPv6',
+  'IPv6Mask', 'addressMode', 'pppoe', 'isAssigned', 'routing', 'type', 'pathlabels', 'qos'
+];
+
+// Statuses of static routes and DHCP configurations which are not applied yet
+const pendingStatuses = ['waiting', 'add-wait', 'del-wait'];
+
+/**
+ * Converts a device object (or a mongoose document) to a plain object,
+ * where ids are strings and unset fields are removed.
+ * @param  {Object} obj the object to convert
+ * @return {Object}     the plain object
+ */
+const toPlain = (obj) => JSON.parse(JSON.stringify(obj));
+
+/**
+ * Gets the key that identifies a static route, routes re-added to
+ * the device get a new id, therefore the id can't be used for comparison.
+ * @param  {Object} route the static route
+ * @return {string}       the route key
+ */
+const getRouteKey = (route) => {
+  return `${route.destination}|${route.gateway}|${route.ifname || ''}|${route.metric || ''}`;
+};
+
+/**
+ * Gets the configuration of a device, as stored in the configuration history.
+ * Addresses learned by the device (DHCP/PPPoE) are not part of the configuration,
+ * and only static routes and DHCP configurations applied on the device are included.
+ * @param  {Object} device the device
+ * @return {Object}        the device configuration
+ */
+const getDeviceConfig = (device) => {
+  const { defaultRoute, interfaces, staticroutes, dhcp, labels } = toPlain(device);
+  return {
+    defaultRoute: defaultRoute || '',
+    interfaces: (interfaces || []).map(ifc => {
+      const ifcConfig = pick(ifc, ifcConfigFields);
+      if (isDynamicAddressing(ifc)) {
+        delete ifcConfig.IPv4;
+        delete ifcConfig.IPv4Mask;
+      }
+      ifcConfig.pathlabels = (ifc.pathlabels || []).map(label => label._id || label);
+      return ifcConfig;
+    }),
+    staticroutes: (staticroutes || [])
+      .filter(route => route.status === 'complete')
+      .map(route => pick(route, ['_id', 'destination', 'gateway', 'ifname', 'metric'])),
+    dhcp: (dhcp || [])
+      .filter(dhcpConfig => dhcpConfig.status === 'complete')
+      .map(dhcpConfig => ({
+        ...pick(dhcpConfig, [
+          '_id', 'interface', 'mode', 'rangeStart', 'rangeEnd', 'dns', 'relayServers'
+        ]),
+        macAssign: (dhcpConfig.macAssign || []).map(mac => pick(mac, ['host', 'mac', 'ipv4']))
+      })),
+    labels: labels || []
+  };
+};
+
+/**
+ * Gets a configuration version as returned to the user. The PPPoE password is
+ * kept in the stored version for rollback, but it is never returned to the user.
+ * @param  {Object} config the stored device configuration
+ * @return {Object}        the configuration without the PPPoE passwords
+ */
+const getUserConfig = (config) => {
+  return {
+    ...config,
+    interfaces: config.interfaces.map(ifc => {
+      if (!ifc.pppoe) return ifc;
+      const { password, ...pppoe } = ifc.pppoe;
+      return { ...ifc, pppoe };
+    })
+  };
+};
+
+/**
+ * Compares two lists of items by a key, items with the same key
+ * and different content are reported as modified.
+ * @param  {Array}    fromItems the items of the first version
+ * @param  {Array}    toItems   the items of the second version
+ * @param  {Function} getKey    returns the key of an item
+ * @param  {Array}    omitted   fields which are not compared
+ * @return {{added: Array, removed: Array, modified: Array}}
+ */
+const diffItems = (fromItems, toItems, getKey, omitted = []) => {
+  const strip = (item) => {
+    const res = { ...item };
+    omitted.forEach(field => delete res[field]);
+    return res;
+  };
+  const added = toItems.filter(item => !fromItems.some(f => getKey(f) === getKey(item)));
+  const removed = fromItems.filter(item => !toItems.some(t => getKey(t) === getKey(item)));
+  const modified = [];
+  fromItems.forEach(fromItem => {
+    const toItem = toItems.find(item => getKey(item) === getKey(fromItem));
+    if (toItem && !isEqual(strip(fromItem), strip(toItem))) {
+      modified.push({ from: fromItem, to: toItem });
+    }
+  });
+  return { added, removed, modified };
+};
+
+/**
+ * Returns the differences between two versions of a device configuration,
+ * the PPPoE passwords are not compared nor returned.
+ * @param  {Object} fromVersion the configuration of the first version
+ * @param  {Object} toVersion   the configuration of the second version
+ * @return {Object}             the differences, per configuration section
+ */
+const diffDeviceConfigs = (fromVersion, toVersion) => {
+  const fromConfig = getUserConfig(fromVersion);
+  const toConfig = getUserConfig(toVersion);
+  const interfaces = diffItems(fromConfig.interfaces, toConfig.interfaces, ifc => ifc._id);
+  const staticroutes = diffItems(fromConfig.staticroutes, toConfig.staticroutes, getRouteKey);
+  const dhcp = diffItems(fromConfig.dhcp, toConfig.dhcp,
+    dhcpConfig => dhcpConfig.interface, ['_id']);
+  return {
+    defaultRoute: fromConfig.defaultRoute !== toConfig.defaultRoute
+      ? { from: fromConfig.defaultRoute, to: toConfig.defaultRoute } : null,
+    interfaces: {
+      added: interfaces.added,
+      removed: interfaces.removed,
+      // Only the changed fields of modified interfaces are returned
+      modified: interfaces.modified.map(({ from, to }) => {
+        const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+        const changes = {};
+        fields.filter(field => !isEqual(from[field], to[field])).forEach(field => {
+          changes[field] = { from: from[field], to: to[field] };
+        });
+        return { _id: to._id, name: to.name, changes };
+      })
+    },
+    staticroutes: { added: staticroutes.added, removed: staticroutes.removed },
+    dhcp,
+    labels: {
+      added: toConfig.labels.filter(label => !fromConfig.labels.includes(label)),
+      removed: fromConfig.labels.filter(label => !toConfig.labels.includes(label))
+    }
+  };
+};
+
+/**
+ * Prepares the changes needed to roll a device back to a configuration version.
+ * Configuration fields of the interfaces are restored, other fields are kept.
+ * @param  {Object} device the device
+ * @param  {Object} config the configuration to roll back to
+ * @return {{deviceRequest: Object, interfacesChanged: boolean, staticroutes: Object,
+ *           dhcp: Object, err: string}} the device changes, and the jobs that should be
+ *           queued, or an error if the device has pending changes
+ */
+const prepareConfigRollback = (device, config) => {
+  const plainDevice = toPlain(device);
+  const pendingRoutes = (plainDevice.staticroutes || [])
+    .some(route => pendingStatuses.includes(route.status));
+  const pendingDhcp = (plainDevice.dhcp || [])
+    .some(dhcpConfig => pendingStatuses.includes(dhcpConfig.status));
+  if (plainDevice.pendingDevModification || pendingRoutes || pendingDhcp) {
+    return { err: 'The device has pending configuration changes' };
+  }
+
+  // VLAN sub-interfaces that did not exist in the version are removed,
+  // sub-interfaces that were removed since the version are re-created
+  const interfaces = [];
+  plainDevice.interfaces.forEach(ifc => {
+    const ifcConfig = config.interfaces.find(cfgIfc => cfgIfc._id === ifc._id);
+    if (!ifcConfig) {
+      if (!ifc.parentPciaddr) interfaces.push(ifc);
+      return;
+    }
+    // Configuration fields that were not set in the version are cleared,
+    // addresses learned by the device are kept
+    const restoredIfc = { ...ifc, ...ifcConfig };
+    ifcConfigFields.filter(field => !(field in ifcConfig)).forEach(field => {
+      const isLearned = ['IPv4', 'IPv4Mask'].includes(field) && isDynamicAddressing(ifcConfig);
+      if (!isLearned) delete restoredIfc[field];
+    });
+    interfaces.push(restoredIfc);
+  });
+  config.interfaces.forEach(ifcConfig => {
+    const exists = plainDevice.interfaces.some(ifc => ifc._id === ifcConfig._id);
+    if (!exists && ifcConfig.parentPciaddr) interfaces.push({ ...ifcConfig });
+  });
+
+  const deviceRequest = {
+    defaultRoute: config.defaultRoute,
+    interfaces: interfaces,
+    labels: config.labels
+  };
+  const current = getDeviceConfig(plainDevice);
+  const restored = getDeviceConfig({ ...plainDevice, ...deviceRequest });
+  const interfacesChanged = current.defaultRoute !== restored.defaultRoute ||
+    !isEqual(current.interfaces, restored.interfaces);
+
+  const routes = diffItems(current.staticroutes, config.staticroutes, getRouteKey);
+  const dhcp = diffItems(current.dhcp, config.dhcp, dhcpConfig => dhcpConfig.interface, ['_id']);
+  return {
+    deviceRequest,
+    interfacesChanged,
+    staticroutes: {
+      add: routes.added.map(route => pick(route, ['destination', 'gateway', 'ifname', 'metric'])),
+      remove: routes.removed
+    },
+    dhcp: {
+      add: dhcp.added.map(({ _id, ...dhcpConfig }) => dhcpConfig),
+      remove: dhcp.removed,
+      // Modified DHCP configurations keep the id of the current configuration
+      modify: dhcp.modified.map(({ from, to }) => ({ ...to, _id: from._id }))
+    },
+    err: ''
+  };
+};
+
+/**
+ * Stores a snapshot of the device configuration, if it has
+ * changed since the last version in the configuration history.
+ * Versions are unique per device, when another snapshot of the device is
+ * stored concurrently with the same version, the snapshot is retried.
+ * @async
+ * @param  {string} deviceId the device id
+ * @param  {string} username the user that made the change
+ * @param  {number} jobId    the id of the job that applied the change, null if none
+ * @return {Promise<Object>} the stored version, or null if the configuration has not changed
+ */
+const saveConfigSnapshot = async (deviceId, username, jobId = null) => {
+  for (let attempt = 1; ; attempt++) {
+    const device = await devices.findOne({ _id: deviceId }).lean();
+    if (!device) return null;
+
+    const config = getDeviceConfig(device);
+    const last = await deviceConfigHistory.findOne({ device: deviceId }).sort({ version: -1 });
+    if (last && isEqual(last.config, config)) return null;
+
+    const version = last ? last.version + 1 : 1;
+    let snapshot;
+    try {
+      snapshot = await deviceConfigHistory.create({
+        org: device.org,
+        device: deviceId,
+        version: version,
+        username: username || 'system',
+        jobId: jobId,
+        config: config
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= maxSnapshotAttempts) throw err;
+      logger.debug('Device configuration version already exists, retrying', {
+        params: { deviceId: deviceId, version: version, attempt: attempt }
+      });
+      continue;
+    }
+    logger.info('Device configuration version stored', {
+      params: { deviceId: deviceId, version: version, jobId: jobId }
+    });
+
+    // Only the latest versions are kept
+    await deviceConfigHistory.deleteMany({
+      device: deviceId,
+      version: { $lte: version - maxConfigVersions }
+    });
+    return snapshot;
+  }
+};
+
+module.exports = {
+  getDeviceConfig,
+  getUserConfig,
+  diffDeviceConfigs,
+  prepareConfigRollback,
+  saveConfigSnapshot
+};
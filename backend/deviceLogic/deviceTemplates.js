@@ -0,0 +1,281 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Logic to render device templates. A template holds interface role
+// assignments, static routes and DHCP configurations, which values may use
+// variables, e.g. {{lan_ip}}, that are replaced by per device values.
+const isEqual = require('lodash/isEqual');
+const {
+  validateDevice,
+  validateStaticRoute,
+  validateDhcpConfig,
+  isDynamicAddressing
+} = require('./validators');
+
+// Matches the variables in template values
+const variableRegex = /{{\s*([a-z0-9_]+)\s*}}/gi;
+
+// The interface fields that can be set by a template
+const templateIfcFields = ['isAssigned', 'type', 'routing', 'IPv4', 'IPv4Mask', 'pathlabels'];
+
+/**
+ * Checks whether a template variable name is valid
+ * @param  {string}  name the variable name
+ * @return {boolean}      true if the name is valid, false otherwise
+ */
+const isValidVariableName = (name) => /^[a-z0-9_]{1,30}$/i.test(name || '');
+
+/**
+ * Calls a function for every string value of an object, and
+ * returns a copy of the object with the values returned by the function
+ * @param  {*}        value the object to go over
+ * @param  {Function} func  the function called for every string
+ * @return {*}              the mapped object
+ */
+const mapStrings = (value, func) => {
+  if (typeof value === 'string') return func(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, func));
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, mapStrings(item, func)])
+    );
+  }
+  return value;
+};
+
+/**
+ * Gets the configuration part of a template
+ * @param  {Object} template the device template
+ * @return {Object}          the template interfaces, static routes and DHCP configurations
+ */
+const getTemplateConfig = (template) => {
+  const toPlain = (items) => (items || []).map(item => {
+    const plain = item.toObject ? item.toObject() : { ...item };
+    if (plain.pathlabels) plain.pathlabels = plain.pathlabels.map(label => label.toString());
+    return plain;
+  });
+  return {
+    interfaces: toPlain(template.interfaces),
+    staticroutes: toPlain(template.staticroutes),
+    dhcp: toPlain(template.dhcp)
+  };
+};
+
+/**
+ * Gets the names of the variables used by a template
+ * @param  {Object} template the device template
+ * @return {Array}           the variable names, sorted
+ */
+const getTemplateVariables = (template) => {
+  const names = new Set();
+  mapStrings(getTemplateConfig(template), value => {
+    for (const [, name] of value.matchAll(variableRegex)) names.add(name);
+    return value;
+  });
+  return [...names].sort();
+};
+
+/**
+ * Gets the built-in variables of a device, that can be used by all templates
+ * @param  {Object} device the device
+ * @return {Object}        the variables values by name
+ */
+const getDeviceVariables = (device) => {
+  return {
+    device_name: device.name || '',
+    hostname: device.hostname || '',
+    site: device.site || ''
+  };
+};
+
+/**
+ * Checks whether a device template is valid. The interfaces and the DHCP
+ * configurations must refer to different interfaces, and the variables
+ * must be in the {{name}} format.
+ * @param  {Object} template                the template to check
+ * @return {{valid: boolean, err: string}}  test result + error if the template is invalid
+ */
+const validateDeviceTemplate = (template) => {
+  const { interfaces, dhcp } = getTemplateConfig(template);
+  const ifcNames = interfaces.map(ifc => ifc.name);
+  const duplicateIfc = ifcNames.find((name, idx) => ifcNames.indexOf(name) !== idx);
+  if (duplicateIfc) {
+    return { valid: false, err: `Interface ${duplicateIfc} is configured more than once` };
+  }
+  const dhcpIfcNames = dhcp.map(dhcp => dhcp.interface);
+  const duplicateDhcp = dhcpIfcNames.find((name, idx) => dhcpIfcNames.indexOf(name) !== idx);
+  if (duplicateDhcp) {
+    return { valid: false, err: `DHCP is configured more than once on interface ${duplicateDhcp}` };
+  }
+
+  let invalidValue;
+  mapStrings(getTemplateConfig(template), value => {
+    const stripped = value.replace(variableRegex, '');
+    if (!invalidValue && (stripped.includes('{') || stripped.includes('}'))) {
+      invalidValue = value;
+    }
+    return value;
+  });
+  if (invalidValue) {
+    return { valid: false, err: `Invalid template variable in ${invalidValue}` };
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Renders a template with the variables of a device
+ * @param  {Object} template  the device template
+ * @param  {Object} variables the variables values by name
+ * @return {{config: Object, err: string}} the rendered configuration + error
+ *                                         if a variable is not set
+ */
+const renderTemplate = (template, variables) => {
+  const missing = getTemplateVariables(template).find(name => {
+    return !Object.prototype.hasOwnProperty.call(variables, name);
+  });
+  if (missing) return { config: null, err: `Variable ${missing} is not set` };
+
+  const config = mapStrings(getTemplateConfig(template), value => {
+    return value.replace(variableRegex, (match, name) => variables[name]);
+  });
+  return { config, err: '' };
+};
+
+/**
+ * Prepares the configuration of a device from a template. The template
+ * is rendered and merged with the device configuration: template
+ * interfaces override the fields of the device interfaces with the same
+ * name, static routes which are not configured on the device are added,
+ * and DHCP configurations are added or modified.
+ * @param  {Object} device    the device, as a plain object
+ * @param  {Object} template  the device template
+ * @param  {Object} variables the variables values by name
+ * @return {{config: Object, err: string}} the device configuration + error
+ *                                         if the configuration is invalid
+ */
+const prepareTemplateConfig = (device, template, variables) => {
+  const { config: rendered, err } = renderTemplate(template, variables);
+  if (err) return { config: null, err };
+
+  // Interfaces
+  const interfaces = device.interfaces.map(ifc => ({ ...ifc }));
+  const changedIfcs = [];
+  for (const templateIfc of rendered.interfaces) {
+    const ifc = interfaces.find(ifc => ifc.name === templateIfc.name);
+    if (!ifc) return { config: null, err: `Interface ${templateIfc.name} not found` };
+    const fields = templateIfcFields.filter(field => {
+      return templateIfc[field] !== undefined && templateIfc[field] !== null;
+    });
+    const origValues = fields.map(field => field === 'pathlabels'
+      ? (ifc.pathlabels || []).map(label => label.toString())
+      : ifc[field]);
+    fields.forEach(field => { ifc[field] = templateIfc[field]; });
+    if (fields.includes('IPv4') && isDynamicAddressing(ifc)) {
+      return {
+        config: null,
+        err: `Interface ${ifc.name} address is learned by the device and can't be set`
+      };
+    }
+    if (!isEqual(origValues, fields.map(field => ifc[field]))) changedIfcs.push(ifc);
+  }
+
+  // DHCP can't be configured on modified interfaces
+  const dhcpIfc = changedIfcs.find(ifc => {
+    return (device.dhcp || []).some(dhcp => dhcp.interface === ifc.pciaddr);
+  });
+  if (dhcpIfc) {
+    return {
+      config: null,
+      err: `DHCP defined on interface ${dhcpIfc.name}, ` +
+        'please remove it before modifying this interface'
+    };
+  }
+
+  const { valid, err: deviceErr } = validateDevice({ ...device, interfaces });
+  if (!valid) return { config: null, err: deviceErr };
+
+  const getPciaddr = (name) => {
+    const ifc = interfaces.find(ifc => ifc.name === name);
+    return ifc ? ifc.pciaddr : null;
+  };
+
+  // Static routes
+  const staticroutes = [];
+  for (const templateRoute of rendered.staticroutes) {
+    const route = { ...templateRoute };
+    if (route.ifname) {
+      route.ifname = getPciaddr(templateRoute.ifname);
+      if (!route.ifname) {
+        return { config: null, err: `Interface ${templateRoute.ifname} not found` };
+      }
+    }
+    const { valid, err } = validateStaticRoute(route);
+    if (!valid) return { config: null, err };
+    const exists = (device.staticroutes || []).some(devRoute => {
+      return devRoute.destination === route.destination && devRoute.gateway === route.gateway;
+    });
+    if (!exists) staticroutes.push(route);
+  }
+
+  // DHCP configurations
+  const dhcp = { add: [], modify: [] };
+  for (const templateDhcp of rendered.dhcp) {
+    const pciaddr = getPciaddr(templateDhcp.interface);
+    if (!pciaddr) return { config: null, err: `Interface ${templateDhcp.interface} not found` };
+    const dhcpConfig = {
+      interface: pciaddr,
+      mode: templateDhcp.mode || 'server',
+      rangeStart: templateDhcp.rangeStart || '',
+      rangeEnd: templateDhcp.rangeEnd || '',
+      dns: templateDhcp.dns || [],
+      relayServers: templateDhcp.relayServers || []
+    };
+    const { valid, err } = validateDhcpConfig(dhcpConfig, interfaces);
+    if (!valid) return { config: null, err };
+
+    const origDhcp = (device.dhcp || []).find(dhcp => dhcp.interface === pciaddr);
+    if (!origDhcp) {
+      dhcp.add.push({ ...dhcpConfig, macAssign: [] });
+      continue;
+    }
+    const origConfig = {
+      interface: origDhcp.interface,
+      mode: origDhcp.mode || 'server',
+      rangeStart: origDhcp.rangeStart || '',
+      rangeEnd: origDhcp.rangeEnd || '',
+      dns: [...(origDhcp.dns || [])],
+      relayServers: [...(origDhcp.relayServers || [])]
+    };
+    if (!isEqual(dhcpConfig, origConfig)) {
+      dhcp.modify.push({ ...dhcpConfig, _id: origDhcp._id, macAssign: origDhcp.macAssign || [] });
+    }
+  }
+
+  return {
+    config: { interfaces, interfacesChanged: changedIfcs.length > 0, staticroutes, dhcp },
+    err: ''
+  };
+};
+
+module.exports = {
+  isValidVariableName,
+  getTemplateVariables,
+  getDeviceVariables,
+  validateDeviceTemplate,
+  renderTemplate,
+  prepareTemplateConfig
+};
@@ -0,0 +1,113 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Renewal of device tokens over the device connection. Tokens are renewed
+// when the device connects, and periodically for connected devices.
+const { devices } = require('../models/devices');
+const connections = require('../websocket/Connections')();
+const {
+  supportsTokenRenewal,
+  genDeviceToken,
+  needsRenewal,
+  confirmPendingDeviceToken
+} = require('../utils/deviceTokens');
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+
+/**
+ * Renews the token of a connected device, if half of its duration has passed.
+ * The new token is stored as pending before it is sent, so the device can
+ * connect with it even if the reply is lost. Once the device acknowledges it,
+ * it replaces the current token, which is revoked.
+ * @async
+ * @param  {string} machineId the machine id of the device
+ * @return {Promise<boolean>} true if the token was renewed
+ */
+const renewDeviceToken = async (machineId) => {
+  const device = await devices.findOne(
+    { machineId: machineId },
+    { org: 1, machineId: 1, hostname: 1, deviceToken: 1, versions: 1 }
+  ).lean();
+  if (!device || !supportsTokenRenewal(device.versions.agent)) return false;
+  if (!needsRenewal(device.deviceToken)) return false;
+
+  const token = genDeviceToken({ machine_id: machineId, machine_name: device.hostname });
+  const { nModified } = await devices.updateOne(
+    { _id: device._id, deviceToken: device.deviceToken },
+    { $set: { pendingDeviceToken: token } }
+  );
+  if (nModified === 0) return false;
+
+  const reply = await connections.deviceSendMessage(
+    null,
+    machineId,
+    { entity: 'agent', message: 'renew-device-token', params: { token: token } }
+  );
+  if (!reply.ok) {
+    await devices.updateOne(
+      { _id: device._id, pendingDeviceToken: token },
+      { $set: { pendingDeviceToken: '' } }
+    );
+    throw new Error(`device reply: ${reply.message}`);
+  }
+
+  // The tokens could be revoked or confirmed by a new device connection
+  // while waiting for the device reply
+  const renewed = await confirmPendingDeviceToken(device, token);
+  if (renewed) logger.info('Device token renewed', { params: { deviceId: device._id } });
+  return renewed;
+};
+
+/**
+ * Device connect callback, renews the device token if needed
+ * @param  {string} machineId the machine id of the device
+ * @return {void}
+ */
+const deviceConnected = (machineId) => {
+  renewDeviceToken(machineId).catch(err => {
+    logger.warn('Device token renewal failed', {
+      params: { machineId: machineId, err: err.message }
+    });
+  });
+};
+
+/**
+ * Renews the tokens of all connected devices, if needed.
+ * Called periodically by the renew_device_tokens task.
+ * @async
+ * @return {void}
+ */
+const renewDeviceTokens = async () => {
+  for (const machineId of connections.getAllDevices()) {
+    if (!connections.isConnected(machineId)) continue;
+    try {
+      await renewDeviceToken(machineId);
+    } catch (err) {
+      logger.warn('Device token renewal failed', {
+        params: { machineId: machineId, err: err.message }
+      });
+    }
+  }
+};
+
+connections.registerConnectCallback('deviceTokens', deviceConnected);
+
+module.exports = {
+  renewDeviceToken,
+  tasks: {
+    renewDeviceTokens
+  }
+};
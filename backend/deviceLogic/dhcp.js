@@ -22,9 +22,41 @@ const deviceQueues = require('../utils/deviceQueue')(
   configs.get('redisUrl')
 );
 const mongoose = require('mongoose');
+const Joi = require('@hapi/joi');
 const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
 const { getMajorVersion } = require('../versioning');
 
+/**
+ * Checks whether the device agent supports DHCP relay and DHCP leases
+ * @param  {Object}  device the device to check
+ * @return {boolean}        true if supported, false otherwise
+ */
+const isDhcpRelaySupported = (device) => {
+  return getMajorVersion(device.versions.agent) >= 2;
+};
+
+/**
+ * Gets the parameters of a DHCP configuration sent to the device
+ * @param  {Object} data the DHCP configuration
+ * @return {Object}      the DHCP parameters of the device message
+ */
+const getDhcpParams = (data) => {
+  if (data.mode === 'relay') {
+    return {
+      interface: data.interface,
+      mode: 'relay',
+      relay_servers: data.relayServers
+    };
+  }
+  return {
+    interface: data.interface,
+    range_start: data.rangeStart,
+    range_end: data.rangeEnd,
+    dns: data.dns,
+    mac_assign: data.macAssign
+  };
+};
+
 /**
  * Queues an add dhcp or delete dhcp job to a device.
  * @async
@@ -51,9 +83,21 @@ const apply = async (device, user, data) => {
   //                     {"host":"flexiwan-host3", "mac":"08:00:27:d0:d2:05", "ipv4":"20.20.20.21"}]
   //    }
   // },
+  // In relay mode:
+  // {
+  //   "entity":  "agent",
+  //   "message": "add-dhcp-config",
+  //   "params": {
+  //       "interface": "0000:00:08.00",
+  //       "mode": "relay",
+  //       "relay_servers": ["10.0.0.10", "10.0.0.11"]
+  //    }
+  // },
 
   if (majorAgentVersion === 0) { // version 0.X.X
     throw new Error('Command is not supported for the current agent version');
+  } else if (data.mode === 'relay' && !isDhcpRelaySupported(device)) {
+    throw new Error('DHCP relay is not supported for the current agent version');
   } else if (majorAgentVersion >= 1) { // version 1.X.X+
     const tasks = [];
     const dhcpId = data._id;
@@ -66,13 +110,7 @@ const apply = async (device, user, data) => {
       case 'add':
         message = 'add-dhcp-config';
         titlePrefix = 'Add';
-        params = {
-          interface: data.interface,
-          range_start: data.rangeStart,
-          range_end: data.rangeEnd,
-          dns: data.dns,
-          mac_assign: data.macAssign
-        };
+        params = getDhcpParams(data);
         break;
       case 'del':
         titlePrefix = 'Delete';
@@ -86,13 +124,7 @@ const apply = async (device, user, data) => {
         message = 'modify-device';
         params = {
           modify_dhcp_config: {
-            dhcp_configs: [{
-              interface: data.interface,
-              range_start: data.rangeStart,
-              range_end: data.rangeEnd,
-              dns: data.dns,
-              mac_assign: data.macAssign
-            }]
+            dhcp_configs: [getDhcpParams(data)]
           }
         };
         break;
@@ -269,9 +301,35 @@ const remove = async (job) => {
   }
 };
 
+/**
+ * Validates the reply of a device to a get-dhcp-leases message.
+ * The lease expiry is in unix time, 0 for leases that don't expire.
+ * @param  {Array} msg the device reply
+ * @return {{valid: boolean, err: string}} test result + error if the reply is invalid
+ */
+const validateDhcpLeasesMessage = (msg) => {
+  const leasesSchema = Joi.array().items(Joi.object({
+    hostname: Joi.string().allow('').max(253).required(),
+    mac: Joi.string().regex(/^([0-9a-f]{2}:){5}[0-9a-f]{2}$/i).required(),
+    ip: Joi.string().ip({ cidr: 'forbidden' }).required(),
+    expiry: Joi.number().integer().min(0).required()
+  })).required();
+
+  const result = Joi.validate(msg, leasesSchema);
+  if (result.error) {
+    return {
+      valid: false,
+      err: `${result.error.name}: ${result.error.details[0].message}`
+    };
+  }
+  return { valid: true, err: '' };
+};
+
 module.exports = {
   apply: apply,
   complete: complete,
   error: error,
-  remove: remove
+  remove: remove,
+  isDhcpRelaySupported: isDhcpRelaySupported,
+  validateDhcpLeasesMessage: validateDhcpLeasesMessage
 };
@@ -20,9 +20,19 @@ const start = require('./start');
 const stop = require('./stop');
 const modify = require('./modifyDevice');
 const tunnels = require('./tunnels');
+const tunnelKeys = require('./tunnelKeys');
+const publicAddress = require('./publicAddress');
 const staticroutes = require('./staticroutes');
 const upgrade = require('./applyUpgrade');
 const dhcp = require('./dhcp');
+const bgp = require('./bgp');
+const firewall = require('./firewall');
+const nat = require('./nat');
+const multilink = require('./multilink');
+const qos = require('./qos');
+const configDrift = require('./configDrift');
+const { saveConfigSnapshot } = require('./configHistory');
+const createError = require('http-errors');
 const configs = require('../configs')();
 const deviceQueues = require('../utils/deviceQueue')(
   configs.get('kuePrefix'),
@@ -34,6 +44,7 @@ const logger = require('../logging/logging')({ module: module.filename, type: 'j
 /**
  * Holds the apply, complete, error and remove callbacks for each device task
  * The apply method is called when applying a device task (called from routes/devices.js/apply)
+ * The dryRun method returns the jobs the apply method would queue, without queuing them.
  * The callback methods are called when a job complete/fails/removed.
  * The callback method are receive the job ID of the relevant job.
  * @type {Object}
@@ -52,20 +63,32 @@ const methods = {
   },
   modify: {
     apply: modify.apply,
+    dryRun: modify.dryRun,
     complete: modify.complete,
     error: modify.error,
     remove: modify.remove
   },
   tunnels: {
     apply: tunnels.apply.applyTunnelAdd,
+    dryRun: tunnels.dryRun.dryRunTunnelAdd,
     complete: tunnels.complete.completeTunnelAdd,
     error: tunnels.error.errorTunnelAdd
   },
   deltunnels: {
     apply: tunnels.apply.applyTunnelDel,
+    dryRun: tunnels.dryRun.dryRunTunnelDel,
     complete: tunnels.complete.completeTunnelDel,
     error: errorNOOP
   },
+  modifytunnels: {
+    complete: publicAddress.complete,
+    error: publicAddress.error
+  },
+  tunnelkeys: {
+    complete: tunnelKeys.complete,
+    error: tunnelKeys.error,
+    remove: tunnelKeys.remove
+  },
   staticroutes: {
     apply: staticroutes.apply,
     complete: staticroutes.complete,
@@ -78,14 +101,59 @@ const methods = {
     error: dhcp.error,
     remove: dhcp.remove
   },
+  bgp: {
+    apply: bgp.apply,
+    complete: bgp.complete,
+    error: bgp.error,
+    remove: bgp.remove
+  },
+  firewall: {
+    apply: firewall.apply,
+    complete: firewall.complete,
+    error: firewall.error,
+    remove: firewall.remove
+  },
+  nat: {
+    apply: nat.apply,
+    complete: nat.complete,
+    error: nat.error,
+    remove: nat.remove
+  },
+  multilink: {
+    apply: multilink.apply,
+    complete: multilink.complete,
+    error: multilink.error,
+    remove: multilink.remove
+  },
+  qos: {
+    apply: qos.apply,
+    dryRun: qos.dryRun,
+    complete: qos.complete,
+    error: qos.error,
+    remove: qos.remove
+  },
   upgrade: {
     apply: upgrade.apply,
+    dryRun: upgrade.dryRun,
     complete: upgrade.complete,
     error: upgrade.error,
     remove: upgrade.remove
+  },
+  resync: {
+    apply: configDrift.apply,
+    complete: configDrift.complete,
+    error: configDrift.error,
+    remove: configDrift.remove
   }
 };
 
+// Methods that can be previewed by a dry run
+const dryRunMethods = Object.keys(methods).filter(method => methods[method].dryRun);
+
+// Methods that change the device configuration. A version of
+// the device configuration is stored when their jobs complete.
+const configMethods = ['modify', 'staticroutes', 'dhcp', 'qos'];
+
 // Register remove callbacks for relevant methods.
 Object.entries(methods).forEach(([method, functions]) => {
   if (functions.hasOwnProperty('remove')) {
@@ -114,14 +182,42 @@ const apply = async (devices, method, user, data = null) => {
   return job;
 };
 
+/**
+ * Calls the dry run method of the method. The dry run method returns
+ * the jobs that would be queued by the apply method, without changing
+ * the database or queuing any job. Methods without a dry run method
+ * are rejected with a 400 error.
+ *
+ * @param  {Array}    devices     an array of devices
+ * @param  {String}   method      apply methond to preview
+ * @param  {Object}   user        User data
+ * @param  {Object}   data=null   additional data per caller's choice
+ * @return {Object}               the dry run result
+ */
+const dryRun = async (devices, method, user, data = null) => {
+  logger.info('Dry run method called', {
+    params: { method: method || null, user: user, data: data }
+  });
+  if (!methods.hasOwnProperty(method) || !methods[method].apply) {
+    throw new Error('Apply method not found');
+  }
+  const methodFunc = methods[method].dryRun;
+  if (!methodFunc) {
+    throw createError(400, `Dry run is not supported for the ${method} command, ` +
+      `supported commands: ${dryRunMethods.join(', ')}`);
+  }
+  return methodFunc(devices, user, data);
+};
+
 /**
  * Calls the complete callback for the method
  * specified in the req.body object
- * @param  {number} jobId     the id of the completed job
- * @param  {Object} jobResult the results of the completed job
+ * @param  {number} jobId       the id of the completed job
+ * @param  {Object} jobResult   the results of the completed job
+ * @param  {Object} metadata={} the metadata of the completed job
  * @return {void}
  */
-const complete = (jobId, jobResult) => {
+const complete = (jobId, jobResult, metadata = {}) => {
   logger.debug('Dispatcher complete callback', {
     params: { jobId: jobId, result: jobResult }
   });
@@ -129,7 +225,19 @@ const complete = (jobId, jobResult) => {
     ? methods[jobResult.method].complete
     : null;
   if (method != null) {
-    return method(jobId, jobResult.data);
+    const result = method(jobId, jobResult.data);
+    // The configuration is stored after the complete callback updated the database
+    if (configMethods.includes(jobResult.method)) {
+      const { device, deviceId } = jobResult.data || {};
+      Promise.resolve(result)
+        .then(() => saveConfigSnapshot(device || deviceId, metadata.username, jobId))
+        .catch(err => {
+          logger.error('Failed to store the device configuration', {
+            params: { jobId: jobId, err: err.message }
+          });
+        });
+    }
+    return result;
   } else {
     logger.info('Complete method not found', { params: { jobId: jobId } });
   }
@@ -154,6 +262,8 @@ const error = (jobId, jobResult) => {
 
 module.exports = {
   apply: apply,
+  dryRun: dryRun,
+  dryRunMethods: dryRunMethods,
   complete: complete,
   error: error
 };
@@ -0,0 +1,129 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Helpers for building the result of a dry run request. A dry run
+// returns the jobs that would have been queued to each device, and
+// the tunnels that would have been changed, without applying anything.
+// Secrets sent to the devices (IPsec keys and SPIs, PPPoE and BGP
+// passwords) are not returned.
+
+// Task parameters which are replaced in the dry run result
+const redactedParams = ['spi', 'crypto-key', 'integr-key', 'password'];
+const redactedValue = '<redacted>';
+
+/**
+ * Returns a copy of task parameters, where secret parameters are redacted
+ * @param  {*} value the task parameters, or any nested value of them
+ * @return {*}       the redacted copy
+ */
+const redactParams = (value) => {
+  if (Array.isArray(value)) return value.map(redactParams);
+  if (!value || typeof value !== 'object') return value;
+  const redacted = {};
+  Object.entries(value).forEach(([key, item]) => {
+    redacted[key] = redactedParams.includes(key) ? redactedValue : redactParams(item);
+  });
+  return redacted;
+};
+
+/**
+ * Creates an empty dry run result
+ * @return {Object} the dry run result
+ */
+const createDryRunResult = () => {
+  return {
+    devices: [],
+    tunnels: { added: [], removed: [], rebuilt: [] },
+    errors: []
+  };
+};
+
+/**
+ * Adds a job to the jobs of a device in the dry run result, secret task
+ * parameters are redacted
+ * @param  {Object} result the dry run result
+ * @param  {Object} device the device the job would be queued to
+ * @param  {string} title  the job title
+ * @param  {Array}  tasks  the tasks that would be sent to the device
+ * @return {void}
+ */
+const addDryRunJob = (result, device, title, tasks) => {
+  const deviceId = device._id.toString();
+  let entry = result.devices.find(dev => dev._id === deviceId);
+  if (!entry) {
+    entry = { _id: deviceId, name: device.name || device.hostname, jobs: [] };
+    result.devices.push(entry);
+  }
+  entry.jobs.push({ title, tasks: redactParams(tasks) });
+};
+
+/**
+ * Adds a tunnel to the dry run result
+ * @param  {Object} result    the dry run result
+ * @param  {string} type      added, removed or rebuilt
+ * @param  {number} num       the tunnel number
+ * @param  {Object} deviceA   device A of the tunnel
+ * @param  {Object} deviceB   device B of the tunnel
+ * @param  {Object} ifcA      device A tunnel interface
+ * @param  {Object} ifcB      device B tunnel interface
+ * @param  {string} pathlabel path label id of the tunnel
+ * @return {void}
+ */
+const addDryRunTunnel = (result, type, num, deviceA, deviceB, ifcA, ifcB, pathlabel) => {
+  result.tunnels[type].push({
+    num: num,
+    deviceA: { _id: deviceA._id.toString(), name: deviceA.name, interface: ifcA.name },
+    deviceB: { _id: deviceB._id.toString(), name: deviceB.name, interface: ifcB.name },
+    pathlabel: pathlabel ? pathlabel.toString() : null
+  });
+};
+
+/**
+ * Adds a validation failure to the dry run result
+ * @param  {Object} result the dry run result
+ * @param  {Object} device the device that failed validation, null if not device specific
+ * @param  {string} error  the validation error
+ * @return {void}
+ */
+const addDryRunError = (result, device, error) => {
+  result.errors.push({ device: device ? device._id.toString() : null, error });
+};
+
+/**
+ * Merges the jobs, tunnels and errors of a dry run result into another
+ * @param  {Object} result the dry run result to merge into
+ * @param  {Object} other  the dry run result to merge
+ * @return {Object}        the merged result
+ */
+const mergeDryRunResults = (result, other) => {
+  other.devices.forEach(({ _id, name, jobs }) => {
+    jobs.forEach(({ title, tasks }) => addDryRunJob(result, { _id, name }, title, tasks));
+  });
+  Object.keys(result.tunnels).forEach(type => {
+    result.tunnels[type].push(...other.tunnels[type]);
+  });
+  result.errors.push(...other.errors);
+  return result;
+};
+
+module.exports = {
+  createDryRunResult,
+  addDryRunJob,
+  addDryRunTunnel,
+  addDryRunError,
+  mergeDryRunResults
+};
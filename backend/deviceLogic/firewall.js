@@ -0,0 +1,230 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const configs = require('../configs')();
+const { devices } = require('../models/devices');
+const { orgFirewallRules } = require('../models/firewallRules');
+const deviceQueues = require('../utils/deviceQueue')(
+  configs.get('kuePrefix'),
+  configs.get('redisUrl')
+);
+const mongoose = require('mongoose');
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+const { getMajorVersion } = require('../versioning');
+
+// Statuses of device rules that the user removed, these rules are not sent to
+// the device, and they are deleted once a firewall policy job completes
+const removedStatuses = ['remove-wait', 'remove-failed'];
+
+/**
+ * Checks whether the device agent supports firewall policies
+ * @param  {Object}  device the device to check
+ * @return {boolean}        true if firewall is supported, false otherwise
+ */
+const isFirewallSupported = (device) => {
+  return getMajorVersion(device.versions.agent) >= 2;
+};
+
+/**
+ * Converts a firewall rule to the agent message format
+ * @param  {Object} rule the firewall rule
+ * @return {Object}      the rule parameters
+ */
+const prepareRuleParams = (rule) => {
+  return {
+    id: rule._id.toString(),
+    source: rule.source,
+    destination: rule.destination,
+    protocol: rule.protocol,
+    ports: rule.ports || '',
+    action: rule.action
+  };
+};
+
+/**
+ * Builds the firewall policy of a device. The organization rules are placed
+ * first, followed by the device rules that are not being (or failed to be) removed.
+ * @async
+ * @param  {Object} device the device
+ * @return {Object}        the policy, inbound and outbound rules in order
+ */
+const getDeviceFirewallPolicy = async (device) => {
+  const orgRules = await orgFirewallRules.findOne({ org: device.org }).lean();
+  const rules = [
+    ...(orgRules ? orgRules.rules : []),
+    ...(device.firewall || []).filter(rule => !removedStatuses.includes(rule.status))
+  ];
+  return {
+    inbound: rules.filter(rule => rule.direction === 'inbound').map(prepareRuleParams),
+    outbound: rules.filter(rule => rule.direction === 'outbound').map(prepareRuleParams)
+  };
+};
+
+/**
+ * Queues a firewall policy job to a device. The whole policy (organization
+ * and device rules) is sent on every change and replaces the previous one.
+ * @async
+ * @param  {Object}   device    the device to be configured
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {Array}    jobs created
+ */
+const apply = async (device, user, data) => {
+  const userName = user.username;
+  const org = device.org.toString();
+
+  if (!isFirewallSupported(device)) {
+    throw new Error('Firewall is not supported for the current agent version');
+  }
+
+  // {
+  //   "entity":  "agent",
+  //   "message": "add-firewall-policy",
+  //   "params": {
+  //       "inbound": [{"id": "...", "source": "any", "destination": "10.0.0.0/24",
+  //                    "protocol": "tcp", "ports": "22", "action": "deny"}],
+  //       "outbound": []
+  //    }
+  // },
+  const policy = await getDeviceFirewallPolicy(device);
+  const isEmptyPolicy = policy.inbound.length === 0 && policy.outbound.length === 0;
+  const message = isEmptyPolicy ? 'remove-firewall-policy' : 'add-firewall-policy';
+  const tasks = [{ entity: 'agent', message, params: isEmptyPolicy ? {} : policy }];
+
+  // Rules waiting for this job to update their status. Rules that failed
+  // to be removed are not in the policy, hence they are removed by this job
+  const rules = device.firewall || [];
+  const addedIds = rules.filter(rule => rule.status === 'add-wait')
+    .map(rule => rule._id.toString());
+  const removedIds = rules.filter(rule => removedStatuses.includes(rule.status))
+    .map(rule => rule._id.toString());
+
+  const job = await deviceQueues.addJob(device.machineId, userName, org,
+    // Data
+    { title: `Update firewall policy in device ${device.hostname}`, tasks: tasks },
+    // Response data
+    { method: 'firewall', data: { deviceId: device._id.toString(), addedIds, removedIds } },
+    // Metadata
+    { priority: 'low', attempts: 1, removeOnComplete: false },
+    // Complete callback
+    null);
+
+  logger.info('Firewall policy job queued', { params: { job: job } });
+  return [job];
+};
+
+/**
+ * Updates the status of device firewall rules
+ * @param  {string} deviceId the device id
+ * @param  {Array}  ruleIds  ids of the rules to update
+ * @param  {string} status   the new status
+ * @return {Promise}
+ */
+const setRulesStatus = (deviceId, ruleIds, status) => {
+  if (!ruleIds || ruleIds.length === 0) return Promise.resolve();
+  return devices.updateOne(
+    { _id: mongoose.Types.ObjectId(deviceId) },
+    { $set: { 'firewall.$[elem].status': status } },
+    {
+      arrayFilters: [{
+        'elem._id': { $in: ruleIds.map(id => mongoose.Types.ObjectId(id)) }
+      }]
+    }
+  );
+};
+
+/**
+ * Called when firewall policy job completed and
+ * updates the status of the rules.
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   device object ID and the added/removed rules
+ * @return {void}
+ */
+const complete = async (jobId, res) => {
+  logger.info('Firewall policy job complete', { params: { result: res, jobId: jobId } });
+
+  if (!res || !res.deviceId) {
+    logger.warn('Got an invalid job result', { params: { result: res, jobId: jobId } });
+    return;
+  }
+  try {
+    await setRulesStatus(res.deviceId, res.addedIds, 'complete');
+    if (res.removedIds && res.removedIds.length > 0) {
+      await devices.updateOne(
+        { _id: mongoose.Types.ObjectId(res.deviceId) },
+        {
+          $pull: {
+            firewall: {
+              _id: { $in: res.removedIds.map(id => mongoose.Types.ObjectId(id)) },
+              status: { $in: removedStatuses }
+            }
+          }
+        }
+      );
+    }
+  } catch (error) {
+    logger.warn('Failed to update database', { params: { result: res, jobId: jobId } });
+  }
+};
+
+/**
+ * Called if firewall policy job failed and
+ * updates the status of the rules.
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   device object ID and the added/removed rules
+ * @return {void}
+ */
+const error = async (jobId, res) => {
+  logger.info('Firewall policy job failed', { params: { result: res, jobId: jobId } });
+
+  try {
+    await setRulesStatus(res.deviceId, res.addedIds, 'add-failed');
+    await setRulesStatus(res.deviceId, res.removedIds, 'remove-failed');
+  } catch (error) {
+    logger.warn('Failed to update database', { params: { result: res, jobId: jobId } });
+  }
+};
+
+/**
+ * Called when firewall policy job is removed only
+ * for tasks that were deleted before completion/failure.
+ * @async
+ * @param  {Object} job Kue job
+ * @return {void}
+ */
+const remove = async (job) => {
+  if (['inactive', 'delayed', 'active'].includes(job._state)) {
+    logger.info('Rolling back device changes for removed task', { params: { job: job } });
+    const { deviceId, addedIds = [], removedIds = [] } = job.data.response.data;
+
+    try {
+      await setRulesStatus(deviceId, [...addedIds, ...removedIds], 'job-deleted');
+    } catch (error) {
+      logger.warn('Failed to update database', { params: { job: job } });
+    }
+  }
+};
+
+module.exports = {
+  apply: apply,
+  complete: complete,
+  error: error,
+  remove: remove,
+  isFirewallSupported: isFirewallSupported
+};
@@ -0,0 +1,283 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Organization-wide IP address management. Indexes the address space used by
+// the approved devices of an organization (LAN subnets, DHCP ranges and static
+// routes), detects conflicts and allocates LAN subnets from the organization pool.
+const net = require('net');
+const cidr = require('cidr-tools');
+const { devices } = require('../models/devices');
+const organizations = require('../models/organizations');
+const { isDynamicAddressing } = require('./validators');
+
+// The size of the LAN subnets allocated from the organization LAN pool
+const lanAllocationPrefix = 24;
+
+/**
+ * Converts an IPv4 address to a number
+ * @param  {string} ip the IPv4 address
+ * @return {number}    the numeric value of the address
+ */
+const ipv4ToNum = (ip) => {
+  return ip.split('.').reduce((res, octet) => res * 256 + parseInt(octet, 10), 0);
+};
+
+/**
+ * Converts a number to an IPv4 address
+ * @param  {number} num the numeric value of the address
+ * @return {string}     the IPv4 address
+ */
+const numToIPv4 = (num) => {
+  return [24, 16, 8, 0].map(shift => Math.floor(num / 2 ** shift) % 256).join('.');
+};
+
+/**
+ * Returns the subnet of an address, in CIDR format with the host bits cleared.
+ * IPv6 link-local addresses are not managed, since they exist on all interfaces.
+ * @param  {string} ip   the IPv4/IPv6 address
+ * @param  {string} mask the mask length
+ * @return {string}      the subnet, or null if the address is not set or invalid
+ */
+const getSubnet = (ip, mask) => {
+  const version = net.isIP(ip || '');
+  const maxMask = version === 4 ? 32 : 128;
+  if (!version || !/^[0-9]{1,3}$/.test(mask || '') || Number(mask) > maxMask) return null;
+  if (version === 6 && /^fe[89ab][0-9a-f]:/i.test(ip)) return null;
+  return cidr.merge(`${ip}/${mask}`)[0];
+};
+
+/**
+ * Builds the IPAM entries of a device. Each entry holds the type
+ * of the entry ('lan', 'dhcp' or 'route'), the subnet and its owner.
+ * @param  {Object} device the device object
+ * @return {Array}         an array of IPAM entries
+ */
+const getDeviceIpamEntries = (device) => {
+  const owner = {
+    device: device._id ? device._id.toString() : '',
+    deviceName: device.name || device.hostname || ''
+  };
+  const entries = [];
+
+  // LAN subnets, the addresses of DHCP/PPPoE interfaces are learned
+  const lanIfcs = (device.interfaces || []).filter(ifc => {
+    return ifc.isAssigned && ifc.type === 'LAN' && !isDynamicAddressing(ifc);
+  });
+  lanIfcs.forEach(ifc => {
+    [getSubnet(ifc.IPv4, ifc.IPv4Mask), getSubnet(ifc.IPv6, ifc.IPv6Mask)]
+      .filter(subnet => subnet)
+      .forEach(subnet => {
+        entries.push({ type: 'lan', subnet, interface: ifc.name, ...owner });
+      });
+  });
+
+  // DHCP ranges, DHCP relays don't use addresses from the LAN subnet
+  (device.dhcp || []).forEach(dhcp => {
+    if (dhcp.mode === 'relay' || dhcp.status === 'remove-wait') return;
+    const ifc = lanIfcs.find(ifc => {
+      return ifc.name === dhcp.interface || ifc.pciaddr === dhcp.interface;
+    });
+    if (!ifc) return;
+    const subnet = net.isIPv4(dhcp.rangeStart)
+      ? getSubnet(ifc.IPv4, ifc.IPv4Mask)
+      : getSubnet(ifc.IPv6, ifc.IPv6Mask);
+    entries.push({
+      type: 'dhcp',
+      subnet: subnet || '',
+      rangeStart: dhcp.rangeStart,
+      rangeEnd: dhcp.rangeEnd,
+      interface: ifc.name,
+      ...owner
+    });
+  });
+
+  // Static routes, default routes don't claim any address space
+  (device.staticroutes || []).forEach(route => {
+    if (route.status === 'remove-wait') return;
+    const [ip, mask] = (route.destination || '').split('/');
+    const subnet = getSubnet(ip, mask);
+    if (!subnet || Number(mask) === 0) return;
+    entries.push({
+      type: 'route',
+      subnet,
+      gateway: route.gateway,
+      interface: route.ifname || '',
+      ...owner
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Returns a description of the owner of an IPAM entry, used in error messages
+ * @param  {Object} entry the IPAM entry
+ * @return {string}       the description of the entry
+ */
+const describeEntry = (entry) => {
+  switch (entry.type) {
+    case 'lan': return `the LAN subnet of device ${entry.deviceName}`;
+    case 'route': return `a static route of device ${entry.deviceName}`;
+    case 'dhcp': return `a DHCP range of device ${entry.deviceName}`;
+    default: return 'the tunnels overlay pool';
+  }
+};
+
+/**
+ * Finds the IPAM entry that conflicts with a LAN subnet. LAN subnets must not
+ * overlap the LAN subnets and static routes of other devices, or the tunnels
+ * overlay pool. DHCP ranges are inside the LAN subnets, so they are covered
+ * by the LAN subnets check.
+ * @param  {string} subnet  the LAN subnet in CIDR format
+ * @param  {Array}  entries the IPAM entries of the organization
+ * @return {Object}         the conflicting entry, or undefined if there is no conflict
+ */
+const findLanConflict = (subnet, entries) => {
+  return entries.find(entry => {
+    return ['lan', 'route', 'overlay'].includes(entry.type) && cidr.overlap(subnet, entry.subnet);
+  });
+};
+
+/**
+ * Checks whether the LAN subnets of a device conflict with the address space
+ * used by the organization. Only new LAN subnets are checked, so existing
+ * conflicts don't block unrelated device changes.
+ * @param  {Array}  interfaces              the new interfaces of the device
+ * @param  {Array}  origInterfaces          the current interfaces of the device,
+ *                                          empty if the device is not in the IPAM
+ * @param  {Array}  entries                 the IPAM entries of the other devices
+ * @return {{valid: boolean, err: string}}  test result + error if there's a conflict
+ */
+const validateLanSubnets = (interfaces, origInterfaces, entries) => {
+  const origSubnets = getDeviceIpamEntries({ interfaces: origInterfaces })
+    .map(entry => entry.subnet);
+  const lanEntries = getDeviceIpamEntries({ interfaces })
+    .filter(entry => !origSubnets.includes(entry.subnet));
+
+  for (const { subnet, interface: ifcName } of lanEntries) {
+    const conflict = findLanConflict(subnet, entries);
+    if (conflict) {
+      return {
+        valid: false,
+        err: `LAN subnet ${subnet} of interface ${ifcName} overlaps ${describeEntry(conflict)}`
+      };
+    }
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Returns the free IPv4 address space of a pool
+ * @param  {string} pool    the pool in CIDR format
+ * @param  {Array}  entries the IPAM entries of the organization
+ * @return {Array}          an array of the free subnets, sorted by address
+ */
+const getFreeSubnets = (pool, entries) => {
+  if (!pool) return [];
+  const used = entries
+    .filter(entry => entry.type !== 'dhcp' && net.isIPv4(entry.subnet.split('/')[0]))
+    .map(entry => entry.subnet);
+  const free = used.length > 0 ? cidr.exclude([pool], used) : [pool];
+  return free.sort((a, b) => ipv4ToNum(a.split('/')[0]) - ipv4ToNum(b.split('/')[0]));
+};
+
+/**
+ * Allocates the next free LAN subnet from a pool
+ * @param  {string} pool    the pool in CIDR format
+ * @param  {Array}  entries the IPAM entries of the organization
+ * @return {string}         the allocated subnet, or null if the pool is exhausted
+ */
+const allocateLanSubnet = (pool, entries) => {
+  const free = getFreeSubnets(pool, entries).find(subnet => {
+    return Number(subnet.split('/')[1]) <= lanAllocationPrefix;
+  });
+  return free ? `${free.split('/')[0]}/${lanAllocationPrefix}` : null;
+};
+
+/**
+ * Allocates LAN subnets from the organization LAN pool to the LAN interfaces
+ * of a device. Interfaces which subnet is outside the pool or conflicts with
+ * the organization address space, are given the first address of the next
+ * free subnet. The interfaces are updated in place.
+ * @param  {Array}  interfaces the device interfaces
+ * @param  {string} pool       the organization LAN pool
+ * @param  {Array}  entries    the IPAM entries of the organization
+ * @return {{allocated: Array, err: string}} the allocated subnets + error if
+ *                                           the pool is exhausted
+ */
+const allocateLanSubnets = (interfaces, pool, entries) => {
+  const allocated = [];
+  const used = [...entries];
+
+  // Subnets of the other device interfaces can't be allocated
+  const staticIfcs = interfaces.filter(ifc => ifc.isAssigned && !isDynamicAddressing(ifc));
+  const lanIfcs = staticIfcs.filter(ifc => {
+    if (ifc.type !== 'LAN' || (ifc.IPv6 && !ifc.IPv4)) return false;
+    const subnet = getSubnet(ifc.IPv4, ifc.IPv4Mask);
+    return !subnet || cidr.exclude([subnet], [pool]).length > 0 ||
+      findLanConflict(subnet, entries);
+  });
+  staticIfcs.filter(ifc => !lanIfcs.includes(ifc)).forEach(ifc => {
+    const subnet = getSubnet(ifc.IPv4, ifc.IPv4Mask);
+    if (subnet) used.push({ type: 'lan', subnet });
+  });
+
+  for (const ifc of lanIfcs) {
+    const subnet = allocateLanSubnet(pool, used);
+    if (!subnet) {
+      return { allocated, err: `No free LAN subnets left in the LAN pool ${pool}` };
+    }
+    ifc.IPv4 = numToIPv4(ipv4ToNum(subnet.split('/')[0]) + 1);
+    ifc.IPv4Mask = `${lanAllocationPrefix}`;
+    used.push({ type: 'lan', subnet });
+    allocated.push({ interface: ifc.name, subnet });
+  }
+  return { allocated, err: '' };
+};
+
+/**
+ * Gets the IPAM index of an organization
+ * @async
+ * @param  {string} org           the organization id
+ * @param  {string} excludeDevice id of a device to leave out of the index (optional)
+ * @return {Promise<{lanPool: string, overlayPool: string, entries: Array}>}
+ *         the organization pools and the IPAM entries
+ */
+const getOrgIpam = async (org, excludeDevice = null) => {
+  const orgDoc = await organizations.findOne({ _id: org }, { overlayPool: 1, lanPool: 1 });
+  if (!orgDoc) throw new Error('Organization not found');
+
+  const query = { org, isApproved: true };
+  if (excludeDevice) query._id = { $ne: excludeDevice };
+  const orgDevices = await devices.find(
+    query,
+    { name: 1, hostname: 1, interfaces: 1, dhcp: 1, staticroutes: 1 }
+  ).lean();
+
+  const entries = [{ type: 'overlay', subnet: orgDoc.overlayPool }];
+  orgDevices.forEach(device => entries.push(...getDeviceIpamEntries(device)));
+  return { lanPool: orgDoc.lanPool, overlayPool: orgDoc.overlayPool, entries };
+};
+
+module.exports = {
+  getDeviceIpamEntries,
+  validateLanSubnets,
+  getFreeSubnets,
+  allocateLanSubnet,
+  allocateLanSubnets,
+  getOrgIpam
+};
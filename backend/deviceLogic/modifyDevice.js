@@ -24,11 +24,21 @@ const {
   prepareTunnelRemoveJob,
   prepareTunnelAddJob,
   queueTunnel,
-  oneTunnelDel
+  oneTunnelDel,
+  getTunnelCryptoProfile,
+  getTunnelRouting,
+  getKeyRotationReset
 } = require('../deviceLogic/tunnels');
-const { validateModifyDeviceMsg } = require('./validators');
+const { validateModifyDeviceMsg, isDynamicAddressing } = require('./validators');
 const tunnelsModel = require('../models/tunnels');
+const deviceStatus = require('../periodic/deviceStatus')();
 const { devices } = require('../models/devices');
+const {
+  createDryRunResult,
+  addDryRunJob,
+  addDryRunTunnel,
+  addDryRunError
+} = require('./dryRun');
 const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
 const has = require('lodash/has');
 const omit = require('lodash/omit');
@@ -49,6 +59,50 @@ const prepareIfcParams = (interfaces) => {
     return newIfc;
   });
 };
+/**
+ * Gets the VLAN parameters sent to the device for VLAN sub-interfaces.
+ * @param  {Object} ifc the interface
+ * @return {Object}     an object with the VLAN parameters, empty for physical interfaces
+ */
+const getVlanParams = (ifc) => {
+  return ifc.parentPciaddr ? { vlan: { id: ifc.vlanId, parent: ifc.parentPciaddr } } : {};
+};
+/**
+ * Gets the addressing parameters sent to the device for interfaces
+ * which addresses are learned by the device (DHCP/PPPoE).
+ * @param  {Object} ifc the interface
+ * @return {Object}     an object with the addressing parameters, empty for static addresses
+ */
+const getAddressingParams = (ifc) => {
+  if (!isDynamicAddressing(ifc)) return {};
+  const addressing = { mode: ifc.addressMode };
+  if (ifc.addressMode === 'pppoe') {
+    addressing.username = ifc.pppoe.username;
+    addressing.password = ifc.pppoe.password;
+  }
+  return { addressing };
+};
+/**
+ * Gets the interface fields compared and sent to the device in a modify-device message.
+ * @param  {Object} ifc the interface
+ * @return {Object}     the interface parameters
+ */
+const getIfcModifyParams = (ifc) => {
+  return {
+    _id: ifc._id,
+    pci: ifc.pciaddr,
+    ...getVlanParams(ifc),
+    ...getAddressingParams(ifc),
+    addr: ifc.IPv4 && ifc.IPv4Mask && !isDynamicAddressing(ifc)
+      ? `${ifc.IPv4}/${ifc.IPv4Mask}` : '',
+    addr6: ifc.IPv6 && ifc.IPv6Mask ? `${ifc.IPv6}/${ifc.IPv6Mask}` : '',
+    PublicIP: ifc.PublicIP,
+    routing: ifc.routing,
+    type: ifc.type,
+    isAssigned: ifc.isAssigned,
+    pathlabels: ifc.pathlabels
+  };
+};
 /**
  * Queues a modify-device job to the device queue.
  * @param  {string}  org                   the organization to which the user belongs
@@ -85,20 +139,43 @@ const queueJob = async (org, user, tasks, device, removedTunnelsList = []) => {
   return job;
 };
 /**
- * Performs required tasks before device modification
- * can take place. It removes all tunnels connected to
- * the modified interfaces and then queues the modify device job.
- * @param  {Object}  device        original device object, before the changes
- * @param  {Object}  messageParams device changes that will be sent to the device
- * @param  {string}  user          the user that created the request
- * @param  {string}  org           organization to which the user belongs
- * @return {Job}                   The queued modify-device job
+ * Gets the tunnel devices and interfaces, where the device connected
+ * by the tunnel is replaced with another view of the same device.
+ * @param  {Object} tunnel tunnel object, with populated deviceA and deviceB
+ * @param  {Object} device a view of one of the tunnel devices
+ * @return {Object}        the tunnel deviceA, deviceB, ifcA and ifcB
  */
-const queueModifyDeviceJob = async (device, messageParams, user, org) => {
-  const removedTunnels = [];
+const getTunnelDevices = (tunnel, device) => {
+  let { deviceA, deviceB } = tunnel;
+  if (deviceA._id.toString() === device._id.toString()) deviceA = device;
+  else deviceB = device;
+
+  const ifcA = deviceA.interfaces.find(ifc => {
+    return ifc._id.toString() === tunnel.interfaceA.toString();
+  });
+  const ifcB = deviceB.interfaces.find(ifc => {
+    return ifc._id.toString() === tunnel.interfaceB.toString();
+  });
+  return { deviceA, deviceB, ifcA, ifcB };
+};
+/**
+ * Finds the active tunnels connected to the interfaces changed by the
+ * modify-device message, and decides how each of them should be handled:
+ * 'delete' - the tunnel is deleted from the devices and the MGMT
+ * 'rebuild' - the tunnel is removed from the devices and re-added after the change
+ * 'deactivate' - the interface was removed, the tunnel can't be reconstructed
+ * @async
+ * @param  {Object} device        original device object, before the changes
+ * @param  {Object} newDevice     device object, after the changes
+ * @param  {Object} messageParams device changes that will be sent to the device
+ * @param  {boolean} rebuildAll   rebuild the tunnels of all changed interfaces,
+ *                                used when the MGMT configuration is re-pushed
+ * @return {Array}                an array of {tunnel, action} objects
+ */
+const getModifiedTunnels = async (device, newDevice, messageParams, rebuildAll = false) => {
+  const modifiedTunnels = [];
   const interfacesIdsSet = new Set();
   const modifiedIfcsMap = {};
-  messageParams.reconnect = false;
 
   // Changes in the interfaces require reconstruction of all tunnels
   // connected to these interfaces (since the tunnels parameters change).
@@ -120,30 +197,22 @@ const queueModifyDeviceJob = async (device, messageParams, user, org) => {
     });
   }
 
-  for (const ifc of interfacesIdsSet) {
-    // First, remove all active tunnels connected
+  for (const ifcId of interfacesIdsSet) {
+    // Find all active tunnels connected
     // via this interface, on all relevant devices.
     const tunnels = await tunnelsModel
       .find({
         isActive: true,
-        $or: [{ interfaceA: ifc._id }, { interfaceB: ifc._id }]
+        $or: [{ interfaceA: ifcId }, { interfaceB: ifcId }]
       })
       .populate('deviceA')
       .populate('deviceB');
 
     for (const tunnel of tunnels) {
-      let { deviceA, deviceB, pathlabel, num, _id } = tunnel;
-
-      // Since the interface changes have already been updated in the database
-      // we have to use the original device for creating the tunnel-remove message.
-      if (deviceA._id.toString() === device._id.toString()) deviceA = device;
-      else deviceB = device;
-
-      const ifcA = deviceA.interfaces.find(ifc => {
-        return ifc._id.toString() === tunnel.interfaceA.toString();
-      });
-      const ifcB = deviceB.interfaces.find(ifc => {
-        return ifc._id.toString() === tunnel.interfaceB.toString();
+      // VLAN sub-interfaces that have been removed from the device
+      // no longer exist in the new device, only in the original device
+      const ifcRemoved = !newDevice.interfaces.some(updIfc => {
+        return updIfc._id.toString() === ifcId.toString();
       });
 
       // For interface changes such as IP/mask we remove the tunnel
@@ -152,33 +221,27 @@ const queueModifyDeviceJob = async (device, messageParams, user, org) => {
       // but rather only queue remove/add tunnel jobs to the devices.
       // For interfaces that are unassigned, or which path labels have
       // been removed, we remove the tunnel from both the devices and the MGMT
-      const [tasksDeviceA, tasksDeviceB] = prepareTunnelRemoveJob(tunnel.num, ifcA, ifcB);
-      const pathlabels = modifiedIfcsMap[ifc._id] ? modifiedIfcsMap[ifc._id].pathlabels : null;
+      const { pathlabel } = tunnel;
+      const pathlabels = modifiedIfcsMap[ifcId] ? modifiedIfcsMap[ifcId].pathlabels : null;
       const pathLabelRemoved = pathlabel && !(pathlabels || []).includes(pathlabel);
 
-      if (!(ifc._id in modifiedIfcsMap) || pathLabelRemoved) {
-        await oneTunnelDel(_id, user, org);
-      } else {
-        await queueTunnel(
-          false,
-          // eslint-disable-next-line max-len
-          `Delete tunnel between (${deviceA.hostname}, ${ifcA.name}) and (${deviceB.hostname}, ${ifcB.name})`,
-          tasksDeviceA,
-          tasksDeviceB,
-          user,
-          org,
-          deviceA.machineId,
-          deviceB.machineId,
-          deviceA._id,
-          deviceB._id,
-          num,
-          pathlabel
-        );
-        removedTunnels.push(tunnel._id);
-      }
+      let action = 'rebuild';
+      if (ifcRemoved) action = 'deactivate';
+      else if (rebuildAll) action = 'rebuild';
+      else if (!(ifcId in modifiedIfcsMap) || pathLabelRemoved) action = 'delete';
+      modifiedTunnels.push({ tunnel, action });
     }
   }
-  // Prepare and queue device modification job
+  return modifiedTunnels;
+};
+/**
+ * Prepares the modify-device tasks sent to the device.
+ * Fields that should not be sent are removed from the interfaces.
+ * @param  {Object} messageParams device changes that will be sent to the device
+ * @return {Array}                the modify-device tasks
+ */
+const prepareModifyDeviceTasks = (messageParams) => {
+  messageParams.reconnect = false;
   if (has(messageParams, 'modify_router.assign')) {
     messageParams.modify_router.assign = prepareIfcParams(messageParams.modify_router.assign);
     messageParams.reconnect = true;
@@ -193,7 +256,71 @@ const queueModifyDeviceJob = async (device, messageParams, user, org) => {
     );
     messageParams.reconnect = true;
   }
-  const tasks = [{ entity: 'agent', message: 'modify-device', params: messageParams }];
+  return [{ entity: 'agent', message: 'modify-device', params: messageParams }];
+};
+/**
+ * Performs required tasks before device modification
+ * can take place. It removes all tunnels connected to
+ * the modified interfaces and then queues the modify device job.
+ * @param  {Object}  device        original device object, before the changes
+ * @param  {Object}  newDevice     device object, after the changes
+ * @param  {Object}  messageParams device changes that will be sent to the device
+ * @param  {string}  user          the user that created the request
+ * @param  {string}  org           organization to which the user belongs
+ * @param  {boolean} rebuildAll    rebuild the tunnels of all changed interfaces
+ * @return {Job}                   The queued modify-device job
+ */
+const queueModifyDeviceJob = async (
+  device, newDevice, messageParams, user, org, rebuildAll = false
+) => {
+  const removedTunnels = [];
+  const modifiedTunnels = await getModifiedTunnels(
+    device, newDevice, messageParams, rebuildAll
+  );
+
+  for (const { tunnel, action } of modifiedTunnels) {
+    if (action === 'delete') {
+      await oneTunnelDel(tunnel._id, user, org);
+      continue;
+    }
+
+    // Since the interface changes have already been updated in the database
+    // we have to use the original device for creating the tunnel-remove message.
+    const { deviceA, deviceB, ifcA, ifcB } = getTunnelDevices(tunnel, device);
+    const [tasksDeviceA, tasksDeviceB] = prepareTunnelRemoveJob(
+      tunnel.num,
+      ifcA,
+      ifcB,
+      tunnel.overlayPool
+    );
+    await queueTunnel(
+      false,
+      // eslint-disable-next-line max-len
+      `Delete tunnel between (${deviceA.hostname}, ${ifcA.name}) and (${deviceB.hostname}, ${ifcB.name})`,
+      tasksDeviceA,
+      tasksDeviceB,
+      user,
+      org,
+      deviceA.machineId,
+      deviceB.machineId,
+      deviceA._id,
+      deviceB._id,
+      tunnel.num,
+      tunnel.pathlabel
+    );
+    if (action === 'deactivate') {
+      // The tunnel can't be reconstructed without the interface
+      await tunnelsModel.updateOne(
+        { _id: tunnel._id },
+        { $set: { isActive: false, deviceAconf: false, deviceBconf: false } },
+        { upsert: false }
+      );
+    } else {
+      removedTunnels.push(tunnel._id);
+    }
+  }
+  // Prepare and queue device modification job
+  const tasks = prepareModifyDeviceTasks(messageParams);
   const job = await queueJob(org, user, tasks, device, removedTunnels);
   return [job];
 };
@@ -221,13 +348,24 @@ const reconstructTunnels = async (removedTunnels, org, user) => {
       return ifc._id.toString() === tunnel.interfaceB.toString();
     });
 
+    // The tunnel is configured with new keys
+    await tunnelsModel.updateOne(
+      { _id: tunnel._id },
+      { $set: getKeyRotationReset() },
+      { upsert: false }
+    );
+
     const { agent } = deviceB.versions;
+    const cryptoProfile = await getTunnelCryptoProfile(tunnel);
     const [tasksDeviceA, tasksDeviceB] = prepareTunnelAddJob(
       tunnel.num,
       ifcA,
       ifcB,
       agent,
-      pathlabel
+      pathlabel,
+      cryptoProfile,
+      tunnel.overlayPool,
+      getTunnelRouting(tunnel.routing, deviceA, deviceB)
     );
     await queueTunnel(
       true,
@@ -246,6 +384,71 @@ const reconstructTunnels = async (removedTunnels, org, user) => {
     );
   }
 };
+/**
+ * Rebuilds the tunnels connected to interfaces which addresses were
+ * learned by the device (DHCP/PPPoE) and have changed. The tunnels are
+ * removed with the former addresses, and added with the addresses stored
+ * in the database. Tunnels of interfaces that lost their address are only
+ * removed, and rebuilt once a new address is learned.
+ * @param  {Object}  origDevice device object before the addresses have changed
+ * @param  {Array}   interfaces the changed interfaces, with the learned addresses
+ * @return {Promise}            a promise for rebuilding the tunnels
+ */
+const reconstructIfcTunnels = async (origDevice, interfaces) => {
+  const org = origDevice.org.toString();
+  const tunnels = await tunnelsModel
+    .find({
+      isActive: true,
+      $or: [
+        { interfaceA: { $in: interfaces.map(ifc => ifc._id) } },
+        { interfaceB: { $in: interfaces.map(ifc => ifc._id) } }
+      ]
+    })
+    .populate('deviceA')
+    .populate('deviceB');
+
+  const reconstructed = [];
+  for (const tunnel of tunnels) {
+    let { deviceA, deviceB, pathlabel, num } = tunnel;
+    if (deviceA._id.toString() === origDevice._id.toString()) deviceA = origDevice;
+    else deviceB = origDevice;
+
+    const ifcA = deviceA.interfaces.find(ifc => {
+      return ifc._id.toString() === tunnel.interfaceA.toString();
+    });
+    const ifcB = deviceB.interfaces.find(ifc => {
+      return ifc._id.toString() === tunnel.interfaceB.toString();
+    });
+    const [tasksDeviceA, tasksDeviceB] = prepareTunnelRemoveJob(
+      num,
+      ifcA,
+      ifcB,
+      tunnel.overlayPool
+    );
+    await queueTunnel(
+      false,
+      // eslint-disable-next-line max-len
+      `Delete tunnel between (${deviceA.hostname}, ${ifcA.name}) and (${deviceB.hostname}, ${ifcB.name})`,
+      tasksDeviceA,
+      tasksDeviceB,
+      'system',
+      org,
+      deviceA.machineId,
+      deviceB.machineId,
+      deviceA._id,
+      deviceB._id,
+      num,
+      pathlabel
+    );
+
+    const learnedIfc = interfaces.find(ifc => {
+      return [tunnel.interfaceA.toString(), tunnel.interfaceB.toString()]
+        .includes(ifc._id.toString());
+    });
+    if (learnedIfc.IPv4) reconstructed.push(tunnel._id);
+  }
+  await reconstructTunnels(reconstructed, org, 'system');
+};
 /**
  * Sets the job pending flag value. This flag is used to indicate
  * there's a pending modify-device job in the queue to prevent
@@ -308,29 +511,24 @@ const validateDhcpConfig = (device, modifiedInterfaces) => {
   return { valid: true, err: '' };
 };
 /**
- * Creates and queues the modify-device job. It compares
+ * Creates the modify-device message parameters. It compares
  * the current view of the device in the database with
  * the former view to deduce which fields have change.
- * it then creates an object with the changes and calls
- * queueModifyDeviceJob() to queue the job to the device.
- * @async
- * @param  {Array}    device    an array of the devices to be modified
- * @param  {Object}   user      User object
- * @param  {Object}   data      Additional data used by caller
- * @return {None}
+ * @param  {Object} origDevice device object before the changes
+ * @param  {Object} newDevice  device object after the changes
+ * @return {Object}            the message parameters, the removed assigned
+ *                             interfaces and whether the device has changed
  */
-const apply = async (device, user, data) => {
-  const userName = user.username;
-  const org = user.defaultOrg._id.toString();
+const prepareModifyParams = (origDevice, newDevice) => {
   const modifyParams = {};
 
   // Create the default route modification parameters
-  if (device[0].defaultRoute !== data.newDevice.defaultRoute) {
+  if (origDevice.defaultRoute !== newDevice.defaultRoute) {
     modifyParams.modify_routes = {
       routes: [{
         addr: 'default',
-        old_route: device[0].defaultRoute,
-        new_route: data.newDevice.defaultRoute
+        old_route: origDevice.defaultRoute,
+        new_route: newDevice.defaultRoute
       }]
     };
   }
@@ -340,20 +538,8 @@ const apply = async (device, user, data) => {
   // an array of the interfaces that have changed
   // First, extract only the relevant interface fields
   const [origInterfaces, origIsAssigned] = [
-    device[0].interfaces.map(ifc => {
-      return ({
-        _id: ifc._id,
-        pci: ifc.pciaddr,
-        addr: ifc.IPv4 && ifc.IPv4Mask ? `${ifc.IPv4}/${ifc.IPv4Mask}` : '',
-        addr6: ifc.IPv6 && ifc.IPv6Mask ? `${ifc.IPv6}/${ifc.IPv6Mask}` : '',
-        PublicIP: ifc.PublicIP,
-        routing: ifc.routing,
-        type: ifc.type,
-        isAssigned: ifc.isAssigned,
-        pathlabels: ifc.pathlabels
-      });
-    }),
-    device[0].interfaces.map(ifc => {
+    origDevice.interfaces.map(getIfcModifyParams),
+    origDevice.interfaces.map(ifc => {
       return ({
         _id: ifc._id,
         pci: ifc.pciaddr,
@@ -363,21 +549,9 @@ const apply = async (device, user, data) => {
   ];
 
   const [newInterfaces, newIsAssigned] = [
-    data.newDevice.interfaces.map(ifc => {
-      return ({
-        _id: ifc._id,
-        pci: ifc.pciaddr,
-        addr: ifc.IPv4 && ifc.IPv4Mask ? `${ifc.IPv4}/${ifc.IPv4Mask}` : '',
-        addr6: ifc.IPv6 && ifc.IPv6Mask ? `${ifc.IPv6}/${ifc.IPv6Mask}` : '',
-        PublicIP: ifc.PublicIP,
-        routing: ifc.routing,
-        type: ifc.type,
-        isAssigned: ifc.isAssigned,
-        pathlabels: ifc.pathlabels
-      });
-    }),
+    newDevice.interfaces.map(getIfcModifyParams),
 
-    data.newDevice.interfaces.map(ifc => {
+    newDevice.interfaces.map(ifc => {
       return ({
         _id: ifc._id,
         pci: ifc.pciaddr,
@@ -396,10 +570,17 @@ const apply = async (device, user, data) => {
     }
   );
 
-  if (assignedDiff.length > 0) {
-    modifyParams.modify_router = {};
+  // Assigned VLAN sub-interfaces that have been removed
+  // from the device should be unassigned on the device
+  const newIfcIds = newIsAssigned.map(ifc => ifc._id.toString());
+  const origIfcIds = origIsAssigned.map(ifc => ifc._id.toString());
+  const removedIfcs = origInterfaces.filter(ifc => {
+    return ifc.isAssigned && !newIfcIds.includes(ifc._id.toString());
+  });
+
+  if (assignedDiff.length > 0 || removedIfcs.length > 0) {
     const toAssign = [];
-    const toUnAssign = [];
+    const toUnAssign = [...removedIfcs];
     // Split interfaces into two arrays: one for the interfaces that
     // are about to become assigned, and one for those which will be
     // unassigned. Add the full interface details as well.
@@ -408,8 +589,9 @@ const apply = async (device, user, data) => {
         return ifcEntry._id === ifc._id;
       });
 
+      // New VLAN sub-interfaces that are not assigned are unknown to the device
       if (ifc.isAssigned) toAssign.push(ifcInfo);
-      else toUnAssign.push(ifcInfo);
+      else if (origIfcIds.includes(ifc._id.toString())) toUnAssign.push(ifcInfo);
 
       // Interfaces that changed their assignment status
       // are not allowed to change. We remove them from
@@ -417,6 +599,7 @@ const apply = async (device, user, data) => {
       // in the same message.
       pullAllWith(newInterfaces, [ifcInfo], isEqual);
     });
+    if (toAssign.length || toUnAssign.length) modifyParams.modify_router = {};
     if (toAssign.length) modifyParams.modify_router.assign = toAssign;
     if (toUnAssign.length) modifyParams.modify_router.unassign = toUnAssign;
   }
@@ -444,32 +627,60 @@ const apply = async (device, user, data) => {
             has(modifyParams, 'modify_routes') ||
             has(modifyParams, 'modify_router') ||
             has(modifyParams, 'modify_interfaces');
+  return { modifyParams, removedIfcs, modified };
+};
+/**
+ * Validates the modify-device message parameters. Assigned and
+ * modified interfaces must be valid, and interfaces with DHCP
+ * configuration must not be modified or removed.
+ * @param  {Object} origDevice   device object before the changes
+ * @param  {Object} modifyParams the modify-device message parameters
+ * @param  {Array}  removedIfcs  assigned interfaces removed from the device
+ * @return {{valid: boolean, err: string}}
+ */
+const validateModifyParams = (origDevice, modifyParams, removedIfcs) => {
+  const assign = has(modifyParams, 'modify_router.assign')
+    ? modifyParams.modify_router.assign
+    : [];
+  const modified = has(modifyParams, 'modify_interfaces')
+    ? modifyParams.modify_interfaces.interfaces
+    : [];
+  const interfaces = [...assign, ...modified];
+  const { valid, err } = validateModifyDeviceMsg(interfaces);
+  if (!valid) return { valid, err };
+  return validateDhcpConfig(origDevice, [...interfaces, ...removedIfcs]);
+};
+/**
+ * Creates and queues the modify-device job. It creates
+ * an object with the device changes and calls
+ * queueModifyDeviceJob() to queue the job to the device.
+ * @async
+ * @param  {Array}    device    an array of the devices to be modified
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {None}
+ */
+const apply = async (device, user, data) => {
+  const userName = user.username;
+  const org = user.defaultOrg._id.toString();
+  const { modifyParams, removedIfcs, modified } = prepareModifyParams(
+    device[0], data.newDevice
+  );
   try {
     // Queue job only if the device has changed
     if (modified) {
       // First, go over assigned and modified
       // interfaces and make sure they are valid
-      const assign = has(modifyParams, 'modify_router.assign')
-        ? modifyParams.modify_router.assign
-        : [];
-      const modified = has(modifyParams, 'modify_interfaces')
-        ? modifyParams.modify_interfaces.interfaces
-        : [];
-      const interfaces = [...assign, ...modified];
-      const { valid, err } = validateModifyDeviceMsg(interfaces);
+      const { valid, err } = validateModifyParams(device[0], modifyParams, removedIfcs);
       if (!valid) {
         // Rollback device changes in database and return error
         await rollBackDeviceChanges(device[0]);
         throw (new Error(err));
       }
-      const dhcpValidation = validateDhcpConfig(device[0], interfaces);
-      if (!dhcpValidation.valid) {
-        // Rollback device changes in database and return error
-        await rollBackDeviceChanges(device[0]);
-        throw (new Error(dhcpValidation.err));
-      }
       await setJobPendingInDB(device[0]._id, org, true);
-      const jobs = await queueModifyDeviceJob(device[0], modifyParams, userName, org);
+      const jobs = await queueModifyDeviceJob(
+        device[0], data.newDevice, modifyParams, userName, org
+      );
       return jobs;
     }
   } catch (err) {
@@ -487,6 +698,120 @@ const apply = async (device, user, data) => {
   }
 };
 
+/**
+ * Returns the jobs that would be queued for a device modification,
+ * and the tunnels that would be removed and rebuilt, without changing
+ * the database or queuing any job.
+ * @async
+ * @param  {Array}    device    an array of the devices to be modified
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {Object}   the dry run result
+ */
+const dryRun = async (device, user, data) => {
+  const result = createDryRunResult();
+  const { newDevice } = data;
+  const { modifyParams, removedIfcs, modified } = prepareModifyParams(device[0], newDevice);
+  if (!modified) return result;
+
+  const { valid, err } = validateModifyParams(device[0], modifyParams, removedIfcs);
+  if (!valid) {
+    addDryRunError(result, device[0], err);
+    return result;
+  }
+
+  const modifiedTunnels = await getModifiedTunnels(device[0], newDevice, modifyParams);
+  const rebuiltTunnels = [];
+  for (const { tunnel, action } of modifiedTunnels) {
+    // Deleted tunnels are removed with the device configuration stored in the
+    // database at that time, the other tunnels with the original configuration
+    const { deviceA, deviceB, ifcA, ifcB } = getTunnelDevices(
+      tunnel, action === 'delete' ? newDevice : device[0]
+    );
+    const [tasksDeviceA, tasksDeviceB] = prepareTunnelRemoveJob(
+      tunnel.num,
+      ifcA,
+      ifcB,
+      tunnel.overlayPool
+    );
+    const title = action === 'delete'
+      ? `Delete tunnel between (${deviceA.hostname},${ifcA.name}) and (${
+        deviceB.hostname},${ifcB.name})`
+      : `Delete tunnel between (${deviceA.hostname}, ${ifcA.name}) and (${
+        deviceB.hostname}, ${ifcB.name})`;
+    addDryRunJob(result, deviceA, title, tasksDeviceA);
+    addDryRunJob(result, deviceB, title, tasksDeviceB);
+    if (action === 'rebuild') rebuiltTunnels.push(tunnel);
+    addDryRunTunnel(result, action === 'rebuild' ? 'rebuilt' : 'removed',
+      tunnel.num, deviceA, deviceB, ifcA, ifcB, tunnel.pathlabel);
+  }
+
+  addDryRunJob(result, device[0], `Modify device ${device[0].hostname}`,
+    prepareModifyDeviceTasks(modifyParams));
+
+  // Removed tunnels are reconstructed with the new device configuration
+  for (const tunnel of rebuiltTunnels) {
+    const { deviceA, deviceB, ifcA, ifcB } = getTunnelDevices(tunnel, newDevice);
+    const cryptoProfile = await getTunnelCryptoProfile(tunnel);
+    const [tasksDeviceA, tasksDeviceB] = prepareTunnelAddJob(
+      tunnel.num,
+      ifcA,
+      ifcB,
+      deviceB.versions.agent,
+      tunnel.pathlabel,
+      cryptoProfile,
+      tunnel.overlayPool,
+      getTunnelRouting(tunnel.routing, deviceA, deviceB)
+    );
+    const title = `Add tunnel between (${deviceA.hostname}, ${ifcA.name}) and (${
+      deviceB.hostname}, ${ifcB.name})`;
+    addDryRunJob(result, deviceA, title, tasksDeviceA);
+    addDryRunJob(result, deviceB, title, tasksDeviceB);
+  }
+  return result;
+};
+
+/**
+ * Re-pushes the interfaces configuration stored in the MGMT to the device,
+ * for interfaces which configuration on the device differs from the MGMT.
+ * Tunnels of these interfaces are removed and rebuilt after the change.
+ * @async
+ * @param  {Object} device     the device
+ * @param  {Object} interfaces the drifted interfaces (by PCI address): missing on
+ *                             the device, unexpected on the device and modified
+ * @param  {Object} user       User object
+ * @return {Array}             the queued modify-device job
+ */
+const resyncInterfaces = async (device, interfaces, user) => {
+  const org = user.defaultOrg._id.toString();
+  const getIfcs = (drifted) => {
+    const pcis = drifted.map(ifc => ifc.pci);
+    return device.interfaces
+      .filter(ifc => pcis.includes(ifc.pciaddr))
+      .map(getIfcModifyParams);
+  };
+  const modifyParams = {};
+  const assign = getIfcs(interfaces.missing);
+  const unassign = getIfcs(interfaces.unexpected);
+  const modified = getIfcs(interfaces.modified);
+  if (assign.length || unassign.length) modifyParams.modify_router = {};
+  if (assign.length) modifyParams.modify_router.assign = assign;
+  if (unassign.length) modifyParams.modify_router.unassign = unassign;
+  if (modified.length) modifyParams.modify_interfaces = { interfaces: modified };
+  if (!assign.length && !unassign.length && !modified.length) return [];
+
+  try {
+    await setJobPendingInDB(device._id, org, true);
+    return await queueModifyDeviceJob(device, device, modifyParams, user.username, org, true);
+  } catch (err) {
+    logger.error('Failed to queue modify device job', {
+      params: { err: err.message, device: device._id }
+    });
+    await setJobPendingInDB(device._id, org, false);
+    throw (new Error(err.message || 'Internal server error'));
+  }
+};
+
 /**
  * Called when modify device job completed.
  * In charge of reconstructing the tunnels.
@@ -584,9 +909,16 @@ const remove = async (job) => {
   }
 };
 
+// Tunnels of DHCP/PPPoE interfaces are rebuilt when the learned address changes
+deviceStatus.registerAddressChangeCallback('modify', reconstructIfcTunnels);
+
 module.exports = {
   apply: apply,
+  dryRun: dryRun,
   complete: complete,
   error: error,
-  remove: remove
+  remove: remove,
+  resyncInterfaces: resyncInterfaces,
+  getVlanParams: getVlanParams,
+  getAddressingParams: getAddressingParams
 };
@@ -0,0 +1,266 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const configs = require('../configs')();
+const { devices } = require('../models/devices');
+const MultilinkPolicies = require('../models/multilinkPolicies');
+const deviceQueues = require('../utils/deviceQueue')(
+  configs.get('kuePrefix'),
+  configs.get('redisUrl')
+);
+const mongoose = require('mongoose');
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+const { getMajorVersion } = require('../versioning');
+
+/**
+ * Checks whether the device agent supports multilink policies
+ * @param  {Object}  device the device to check
+ * @return {boolean}        true if multilink policies are supported, false otherwise
+ */
+const isMultilinkSupported = (device) => {
+  return getMajorVersion(device.versions.agent) >= 2;
+};
+
+/**
+ * Creates the add-multilink-policy message parameters.
+ * Only enabled rules are sent, their order sets their priority.
+ * @param  {Object} policy the multilink policy
+ * @return {Object}        the message parameters
+ */
+const preparePolicyParams = (policy) => {
+  const rules = policy.rules.filter(rule => rule.enabled !== false)
+    .map((rule, idx) => {
+      const classification = {};
+      if (rule.application) {
+        classification.application = { name: rule.application };
+      }
+      if (rule.prefix || rule.protocol || rule.ports) {
+        classification.prefix = {
+          ip: rule.prefix || '',
+          protocol: rule.protocol || '',
+          ports: rule.ports || ''
+        };
+      }
+      if (rule.dscp !== null && rule.dscp !== undefined) {
+        classification.dscp = rule.dscp;
+      }
+      const links = [{ pathlabels: rule.preferredLabels.map(String), order: 'priority' }];
+      if (rule.fallbackLabels && rule.fallbackLabels.length > 0) {
+        links.push({ pathlabels: rule.fallbackLabels.map(String), order: 'priority' });
+      }
+      return {
+        id: rule._id.toString(),
+        priority: idx,
+        classification,
+        action: { links, order: 'priority', fallback: 'by-destination' }
+      };
+    });
+  return { id: policy._id.toString(), rules };
+};
+
+/**
+ * Queues a multilink policy job to a device. The policy assigned to the
+ * device is installed, or the device policy is removed if the assigned
+ * policy is being removed.
+ * @async
+ * @param  {Object}   device    the device to be configured
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {Array}    jobs created
+ */
+const apply = async (device, user, data) => {
+  const userName = user.username;
+  const org = device.org.toString();
+
+  if (!isMultilinkSupported(device)) {
+    throw new Error('Multilink policies are not supported for the current agent version');
+  }
+
+  // {
+  //   "entity":  "agent",
+  //   "message": "add-multilink-policy",
+  //   "params": {
+  //       "id": "...",
+  //       "rules": [{"id": "...", "priority": 0,
+  //                  "classification": {"prefix": {"ip": "10.0.0.0/24", "protocol": "",
+  //                                                "ports": ""}},
+  //                  "action": {"links": [{"pathlabels": ["..."], "order": "priority"}],
+  //                             "order": "priority", "fallback": "by-destination"}}]
+  //    }
+  // },
+  const { policy: policyId, status } = device.multilinkPolicy || {};
+  const policy = policyId && status !== 'remove-wait'
+    ? await MultilinkPolicies.findOne({ _id: policyId, org: device.org }).lean()
+    : null;
+  const tasks = [];
+  let message;
+  let title;
+  if (policy) {
+    message = 'add-multilink-policy';
+    title = `Install multilink policy ${policy.name} in device ${device.hostname}`;
+    tasks.push({ entity: 'agent', message, params: preparePolicyParams(policy) });
+  } else {
+    message = 'remove-multilink-policy';
+    title = `Uninstall multilink policy in device ${device.hostname}`;
+    tasks.push({ entity: 'agent', message, params: {} });
+  }
+
+  const job = await deviceQueues.addJob(device.machineId, userName, org,
+    // Data
+    { title: title, tasks: tasks },
+    // Response data
+    {
+      method: 'multilink',
+      data: {
+        deviceId: device._id.toString(),
+        policyId: policyId ? policyId.toString() : null,
+        message
+      }
+    },
+    // Metadata
+    { priority: 'low', attempts: 1, removeOnComplete: false },
+    // Complete callback
+    null);
+
+  logger.info('Multilink policy job queued', { params: { job: job } });
+  return [job];
+};
+
+/**
+ * Updates the status of the device multilink policy, only
+ * if the policy that was sent is still assigned to the device
+ * @param  {Object} res    the job result data
+ * @param  {Object} update the update to apply
+ * @return {Promise}
+ */
+const updateDevicePolicy = (res, update) => {
+  return devices.updateOne(
+    {
+      _id: mongoose.Types.ObjectId(res.deviceId),
+      'multilinkPolicy.policy': res.policyId ? mongoose.Types.ObjectId(res.policyId) : null
+    },
+    { $set: update }
+  );
+};
+
+/**
+ * Called when multilink policy job completed and
+ * updates the status of the operation.
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   device object ID, policy ID and message
+ * @return {void}
+ */
+const complete = async (jobId, res) => {
+  logger.info('Multilink policy job complete', { params: { result: res, jobId: jobId } });
+
+  if (!res || !res.deviceId || !res.message) {
+    logger.warn('Got an invalid job result', { params: { result: res, jobId: jobId } });
+    return;
+  }
+  try {
+    if (res.message === 'remove-multilink-policy') {
+      await updateDevicePolicy(res, { multilinkPolicy: { policy: null, status: '' } });
+    } else {
+      await updateDevicePolicy(res, { 'multilinkPolicy.status': 'complete' });
+    }
+  } catch (error) {
+    logger.warn('Failed to update database', { params: { result: res, jobId: jobId } });
+  }
+};
+
+/**
+ * Called if multilink policy job failed and
+ * updates the status of the operation.
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   device object ID, policy ID and message
+ * @return {void}
+ */
+const error = async (jobId, res) => {
+  logger.info('Multilink policy job failed', { params: { result: res, jobId: jobId } });
+
+  try {
+    const status = res.message === 'remove-multilink-policy' ? 'remove-failed' : 'add-failed';
+    await updateDevicePolicy(res, { 'multilinkPolicy.status': status });
+  } catch (error) {
+    logger.warn('Failed to update database', { params: { result: res, jobId: jobId } });
+  }
+};
+
+/**
+ * Called when multilink policy job is removed only
+ * for tasks that were deleted before completion/failure.
+ * @async
+ * @param  {Object} job Kue job
+ * @return {void}
+ */
+const remove = async (job) => {
+  if (['inactive', 'delayed', 'active'].includes(job._state)) {
+    logger.info('Rolling back device changes for removed task', { params: { job: job } });
+    try {
+      await updateDevicePolicy(job.data.response.data, {
+        'multilinkPolicy.status': 'job-deleted'
+      });
+    } catch (error) {
+      logger.warn('Failed to update database', { params: { job: job } });
+    }
+  }
+};
+
+/**
+ * Re-sends multilink policies to the devices they are assigned to.
+ * Called when the policies, or the path labels they use, are modified.
+ * A failure on one device doesn't prevent updating the others.
+ * @async
+ * @param  {Array}  policyIds ids of the modified policies
+ * @param  {Object} user      User object
+ * @return {Array}  jobs created
+ */
+const reapplyPolicies = async (policyIds, user) => {
+  if (policyIds.length === 0) return [];
+  const policyDevices = await devices.find({
+    isApproved: true,
+    'multilinkPolicy.policy': { $in: policyIds },
+    'multilinkPolicy.status': { $ne: 'remove-wait' }
+  });
+
+  const jobs = [];
+  for (const device of policyDevices) {
+    try {
+      await devices.updateOne(
+        { _id: device._id },
+        { $set: { 'multilinkPolicy.status': 'add-wait' } }
+      );
+      jobs.push(...await apply(device, user));
+    } catch (err) {
+      logger.error('Failed to re-apply multilink policy', {
+        params: { device: device._id, err: err.message }
+      });
+    }
+  }
+  return jobs;
+};
+
+module.exports = {
+  apply: apply,
+  complete: complete,
+  error: error,
+  remove: remove,
+  isMultilinkSupported: isMultilinkSupported,
+  reapplyPolicies: reapplyPolicies
+};
@@ -0,0 +1,215 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const configs = require('../configs')();
+const { devices } = require('../models/devices');
+const deviceQueues = require('../utils/deviceQueue')(
+  configs.get('kuePrefix'),
+  configs.get('redisUrl')
+);
+const mongoose = require('mongoose');
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+const { getMajorVersion } = require('../versioning');
+
+/**
+ * Checks whether the device agent supports NAT rules
+ * @param  {Object}  device the device to check
+ * @return {boolean}        true if NAT is supported, false otherwise
+ */
+const isNatSupported = (device) => {
+  return getMajorVersion(device.versions.agent) >= 2;
+};
+
+/**
+ * Converts a NAT rule to the agent message format
+ * @param  {Object} rule       the NAT rule
+ * @param  {Array}  interfaces the device interfaces
+ * @return {Object}            the rule parameters
+ */
+const prepareRuleParams = (rule, interfaces) => {
+  const wanIfc = interfaces.find(ifc => ifc.name === rule.wanInterface);
+  const params = {
+    id: rule._id.toString(),
+    type: rule.type,
+    pci: wanIfc ? wanIfc.pciaddr : '',
+    'internal-ip': rule.internalIP
+  };
+  if (rule.type === 'port-forward') {
+    params.protocol = rule.protocol;
+    params['external-port'] = rule.externalPort;
+    params['internal-port'] = rule.internalPort;
+  } else {
+    params['external-ip'] = rule.externalIP;
+  }
+  return params;
+};
+
+/**
+ * Queues a NAT rules job to a device. All the device rules
+ * are sent on every change and replace the previous ones.
+ * @async
+ * @param  {Object}   device    the device to be configured
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {Array}    jobs created
+ */
+const apply = async (device, user, data) => {
+  const userName = user.username;
+  const org = device.org.toString();
+
+  if (!isNatSupported(device)) {
+    throw new Error('NAT is not supported for the current agent version');
+  }
+
+  // {
+  //   "entity":  "agent",
+  //   "message": "add-nat-rules",
+  //   "params": {
+  //       "rules": [{"id": "...", "type": "port-forward", "pci": "0000:00:03.00",
+  //                  "protocol": "tcp", "external-port": 8080,
+  //                  "internal-ip": "10.0.0.10", "internal-port": 80}]
+  //    }
+  // },
+  const rules = device.nat || [];
+  const activeRules = rules.filter(rule => rule.status !== 'remove-wait');
+  const message = activeRules.length ? 'add-nat-rules' : 'remove-nat-rules';
+  const params = activeRules.length
+    ? { rules: activeRules.map(rule => prepareRuleParams(rule, device.interfaces)) }
+    : {};
+  const tasks = [{ entity: 'agent', message, params }];
+
+  // Rules waiting for this job to update their status
+  const addedIds = rules.filter(rule => rule.status === 'add-wait')
+    .map(rule => rule._id.toString());
+  const removedIds = rules.filter(rule => rule.status === 'remove-wait')
+    .map(rule => rule._id.toString());
+
+  const job = await deviceQueues.addJob(device.machineId, userName, org,
+    // Data
+    { title: `Update NAT rules in device ${device.hostname}`, tasks: tasks },
+    // Response data
+    { method: 'nat', data: { deviceId: device._id.toString(), addedIds, removedIds } },
+    // Metadata
+    { priority: 'low', attempts: 1, removeOnComplete: false },
+    // Complete callback
+    null);
+
+  logger.info('NAT rules job queued', { params: { job: job } });
+  return [job];
+};
+
+/**
+ * Updates the status of device NAT rules
+ * @param  {string} deviceId the device id
+ * @param  {Array}  ruleIds  ids of the rules to update
+ * @param  {string} status   the new status
+ * @return {Promise}
+ */
+const setRulesStatus = (deviceId, ruleIds, status) => {
+  if (!ruleIds || ruleIds.length === 0) return Promise.resolve();
+  return devices.updateOne(
+    { _id: mongoose.Types.ObjectId(deviceId) },
+    { $set: { 'nat.$[elem].status': status } },
+    {
+      arrayFilters: [{
+        'elem._id': { $in: ruleIds.map(id => mongoose.Types.ObjectId(id)) }
+      }]
+    }
+  );
+};
+
+/**
+ * Called when NAT rules job completed and
+ * updates the status of the rules.
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   device object ID and the added/removed rules
+ * @return {void}
+ */
+const complete = async (jobId, res) => {
+  logger.info('NAT rules job complete', { params: { result: res, jobId: jobId } });
+
+  if (!res || !res.deviceId) {
+    logger.warn('Got an invalid job result', { params: { result: res, jobId: jobId } });
+    return;
+  }
+  try {
+    await setRulesStatus(res.deviceId, res.addedIds, 'complete');
+    if (res.removedIds && res.removedIds.length > 0) {
+      await devices.updateOne(
+        { _id: mongoose.Types.ObjectId(res.deviceId) },
+        {
+          $pull: {
+            nat: {
+              _id: { $in: res.removedIds.map(id => mongoose.Types.ObjectId(id)) },
+              status: 'remove-wait'
+            }
+          }
+        }
+      );
+    }
+  } catch (error) {
+    logger.warn('Failed to update database', { params: { result: res, jobId: jobId } });
+  }
+};
+
+/**
+ * Called if NAT rules job failed and
+ * updates the status of the rules.
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   device object ID and the added/removed rules
+ * @return {void}
+ */
+const error = async (jobId, res) => {
+  logger.info('NAT rules job failed', { params: { result: res, jobId: jobId } });
+
+  try {
+    await setRulesStatus(res.deviceId, res.addedIds, 'add-failed');
+    await setRulesStatus(res.deviceId, res.removedIds, 'remove-failed');
+  } catch (error) {
+    logger.warn('Failed to update database', { params: { result: res, jobId: jobId } });
+  }
+};
+
+/**
+ * Called when NAT rules job is removed only
+ * for tasks that were deleted before completion/failure.
+ * @async
+ * @param  {Object} job Kue job
+ * @return {void}
+ */
+const remove = async (job) => {
+  if (['inactive', 'delayed', 'active'].includes(job._state)) {
+    logger.info('Rolling back device changes for removed task', { params: { job: job } });
+    const { deviceId, addedIds = [], removedIds = [] } = job.data.response.data;
+
+    try {
+      await setRulesStatus(deviceId, [...addedIds, ...removedIds], 'job-deleted');
+    } catch (error) {
+      logger.warn('Failed to update database', { params: { job: job } });
+    }
+  }
+};
+
+module.exports = {
+  apply: apply,
+  complete: complete,
+  error: error,
+  remove: remove,
+  isNatSupported: isNatSupported
+};
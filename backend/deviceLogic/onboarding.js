@@ -0,0 +1,232 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Zero-touch onboarding of pre-provisioned devices. A device staged by its
+// machine ID or serial number gets the staged configuration when it registers,
+// and is started and connected by tunnels once it's approved.
+const stagedDevices = require('../models/stagedDevices');
+const { deviceTemplates } = require('../models/deviceTemplates');
+const dispatcher = require('./dispatcher');
+const { applyTunnelPolicies } = require('./tunnelPolicies');
+const { getDeviceVariables, prepareTemplateConfig } = require('./deviceTemplates');
+const { getOrgIpam, validateLanSubnets, allocateLanSubnets } = require('./ipam');
+const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
+
+/**
+ * Gets the user that onboards devices approved automatically
+ * @param  {string} org the organization of the device
+ * @return {Object}     the user object
+ */
+const getSystemUser = (org) => ({ username: 'system', defaultOrg: { _id: org } });
+
+/**
+ * Finds the staged device that matches a registering device
+ * @async
+ * @param  {string} org       the organization of the registration token
+ * @param  {string} machineId the machine ID of the device
+ * @param  {string} serial    the serial number of the device, optional
+ * @return {Promise<Object>}  the staged device, or null if not found
+ */
+const findStagedDevice = async (org, machineId, serial) => {
+  const match = [{ machineId: machineId }];
+  if (serial) match.push({ serial: serial });
+  return stagedDevices.findOne({ org: org, status: 'pending', $or: match }).lean();
+};
+
+/**
+ * Prepares the configuration of a registering device from the staged device.
+ * The template of the staged device is applied first, then the staged
+ * interfaces, static routes and DHCP configurations.
+ * @async
+ * @param  {Object} device the registering device, as a plain object
+ * @param  {Object} staged the staged device
+ * @return {Promise<{config: Object, err: string}>} the device configuration
+ *         + error if the staged configuration can't be applied to the device
+ */
+const prepareStagedConfig = async (device, staged) => {
+  let template = null;
+  if (staged.template) {
+    template = await deviceTemplates.findOne({ _id: staged.template, org: staged.org }).lean();
+    if (!template) return { config: null, err: 'Device template not found' };
+  }
+  const variables = {
+    ...getDeviceVariables({ ...device, name: staged.name, site: staged.site }),
+    ...(staged.variables || {})
+  };
+
+  let interfaces = device.interfaces;
+  const staticroutes = [];
+  const dhcp = new Map();
+  for (const config of [template, staged].filter(config => config)) {
+    const { config: prepared, err } = prepareTemplateConfig(
+      { ...device, interfaces }, config, variables
+    );
+    if (err) return { config: null, err };
+    interfaces = prepared.interfaces;
+    prepared.staticroutes.forEach(route => {
+      const exists = staticroutes.some(r => {
+        return r.destination === route.destination && r.gateway === route.gateway;
+      });
+      if (!exists) staticroutes.push(route);
+    });
+    // The staged DHCP configuration overrides the template on the same interface
+    prepared.dhcp.add.forEach(dhcpConfig => dhcp.set(dhcpConfig.interface, dhcpConfig));
+  }
+
+  const { entries } = await getOrgIpam(staged.org);
+  const { valid, err } = validateLanSubnets(interfaces, [], entries);
+  if (!valid) return { config: null, err };
+
+  const config = {
+    name: staged.name,
+    description: staged.description,
+    site: staged.site,
+    labels: staged.labels || [],
+    interfaces: interfaces,
+    staticroutes: staticroutes.map(route => ({ ...route, status: 'waiting' })),
+    dhcp: [...dhcp.values()].map(dhcpConfig => ({ ...dhcpConfig, status: 'add-wait' }))
+  };
+  if (template) {
+    config.template = { template: template._id, version: template.version, variables };
+  }
+  return { config, err: '' };
+};
+
+/**
+ * Queues the jobs that onboard an approved device: the start-router job, the
+ * jobs of the staged static routes and DHCP configurations, and the tunnels
+ * intended by the organization tunnel policies.
+ * @async
+ * @param  {Object} device the device
+ * @param  {Object} user   the user that approved the device
+ * @return {Promise<Array>} the queued jobs
+ */
+const onboardDevice = async (device, user) => {
+  const jobs = [];
+  jobs.push(...await dispatcher.apply([device], 'start', user));
+  for (const route of device.staticroutes.filter(route => route.status === 'waiting')) {
+    jobs.push(...await dispatcher.apply(device, 'staticroutes', user, {
+      ...route.toObject(),
+      _id: route.id,
+      method: 'staticroutes'
+    }));
+  }
+  for (const dhcpConfig of device.dhcp.filter(dhcp => dhcp.status === 'add-wait')) {
+    jobs.push(...await dispatcher.apply(device, 'dhcp', user, {
+      ...dhcpConfig.toObject(),
+      _id: dhcpConfig.id,
+      method: 'dhcp',
+      action: 'add'
+    }));
+  }
+  try {
+    jobs.push(...await applyTunnelPolicies(device.org, user.username));
+  } catch (err) {
+    logger.error('Tunnel policies evaluation failed', {
+      params: { org: device.org, err: err.message }
+    });
+  }
+  return jobs;
+};
+
+/**
+ * Onboards the device of a staged device, and updates the staging status
+ * @async
+ * @param  {Object} staged the staged device
+ * @param  {Object} device the device
+ * @param  {Object} user   the user that approved the device
+ * @return {Promise<Array>} the queued jobs
+ */
+const onboardStagedDevice = async (staged, device, user) => {
+  try {
+    const jobs = await onboardDevice(device, user);
+    await stagedDevices.updateOne({ _id: staged._id }, { $set: { status: 'onboarded' } });
+    logger.info('Staged device onboarded', {
+      params: { staged: staged._id, device: device._id, jobs: jobs.map(job => job.id) }
+    });
+    return jobs;
+  } catch (err) {
+    logger.error('Staged device onboarding failed', {
+      params: { staged: staged._id, device: device._id, err: err.message }
+    });
+    await stagedDevices.updateOne(
+      { _id: staged._id },
+      { $set: { status: 'failed', error: err.message } }
+    );
+    return [];
+  }
+};
+
+/**
+ * Prepares the interfaces of a device approved automatically on registration,
+ * like a device approved by a user. The device gets LAN subnets from the
+ * organization LAN pool, and its LAN subnets must not conflict with the
+ * organization address space. The interfaces are updated in place.
+ * @async
+ * @param  {string} org        the organization of the device
+ * @param  {Array}  interfaces the interfaces of the registering device
+ * @return {Promise<string>}   the reason the device can't be approved,
+ *                             empty string if it can
+ */
+const prepareAutoApproval = async (org, interfaces) => {
+  const { lanPool, entries } = await getOrgIpam(org);
+  if (lanPool) {
+    const { err } = allocateLanSubnets(interfaces, lanPool, entries);
+    if (err) return err;
+  }
+  const { valid, err } = validateLanSubnets(interfaces, [], entries);
+  return valid ? '' : err;
+};
+
+/**
+ * Links a registered device to its staged device. Devices approved
+ * on registration are onboarded immediately.
+ * @async
+ * @param  {Object} staged the staged device
+ * @param  {Object} device the registered device
+ * @param  {string} err    the error if the staged configuration was not applied
+ * @return {Promise<Array>} the queued jobs
+ */
+const registerStagedDevice = async (staged, device, err) => {
+  await stagedDevices.updateOne(
+    { _id: staged._id },
+    { $set: { status: err ? 'failed' : 'registered', device: device._id, error: err || '' } }
+  );
+  if (err || !device.isApproved) return [];
+  return onboardStagedDevice(staged, device, getSystemUser(device.org));
+};
+
+/**
+ * Onboards a device approved by a user, if the device was staged
+ * @async
+ * @param  {Object} device the approved device
+ * @param  {Object} user   the user that approved the device
+ * @return {Promise<Array>} the queued jobs
+ */
+const approveStagedDevice = async (device, user) => {
+  const staged = await stagedDevices.findOne({ device: device._id, status: 'registered' }).lean();
+  if (!staged) return [];
+  return onboardStagedDevice(staged, device, user);
+};
+
+module.exports = {
+  findStagedDevice,
+  prepareStagedConfig,
+  prepareAutoApproval,
+  registerStagedDevice,
+  approveStagedDevice
+};
@@ -0,0 +1,324 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Logic to track the public addresses of the devices interfaces. The public
+// address is learned on every device connection, and when it changes, the
+// tunnels connected to the interface are re-pointed to the new address.
+const configs = require('../configs')();
+const net = require('net');
+const cidr = require('cidr-tools');
+const tunnelsModel = require('../models/tunnels');
+const { devices } = require('../models/devices');
+const { validatePort } = require('../models/validators');
+const { getTunnelUnderlay, getTunnelEncapParams, reconnectTunnel } = require('./tunnels');
+const connections = require('../websocket/Connections')();
+const notificationsMgr = require('../notifications/notifications')();
+const { getMajorVersion } = require('../versioning');
+const deviceQueues = require('../utils/deviceQueue')(
+  configs.get('kuePrefix'),
+  configs.get('redisUrl')
+);
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+
+// Minimal agent major version that supports modifying tunnels
+const modifyTunnelMinAgentVersion = 2;
+
+/**
+ * Gets the WAN interface through which the device connects to the MGMT.
+ * This is the assigned WAN interface whose subnet contains the default
+ * route, or the only assigned WAN interface of the device.
+ * @param  {Object} device device object
+ * @return {Object}        the management interface, or undefined if not found
+ */
+const getMgmtInterface = (device) => {
+  const wanIfcs = device.interfaces.filter(ifc => ifc.isAssigned && ifc.type === 'WAN');
+  if (wanIfcs.length === 1) return wanIfcs[0];
+  if (!net.isIPv4(device.defaultRoute)) return undefined;
+
+  return wanIfcs.find(ifc => {
+    return net.isIPv4(ifc.IPv4) && ifc.IPv4Mask &&
+      cidr.overlap(`${ifc.IPv4}/${ifc.IPv4Mask}`, `${device.defaultRoute}/32`);
+  });
+};
+
+/**
+ * Gets the public addresses of the device interfaces. The addresses
+ * reported by the device in the get-device-info reply take precedence
+ * over the source address of the device connection, which is only
+ * relevant for the management interface. The public port is reported
+ * by devices that use the MGMT NAT traversal responder.
+ * @param  {Object} device   device object
+ * @param  {string} sourceIP the source address of the device connection
+ * @param  {Object} network  the network information reported by the device
+ * @return {Map}             a map of interface id to its public {ip, port}
+ */
+const getPublicAddresses = (device, sourceIP, network) => {
+  const addresses = new Map();
+  const reported = network && Array.isArray(network.interfaces) ? network.interfaces : [];
+
+  reported.forEach(entry => {
+    if (!entry || !net.isIP(entry.public_ip)) return;
+    const ifc = device.interfaces.find(ifc => {
+      return ifc.isAssigned && ifc.type === 'WAN' && ifc.pciaddr === entry.pci;
+    });
+    if (!ifc) return;
+    const port = entry.public_port ? entry.public_port.toString() : '';
+    addresses.set(ifc._id.toString(), {
+      ip: entry.public_ip,
+      port: validatePort(port) ? port : ''
+    });
+  });
+
+  const mgmtIfc = getMgmtInterface(device);
+  if (mgmtIfc && net.isIP(sourceIP) && !addresses.has(mgmtIfc._id.toString())) {
+    addresses.set(mgmtIfc._id.toString(), { ip: sourceIP, port: mgmtIfc.PublicPort || '' });
+  }
+  return addresses;
+};
+
+/**
+ * Formats the public endpoint of an interface
+ * @param  {string} ip   public address
+ * @param  {string} port public port, empty if unknown
+ * @return {string}      the formatted endpoint
+ */
+const formatEndpoint = (ip, port) => port ? `${ip}:${port}` : ip;
+
+/**
+ * Prepares the jobs that point both sides of a tunnel to the
+ * current addresses of the tunnel interfaces.
+ * @param  {number} tunnelnum   tunnel id
+ * @param  {Object} deviceAIntf device A tunnel interface
+ * @param  {Object} deviceBIntf device B tunnel interface
+ * @return {[Array, Array]}     device A and device B tasks
+ */
+const prepareTunnelModifyJob = (tunnelnum, deviceAIntf, deviceBIntf) => {
+  const underlay = getTunnelUnderlay(deviceAIntf, deviceBIntf);
+  const [encapDeviceA, encapDeviceB] = getTunnelEncapParams(underlay);
+  const tasksDeviceA = [{
+    entity: 'agent',
+    message: 'modify-tunnel',
+    params: { 'tunnel-id': tunnelnum, src: underlay.srcA, dst: underlay.dstA, ...encapDeviceA }
+  }];
+  const tasksDeviceB = [{
+    entity: 'agent',
+    message: 'modify-tunnel',
+    params: { 'tunnel-id': tunnelnum, src: underlay.srcB, dst: underlay.dstB, ...encapDeviceB }
+  }];
+  return [tasksDeviceA, tasksDeviceB];
+};
+
+/**
+ * Queues modify-tunnel jobs to both devices of a tunnel
+ * @async
+ * @param  {Object} tunnel tunnel object, with populated deviceA and deviceB
+ * @param  {Object} ifcA   device A tunnel interface
+ * @param  {Object} ifcB   device B tunnel interface
+ * @return {Array}         the queued jobs
+ */
+const queueTunnelModify = async (tunnel, ifcA, ifcB) => {
+  const { deviceA, deviceB, num } = tunnel;
+  const org = tunnel.org.toString();
+  const title =
+    `Modify tunnel between (${deviceA.hostname}, ${ifcA.name}) and ` +
+    `(${deviceB.hostname}, ${ifcB.name})`;
+  const [tasksA, tasksB] = prepareTunnelModifyJob(num, ifcA, ifcB);
+
+  const jobs = [];
+  for (const [device, tasks, target] of [
+    [deviceA, tasksA, 'deviceAconf'],
+    [deviceB, tasksB, 'deviceBconf']
+  ]) {
+    const job = await deviceQueues.addJob(
+      device.machineId,
+      'system',
+      org,
+      // Data
+      { title: title, tasks: tasks },
+      // Response data
+      {
+        method: 'modifytunnels',
+        data: {
+          org: org,
+          tunnelId: num,
+          deviceA: deviceA._id,
+          deviceB: deviceB._id,
+          target: target
+        }
+      },
+      // Metadata
+      { priority: 'normal', attempts: 1, removeOnComplete: false },
+      // Complete callback
+      null
+    );
+    logger.info('Modify tunnel job queued', { params: { tunnel: num }, job: job });
+    jobs.push(job);
+  }
+  return jobs;
+};
+
+/**
+ * Re-points the tunnels connected to interfaces which public address has
+ * changed. Tunnels of devices that don't support modifying tunnels
+ * are reconnected instead.
+ * @async
+ * @param  {Array} interfaces the ids of the changed interfaces
+ * @return {void}
+ */
+const repointTunnels = async (interfaces) => {
+  const tunnels = await tunnelsModel
+    .find({
+      isActive: true,
+      $or: [{ interfaceA: { $in: interfaces } }, { interfaceB: { $in: interfaces } }]
+    })
+    .populate('deviceA')
+    .populate('deviceB');
+
+  for (const tunnel of tunnels) {
+    const { deviceA, deviceB, num, org } = tunnel;
+    if (!deviceA || !deviceB) continue;
+    try {
+      const ifcA = deviceA.interfaces.find(ifc => {
+        return ifc._id.toString() === tunnel.interfaceA.toString();
+      });
+      const ifcB = deviceB.interfaces.find(ifc => {
+        return ifc._id.toString() === tunnel.interfaceB.toString();
+      });
+      const canModify = [deviceA, deviceB].every(device => {
+        const agentVersion = getMajorVersion((device.versions || {}).agent || '0');
+        return agentVersion >= modifyTunnelMinAgentVersion;
+      });
+      if (ifcA && ifcB && getTunnelUnderlay(ifcA, ifcB).unreachable) {
+        logger.warn('Tunnel interfaces are both behind address and port translating NAT, ' +
+          'tunnel not re-pointed', {
+          params: { tunnel: num, org: org }
+        });
+      } else if (ifcA && ifcB && canModify) {
+        await queueTunnelModify(tunnel, ifcA, ifcB);
+      } else {
+        await reconnectTunnel(tunnel);
+      }
+    } catch (err) {
+      logger.error('Failed to re-point tunnel', {
+        params: { tunnel: num, org: org, err: err.message }
+      });
+    }
+  }
+};
+
+/**
+ * Updates the public addresses of a device interfaces, according to the
+ * addresses learned when the device connected. Called on device connection.
+ * @async
+ * @param  {string} machineId device machine id
+ * @return {void}
+ */
+const updatePublicAddresses = async (machineId) => {
+  try {
+    const info = connections.getDeviceInfo(machineId);
+    if (!info) return;
+    const device = await devices.findOne({ machineId: machineId }).lean();
+    if (!device) return;
+
+    const addresses = getPublicAddresses(device, info.ip, info.network);
+    const changed = device.interfaces.filter(ifc => {
+      const address = addresses.get(ifc._id.toString());
+      return address && (address.ip !== ifc.PublicIP || address.port !== ifc.PublicPort);
+    });
+    if (changed.length === 0) return;
+
+    const notifications = [];
+    for (const ifc of changed) {
+      const { ip, port } = addresses.get(ifc._id.toString());
+      const [from, to] = [formatEndpoint(ifc.PublicIP, ifc.PublicPort), formatEndpoint(ip, port)];
+      await devices.updateOne(
+        { _id: device._id, 'interfaces._id': ifc._id },
+        { $set: { 'interfaces.$.PublicIP': ip, 'interfaces.$.PublicPort': port } },
+        { upsert: false }
+      );
+      logger.info('Device public address changed', {
+        params: { device: machineId, interface: ifc.name, from: from, to: to }
+      });
+      // The address is set for the first time, tunnels are not affected
+      if (!ifc.PublicIP) continue;
+      notifications.push({
+        org: device.org,
+        title: 'Public IP change',
+        time: new Date(),
+        device: device._id,
+        machineId: machineId,
+        details: `Public IP of interface ${ifc.name} changed from ${from} to ${to}`
+      });
+    }
+    if (notifications.length > 0) {
+      await notificationsMgr.sendNotifications(notifications);
+    }
+    await repointTunnels(changed.filter(ifc => ifc.PublicIP).map(ifc => ifc._id));
+  } catch (err) {
+    logger.error('Failed to update device public addresses', {
+      params: { device: machineId, err: err.message }
+    });
+  }
+};
+
+/**
+ * Called when a modify tunnel job completes
+ * @param  {number} jobId Kue job ID
+ * @param  {Object} res   job response data
+ * @return {void}
+ */
+const complete = (jobId, res) => {
+  logger.info('Modify tunnel job complete', { params: { result: res, jobId: jobId } });
+};
+
+/**
+ * Called when a modify tunnel job fails. The tunnel is marked as not
+ * configured on the device, so it is reconnected by the check_tunnels task.
+ * @async
+ * @param  {number} jobId Kue job ID
+ * @param  {Object} res   job response data
+ * @return {void}
+ */
+const error = async (jobId, res) => {
+  logger.error('Modify tunnel job failed', { params: { result: res, jobId: jobId } });
+  if (!res || !res.org || res.tunnelId === undefined || !res.target) {
+    logger.warn('Got an invalid job result', { params: { result: res, jobId: jobId } });
+    return;
+  }
+  try {
+    await tunnelsModel.updateOne(
+      { org: res.org, num: res.tunnelId, isActive: true },
+      { $set: { [res.target]: false } },
+      { upsert: false }
+    );
+  } catch (err) {
+    logger.error('Modify tunnel job error callback failed', {
+      params: { jobId: jobId, err: err.message }
+    });
+  }
+};
+
+connections.registerConnectCallback('publicAddress', updatePublicAddresses);
+
+module.exports = {
+  complete: complete,
+  error: error,
+  getMgmtInterface: getMgmtInterface,
+  getPublicAddresses: getPublicAddresses,
+  prepareTunnelModifyJob: prepareTunnelModifyJob,
+  updatePublicAddresses: updatePublicAddresses
+};
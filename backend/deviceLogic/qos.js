@@ -0,0 +1,258 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const configs = require('../configs')();
+const { devices } = require('../models/devices');
+const QosProfiles = require('../models/qosProfiles');
+const deviceQueues = require('../utils/deviceQueue')(
+  configs.get('kuePrefix'),
+  configs.get('redisUrl')
+);
+const mongoose = require('mongoose');
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+const { getMajorVersion } = require('../versioning');
+const { createDryRunResult, addDryRunJob } = require('./dryRun');
+
+/**
+ * Checks whether the device agent supports QoS
+ * @param  {Object}  device the device to check
+ * @return {boolean}        true if QoS is supported, false otherwise
+ */
+const isQosSupported = (device) => {
+  return getMajorVersion(device.versions.agent) >= 2;
+};
+
+/**
+ * Returns the device interfaces that have a QoS profile attached
+ * @param  {Object} device the device
+ * @return {Array}         the WAN interfaces with QoS
+ */
+const getQosInterfaces = (device) => {
+  return device.interfaces.filter(ifc => ifc.isAssigned && ifc.type === 'WAN' &&
+    ifc.qos && ifc.qos.profile);
+};
+
+/**
+ * Creates the QoS parameters of an interface. The guaranteed
+ * rates are converted from percents to kbps.
+ * @param  {Object} ifc     the interface
+ * @param  {Object} profile the QoS profile attached to the interface
+ * @return {Object}         the interface QoS parameters
+ */
+const prepareIfcQosParams = (ifc, profile) => {
+  const bandwidth = ifc.qos.bandwidth;
+  return {
+    pci: ifc.pciaddr,
+    bandwidth: bandwidth,
+    classes: profile.classes.map(qosClass => ({
+      name: qosClass.name,
+      priority: qosClass.priority,
+      'guaranteed-rate': Math.floor(bandwidth * (qosClass.guaranteedRate || 0) / 100),
+      dscp: qosClass.dscp || []
+    }))
+  };
+};
+
+/**
+ * Creates the QoS tasks of a device. The QoS configuration of all
+ * the device WAN interfaces is sent and replaces the previous one.
+ * @async
+ * @param  {Object}   device    the device to be configured
+ * @return {{tasks: Array, message: string}} the QoS tasks and the agent message
+ */
+const prepareQosTasks = async (device) => {
+  if (!isQosSupported(device)) {
+    throw new Error('QoS is not supported for the current agent version');
+  }
+
+  // {
+  //   "entity":  "agent",
+  //   "message": "add-qos-policy",
+  //   "params": {
+  //       "interfaces": [{"pci": "0000:00:03.00", "bandwidth": 10000,
+  //                       "classes": [{"name": "voice", "priority": 1,
+  //                                    "guaranteed-rate": 2000, "dscp": [46]}]}]
+  //    }
+  // },
+  const qosIfcs = getQosInterfaces(device);
+  const profiles = await QosProfiles.find({
+    _id: { $in: qosIfcs.map(ifc => ifc.qos.profile) },
+    org: device.org
+  }).lean();
+  const ifcParams = qosIfcs.map(ifc => {
+    const profile = profiles.find(p => p._id.toString() === ifc.qos.profile.toString());
+    return profile ? prepareIfcQosParams(ifc, profile) : null;
+  }).filter(params => params);
+
+  const message = ifcParams.length ? 'add-qos-policy' : 'remove-qos-policy';
+  const params = ifcParams.length ? { interfaces: ifcParams } : {};
+  return { tasks: [{ entity: 'agent', message, params }], message };
+};
+
+/**
+ * Queues a QoS job to a device.
+ * @async
+ * @param  {Object}   device    the device to be configured
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {Array}    jobs created
+ */
+const apply = async (device, user, data) => {
+  const userName = user.username;
+  const org = device.org.toString();
+  const { tasks, message } = await prepareQosTasks(device);
+
+  const job = await deviceQueues.addJob(device.machineId, userName, org,
+    // Data
+    { title: `Update QoS in device ${device.hostname}`, tasks: tasks },
+    // Response data
+    { method: 'qos', data: { deviceId: device._id.toString(), message } },
+    // Metadata
+    { priority: 'low', attempts: 1, removeOnComplete: false },
+    // Complete callback
+    null);
+
+  logger.info('QoS job queued', { params: { job: job } });
+  return [job];
+};
+
+/**
+ * Returns the QoS job that would be queued to a device, without queuing it.
+ * @async
+ * @param  {Object}   device    the device to be configured
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {Object}   the dry run result
+ */
+const dryRun = async (device, user, data) => {
+  const result = createDryRunResult();
+  const { tasks } = await prepareQosTasks(device);
+  addDryRunJob(result, device, `Update QoS in device ${device.hostname}`, tasks);
+  return result;
+};
+
+/**
+ * Updates the status of the device QoS configuration
+ * @param  {string} deviceId the device id
+ * @param  {string} status   the new status
+ * @return {Promise}
+ */
+const setQosStatus = (deviceId, status) => {
+  return devices.updateOne(
+    { _id: mongoose.Types.ObjectId(deviceId) },
+    { $set: { qosStatus: status } }
+  );
+};
+
+/**
+ * Called when QoS job completed and
+ * updates the status of the operation.
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   device object ID and message
+ * @return {void}
+ */
+const complete = async (jobId, res) => {
+  logger.info('QoS job complete', { params: { result: res, jobId: jobId } });
+
+  if (!res || !res.deviceId || !res.message) {
+    logger.warn('Got an invalid job result', { params: { result: res, jobId: jobId } });
+    return;
+  }
+  try {
+    await setQosStatus(res.deviceId, res.message === 'remove-qos-policy' ? '' : 'complete');
+  } catch (error) {
+    logger.warn('Failed to update database', { params: { result: res, jobId: jobId } });
+  }
+};
+
+/**
+ * Called if QoS job failed and
+ * updates the status of the operation.
+ * @async
+ * @param  {number} jobId Kue job ID number
+ * @param  {Object} res   device object ID and message
+ * @return {void}
+ */
+const error = async (jobId, res) => {
+  logger.info('QoS job failed', { params: { result: res, jobId: jobId } });
+
+  try {
+    const status = res.message === 'remove-qos-policy' ? 'remove-failed' : 'add-failed';
+    await setQosStatus(res.deviceId, status);
+  } catch (error) {
+    logger.warn('Failed to update database', { params: { result: res, jobId: jobId } });
+  }
+};
+
+/**
+ * Called when QoS job is removed only
+ * for tasks that were deleted before completion/failure.
+ * @async
+ * @param  {Object} job Kue job
+ * @return {void}
+ */
+const remove = async (job) => {
+  if (['inactive', 'delayed', 'active'].includes(job._state)) {
+    logger.info('Rolling back device changes for removed task', { params: { job: job } });
+    try {
+      await setQosStatus(job.data.response.data.deviceId, 'job-deleted');
+    } catch (error) {
+      logger.warn('Failed to update database', { params: { job: job } });
+    }
+  }
+};
+
+/**
+ * Re-sends the QoS configuration to the devices that use the profiles.
+ * Called when the profiles are modified. A failure on one
+ * device doesn't prevent updating the others.
+ * @async
+ * @param  {Array}  profileIds ids of the modified profiles
+ * @param  {Object} user       User object
+ * @return {Array}  jobs created
+ */
+const reapplyProfiles = async (profileIds, user) => {
+  if (profileIds.length === 0) return [];
+  const profileDevices = await devices.find({
+    isApproved: true,
+    'interfaces.qos.profile': { $in: profileIds }
+  });
+
+  const jobs = [];
+  for (const device of profileDevices) {
+    try {
+      await setQosStatus(device._id.toString(), 'add-wait');
+      jobs.push(...await apply(device, user));
+    } catch (err) {
+      logger.error('Failed to re-apply QoS profile', {
+        params: { device: device._id, err: err.message }
+      });
+    }
+  }
+  return jobs;
+};
+
+module.exports = {
+  apply: apply,
+  dryRun: dryRun,
+  complete: complete,
+  error: error,
+  remove: remove,
+  isQosSupported: isQosSupported,
+  reapplyProfiles: reapplyProfiles
+};
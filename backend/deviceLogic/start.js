@@ -18,7 +18,8 @@
 // Logic to start/stop a device
 const configs = require('../configs')();
 const deviceStatus = require('../periodic/deviceStatus')();
-const { validateDevice } = require('./validators');
+const { validateDevice, isDynamicAddressing } = require('./validators');
+const { getVlanParams, getAddressingParams } = require('./modifyDevice');
 const tunnelsModel = require('../models/tunnels');
 const deviceQueues = require('../utils/deviceQueue')(
   configs.get('kuePrefix'),
@@ -79,14 +80,21 @@ const apply = async (device, user, data) => {
       const routeParams = {};
       if (intf.isAssigned === true) {
         ifParams.pci = intf.pciaddr;
-        ifParams.addr = `${intf.IPv4}/${intf.IPv4Mask}`;
+        // VLAN sub-interfaces are created on top of the parent interface.
+        // The address and default route of DHCP/PPPoE interfaces are learned by the device
+        Object.assign(ifParams, getVlanParams(intf), getAddressingParams(intf));
+        const isDynamic = isDynamicAddressing(intf);
+        ifParams.addr = intf.IPv4 && intf.IPv4Mask && !isDynamic
+          ? `${intf.IPv4}/${intf.IPv4Mask}` : '';
+        ifParams.addr6 = intf.IPv6 && intf.IPv6Mask ? `${intf.IPv6}/${intf.IPv6Mask}` : '';
         ifParams.type = intf.type;
         ifParams.multilink = {
           labels: intf.pathlabels
         };
         if (intf.routing === 'OSPF') ifParams.routing = 'ospf';
+        if (intf.routing === 'BGP') ifParams.routing = 'bgp';
         // Only if WAN defined and no other routing defined
-        if (intf.type === 'WAN' && intf.routing.toUpperCase() === 'NONE') {
+        if (intf.type === 'WAN' && intf.routing.toUpperCase() === 'NONE' && !isDynamic) {
           routeParams.addr = 'default';
           routeParams.via = device[0].defaultRoute;
           routes.push(routeParams);
@@ -0,0 +1,199 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const {
+  getManagedConfig,
+  getRunningConfig,
+  compareConfigs,
+  isDrifted,
+  getDriftSummary
+} = require('../configCompare');
+
+let device;
+let tunnels;
+let requests;
+
+beforeEach(() => {
+  device = {
+    _id: '5e65f6a27a4a2e4d8bd2b5a0',
+    interfaces: [{
+      pciaddr: '0000:00:03.00',
+      IPv4: '192.168.1.10',
+      IPv4Mask: '24',
+      addressMode: 'dhcp',
+      isAssigned: true,
+      routing: 'NONE',
+      type: 'WAN'
+    }, {
+      pciaddr: '0000:00:08.00',
+      IPv4: '10.0.0.1',
+      IPv4Mask: '24',
+      addressMode: 'static',
+      isAssigned: true,
+      routing: 'OSPF',
+      type: 'LAN'
+    }, {
+      pciaddr: '0000:00:09.00',
+      IPv4: '10.1.0.1',
+      IPv4Mask: '24',
+      isAssigned: false,
+      routing: 'NONE',
+      type: 'LAN'
+    }],
+    staticroutes: [{
+      destination: '10.10.0.0/16',
+      gateway: '10.0.0.254',
+      ifname: '',
+      metric: '',
+      status: 'complete'
+    }, {
+      destination: '10.20.0.0/16',
+      gateway: '10.0.0.254',
+      ifname: '',
+      metric: '',
+      status: 'waiting'
+    }],
+    dhcp: [{
+      interface: '0000:00:08.00',
+      mode: 'server',
+      rangeStart: '10.0.0.10',
+      rangeEnd: '10.0.0.100',
+      dns: ['8.8.8.8'],
+      macAssign: [],
+      status: 'complete'
+    }]
+  };
+  tunnels = [
+    { num: 1, deviceA: '5e65f6a27a4a2e4d8bd2b5a0', deviceAconf: true, deviceBconf: false },
+    { num: 2, deviceA: '5e65f6a27a4a2e4d8bd2b5a9', deviceAconf: true, deviceBconf: false }
+  ];
+  requests = [{
+    entity: 'agent',
+    message: 'start-router',
+    params: {
+      interfaces: [
+        { pci: '0000:00:03.00', addr: '', addr6: '', type: 'WAN', addressing: { mode: 'dhcp' } },
+        { pci: '0000:00:08.00', addr: '10.0.0.1/24', addr6: '', type: 'LAN', routing: 'ospf' }
+      ],
+      routes: [{ addr: 'default', via: '192.168.1.1' }]
+    }
+  }, {
+    entity: 'agent',
+    message: 'add-route',
+    params: { addr: '10.10.0.0/16', via: '10.0.0.254' }
+  }, {
+    entity: 'agent',
+    message: 'add-dhcp-config',
+    params: {
+      interface: '0000:00:08.00',
+      range_start: '10.0.0.10',
+      range_end: '10.0.0.100',
+      dns: ['8.8.8.8'],
+      mac_assign: []
+    }
+  }, {
+    entity: 'agent',
+    message: 'add-tunnel',
+    params: { src: '192.168.1.10', dst: '192.168.2.10', 'tunnel-id': 1 }
+  }];
+});
+
+describe('getManagedConfig', () => {
+  it('Should include only assigned interfaces and applied configurations', () => {
+    const config = getManagedConfig(device, tunnels);
+    expect(config.interfaces).toEqual([
+      { pci: '0000:00:03.00', addr: '', addr6: '', type: 'WAN', routing: 'none' },
+      { pci: '0000:00:08.00', addr: '10.0.0.1/24', addr6: '', type: 'LAN', routing: 'ospf' }
+    ]);
+    expect(config.staticroutes).toEqual([{ addr: '10.10.0.0/16', via: '10.0.0.254' }]);
+    expect(config.dhcp).toHaveLength(1);
+    expect(config.tunnels).toEqual([
+      { num: 1, configured: true },
+      { num: 2, configured: false }
+    ]);
+  });
+});
+
+describe('getRunningConfig', () => {
+  it('Should normalize the device configuration requests', () => {
+    const config = getRunningConfig(requests);
+    expect(config.interfaces).toHaveLength(2);
+    expect(config.staticroutes).toEqual([{ addr: '10.10.0.0/16', via: '10.0.0.254' }]);
+    expect(config.dhcp).toHaveLength(1);
+    expect(config.tunnels.map(tunnel => tunnel.num)).toEqual([1]);
+  });
+
+  it('Should fail for an invalid configuration', () => {
+    expect(() => getRunningConfig({})).toThrow('Invalid device configuration');
+  });
+});
+
+describe('compareConfigs', () => {
+  it('Should not find drift when the configurations match', () => {
+    const drift = compareConfigs(getManagedConfig(device, tunnels), getRunningConfig(requests));
+    expect(isDrifted(drift)).toEqual(false);
+    expect(getDriftSummary(drift)).toEqual('');
+  });
+
+  it('Should find modified interfaces', () => {
+    device.interfaces[1].IPv4 = '10.0.0.2';
+    const drift = compareConfigs(getManagedConfig(device, tunnels), getRunningConfig(requests));
+    expect(isDrifted(drift)).toEqual(true);
+    expect(drift.interfaces.modified).toEqual([{
+      expected: {
+        pci: '0000:00:08.00', addr: '10.0.0.2/24', addr6: '', type: 'LAN', routing: 'ospf'
+      },
+      actual: {
+        pci: '0000:00:08.00', addr: '10.0.0.1/24', addr6: '', type: 'LAN', routing: 'ospf'
+      }
+    }]);
+  });
+
+  it('Should find missing and unexpected static routes and DHCP configurations', () => {
+    requests.push({
+      entity: 'agent',
+      message: 'add-route',
+      params: { addr: '10.30.0.0/16', via: '10.0.0.254', metric: 10 }
+    });
+    device.staticroutes[1].status = 'complete';
+    device.dhcp = [];
+    const drift = compareConfigs(getManagedConfig(device, tunnels), getRunningConfig(requests));
+    expect(drift.staticroutes.missing).toEqual([{ addr: '10.20.0.0/16', via: '10.0.0.254' }]);
+    expect(drift.staticroutes.unexpected).toEqual([
+      { addr: '10.30.0.0/16', via: '10.0.0.254', metric: '10' }
+    ]);
+    expect(drift.dhcp.unexpected.map(dhcp => dhcp.interface)).toEqual(['0000:00:08.00']);
+    expect(getDriftSummary(drift)).toEqual('static routes: 2, DHCP: 1');
+  });
+
+  it('Should find missing and unexpected tunnels', () => {
+    tunnels[0].deviceAconf = true;
+    tunnels[1].deviceAconf = false;
+    tunnels[1].deviceBconf = true;
+    requests[3].params['tunnel-id'] = 3;
+    const drift = compareConfigs(getManagedConfig(device, tunnels), getRunningConfig(requests));
+    expect(drift.tunnels.missing).toEqual([{ num: 1 }, { num: 2 }]);
+    expect(drift.tunnels.unexpected.map(tunnel => tunnel.num)).toEqual([3]);
+  });
+
+  it('Should ignore tunnels that are not configured yet', () => {
+    requests.pop();
+    tunnels[0].deviceAconf = false;
+    const drift = compareConfigs(getManagedConfig(device, tunnels), getRunningConfig(requests));
+    expect(drift.tunnels.missing).toEqual([]);
+  });
+});
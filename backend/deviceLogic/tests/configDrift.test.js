@@ -0,0 +1,130 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Module for the configuration drift check Unit Test. The jobs queue, the device
+// connections and status and the notifications are replaced by test doubles.
+jest.mock('../../utils/deviceQueue', () => {
+  const queue = { addJob: jest.fn() };
+  return () => queue;
+});
+jest.mock('../../websocket/Connections', () => {
+  const connections = {
+    isConnected: jest.fn(),
+    deviceSendMessage: jest.fn(),
+    registerConnectCallback: jest.fn()
+  };
+  return () => connections;
+});
+jest.mock('../../periodic/deviceStatus', () => {
+  const deviceStatus = {
+    getDeviceStatus: jest.fn(),
+    getTunnelStatus: jest.fn(),
+    registerAddressChangeCallback: jest.fn()
+  };
+  return () => deviceStatus;
+});
+jest.mock('../../notifications/notifications', () => {
+  const notificationsMgr = { sendNotifications: jest.fn() };
+  return () => notificationsMgr;
+});
+
+const { devices } = require('../../models/devices');
+const deviceConfigDrift = require('../../models/deviceConfigDrift');
+const connections = require('../../websocket/Connections')();
+const deviceStatus = require('../../periodic/deviceStatus')();
+const configDrift = require('../configDrift');
+
+const getDevice = (id) => ({
+  _id: `5e65f6a27a4a2e4d8bd2b5a${id}`,
+  org: '5e65f6a27a4a2e4d8bd2b5d1',
+  machineId: `machine-${id}`,
+  hostname: `host${id}`,
+  isApproved: true,
+  versions: { agent: '2.0.0' },
+  interfaces: [],
+  staticroutes: [],
+  dhcp: []
+});
+
+// A mongoose query that resolves to the result, when awaited
+const mockQuery = (result) => {
+  const query = {
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+beforeEach(() => {
+  connections.isConnected.mockReturnValue(true);
+  connections.deviceSendMessage.mockResolvedValue({ ok: 0 });
+  deviceStatus.getDeviceStatus.mockReturnValue({ state: 'running' });
+  jest.spyOn(devices, 'find').mockResolvedValue([getDevice(1), getDevice(2)]);
+  jest.spyOn(deviceConfigDrift, 'find').mockImplementation(() => mockQuery([]));
+  jest.spyOn(deviceConfigDrift, 'findOne').mockImplementation(() => mockQuery(null));
+  jest.spyOn(deviceConfigDrift, 'findOneAndUpdate').mockImplementation(() => mockQuery({}));
+  jest.spyOn(deviceConfigDrift, 'updateOne').mockResolvedValue({ nModified: 1 });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('checkConfigDrift', () => {
+  it('Should skip devices which resync started recently', async () => {
+    deviceConfigDrift.find.mockImplementation(() => mockQuery([{ device: getDevice(1)._id }]));
+    const before = Date.now();
+    await configDrift.tasks.checkConfigDrift();
+
+    const [[filter]] = deviceConfigDrift.find.mock.calls;
+    expect(filter.status).toBe('resyncing');
+    expect(filter.resyncStartedAt.$gt.getTime()).toBeGreaterThanOrEqual(before - 3600000);
+    expect(filter.resyncStartedAt.$gt.getTime()).toBeLessThanOrEqual(Date.now() - 3600000);
+    expect(connections.deviceSendMessage).toHaveBeenCalledTimes(1);
+    expect(connections.deviceSendMessage.mock.calls[0][1]).toBe('machine-2');
+  });
+
+  it('Should check devices which resync is stale and clear the resync status', async () => {
+    await configDrift.tasks.checkConfigDrift();
+    expect(connections.deviceSendMessage).toHaveBeenCalledTimes(2);
+    expect(deviceConfigDrift.findOneAndUpdate).toHaveBeenCalledWith(
+      { device: getDevice(1)._id },
+      { $set: expect.objectContaining({ status: 'error', resyncStartedAt: null }) },
+      { upsert: true, new: true }
+    );
+  });
+
+  it('Should skip devices which are not running', async () => {
+    deviceStatus.getDeviceStatus.mockReturnValue({ state: 'stopped' });
+    await configDrift.tasks.checkConfigDrift();
+    expect(connections.deviceSendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('Resync job callbacks', () => {
+  it.each([
+    ['complete', 'resynced'],
+    ['error', 'drifted']
+  ])('Should clear the resync start time when the job calls %s', async (callback, status) => {
+    await configDrift[callback](1, { device: getDevice(1)._id });
+    expect(deviceConfigDrift.updateOne).toHaveBeenCalledWith(
+      { device: getDevice(1)._id, status: 'resyncing' },
+      { $set: { status: status, resyncStartedAt: null } }
+    );
+  });
+});
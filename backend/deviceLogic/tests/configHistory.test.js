@@ -0,0 +1,344 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const {
+  getDeviceConfig,
+  getUserConfig,
+  diffDeviceConfigs,
+  prepareConfigRollback,
+  saveConfigSnapshot
+} = require('../configHistory');
+const deviceConfigHistory = require('../../models/deviceConfigHistory');
+const { devices } = require('../../models/devices');
+
+let device;
+
+beforeEach(() => {
+  device = {
+    _id: '5e65f6a27a4a2e4d8bd2b5a0',
+    defaultRoute: '192.168.1.1',
+    labels: ['branch'],
+    pendingDevModification: false,
+    interfaces: [{
+      _id: '5e65f6a27a4a2e4d8bd2b5a1',
+      name: 'eth0',
+      pciaddr: '0000:00:03.00',
+      MAC: '08:00:27:00:00:01',
+      IPv4: '192.168.1.10',
+      IPv4Mask: '24',
+      addressMode: 'dhcp',
+      isAssigned: true,
+      routing: 'NONE',
+      type: 'WAN',
+      PublicIP: '1.2.3.4',
+      pathlabels: [{ _id: '5e65f6a27a4a2e4d8bd2b5b1', name: 'isp1' }]
+    }, {
+      _id: '5e65f6a27a4a2e4d8bd2b5a2',
+      name: 'eth1',
+      pciaddr: '0000:00:08.00',
+      MAC: '08:00:27:00:00:02',
+      IPv4: '10.0.0.1',
+      IPv4Mask: '24',
+      addressMode: 'static',
+      isAssigned: true,
+      routing: 'OSPF',
+      type: 'LAN',
+      pathlabels: []
+    }],
+    staticroutes: [{
+      _id: '5e65f6a27a4a2e4d8bd2b5c1',
+      destination: '10.10.0.0/16',
+      gateway: '10.0.0.254',
+      ifname: '',
+      metric: '',
+      status: 'complete'
+    }, {
+      _id: '5e65f6a27a4a2e4d8bd2b5c2',
+      destination: '10.20.0.0/16',
+      gateway: '10.0.0.254',
+      ifname: '',
+      metric: '',
+      status: 'failed'
+    }],
+    dhcp: [{
+      _id: '5e65f6a27a4a2e4d8bd2b5d1',
+      interface: '0000:00:08.00',
+      mode: 'server',
+      rangeStart: '10.0.0.10',
+      rangeEnd: '10.0.0.100',
+      dns: ['8.8.8.8'],
+      relayServers: [],
+      macAssign: [],
+      status: 'complete'
+    }]
+  };
+});
+
+describe('getDeviceConfig', () => {
+  it('Should include only the configuration fields of the interfaces', () => {
+    const config = getDeviceConfig(device);
+    expect(config.defaultRoute).toEqual('192.168.1.1');
+    expect(config.labels).toEqual(['branch']);
+    expect(config.interfaces[1]).toEqual({
+      _id: '5e65f6a27a4a2e4d8bd2b5a2',
+      name: 'eth1',
+      pciaddr: '0000:00:08.00',
+      IPv4: '10.0.0.1',
+      IPv4Mask: '24',
+      addressMode: 'static',
+      isAssigned: true,
+      routing: 'OSPF',
+      type: 'LAN',
+      pathlabels: []
+    });
+  });
+
+  it('Should not include addresses learned by the device', () => {
+    const config = getDeviceConfig(device);
+    expect(config.interfaces[0].IPv4).toBeUndefined();
+    expect(config.interfaces[0].IPv4Mask).toBeUndefined();
+    expect(config.interfaces[0].PublicIP).toBeUndefined();
+    expect(config.interfaces[0].pathlabels).toEqual(['5e65f6a27a4a2e4d8bd2b5b1']);
+  });
+
+  it('Should include only applied static routes and DHCP configurations', () => {
+    device.dhcp[0].status = 'add-wait';
+    const config = getDeviceConfig(device);
+    expect(config.staticroutes.map(route => route.destination)).toEqual(['10.10.0.0/16']);
+    expect(config.dhcp).toEqual([]);
+  });
+});
+
+describe('getUserConfig', () => {
+  it('Should not return the PPPoE password', () => {
+    device.interfaces[0].addressMode = 'pppoe';
+    device.interfaces[0].pppoe = { username: 'user1', password: 'secret' };
+    const config = getDeviceConfig(device);
+    expect(config.interfaces[0].pppoe.password).toEqual('secret');
+
+    const userConfig = getUserConfig(config);
+    expect(userConfig.interfaces[0].pppoe).toEqual({ username: 'user1' });
+    expect(userConfig.interfaces[1]).toEqual(config.interfaces[1]);
+    expect(JSON.stringify(userConfig)).not.toContain('secret');
+  });
+});
+
+describe('diffDeviceConfigs', () => {
+  it('Should return no changes for equal configurations', () => {
+    const config = getDeviceConfig(device);
+    expect(diffDeviceConfigs(config, config)).toEqual({
+      defaultRoute: null,
+      interfaces: { added: [], removed: [], modified: [] },
+      staticroutes: { added: [], removed: [] },
+      dhcp: { added: [], removed: [], modified: [] },
+      labels: { added: [], removed: [] }
+    });
+  });
+
+  it('Should return the changed fields of modified interfaces', () => {
+    const from = getDeviceConfig(device);
+    device.interfaces[1].IPv4 = '10.0.0.2';
+    device.interfaces[1].routing = 'NONE';
+    const to = getDeviceConfig(device);
+    const { interfaces } = diffDeviceConfigs(from, to);
+    expect(interfaces.modified).toEqual([{
+      _id: '5e65f6a27a4a2e4d8bd2b5a2',
+      name: 'eth1',
+      changes: {
+        IPv4: { from: '10.0.0.1', to: '10.0.0.2' },
+        routing: { from: 'OSPF', to: 'NONE' }
+      }
+    }]);
+  });
+
+  it('Should not return the PPPoE password of modified interfaces', () => {
+    device.interfaces[0].addressMode = 'pppoe';
+    device.interfaces[0].pppoe = { username: 'user1', password: 'secret1' };
+    const from = getDeviceConfig(device);
+    device.interfaces[0].pppoe = { username: 'user2', password: 'secret2' };
+    const to = getDeviceConfig(device);
+    const changes = diffDeviceConfigs(from, to);
+    expect(changes.interfaces.modified).toEqual([{
+      _id: '5e65f6a27a4a2e4d8bd2b5a1',
+      name: 'eth0',
+      changes: { pppoe: { from: { username: 'user1' }, to: { username: 'user2' } } }
+    }]);
+    expect(JSON.stringify(changes)).not.toMatch(/secret/);
+  });
+
+  it('Should compare static routes by their content', () => {
+    const from = getDeviceConfig(device);
+    device.staticroutes[0]._id = '5e65f6a27a4a2e4d8bd2b5c3';
+    device.staticroutes[1].status = 'complete';
+    const to = getDeviceConfig(device);
+    const { staticroutes } = diffDeviceConfigs(from, to);
+    expect(staticroutes.removed).toEqual([]);
+    expect(staticroutes.added.map(route => route.destination)).toEqual(['10.20.0.0/16']);
+  });
+
+  it('Should return DHCP, default route and label changes', () => {
+    const from = getDeviceConfig(device);
+    device.dhcp[0]._id = '5e65f6a27a4a2e4d8bd2b5d2';
+    device.dhcp[0].rangeEnd = '10.0.0.200';
+    device.defaultRoute = '192.168.1.2';
+    device.labels = ['hub'];
+    const to = getDeviceConfig(device);
+    const changes = diffDeviceConfigs(from, to);
+    expect(changes.defaultRoute).toEqual({ from: '192.168.1.1', to: '192.168.1.2' });
+    expect(changes.dhcp.modified).toHaveLength(1);
+    expect(changes.dhcp.modified[0].to.rangeEnd).toEqual('10.0.0.200');
+    expect(changes.labels).toEqual({ added: ['hub'], removed: ['branch'] });
+  });
+});
+
+describe('prepareConfigRollback', () => {
+  it('Should fail when the device has pending changes', () => {
+    const config = getDeviceConfig(device);
+    device.staticroutes[1].status = 'waiting';
+    expect(prepareConfigRollback(device, config).err)
+      .toEqual('The device has pending configuration changes');
+  });
+
+  it('Should not change a device with the same configuration', () => {
+    const config = getDeviceConfig(device);
+    const rollback = prepareConfigRollback(device, config);
+    expect(rollback.err).toEqual('');
+    expect(rollback.interfacesChanged).toEqual(false);
+    expect(rollback.staticroutes).toEqual({ add: [], remove: [] });
+    expect(rollback.dhcp).toEqual({ add: [], remove: [], modify: [] });
+  });
+
+  it('Should restore the interfaces and keep the fields observed by the device', () => {
+    const config = getDeviceConfig(device);
+    device.interfaces[1].IPv4 = '10.0.0.2';
+    device.interfaces[0].IPv4 = '192.168.1.20';
+    const rollback = prepareConfigRollback(device, config);
+    expect(rollback.interfacesChanged).toEqual(true);
+    const [wan, lan] = rollback.deviceRequest.interfaces;
+    expect(lan.IPv4).toEqual('10.0.0.1');
+    expect(wan.IPv4).toEqual('192.168.1.20');
+    expect(wan.MAC).toEqual('08:00:27:00:00:01');
+    expect(wan.PublicIP).toEqual('1.2.3.4');
+  });
+
+  it('Should remove and re-create VLAN sub-interfaces', () => {
+    const vlan = {
+      _id: '5e65f6a27a4a2e4d8bd2b5a3',
+      name: 'eth1.10',
+      pciaddr: 'vlan.10.0000:00:08.00',
+      parentPciaddr: '0000:00:08.00',
+      vlanId: 10,
+      IPv4: '10.1.0.1',
+      IPv4Mask: '24',
+      addressMode: 'static',
+      isAssigned: true,
+      routing: 'NONE',
+      type: 'LAN',
+      pathlabels: []
+    };
+    const config = getDeviceConfig({ ...device, interfaces: [...device.interfaces, vlan] });
+    let rollback = prepareConfigRollback(device, config);
+    expect(rollback.deviceRequest.interfaces.map(ifc => ifc.name))
+      .toEqual(['eth0', 'eth1', 'eth1.10']);
+
+    device.interfaces.push(vlan);
+    rollback = prepareConfigRollback(device, getDeviceConfig({
+      ...device, interfaces: device.interfaces.slice(0, 2)
+    }));
+    expect(rollback.deviceRequest.interfaces.map(ifc => ifc.name)).toEqual(['eth0', 'eth1']);
+  });
+
+  it('Should return the static routes and DHCP configurations to change', () => {
+    const config = getDeviceConfig(device);
+    device.staticroutes[0].status = 'failed';
+    device.staticroutes[1].status = 'complete';
+    device.dhcp[0]._id = '5e65f6a27a4a2e4d8bd2b5d2';
+    device.dhcp[0].rangeEnd = '10.0.0.200';
+    const rollback = prepareConfigRollback(device, config);
+    expect(rollback.staticroutes.add).toEqual([{
+      destination: '10.10.0.0/16', gateway: '10.0.0.254', ifname: '', metric: ''
+    }]);
+    expect(rollback.staticroutes.remove.map(route => route.destination))
+      .toEqual(['10.20.0.0/16']);
+    expect(rollback.dhcp.modify).toHaveLength(1);
+    expect(rollback.dhcp.modify[0]._id).toEqual('5e65f6a27a4a2e4d8bd2b5d2');
+    expect(rollback.dhcp.modify[0].rangeEnd).toEqual('10.0.0.100');
+  });
+});
+
+describe('saveConfigSnapshot', () => {
+  const duplicateKeyError = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  // The last stored versions, returned by findOne
+  let lastVersions;
+
+  beforeEach(() => {
+    lastVersions = [];
+    jest.spyOn(devices, 'findOne').mockImplementation(() => ({
+      lean: () => Promise.resolve(device)
+    }));
+    jest.spyOn(deviceConfigHistory, 'findOne').mockImplementation(() => ({
+      sort: () => Promise.resolve(lastVersions.shift() || null)
+    }));
+    jest.spyOn(deviceConfigHistory, 'create').mockImplementation(doc => Promise.resolve(doc));
+    jest.spyOn(deviceConfigHistory, 'deleteMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('Should store the next version of a changed configuration', async () => {
+    lastVersions = [{ version: 3, config: {} }];
+    const snapshot = await saveConfigSnapshot(device._id, 'admin', 7);
+    expect(snapshot).toMatchObject({ device: device._id, version: 4, username: 'admin', jobId: 7 });
+    expect(deviceConfigHistory.deleteMany)
+      .toHaveBeenCalledWith({ device: device._id, version: { $lte: -96 } });
+  });
+
+  it('Should not store an unchanged configuration', async () => {
+    lastVersions = [{ version: 3, config: getDeviceConfig(device) }];
+    expect(await saveConfigSnapshot(device._id, 'admin')).toBe(null);
+    expect(deviceConfigHistory.create).not.toHaveBeenCalled();
+  });
+
+  it('Should retry with the next version when the version was stored concurrently', async () => {
+    lastVersions = [{ version: 3, config: {} }, { version: 4, config: {} }];
+    deviceConfigHistory.create.mockRejectedValueOnce(duplicateKeyError);
+    const snapshot = await saveConfigSnapshot(device._id, 'admin');
+    expect(deviceConfigHistory.create.mock.calls.map(([doc]) => doc.version)).toEqual([4, 5]);
+    expect(snapshot.version).toBe(5);
+  });
+
+  it('Should not store a configuration stored concurrently', async () => {
+    lastVersions = [{ version: 3, config: {} }, { version: 4, config: getDeviceConfig(device) }];
+    deviceConfigHistory.create.mockRejectedValueOnce(duplicateKeyError);
+    expect(await saveConfigSnapshot(device._id, 'admin')).toBe(null);
+    expect(deviceConfigHistory.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('Should fail after the maximal number of attempts', async () => {
+    deviceConfigHistory.create.mockRejectedValue(duplicateKeyError);
+    await expect(saveConfigSnapshot(device._id, 'admin')).rejects.toThrow('duplicate key');
+    expect(deviceConfigHistory.create).toHaveBeenCalledTimes(5);
+  });
+
+  it('Should not retry on other errors', async () => {
+    deviceConfigHistory.create.mockRejectedValue(new Error('write failed'));
+    await expect(saveConfigSnapshot(device._id, 'admin')).rejects.toThrow('write failed');
+    expect(deviceConfigHistory.create).toHaveBeenCalledTimes(1);
+  });
+});
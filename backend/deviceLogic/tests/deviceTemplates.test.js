@@ -0,0 +1,258 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const {
+  getTemplateVariables,
+  getDeviceVariables,
+  validateDeviceTemplate,
+  renderTemplate,
+  prepareTemplateConfig
+} = require('../deviceTemplates');
+
+let template;
+let device;
+
+beforeEach(() => {
+  template = {
+    name: 'branch',
+    version: 1,
+    interfaces: [{
+      name: 'eth0',
+      isAssigned: true,
+      type: 'LAN',
+      routing: 'OSPF',
+      IPv4: '{{lan_ip}}',
+      IPv4Mask: '24'
+    }],
+    staticroutes: [{
+      destination: '10.50.0.0/16',
+      gateway: '{{ lan_gateway }}',
+      ifname: '',
+      metric: ''
+    }],
+    dhcp: [{
+      interface: 'eth0',
+      mode: 'server',
+      rangeStart: '{{lan_dhcp_start}}',
+      rangeEnd: '{{lan_dhcp_end}}',
+      dns: ['8.8.8.8'],
+      relayServers: []
+    }]
+  };
+  device = {
+    name: 'branch-1',
+    hostname: 'branch1',
+    site: 'london',
+    interfaces: [{
+      name: 'eth0',
+      pciaddr: '0000:00:03.00',
+      IPv4: '192.168.1.1',
+      IPv4Mask: '24',
+      isAssigned: true,
+      type: 'LAN',
+      routing: 'NONE',
+      pathlabels: []
+    },
+    {
+      name: 'eth1',
+      pciaddr: '0000:00:08.00',
+      IPv4: '172.16.0.10',
+      IPv4Mask: '24',
+      isAssigned: true,
+      type: 'WAN',
+      routing: 'NONE',
+      pathlabels: []
+    }],
+    staticroutes: [],
+    dhcp: []
+  };
+});
+
+const variables = {
+  lan_ip: '192.168.20.1',
+  lan_gateway: '192.168.20.254',
+  lan_dhcp_start: '192.168.20.100',
+  lan_dhcp_end: '192.168.20.200'
+};
+
+describe('getTemplateVariables', () => {
+  it('Should return the sorted variable names', () => {
+    expect(getTemplateVariables(template))
+      .toEqual(['lan_dhcp_end', 'lan_dhcp_start', 'lan_gateway', 'lan_ip']);
+  });
+});
+
+describe('getDeviceVariables', () => {
+  it('Should return the built-in variables of the device', () => {
+    expect(getDeviceVariables(device))
+      .toEqual({ device_name: 'branch-1', hostname: 'branch1', site: 'london' });
+  });
+});
+
+describe('validateDeviceTemplate', () => {
+  it('Should be a valid template', () => {
+    expect(validateDeviceTemplate(template)).toEqual({ valid: true, err: '' });
+  });
+
+  it('Should be invalid if an interface is configured twice', () => {
+    template.interfaces.push({ name: 'eth0', type: 'WAN' });
+    expect(validateDeviceTemplate(template)).toEqual({
+      valid: false,
+      err: 'Interface eth0 is configured more than once'
+    });
+  });
+
+  it('Should be invalid if DHCP is configured twice on an interface', () => {
+    template.dhcp.push({ ...template.dhcp[0] });
+    expect(validateDeviceTemplate(template)).toEqual({
+      valid: false,
+      err: 'DHCP is configured more than once on interface eth0'
+    });
+  });
+
+  it('Should be invalid if a variable is malformed', () => {
+    template.interfaces[0].IPv4 = '{{lan-ip}}';
+    expect(validateDeviceTemplate(template)).toEqual({
+      valid: false,
+      err: 'Invalid template variable in {{lan-ip}}'
+    });
+  });
+});
+
+describe('renderTemplate', () => {
+  it('Should replace the variables', () => {
+    const { config, err } = renderTemplate(template, variables);
+    expect(err).toEqual('');
+    expect(config.interfaces[0].IPv4).toEqual('192.168.20.1');
+    expect(config.staticroutes[0].gateway).toEqual('192.168.20.254');
+    expect(config.dhcp[0]).toMatchObject({
+      rangeStart: '192.168.20.100',
+      rangeEnd: '192.168.20.200',
+      dns: ['8.8.8.8']
+    });
+  });
+
+  it('Should not change the template', () => {
+    renderTemplate(template, variables);
+    expect(template.interfaces[0].IPv4).toEqual('{{lan_ip}}');
+  });
+
+  it('Should fail if a variable is not set', () => {
+    const { lan_ip: lanIp, ...partial } = variables;
+    expect(renderTemplate(template, partial))
+      .toEqual({ config: null, err: 'Variable lan_ip is not set' });
+  });
+});
+
+describe('prepareTemplateConfig', () => {
+  it('Should merge the template with the device configuration', () => {
+    const { config, err } = prepareTemplateConfig(device, template, variables);
+    expect(err).toEqual('');
+    expect(config.interfacesChanged).toEqual(true);
+    expect(config.interfaces[0]).toMatchObject({
+      pciaddr: '0000:00:03.00',
+      IPv4: '192.168.20.1',
+      routing: 'OSPF'
+    });
+    expect(config.interfaces[1]).toEqual(device.interfaces[1]);
+    expect(config.staticroutes).toEqual([{
+      destination: '10.50.0.0/16',
+      gateway: '192.168.20.254',
+      ifname: '',
+      metric: ''
+    }]);
+    expect(config.dhcp.add).toEqual([{
+      interface: '0000:00:03.00',
+      mode: 'server',
+      rangeStart: '192.168.20.100',
+      rangeEnd: '192.168.20.200',
+      dns: ['8.8.8.8'],
+      relayServers: [],
+      macAssign: []
+    }]);
+    expect(config.dhcp.modify).toEqual([]);
+  });
+
+  it('Should not change the device interfaces', () => {
+    prepareTemplateConfig(device, template, variables);
+    expect(device.interfaces[0].IPv4).toEqual('192.168.1.1');
+  });
+
+  it('Should skip configuration that already exists on the device', () => {
+    device.interfaces[0] = { ...device.interfaces[0], IPv4: '192.168.20.1', routing: 'OSPF' };
+    device.staticroutes = [{ destination: '10.50.0.0/16', gateway: '192.168.20.254' }];
+    device.dhcp = [{
+      _id: 'dhcp1',
+      interface: '0000:00:03.00',
+      rangeStart: '192.168.20.100',
+      rangeEnd: '192.168.20.200',
+      dns: ['8.8.8.8'],
+      relayServers: []
+    }];
+    const { config } = prepareTemplateConfig(device, template, variables);
+    expect(config.interfacesChanged).toEqual(false);
+    expect(config.staticroutes).toEqual([]);
+    expect(config.dhcp).toEqual({ add: [], modify: [] });
+  });
+
+  it('Should modify an existing DHCP configuration', () => {
+    device.interfaces[0] = { ...device.interfaces[0], IPv4: '192.168.20.1', routing: 'OSPF' };
+    device.dhcp = [{
+      _id: 'dhcp1',
+      interface: '0000:00:03.00',
+      rangeStart: '192.168.20.10',
+      rangeEnd: '192.168.20.20',
+      dns: [],
+      macAssign: []
+    }];
+    const { config } = prepareTemplateConfig(device, template, variables);
+    expect(config.dhcp.modify).toMatchObject([{ _id: 'dhcp1', rangeStart: '192.168.20.100' }]);
+  });
+
+  it('Should fail if DHCP is defined on a modified interface', () => {
+    device.dhcp = [{ _id: 'dhcp1', interface: '0000:00:03.00' }];
+    expect(prepareTemplateConfig(device, template, variables)).toEqual({
+      config: null,
+      err: 'DHCP defined on interface eth0, please remove it before modifying this interface'
+    });
+  });
+
+  it('Should fail if an interface does not exist', () => {
+    template.interfaces[0].name = 'eth5';
+    expect(prepareTemplateConfig(device, template, variables))
+      .toEqual({ config: null, err: 'Interface eth5 not found' });
+  });
+
+  it('Should fail if the rendered device is invalid', () => {
+    const { config, err } = prepareTemplateConfig(
+      device, template, { ...variables, lan_ip: '172.16.0.1' });
+    expect(config).toEqual(null);
+    expect(err).toEqual('WAN and LAN IP addresses have an overlap');
+  });
+
+  it('Should fail if a rendered static route is invalid', () => {
+    const { err } = prepareTemplateConfig(
+      device, template, { ...variables, lan_gateway: 'fd00::1' });
+    expect(err).toEqual('Gateway fd00::1 must be an IPv4 address');
+  });
+
+  it('Should fail if a rendered DHCP range is outside the interface subnet', () => {
+    const { err } = prepareTemplateConfig(
+      device, template, { ...variables, lan_dhcp_end: '192.168.30.200' });
+    expect(err).toEqual('DHCP range must be inside the subnet of interface eth0');
+  });
+});
@@ -0,0 +1,134 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Module for the device token renewal Unit Test. The device
+// connections are replaced by a test double.
+jest.mock('../../websocket/Connections', () => {
+  const connections = {
+    deviceSendMessage: jest.fn(),
+    registerConnectCallback: jest.fn()
+  };
+  return () => connections;
+});
+
+const { devices } = require('../../models/devices');
+const revokedDeviceTokens = require('../../models/revokedDeviceTokens');
+const connections = require('../../websocket/Connections')();
+const { genDeviceToken, getDeviceTokenHash } = require('../../utils/deviceTokens');
+const { renewDeviceToken } = require('../deviceTokens');
+
+// A token that never expires is always renewed
+const oldToken = genDeviceToken({ machine_id: 'machine-1', machine_name: 'host1' }, false);
+const device = {
+  _id: '5e65f6a27a4a2e4d8bd2b5a1',
+  org: '5e65f6a27a4a2e4d8bd2b5d1',
+  machineId: 'machine-1',
+  hostname: 'host1',
+  deviceToken: oldToken,
+  versions: { agent: '2.0.0' }
+};
+
+// Gets the token sent to the device in the renewal message
+const getSentToken = () => connections.deviceSendMessage.mock.calls[0][2].params.token;
+
+beforeEach(() => {
+  jest.spyOn(devices, 'findOne').mockReturnValue({ lean: () => Promise.resolve(device) });
+  jest.spyOn(devices, 'updateOne').mockResolvedValue({ nModified: 1 });
+  jest.spyOn(revokedDeviceTokens, 'updateOne').mockResolvedValue({});
+  connections.deviceSendMessage.mockResolvedValue({ ok: 1 });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('renewDeviceToken', () => {
+  it('Should save the new token as pending before sending it to the device', async () => {
+    connections.deviceSendMessage.mockImplementation(async () => {
+      expect(devices.updateOne).toHaveBeenCalledTimes(1);
+      return { ok: 1 };
+    });
+    expect(await renewDeviceToken('machine-1')).toBe(true);
+
+    const token = getSentToken();
+    expect(token).not.toBe(oldToken);
+    expect(devices.updateOne.mock.calls).toEqual([
+      [
+        { _id: device._id, deviceToken: oldToken },
+        { $set: { pendingDeviceToken: token } }
+      ],
+      [
+        { _id: device._id, deviceToken: oldToken, pendingDeviceToken: token },
+        { $set: { deviceToken: token, pendingDeviceToken: '' } }
+      ]
+    ]);
+    expect(revokedDeviceTokens.updateOne).toHaveBeenCalledTimes(1);
+    expect(revokedDeviceTokens.updateOne.mock.calls[0][0])
+      .toEqual({ tokenHash: getDeviceTokenHash(oldToken) });
+  });
+
+  it('Should not send the token if saving it failed', async () => {
+    devices.updateOne.mockRejectedValue(new Error('write failed'));
+    await expect(renewDeviceToken('machine-1')).rejects.toThrow('write failed');
+    expect(connections.deviceSendMessage).not.toHaveBeenCalled();
+    expect(revokedDeviceTokens.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('Should not send the token if the current token was changed', async () => {
+    devices.updateOne.mockResolvedValue({ nModified: 0 });
+    expect(await renewDeviceToken('machine-1')).toBe(false);
+    expect(connections.deviceSendMessage).not.toHaveBeenCalled();
+  });
+
+  it('Should drop the pending token if the device rejected it', async () => {
+    connections.deviceSendMessage.mockResolvedValue({ ok: 0, message: 'failed to save' });
+    await expect(renewDeviceToken('machine-1')).rejects.toThrow('device reply: failed to save');
+    expect(devices.updateOne).toHaveBeenLastCalledWith(
+      { _id: device._id, pendingDeviceToken: getSentToken() },
+      { $set: { pendingDeviceToken: '' } }
+    );
+    expect(revokedDeviceTokens.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('Should keep the pending token if the device did not reply', async () => {
+    connections.deviceSendMessage.mockRejectedValue(new Error('timeout'));
+    await expect(renewDeviceToken('machine-1')).rejects.toThrow('timeout');
+    expect(devices.updateOne).toHaveBeenCalledTimes(1);
+    expect(revokedDeviceTokens.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('Should not revoke the old token if the pending token was already confirmed', async () => {
+    devices.updateOne
+      .mockResolvedValueOnce({ nModified: 1 })
+      .mockResolvedValueOnce({ nModified: 0 });
+    expect(await renewDeviceToken('machine-1')).toBe(false);
+    expect(revokedDeviceTokens.updateOne).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['an agent that does not support renewal', { versions: { agent: '1.3.0' } }],
+    ['a token that does not need renewal', {
+      deviceToken: genDeviceToken({ machine_id: 'machine-1', machine_name: 'host1' })
+    }]
+  ])('Should not renew the token of %s', async (name, overrides) => {
+    devices.findOne.mockReturnValue({ lean: () => Promise.resolve({ ...device, ...overrides }) });
+    expect(await renewDeviceToken('machine-1')).toBe(false);
+    expect(devices.updateOne).not.toHaveBeenCalled();
+    expect(connections.deviceSendMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Module for the dispatcher dry run Unit Test. The jobs queue, the device
+// connections and status and the notifications are replaced by test doubles.
+jest.mock('../../utils/deviceQueue', () => {
+  const queue = { addJob: jest.fn(), registerJobRemoveCallback: jest.fn() };
+  return () => queue;
+});
+jest.mock('../../websocket/Connections', () => {
+  const connections = {
+    isConnected: jest.fn(),
+    deviceSendMessage: jest.fn(),
+    registerConnectCallback: jest.fn()
+  };
+  return () => connections;
+});
+jest.mock('../../periodic/deviceStatus', () => {
+  const deviceStatus = {
+    getDeviceStatus: jest.fn(),
+    getTunnelStatus: jest.fn(),
+    registerAddressChangeCallback: jest.fn()
+  };
+  return () => deviceStatus;
+});
+jest.mock('../../notifications/notifications', () => {
+  const notificationsMgr = { sendNotifications: jest.fn() };
+  return () => notificationsMgr;
+});
+
+const dispatcher = require('../dispatcher');
+
+describe('dryRun', () => {
+  it('Should support dry run for the commands with a dry run method', () => {
+    expect(dispatcher.dryRunMethods)
+      .toEqual(['modify', 'tunnels', 'deltunnels', 'qos', 'upgrade']);
+  });
+
+  it.each(['staticroutes', 'dhcp', 'start'])(
+    'Should reject a dry run of the %s command with 400',
+    async (method) => {
+      const err = await dispatcher.dryRun([], method, {}).catch(err => err);
+      expect(err.status).toBe(400);
+      expect(err.message).toBe(`Dry run is not supported for the ${method} command, ` +
+        'supported commands: modify, tunnels, deltunnels, qos, upgrade');
+    }
+  );
+
+  it('Should reject a dry run of an unknown command', async () => {
+    await expect(dispatcher.dryRun([], 'unknown', {})).rejects.toThrow('Apply method not found');
+  });
+});
@@ -0,0 +1,126 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const {
+  createDryRunResult,
+  addDryRunJob,
+  addDryRunTunnel,
+  addDryRunError,
+  mergeDryRunResults
+} = require('../dryRun');
+
+describe('Dry run result', () => {
+  let result;
+  const deviceA = { _id: '5e65f6a27a4a2e4d8bd2b5a1', name: 'branchA', hostname: 'hostA' };
+  const deviceB = { _id: '5e65f6a27a4a2e4d8bd2b5a2', name: 'branchB', hostname: 'hostB' };
+  const task = { entity: 'agent', message: 'modify-device', params: {} };
+
+  beforeEach(() => {
+    result = createDryRunResult();
+  });
+
+  it('Should create an empty result', () => {
+    expect(result).toEqual({
+      devices: [],
+      tunnels: { added: [], removed: [], rebuilt: [] },
+      errors: []
+    });
+  });
+
+  it('Should group the jobs by device, in order', () => {
+    addDryRunJob(result, deviceA, 'first', [task]);
+    addDryRunJob(result, deviceB, 'second', [task]);
+    addDryRunJob(result, deviceA, 'third', [task]);
+    expect(result.devices).toEqual([
+      {
+        _id: deviceA._id,
+        name: 'branchA',
+        jobs: [{ title: 'first', tasks: [task] }, { title: 'third', tasks: [task] }]
+      },
+      { _id: deviceB._id, name: 'branchB', jobs: [{ title: 'second', tasks: [task] }] }
+    ]);
+  });
+
+  it('Should use the host name of devices without a name', () => {
+    addDryRunJob(result, { _id: deviceA._id, hostname: 'hostA' }, 'first', [task]);
+    expect(result.devices[0].name).toEqual('hostA');
+  });
+
+  it('Should add tunnels by type', () => {
+    addDryRunTunnel(result, 'rebuilt', 5, deviceA, deviceB,
+      { name: 'eth0' }, { name: 'eth1' }, null);
+    expect(result.tunnels.rebuilt).toEqual([{
+      num: 5,
+      deviceA: { _id: deviceA._id, name: 'branchA', interface: 'eth0' },
+      deviceB: { _id: deviceB._id, name: 'branchB', interface: 'eth1' },
+      pathlabel: null
+    }]);
+    expect(result.tunnels.added).toEqual([]);
+    expect(result.tunnels.removed).toEqual([]);
+  });
+
+  it('Should add errors with and without a device', () => {
+    addDryRunError(result, deviceA, 'Invalid IP address');
+    addDryRunError(result, null, 'Tunnel ID not found');
+    expect(result.errors).toEqual([
+      { device: deviceA._id, error: 'Invalid IP address' },
+      { device: null, error: 'Tunnel ID not found' }
+    ]);
+  });
+
+  it('Should merge results', () => {
+    const other = createDryRunResult();
+    addDryRunJob(result, deviceA, 'first', [task]);
+    addDryRunJob(other, deviceA, 'second', [task]);
+    addDryRunJob(other, deviceB, 'third', [task]);
+    addDryRunTunnel(other, 'removed', 3, deviceA, deviceB,
+      { name: 'eth0' }, { name: 'eth1' }, 'label');
+    addDryRunError(other, deviceB, 'error');
+
+    expect(mergeDryRunResults(result, other)).toBe(result);
+    expect(result.devices.map(dev => dev.jobs.map(job => job.title)))
+      .toEqual([['first', 'second'], ['third']]);
+    expect(result.tunnels.removed.length).toEqual(1);
+    expect(result.tunnels.removed[0].pathlabel).toEqual('label');
+    expect(result.errors).toEqual([{ device: deviceB._id, error: 'error' }]);
+  });
+
+  it('Should redact the IPsec keys and SPIs of the tasks', () => {
+    const sa = {
+      spi: 1020, 'crypto-alg': 'aes-cbc-128', 'crypto-key': 'key1', 'integr-key': 'key2'
+    };
+    const tunnelTask = {
+      entity: 'agent',
+      message: 'add-tunnel',
+      params: { src: '10.0.0.1', ipsec: { 'local-sa': sa, 'remote-sa': sa } }
+    };
+    addDryRunJob(result, deviceA, 'tunnel', [tunnelTask]);
+    const redactedSa = {
+      spi: '<redacted>',
+      'crypto-alg': 'aes-cbc-128',
+      'crypto-key': '<redacted>',
+      'integr-key': '<redacted>'
+    };
+    expect(result.devices[0].jobs[0].tasks).toEqual([{
+      entity: 'agent',
+      message: 'add-tunnel',
+      params: { src: '10.0.0.1', ipsec: { 'local-sa': redactedSa, 'remote-sa': redactedSa } }
+    }]);
+    // The tasks are not changed
+    expect(sa.spi).toEqual(1020);
+  });
+});
@@ -0,0 +1,103 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Module for the firewall policy logic Unit Test. The jobs queue is replaced by a test double.
+jest.mock('../../utils/deviceQueue', () => {
+  const queue = { addJob: jest.fn() };
+  return () => queue;
+});
+
+const { devices } = require('../../models/devices');
+const { orgFirewallRules } = require('../../models/firewallRules');
+const deviceQueues = require('../../utils/deviceQueue')();
+const firewall = require('../firewall');
+
+const getRule = (num, status) => ({
+  _id: `5e65f6a27a4a2e4d8bd2b5c${num}`,
+  direction: 'inbound',
+  source: 'any',
+  destination: `10.0.${num}.0/24`,
+  protocol: 'tcp',
+  ports: '22',
+  action: 'deny',
+  status: status
+});
+
+const device = {
+  _id: '5e65f6a27a4a2e4d8bd2b5a1',
+  org: '5e65f6a27a4a2e4d8bd2b5d1',
+  machineId: 'machine-1',
+  hostname: 'host1',
+  versions: { agent: '2.0.0' },
+  firewall: [
+    getRule(1, 'complete'),
+    getRule(2, 'add-wait'),
+    getRule(3, 'add-failed'),
+    getRule(4, 'remove-wait'),
+    getRule(5, 'remove-failed')
+  ]
+};
+
+beforeEach(() => {
+  jest.spyOn(orgFirewallRules, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+  deviceQueues.addJob.mockResolvedValue({ id: 1 });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('apply', () => {
+  it('Should not send the rules that are removed or failed to be removed', async () => {
+    await firewall.apply(device, { username: 'user' });
+
+    const [[, , , data, response]] = deviceQueues.addJob.mock.calls;
+    expect(data.tasks[0].params.inbound.map(rule => rule.id))
+      .toEqual([getRule(1)._id, getRule(2)._id, getRule(3)._id]);
+    expect(response.data).toEqual({
+      deviceId: device._id,
+      addedIds: [getRule(2)._id],
+      removedIds: [getRule(4)._id, getRule(5)._id]
+    });
+  });
+
+  it('Should remove the firewall policy when all the rules are removed', async () => {
+    const removedDevice = { ...device, firewall: [getRule(5, 'remove-failed')] };
+    await firewall.apply(removedDevice, { username: 'user' });
+
+    const [[, , , data]] = deviceQueues.addJob.mock.calls;
+    expect(data.tasks)
+      .toEqual([{ entity: 'agent', message: 'remove-firewall-policy', params: {} }]);
+  });
+});
+
+describe('complete', () => {
+  it('Should delete the removed rules, including the rules that failed to be removed', async () => {
+    jest.spyOn(devices, 'updateOne').mockResolvedValue({ nModified: 1 });
+    await firewall.complete(1, {
+      deviceId: device._id,
+      addedIds: [],
+      removedIds: [getRule(4)._id, getRule(5)._id]
+    });
+
+    expect(devices.updateOne).toHaveBeenCalledTimes(1);
+    const [[, update]] = devices.updateOne.mock.calls;
+    expect(update.$pull.firewall.status).toEqual({ $in: ['remove-wait', 'remove-failed'] });
+    expect(update.$pull.firewall._id.$in.map(String)).toEqual([getRule(4)._id, getRule(5)._id]);
+  });
+});
@@ -0,0 +1,271 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const {
+  getDeviceIpamEntries,
+  validateLanSubnets,
+  getFreeSubnets,
+  allocateLanSubnet,
+  allocateLanSubnets
+} = require('../ipam');
+
+describe('getDeviceIpamEntries', () => {
+  let device;
+
+  beforeEach(() => {
+    device = {
+      _id: '5e65f6a27a4a2e4d8bd2b5a1',
+      name: 'branchA',
+      interfaces: [{
+        name: 'eth0',
+        pciaddr: '0000:00:03.00',
+        IPv4: '192.168.1.1',
+        IPv4Mask: '24',
+        IPv6: 'fe80::1',
+        IPv6Mask: '64',
+        isAssigned: true,
+        type: 'LAN'
+      },
+      {
+        name: 'eth1',
+        pciaddr: '0000:00:08.00',
+        IPv4: '172.16.0.10',
+        IPv4Mask: '24',
+        isAssigned: true,
+        type: 'WAN'
+      },
+      {
+        name: 'eth2',
+        pciaddr: '0000:00:09.00',
+        IPv4: '192.168.2.1',
+        IPv4Mask: '24',
+        isAssigned: false,
+        type: 'LAN'
+      }],
+      dhcp: [{
+        interface: '0000:00:03.00',
+        rangeStart: '192.168.1.100',
+        rangeEnd: '192.168.1.200'
+      }],
+      staticroutes: [{
+        destination: '10.50.0.0/16',
+        gateway: '192.168.1.254'
+      },
+      {
+        destination: '0.0.0.0/0',
+        gateway: '172.16.0.1'
+      }]
+    };
+  });
+
+  it('Should index LAN subnets, DHCP ranges and static routes', () => {
+    const owner = { device: '5e65f6a27a4a2e4d8bd2b5a1', deviceName: 'branchA' };
+    expect(getDeviceIpamEntries(device)).toEqual([
+      { type: 'lan', subnet: '192.168.1.0/24', interface: 'eth0', ...owner },
+      {
+        type: 'dhcp',
+        subnet: '192.168.1.0/24',
+        rangeStart: '192.168.1.100',
+        rangeEnd: '192.168.1.200',
+        interface: 'eth0',
+        ...owner
+      },
+      { type: 'route', subnet: '10.50.0.0/16', gateway: '192.168.1.254', interface: '', ...owner }
+    ]);
+  });
+
+  it('Should index IPv6 LAN subnets', () => {
+    device.interfaces[0].IPv6 = '2001:db8::1';
+    const subnets = getDeviceIpamEntries(device).map(entry => entry.subnet);
+    expect(subnets).toContain('2001:db8::/64');
+  });
+
+  it('Should not index DHCP relays', () => {
+    device.dhcp[0] = { interface: '0000:00:03.00', mode: 'relay', relayServers: ['10.0.0.5'] };
+    const types = getDeviceIpamEntries(device).map(entry => entry.type);
+    expect(types).not.toContain('dhcp');
+  });
+
+  it('Should not index LAN interfaces with learned addresses', () => {
+    device.interfaces[0].addressMode = 'dhcp';
+    const types = getDeviceIpamEntries(device).map(entry => entry.type);
+    expect(types).toEqual(['route']);
+  });
+});
+
+describe('validateLanSubnets', () => {
+  let interfaces;
+  const entries = [
+    { type: 'overlay', subnet: '10.100.0.0/16' },
+    { type: 'lan', subnet: '192.168.10.0/24', deviceName: 'branchB' },
+    { type: 'route', subnet: '10.50.0.0/16', deviceName: 'branchC' },
+    {
+      type: 'dhcp',
+      subnet: '192.168.10.0/24',
+      rangeStart: '192.168.10.100',
+      rangeEnd: '192.168.10.200',
+      deviceName: 'branchB'
+    }
+  ];
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+
+  beforeEach(() => {
+    interfaces = [{
+      name: 'eth0',
+      IPv4: '192.168.1.1',
+      IPv4Mask: '24',
+      isAssigned: true,
+      type: 'LAN'
+    },
+    {
+      name: 'eth1',
+      IPv4: '192.168.10.10',
+      IPv4Mask: '24',
+      isAssigned: true,
+      type: 'WAN'
+    }];
+  });
+
+  it('Should be valid if LAN subnets are not used', () => {
+    expect(validateLanSubnets(interfaces, [], entries)).toMatchObject(successObject);
+  });
+
+  it('Should be invalid if a LAN subnet overlaps a LAN subnet of another device', () => {
+    interfaces[0].IPv4 = '192.168.10.1';
+    expect(validateLanSubnets(interfaces, [], entries)).toMatchObject({
+      valid: false,
+      err: 'LAN subnet 192.168.10.0/24 of interface eth0 overlaps the LAN subnet of device branchB'
+    });
+  });
+
+  it('Should be invalid if a LAN subnet overlaps a static route of another device', () => {
+    interfaces[0].IPv4 = '10.50.1.1';
+    expect(validateLanSubnets(interfaces, [], entries)).toMatchObject({
+      valid: false,
+      err: 'LAN subnet 10.50.1.0/24 of interface eth0 overlaps a static route of device branchC'
+    });
+  });
+
+  it('Should be invalid if a LAN subnet overlaps the overlay pool', () => {
+    interfaces[0].IPv4 = '10.100.5.1';
+    expect(validateLanSubnets(interfaces, [], entries)).toMatchObject({
+      valid: false,
+      err: 'LAN subnet 10.100.5.0/24 of interface eth0 overlaps the tunnels overlay pool'
+    });
+  });
+
+  it('Should be valid if a conflicting LAN subnet was not changed', () => {
+    interfaces[0].IPv4 = '192.168.10.1';
+    const origInterfaces = [{ ...interfaces[0], IPv4: '192.168.10.254' }];
+    expect(validateLanSubnets(interfaces, origInterfaces, entries))
+      .toMatchObject(successObject);
+  });
+});
+
+describe('getFreeSubnets', () => {
+  it('Should return the pool if nothing is used', () => {
+    expect(getFreeSubnets('10.200.0.0/16', [])).toEqual(['10.200.0.0/16']);
+  });
+
+  it('Should return the free subnets sorted by address', () => {
+    const entries = [
+      { type: 'lan', subnet: '10.200.0.0/24' },
+      { type: 'route', subnet: '10.200.128.0/17' },
+      { type: 'lan', subnet: '2001:db8::/64' }
+    ];
+    expect(getFreeSubnets('10.200.0.0/16', entries)).toEqual([
+      '10.200.1.0/24',
+      '10.200.2.0/23',
+      '10.200.4.0/22',
+      '10.200.8.0/21',
+      '10.200.16.0/20',
+      '10.200.32.0/19',
+      '10.200.64.0/18'
+    ]);
+  });
+
+  it('Should return no subnets if there is no pool', () => {
+    expect(getFreeSubnets('', [])).toEqual([]);
+  });
+});
+
+describe('allocateLanSubnet', () => {
+  it('Should allocate the first free /24 subnet', () => {
+    const entries = [
+      { type: 'lan', subnet: '10.200.0.0/24' },
+      { type: 'lan', subnet: '10.200.1.0/25' }
+    ];
+    expect(allocateLanSubnet('10.200.0.0/16', entries)).toEqual('10.200.2.0/24');
+  });
+
+  it('Should return null if the pool is exhausted', () => {
+    const entries = [{ type: 'lan', subnet: '10.200.0.0/25' }];
+    expect(allocateLanSubnet('10.200.0.0/24', entries)).toEqual(null);
+  });
+});
+
+describe('allocateLanSubnets', () => {
+  let interfaces;
+  const entries = [{ type: 'lan', subnet: '192.168.1.0/24', deviceName: 'branchB' }];
+
+  beforeEach(() => {
+    interfaces = [{
+      name: 'eth0',
+      IPv4: '192.168.1.1',
+      IPv4Mask: '24',
+      isAssigned: true,
+      type: 'LAN'
+    },
+    {
+      name: 'eth1',
+      IPv4: '192.168.0.10',
+      IPv4Mask: '24',
+      isAssigned: true,
+      type: 'WAN'
+    }];
+  });
+
+  it('Should allocate a subnet to a conflicting LAN interface', () => {
+    const result = allocateLanSubnets(interfaces, '192.168.0.0/16', entries);
+    expect(result).toEqual({
+      allocated: [{ interface: 'eth0', subnet: '192.168.2.0/24' }],
+      err: ''
+    });
+    expect(interfaces[0]).toMatchObject({ IPv4: '192.168.2.1', IPv4Mask: '24' });
+  });
+
+  it('Should allocate a subnet to a LAN interface outside the pool', () => {
+    interfaces[0].IPv4 = '172.16.1.1';
+    allocateLanSubnets(interfaces, '10.200.0.0/16', entries);
+    expect(interfaces[0]).toMatchObject({ IPv4: '10.200.0.1', IPv4Mask: '24' });
+  });
+
+  it('Should keep a free LAN subnet inside the pool', () => {
+    interfaces[0].IPv4 = '192.168.5.1';
+    const result = allocateLanSubnets(interfaces, '192.168.0.0/16', entries);
+    expect(result.allocated).toEqual([]);
+    expect(interfaces[0]).toMatchObject({ IPv4: '192.168.5.1', IPv4Mask: '24' });
+  });
+
+  it('Should fail if the pool is exhausted', () => {
+    const result = allocateLanSubnets(interfaces, '192.168.1.0/24', entries);
+    expect(result.err).toEqual('No free LAN subnets left in the LAN pool 192.168.1.0/24');
+  });
+});
@@ -0,0 +1,115 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Module for the modify device dry run Unit Test. The jobs queue, the device
+// connections and status and the notifications are replaced by test doubles.
+jest.mock('../../utils/deviceQueue', () => {
+  const queue = { addJob: jest.fn(), registerJobRemoveCallback: jest.fn() };
+  return () => queue;
+});
+jest.mock('../../websocket/Connections', () => {
+  const connections = {
+    isConnected: jest.fn(),
+    deviceSendMessage: jest.fn(),
+    registerConnectCallback: jest.fn()
+  };
+  return () => connections;
+});
+jest.mock('../../periodic/deviceStatus', () => {
+  const deviceStatus = {
+    getDeviceStatus: jest.fn(),
+    getTunnelStatus: jest.fn(),
+    registerAddressChangeCallback: jest.fn()
+  };
+  return () => deviceStatus;
+});
+jest.mock('../../notifications/notifications', () => {
+  const notificationsMgr = { sendNotifications: jest.fn() };
+  return () => notificationsMgr;
+});
+
+const tunnelsModel = require('../../models/tunnels');
+const modifyDevice = require('../modifyDevice');
+
+const getDevice = (wanOverrides = {}) => ({
+  _id: '5e65f6a27a4a2e4d8bd2b5a1',
+  machineId: 'machine-1',
+  hostname: 'host1',
+  defaultRoute: '192.168.10.254',
+  versions: { agent: '2.0.0', router: '2.0.0' },
+  interfaces: [{
+    _id: '5e65f6a27a4a2e4d8bd2b5b1',
+    name: 'eth0',
+    pciaddr: '0000:00:03.00',
+    IPv4: '192.168.10.1',
+    IPv4Mask: '24',
+    addressMode: 'static',
+    PublicIP: '203.0.113.1',
+    routing: 'NONE',
+    type: 'WAN',
+    isAssigned: true,
+    pathlabels: [],
+    ...wanOverrides
+  }, {
+    _id: '5e65f6a27a4a2e4d8bd2b5b2',
+    name: 'eth1',
+    pciaddr: '0000:00:08.00',
+    IPv4: '10.0.0.1',
+    IPv4Mask: '24',
+    addressMode: 'static',
+    routing: 'OSPF',
+    type: 'LAN',
+    isAssigned: true,
+    pathlabels: []
+  }],
+  staticroutes: [],
+  dhcp: []
+});
+
+beforeEach(() => {
+  const query = { populate: () => query, then: (resolve) => resolve([]) };
+  jest.spyOn(tunnelsModel, 'find').mockReturnValue(query);
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('dryRun', () => {
+  it('Should redact the PPPoE password of the modified interfaces', async () => {
+    const device = getDevice();
+    const newDevice = getDevice({
+      IPv4: '',
+      IPv4Mask: '',
+      addressMode: 'pppoe',
+      pppoe: { username: 'user1', password: 'secret' }
+    });
+    const result = await modifyDevice.dryRun([device], {}, { newDevice });
+
+    expect(result.errors).toEqual([]);
+    expect(result.devices).toHaveLength(1);
+    const [{ tasks }] = result.devices[0].jobs;
+    const [ifc] = tasks[0].params.modify_interfaces.interfaces;
+    expect(ifc.addressing).toEqual({
+      mode: 'pppoe',
+      username: 'user1',
+      password: '<redacted>'
+    });
+    expect(JSON.stringify(result)).not.toMatch(/secret/);
+  });
+});
@@ -0,0 +1,326 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Module for the public addresses logic Unit Test. The jobs queue, the device
+// connections and status, the notifications and the tunnel reconnection are
+// replaced by test doubles.
+jest.mock('../../utils/deviceQueue', () => {
+  const queue = { addJob: jest.fn() };
+  return () => queue;
+});
+jest.mock('../../websocket/Connections', () => {
+  const connections = {
+    isConnected: jest.fn(),
+    getDeviceInfo: jest.fn(),
+    registerConnectCallback: jest.fn()
+  };
+  return () => connections;
+});
+jest.mock('../../periodic/deviceStatus', () => {
+  const deviceStatus = { getDeviceStatus: jest.fn(), getTunnelStatus: jest.fn() };
+  return () => deviceStatus;
+});
+jest.mock('../../notifications/notifications', () => {
+  const notificationsMgr = { sendNotifications: jest.fn() };
+  return () => notificationsMgr;
+});
+jest.mock('../tunnels', () => ({
+  ...jest.requireActual('../tunnels'),
+  reconnectTunnel: jest.fn()
+}));
+
+const tunnelsModel = require('../../models/tunnels');
+const { devices } = require('../../models/devices');
+const deviceQueues = require('../../utils/deviceQueue')();
+const connections = require('../../websocket/Connections')();
+const notificationsMgr = require('../../notifications/notifications')();
+const { reconnectTunnel } = require('../tunnels');
+const publicAddress = require('../publicAddress');
+
+const org = '5e65f6a27a4a2e4d8bd2b5d1';
+
+const getInterface = (id, num, overrides = {}) => ({
+  _id: `5e65f6a27a4a2e4d8bd2b5b${id}${num}`,
+  name: `eth${num}`,
+  type: 'WAN',
+  isAssigned: true,
+  pciaddr: `0000:00:0${num}.00`,
+  IPv4: `192.168.${id}${num}.1`,
+  IPv4Mask: '24',
+  PublicIP: `203.0.113.${id}${num}`,
+  PublicPort: '',
+  ...overrides
+});
+
+const getDevice = (id, interfaces = [getInterface(id, 0)], overrides = {}) => ({
+  _id: `5e65f6a27a4a2e4d8bd2b5a${id}`,
+  org: org,
+  machineId: `machine-${id}`,
+  hostname: `host${id}`,
+  versions: { agent: '2.0.0', router: '2.0.0' },
+  interfaces: interfaces,
+  ...overrides
+});
+
+const getTunnel = (num, deviceA, deviceB) => ({
+  org: org,
+  num: num,
+  isActive: true,
+  deviceA: deviceA,
+  deviceB: deviceB,
+  interfaceA: deviceA.interfaces[0]._id,
+  interfaceB: deviceB.interfaces[0]._id
+});
+
+// A mongoose query that resolves to the result, when awaited
+const mockQuery = (result) => {
+  const query = {
+    populate: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('getMgmtInterface', () => {
+  it('Should return the only WAN interface', () => {
+    const device = getDevice(1, [getInterface(1, 0), getInterface(1, 1, { type: 'LAN' })]);
+    expect(publicAddress.getMgmtInterface(device)).toBe(device.interfaces[0]);
+  });
+
+  it('Should return the WAN interface of the default route', () => {
+    const device = getDevice(1, [getInterface(1, 0), getInterface(1, 1)],
+      { defaultRoute: '192.168.11.254' });
+    expect(publicAddress.getMgmtInterface(device)).toBe(device.interfaces[1]);
+  });
+
+  it.each([
+    ['no WAN interfaces', [getInterface(1, 0, { type: 'LAN' })], '192.168.10.254'],
+    ['no assigned WAN interfaces', [getInterface(1, 0, { isAssigned: false })], ''],
+    ['several WAN interfaces and no default route', [getInterface(1, 0), getInterface(1, 1)], ''],
+    ['a default route out of the WAN subnets', [getInterface(1, 0), getInterface(1, 1)],
+      '10.0.0.1']
+  ])('Should not find a management interface for a device with %s', (name, ifcs, route) => {
+    const device = getDevice(1, ifcs, { defaultRoute: route });
+    expect(publicAddress.getMgmtInterface(device)).toBe(undefined);
+  });
+});
+
+describe('getPublicAddresses', () => {
+  it('Should use the source address for the management interface', () => {
+    const device = getDevice(1, [getInterface(1, 0, { PublicPort: '4500' })]);
+    const addresses = publicAddress.getPublicAddresses(device, '198.51.100.1', null);
+    expect([...addresses])
+      .toEqual([[device.interfaces[0]._id, { ip: '198.51.100.1', port: '4500' }]]);
+  });
+
+  it('Should prefer the addresses reported by the device', () => {
+    const device = getDevice(1, [getInterface(1, 0), getInterface(1, 1)],
+      { defaultRoute: '192.168.10.254' });
+    const network = {
+      interfaces: [
+        { pci: '0000:00:00.00', public_ip: '198.51.100.2', public_port: 34567 },
+        { pci: '0000:00:01.00', public_ip: '198.51.100.3', public_port: 'invalid' },
+        { pci: '0000:00:09.00', public_ip: '198.51.100.4' },
+        { pci: '0000:00:00.00', public_ip: 'invalid' }
+      ]
+    };
+    const addresses = publicAddress.getPublicAddresses(device, '198.51.100.1', network);
+    expect([...addresses]).toEqual([
+      [device.interfaces[0]._id, { ip: '198.51.100.2', port: '34567' }],
+      [device.interfaces[1]._id, { ip: '198.51.100.3', port: '' }]
+    ]);
+  });
+
+  it('Should not return addresses for a device with no management interface', () => {
+    const device = getDevice(1, [getInterface(1, 0), getInterface(1, 1)]);
+    const addresses = publicAddress.getPublicAddresses(device, '198.51.100.1', {});
+    expect(addresses.size).toBe(0);
+  });
+});
+
+describe('prepareTunnelModifyJob', () => {
+  it('Should point each device to the public address of its peer', () => {
+    const ifcA = getInterface(1, 0);
+    const ifcB = getInterface(2, 0, { PublicIP: '192.168.20.1' });
+    const [tasksA, tasksB] = publicAddress.prepareTunnelModifyJob(5, ifcA, ifcB);
+    expect(tasksA).toEqual([{
+      entity: 'agent',
+      message: 'modify-tunnel',
+      params: {
+        'tunnel-id': 5,
+        src: '192.168.10.1',
+        dst: '192.168.20.1',
+        'udp-encap': { 'src-port': 4500, 'dst-port': 4500 }
+      }
+    }]);
+    expect(tasksB[0].params)
+      .toMatchObject({ 'tunnel-id': 5, src: '192.168.20.1', dst: '203.0.113.10' });
+  });
+
+  it('Should send to the observed public port of the peer', () => {
+    const ifcA = getInterface(1, 0, { PublicPort: '34567' });
+    const ifcB = getInterface(2, 0, { PublicIP: '192.168.20.1' });
+    const [tasksA, tasksB] = publicAddress.prepareTunnelModifyJob(5, ifcA, ifcB);
+    expect(tasksA[0].params['udp-encap']).toEqual({ 'src-port': 4500, 'dst-port': 4500 });
+    expect(tasksB[0].params['udp-encap']).toEqual({ 'src-port': 4500, 'dst-port': 34567 });
+  });
+
+  it('Should not encapsulate tunnels between interfaces not behind NAT', () => {
+    const ifcA = getInterface(1, 0, { PublicIP: '192.168.10.1' });
+    const ifcB = getInterface(2, 0, { PublicIP: '192.168.20.1' });
+    const [tasksA] = publicAddress.prepareTunnelModifyJob(5, ifcA, ifcB);
+    expect(tasksA[0].params).toEqual({ 'tunnel-id': 5, src: '192.168.10.1', dst: '192.168.20.1' });
+  });
+});
+
+describe('updatePublicAddresses', () => {
+  let device, peer;
+
+  beforeEach(() => {
+    device = getDevice(1);
+    peer = getDevice(2);
+    connections.getDeviceInfo.mockReturnValue({ ip: '203.0.113.10', network: {} });
+    jest.spyOn(devices, 'findOne').mockImplementation(() => mockQuery(device));
+    jest.spyOn(devices, 'updateOne').mockResolvedValue({ nModified: 1 });
+    jest.spyOn(tunnelsModel, 'find').mockImplementation(() => mockQuery([]));
+    deviceQueues.addJob.mockImplementation((machineId) => Promise.resolve({ id: machineId }));
+  });
+
+  it('Should not queue jobs if the address is unchanged', async () => {
+    await publicAddress.updatePublicAddresses('machine-1');
+    expect(devices.updateOne).not.toHaveBeenCalled();
+    expect(tunnelsModel.find).not.toHaveBeenCalled();
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+    expect(notificationsMgr.sendNotifications).not.toHaveBeenCalled();
+  });
+
+  it('Should not update a device with no management interface', async () => {
+    device = getDevice(1, [getInterface(1, 0), getInterface(1, 1)]);
+    connections.getDeviceInfo.mockReturnValue({ ip: '198.51.100.1', network: {} });
+    await publicAddress.updatePublicAddresses('machine-1');
+    expect(devices.updateOne).not.toHaveBeenCalled();
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+  });
+
+  it('Should queue one modify job per device of each affected tunnel', async () => {
+    const other = getDevice(3);
+    tunnelsModel.find.mockImplementation(() => mockQuery([
+      getTunnel(5, device, peer),
+      getTunnel(6, other, device)
+    ]));
+    connections.getDeviceInfo.mockReturnValue({ ip: '198.51.100.1', network: {} });
+    await publicAddress.updatePublicAddresses('machine-1');
+
+    expect(devices.updateOne).toHaveBeenCalledWith(
+      { _id: device._id, 'interfaces._id': device.interfaces[0]._id },
+      { $set: { 'interfaces.$.PublicIP': '198.51.100.1', 'interfaces.$.PublicPort': '' } },
+      { upsert: false }
+    );
+    expect(tunnelsModel.find).toHaveBeenCalledWith({
+      isActive: true,
+      $or: [
+        { interfaceA: { $in: [device.interfaces[0]._id] } },
+        { interfaceB: { $in: [device.interfaces[0]._id] } }
+      ]
+    });
+    expect(deviceQueues.addJob.mock.calls.map(call => [call[0], call[4].data.tunnelId]))
+      .toEqual([['machine-1', 5], ['machine-2', 5], ['machine-3', 6], ['machine-1', 6]]);
+    expect(deviceQueues.addJob.mock.calls[0][4]).toEqual({
+      method: 'modifytunnels',
+      data: {
+        org: org,
+        tunnelId: 5,
+        deviceA: device._id,
+        deviceB: peer._id,
+        target: 'deviceAconf'
+      }
+    });
+    expect(notificationsMgr.sendNotifications).toHaveBeenCalledWith([expect.objectContaining({
+      title: 'Public IP change',
+      details: 'Public IP of interface eth0 changed from 203.0.113.10 to 198.51.100.1'
+    })]);
+    expect(reconnectTunnel).not.toHaveBeenCalled();
+  });
+
+  it('Should queue jobs when only the public port changed', async () => {
+    // The tunnels are read after the device is updated
+    const updated = getDevice(1, [getInterface(1, 0, { PublicPort: '34567' })]);
+    tunnelsModel.find.mockImplementation(() => mockQuery([getTunnel(5, updated, peer)]));
+    connections.getDeviceInfo.mockReturnValue({
+      ip: '203.0.113.10',
+      network: {
+        interfaces: [{ pci: '0000:00:00.00', public_ip: '203.0.113.10', public_port: 34567 }]
+      }
+    });
+    await publicAddress.updatePublicAddresses('machine-1');
+    expect(deviceQueues.addJob).toHaveBeenCalledTimes(2);
+    expect(deviceQueues.addJob.mock.calls[1][3].tasks[0].params)
+      .toMatchObject({ dst: '203.0.113.10', 'udp-encap': { 'src-port': 4500, 'dst-port': 34567 } });
+  });
+
+  it('Should not repoint tunnels when the address is set for the first time', async () => {
+    device = getDevice(1, [getInterface(1, 0, { PublicIP: '' })]);
+    await publicAddress.updatePublicAddresses('machine-1');
+    expect(devices.updateOne).toHaveBeenCalledTimes(1);
+    expect(notificationsMgr.sendNotifications).not.toHaveBeenCalled();
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+  });
+
+  it('Should reconnect tunnels of devices that do not support modifying tunnels', async () => {
+    peer = getDevice(2, undefined, { versions: { agent: '1.3.0' } });
+    const tunnel = getTunnel(5, device, peer);
+    tunnelsModel.find.mockImplementation(() => mockQuery([tunnel]));
+    connections.getDeviceInfo.mockReturnValue({ ip: '198.51.100.1', network: {} });
+    await publicAddress.updatePublicAddresses('machine-1');
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+    expect(reconnectTunnel).toHaveBeenCalledWith(tunnel);
+  });
+
+  it('Should not repoint tunnels between port translating NATs', async () => {
+    device = getDevice(1, [getInterface(1, 0, { PublicPort: '34567' })]);
+    peer = getDevice(2, [getInterface(2, 0, { PublicPort: '34568' })]);
+    tunnelsModel.find.mockImplementation(() => mockQuery([getTunnel(5, device, peer)]));
+    connections.getDeviceInfo.mockReturnValue({
+      ip: '198.51.100.1',
+      network: {
+        interfaces: [{ pci: '0000:00:00.00', public_ip: '198.51.100.1', public_port: 34569 }]
+      }
+    });
+    await publicAddress.updatePublicAddresses('machine-1');
+    expect(devices.updateOne).toHaveBeenCalledTimes(1);
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+    expect(reconnectTunnel).not.toHaveBeenCalled();
+  });
+});
+
+describe('error', () => {
+  it('Should mark the tunnel as not configured on the failed device', async () => {
+    jest.spyOn(tunnelsModel, 'updateOne').mockResolvedValue({ nModified: 1 });
+    await publicAddress.error(1, { org: org, tunnelId: 5, target: 'deviceBconf' });
+    expect(tunnelsModel.updateOne).toHaveBeenCalledWith(
+      { org: org, num: 5, isActive: true },
+      { $set: { deviceBconf: false } },
+      { upsert: false }
+    );
+  });
+});
@@ -0,0 +1,110 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const {
+  isAddressAllowed,
+  checkTokenPolicy,
+  getTokenDefaults,
+  getRegistrationQuery
+} = require('../tokenPolicies');
+
+describe('isAddressAllowed', () => {
+  it('Should allow any address if there are no allowed CIDRs', () => {
+    expect(isAddressAllowed('1.2.3.4', [])).toBe(true);
+    expect(isAddressAllowed('Unknown')).toBe(true);
+  });
+
+  it('Should allow addresses in the allowed CIDRs', () => {
+    const cidrs = ['10.0.0.0/8', '192.168.1.0/24', '2001:db8::/32'];
+    expect(isAddressAllowed('10.20.30.40', cidrs)).toBe(true);
+    expect(isAddressAllowed('192.168.1.255', cidrs)).toBe(true);
+    expect(isAddressAllowed('2001:db8::1', cidrs)).toBe(true);
+  });
+
+  it('Should reject addresses out of the allowed CIDRs', () => {
+    const cidrs = ['10.0.0.0/8', '2001:db8::/32'];
+    expect(isAddressAllowed('11.0.0.1', cidrs)).toBe(false);
+    expect(isAddressAllowed('2001:db9::1', cidrs)).toBe(false);
+    expect(isAddressAllowed('Unknown', cidrs)).toBe(false);
+  });
+});
+
+describe('checkTokenPolicy', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  let token;
+
+  beforeEach(() => {
+    token = {
+      revoked: false,
+      expiresAt: null,
+      maxRegistrations: 0,
+      allowedCIDRs: [],
+      registeredDevices: []
+    };
+  });
+
+  it('Should allow registration with a token without policies', () => {
+    expect(checkTokenPolicy(token, '1.2.3.4', now)).toBe('');
+  });
+
+  it('Should reject registration with a revoked token', () => {
+    token.revoked = true;
+    expect(checkTokenPolicy(token, '1.2.3.4', now)).toBe('Token has been revoked');
+  });
+
+  it('Should reject registration with an expired token', () => {
+    token.expiresAt = new Date('2025-12-31T23:59:59Z');
+    expect(checkTokenPolicy(token, '1.2.3.4', now)).toBe('Token has expired');
+    token.expiresAt = new Date('2026-01-02T00:00:00Z');
+    expect(checkTokenPolicy(token, '1.2.3.4', now)).toBe('');
+  });
+
+  it('Should reject registration when the registration limit is reached', () => {
+    token.maxRegistrations = 2;
+    token.registeredDevices = [{ machineId: 'a' }];
+    expect(checkTokenPolicy(token, '1.2.3.4', now)).toBe('');
+    token.registeredDevices.push({ machineId: 'b' });
+    expect(checkTokenPolicy(token, '1.2.3.4', now)).toBe('Token registration limit reached');
+  });
+
+  it('Should reject registration from an address which is not allowed', () => {
+    token.allowedCIDRs = ['10.0.0.0/8'];
+    expect(checkTokenPolicy(token, '1.2.3.4', now))
+      .toBe('Registration is not allowed from this address');
+    expect(checkTokenPolicy(token, '10.0.0.1', now)).toBe('');
+  });
+});
+
+describe('getTokenDefaults', () => {
+  it('Should return the token default site and labels', () => {
+    expect(getTokenDefaults({ defaultSite: 'London', defaultLabels: ['a', 'b', 'a'] }))
+      .toEqual({ site: 'London', labels: ['a', 'b'] });
+    expect(getTokenDefaults({})).toEqual({ site: '', labels: [] });
+  });
+});
+
+describe('getRegistrationQuery', () => {
+  it('Should match only tokens which are not revoked', () => {
+    expect(getRegistrationQuery({ _id: 'id', maxRegistrations: 0 }))
+      .toEqual({ _id: 'id', revoked: false });
+  });
+
+  it('Should match only tokens below the registration limit', () => {
+    expect(getRegistrationQuery({ _id: 'id', maxRegistrations: 5 }))
+      .toEqual({ _id: 'id', revoked: false, 'registeredDevices.4': { $exists: false } });
+  });
+});
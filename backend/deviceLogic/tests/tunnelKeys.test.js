@@ -0,0 +1,326 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Module for the tunnel keys rotation Unit Test. The jobs queue, the device
+// connections and status and the notifications are replaced by test doubles.
+jest.mock('../../utils/deviceQueue', () => {
+  const queue = { addJob: jest.fn() };
+  return () => queue;
+});
+jest.mock('../../websocket/Connections', () => {
+  const connections = { isConnected: jest.fn() };
+  return () => connections;
+});
+jest.mock('../../periodic/deviceStatus', () => {
+  const deviceStatus = { getDeviceStatus: jest.fn(), getTunnelStatus: jest.fn() };
+  return () => deviceStatus;
+});
+jest.mock('../../notifications/notifications', () => {
+  const notificationsMgr = { sendNotifications: jest.fn() };
+  return () => notificationsMgr;
+});
+
+const tunnelsModel = require('../../models/tunnels');
+const { cryptoProfiles } = require('../../models/cryptoProfiles');
+const deviceQueues = require('../../utils/deviceQueue')();
+const connections = require('../../websocket/Connections')();
+const notificationsMgr = require('../../notifications/notifications')();
+const tunnelKeys = require('../tunnelKeys');
+
+const org = '5e65f6a27a4a2e4d8bd2b5d1';
+const tunnelNum = 5;
+const hourAgo = (hours) => new Date(Date.now() - hours * 3600000);
+
+const getDevice = (id) => ({
+  _id: `5e65f6a27a4a2e4d8bd2b5a${id}`,
+  machineId: `machine-${id}`,
+  hostname: `host${id}`,
+  versions: { agent: '2.0.0', router: '2.0.0' },
+  interfaces: [{
+    _id: `5e65f6a27a4a2e4d8bd2b5b${id}`,
+    name: 'eth0',
+    IPv4: `192.168.${id}.1`,
+    PublicIP: `192.168.${id}.1`
+  }]
+});
+
+const getTunnel = (keyRotation = {}) => {
+  const deviceA = getDevice(1);
+  const deviceB = getDevice(2);
+  return {
+    _id: '5e65f6a27a4a2e4d8bd2b5c1',
+    org: org,
+    num: tunnelNum,
+    isActive: true,
+    deviceA: deviceA,
+    deviceB: deviceB,
+    interfaceA: deviceA.interfaces[0]._id,
+    interfaceB: deviceB.interfaces[0]._id,
+    deviceAconf: true,
+    deviceBconf: true,
+    pathlabel: null,
+    cryptoProfile: { cryptoAlg: 'aes-cbc-128', integrAlg: 'sha-256-128' },
+    overlayPool: '10.100.0.0/16',
+    createdAt: hourAgo(48),
+    keyRotation: {
+      generation: 0,
+      status: '',
+      deviceAdone: false,
+      deviceBdone: false,
+      lastRotation: hourAgo(25),
+      ...keyRotation
+    }
+  };
+};
+
+// A mongoose query that resolves to the result, with chained populate calls
+const mockQuery = (result) => {
+  const query = {
+    populate: jest.fn(() => query),
+    lean: jest.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+// The tasks and response data of the queued jobs
+const getQueuedJobs = () => deviceQueues.addJob.mock.calls.map(
+  ([machineId, user, org, data, response]) => ({ machineId, data, response })
+);
+
+// The response data of a keys job of the tunnel
+const getJobResult = (phase, generation, target) => ({
+  org: org, tunnelId: tunnelNum, phase: phase, generation: generation, target: target
+});
+
+beforeEach(() => {
+  connections.isConnected.mockReturnValue(true);
+  deviceQueues.addJob.mockImplementation((machineId) => ({ id: machineId }));
+  jest.spyOn(tunnelsModel, 'updateOne').mockResolvedValue({ nModified: 1 });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('getGenerationSpis', () => {
+  it('Should alternate the SPIs of consecutive generations', () => {
+    const gen0 = tunnelKeys.getGenerationSpis(tunnelNum, 0);
+    const gen1 = tunnelKeys.getGenerationSpis(tunnelNum, 1);
+    const gen2 = tunnelKeys.getGenerationSpis(tunnelNum, 2);
+    expect(gen1.sa1).not.toBe(gen0.sa1);
+    expect(gen1.sa2).not.toBe(gen0.sa2);
+    expect([gen1.sa1, gen1.sa2]).not.toContain(gen0.sa1);
+    expect([gen1.sa1, gen1.sa2]).not.toContain(gen0.sa2);
+    expect(gen2).toEqual(gen0);
+  });
+
+  it('Should not use the SPIs of other tunnels', () => {
+    const gen1 = tunnelKeys.getGenerationSpis(tunnelNum, 1);
+    const other = tunnelKeys.getGenerationSpis(tunnelNum + 1, 0);
+    expect([gen1.sa1, gen1.sa2]).not.toContain(other.sa1);
+    expect([gen1.sa1, gen1.sa2]).not.toContain(other.sa2);
+  });
+});
+
+describe('Keys rotation jobs', () => {
+  it('Should install the same keys on both devices, with swapped SPIs on device B', () => {
+    const profile = { cryptoAlg: 'aes-cbc-128', integrAlg: 'sha-256-128' };
+    const [[taskA], [taskB]] = tunnelKeys.prepareKeysInstallJob(tunnelNum, 1, profile);
+    const { sa1, sa2 } = tunnelKeys.getGenerationSpis(tunnelNum, 1);
+    const { 'local-sa': localA, 'remote-sa': remoteA } = taskA.params.ipsec;
+    const { 'local-sa': localB, 'remote-sa': remoteB } = taskB.params.ipsec;
+
+    expect(taskA.message).toBe('add-tunnel-sa');
+    expect(taskB.message).toBe('add-tunnel-sa');
+    expect([localA.spi, remoteA.spi]).toEqual([sa1, sa2]);
+    expect([localB.spi, remoteB.spi]).toEqual([sa2, sa1]);
+    expect(localB['crypto-key']).toBe(localA['crypto-key']);
+    expect(remoteB['crypto-key']).toBe(remoteA['crypto-key']);
+    expect(localA['crypto-key']).not.toBe(remoteA['crypto-key']);
+  });
+
+  it('Should remove the SAs of a generation from both devices', () => {
+    const [[taskA], [taskB]] = tunnelKeys.prepareKeysRemoveJob(tunnelNum, 0);
+    const { sa1, sa2 } = tunnelKeys.getGenerationSpis(tunnelNum, 0);
+    expect(taskA).toEqual({
+      entity: 'agent',
+      message: 'remove-tunnel-sa',
+      params: {
+        'tunnel-id': tunnelNum,
+        ipsec: { 'local-sa': { spi: sa1 }, 'remote-sa': { spi: sa2 } }
+      }
+    });
+    expect(taskB.params.ipsec).toEqual({ 'local-sa': { spi: sa2 }, 'remote-sa': { spi: sa1 } });
+  });
+});
+
+describe('rotateExpiredTunnelKeys', () => {
+  const mockTunnels = (tunnels) => {
+    jest.spyOn(cryptoProfiles, 'find')
+      .mockReturnValue(mockQuery([{ org: org, keyLifetime: 24 }]));
+    jest.spyOn(tunnelsModel, 'find').mockReturnValue(mockQuery(tunnels));
+    jest.spyOn(tunnelsModel, 'findOneAndUpdate').mockImplementation(() => mockQuery(tunnels[0]));
+  };
+
+  it('Should install the next generation keys when the keys lifetime passed', async () => {
+    mockTunnels([getTunnel({ generation: 3 })]);
+    await tunnelKeys.tasks.rotateExpiredTunnelKeys();
+
+    const [filter, update] = tunnelsModel.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ 'keyRotation.generation': 3 });
+    expect(update.$set['keyRotation.status']).toBe('installing');
+
+    const { sa1 } = tunnelKeys.getGenerationSpis(tunnelNum, 4);
+    const jobs = getQueuedJobs();
+    expect(jobs.map(job => job.machineId)).toEqual(['machine-1', 'machine-2']);
+    expect(jobs[0].data.tasks[0].params.ipsec['local-sa'].spi).toBe(sa1);
+    expect(jobs[0].response.method).toBe('tunnelkeys');
+    expect(jobs[0].response.data).toMatchObject(getJobResult('install', 4, 'deviceAdone'));
+  });
+
+  it.each([
+    ['the keys lifetime did not pass', getTunnel({ lastRotation: hourAgo(1) }), true],
+    ['a device is not connected', getTunnel(), false]
+  ])('Should not rotate the keys if %s', async (name, tunnel, connected) => {
+    connections.isConnected.mockReturnValue(connected);
+    mockTunnels([tunnel]);
+    await tunnelKeys.tasks.rotateExpiredTunnelKeys();
+
+    expect(tunnelsModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+  });
+
+  it('Should not rotate the keys if the rotation was started in the meantime', async () => {
+    mockTunnels([getTunnel()]);
+    tunnelsModel.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+    await tunnelKeys.tasks.rotateExpiredTunnelKeys();
+
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('Keys rotation complete', () => {
+  const mockRotation = (...tunnels) => {
+    const spy = jest.spyOn(tunnelsModel, 'findOneAndUpdate');
+    tunnels.forEach(tunnel => spy.mockImplementationOnce(() => mockQuery(tunnel)));
+  };
+
+  it('Should wait for both devices to install the new keys', async () => {
+    mockRotation(getTunnel({ status: 'installing', deviceAdone: true }));
+    await tunnelKeys.complete(1, getJobResult('install', 1, 'deviceAdone'));
+
+    const [filter, update] = tunnelsModel.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({
+      'keyRotation.status': 'installing', 'keyRotation.generation': 0
+    });
+    expect(update).toEqual({ $set: { 'keyRotation.deviceAdone': true } });
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+  });
+
+  it('Should rotate the keys from install to remove of the old keys', async () => {
+    const installed = getTunnel({ status: 'installing', deviceAdone: true, deviceBdone: true });
+    mockRotation(installed, installed);
+    await tunnelKeys.complete(1, getJobResult('install', 1, 'deviceBdone'));
+
+    const [, update] = tunnelsModel.findOneAndUpdate.mock.calls[1];
+    expect(update.$set['keyRotation.status']).toBe('removing');
+    const [tasksA, tasksB] = tunnelKeys.prepareKeysRemoveJob(tunnelNum, 0);
+    const jobs = getQueuedJobs();
+    expect(jobs.map(job => job.data.tasks)).toEqual([tasksA, tasksB]);
+    expect(jobs.map(job => job.response.data.phase)).toEqual(['remove', 'remove']);
+
+    // Both devices removed the old keys
+    jest.clearAllMocks();
+    mockRotation(getTunnel({ status: 'removing', deviceAdone: true, deviceBdone: true }));
+    await tunnelKeys.complete(2, getJobResult('remove', 1, 'deviceAdone'));
+
+    const [filter, rotated] = tunnelsModel.updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ 'keyRotation.status': 'removing' });
+    expect(rotated.$set).toMatchObject({ 'keyRotation.status': '', 'keyRotation.generation': 1 });
+    expect(rotated.$push['keyRotation.history'].$each[0]).toMatchObject({
+      generation: 1, status: 'complete'
+    });
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+  });
+
+  it('Should ignore jobs of a canceled rotation', async () => {
+    mockRotation(null);
+    await tunnelKeys.complete(1, getJobResult('install', 1, 'deviceAdone'));
+
+    expect(tunnelsModel.updateOne).not.toHaveBeenCalled();
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('Keys rotation failure', () => {
+  const mockFailure = (tunnel) => {
+    jest.spyOn(tunnelsModel, 'findOneAndUpdate').mockImplementation(() => mockQuery(tunnel));
+  };
+
+  it('Should keep the old keys if installing the new keys fails', async () => {
+    mockFailure(getTunnel({ status: 'failed', deviceBdone: true }));
+    await tunnelKeys.error(1, getJobResult('install', 1, 'deviceAdone'));
+
+    const [filter, update] = tunnelsModel.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({
+      'keyRotation.status': 'installing', 'keyRotation.generation': 0
+    });
+    expect(update.$set).toEqual({ 'keyRotation.status': 'failed' });
+    expect(update.$push['keyRotation.history'].$each[0]).toMatchObject({
+      generation: 1, status: 'failed', reason: 'Failed to install keys'
+    });
+    expect(notificationsMgr.sendNotifications).toHaveBeenCalledTimes(1);
+
+    // Only the new keys are removed, from the device that installed them
+    const [, tasksB] = tunnelKeys.prepareKeysRemoveJob(tunnelNum, 1);
+    const jobs = getQueuedJobs();
+    expect(jobs.map(job => job.machineId)).toEqual(['machine-2']);
+    expect(jobs[0].data.tasks).toEqual(tasksB);
+    expect(jobs[0].response.data.phase).toBe('rollback');
+    expect(tunnelsModel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('Should ignore the rollback jobs results', async () => {
+    jest.spyOn(tunnelsModel, 'findOneAndUpdate');
+    await tunnelKeys.error(1, getJobResult('rollback', 1, 'deviceBdone'));
+    await tunnelKeys.complete(2, getJobResult('rollback', 1, 'deviceBdone'));
+
+    expect(tunnelsModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+  });
+
+  it('Should reconnect the tunnel if removing the old keys fails', async () => {
+    mockFailure(getTunnel({ status: 'failed' }));
+    await tunnelKeys.error(1, getJobResult('remove', 1, 'deviceBdone'));
+
+    expect(notificationsMgr.sendNotifications).toHaveBeenCalledTimes(1);
+    const [, update] = tunnelsModel.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ deviceAconf: false, deviceBconf: false });
+    expect(getQueuedJobs().map(job => job.response.method))
+      .toEqual(['deltunnels', 'deltunnels', 'tunnels', 'tunnels']);
+  });
+
+  it('Should not fail a rotation that was already failed by the other device', async () => {
+    mockFailure(null);
+    await tunnelKeys.error(1, getJobResult('install', 1, 'deviceBdone'));
+
+    expect(notificationsMgr.sendNotifications).not.toHaveBeenCalled();
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,394 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Module for the tunnels logic Unit Test. The jobs queue, the device
+// connections and the device status are replaced by test doubles.
+jest.mock('../../utils/deviceQueue', () => {
+  const queue = { addJob: jest.fn() };
+  return () => queue;
+});
+jest.mock('../../websocket/Connections', () => {
+  const connections = { isConnected: jest.fn() };
+  return () => connections;
+});
+jest.mock('../../periodic/deviceStatus', () => {
+  const deviceStatus = { getDeviceStatus: jest.fn(), getTunnelStatus: jest.fn() };
+  return () => deviceStatus;
+});
+
+const tunnelsModel = require('../../models/tunnels');
+const { cryptoProfiles } = require('../../models/cryptoProfiles');
+const organizations = require('../../models/organizations');
+const deviceQueues = require('../../utils/deviceQueue')();
+const connections = require('../../websocket/Connections')();
+const deviceStatus = require('../../periodic/deviceStatus')();
+const tunnels = require('../tunnels');
+
+const getDevice = (id, ifcOverrides = {}) => ({
+  _id: `5e65f6a27a4a2e4d8bd2b5a${id}`,
+  machineId: `machine-${id}`,
+  hostname: `host${id}`,
+  versions: { agent: '2.0.0', router: '2.0.0' },
+  interfaces: [{
+    _id: `5e65f6a27a4a2e4d8bd2b5b${id}`,
+    name: 'eth0',
+    type: 'WAN',
+    isAssigned: true,
+    IPv4: `192.168.${id}.1`,
+    IPv4Mask: '24',
+    PublicIP: `192.168.${id}.1`,
+    PublicPort: '',
+    pathlabels: [],
+    ...ifcOverrides
+  }]
+});
+
+const getTunnel = (overrides = {}) => {
+  const deviceA = getDevice(1);
+  const deviceB = getDevice(2);
+  return {
+    _id: '5e65f6a27a4a2e4d8bd2b5c1',
+    org: '5e65f6a27a4a2e4d8bd2b5d1',
+    num: 5,
+    isActive: true,
+    deviceA: deviceA,
+    deviceB: deviceB,
+    interfaceA: deviceA.interfaces[0]._id,
+    interfaceB: deviceB.interfaces[0]._id,
+    deviceAconf: true,
+    deviceBconf: true,
+    pathlabel: null,
+    cryptoProfile: { cryptoAlg: 'aes-cbc-128', integrAlg: 'sha-256-128' },
+    overlayPool: '10.100.0.0/16',
+    ...overrides
+  };
+};
+
+// Both devices are connected and running, and report the tunnel
+const setDevicesState = ({ connected = true, state = 'running', tunnelStatus = {} } = {}) => {
+  connections.isConnected.mockReturnValue(connected);
+  deviceStatus.getDeviceStatus.mockReturnValue(state ? { state } : null);
+  deviceStatus.getTunnelStatus.mockReturnValue(tunnelStatus);
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('shouldReconnectTunnel', () => {
+  beforeEach(() => {
+    setDevicesState();
+  });
+
+  it('Should not reconnect a healthy tunnel', () => {
+    expect(tunnels.shouldReconnectTunnel(getTunnel())).toBe(false);
+  });
+
+  it.each([
+    ['device A', { deviceA: null }],
+    ['device B', { deviceB: null }]
+  ])('Should not reconnect a tunnel whose %s was deleted', (name, overrides) => {
+    expect(tunnels.shouldReconnectTunnel(getTunnel({ ...overrides, deviceAconf: false })))
+      .toBe(false);
+  });
+
+  it('Should not reconnect a tunnel between unreachable interfaces', () => {
+    const tunnel = getTunnel({ deviceAconf: false });
+    tunnel.deviceA = getDevice(1, { PublicIP: '203.0.113.1', PublicPort: '34567' });
+    tunnel.deviceB = getDevice(2, { PublicIP: '203.0.113.2', PublicPort: '34568' });
+    expect(tunnels.shouldReconnectTunnel(tunnel)).toBe(false);
+  });
+
+  it.each([
+    ['not connected', { connected: false }],
+    ['not running', { state: 'stopped' }],
+    ['without status', { state: null }]
+  ])('Should not reconnect a tunnel if a device is %s', (name, state) => {
+    setDevicesState(state);
+    expect(tunnels.shouldReconnectTunnel(getTunnel({ deviceAconf: false }))).toBe(false);
+  });
+
+  it.each([
+    ['device A', { deviceAconf: false }],
+    ['device B', { deviceBconf: false }]
+  ])('Should reconnect a tunnel which is not configured on %s', (name, overrides) => {
+    expect(tunnels.shouldReconnectTunnel(getTunnel(overrides))).toBe(true);
+  });
+
+  it('Should reconnect a tunnel which is not reported by a device', () => {
+    deviceStatus.getTunnelStatus.mockImplementation(machineId => {
+      return machineId === 'machine-2' ? null : {};
+    });
+    expect(tunnels.shouldReconnectTunnel(getTunnel())).toBe(true);
+  });
+});
+
+describe('checkAndReconnectTunnels', () => {
+  let query;
+
+  const mockTunnels = (result) => {
+    query = { populate: jest.fn() };
+    query.populate.mockReturnValueOnce(query).mockResolvedValueOnce(result);
+    jest.spyOn(tunnelsModel, 'find').mockReturnValue(query);
+    jest.spyOn(tunnelsModel, 'updateOne').mockResolvedValue({ nModified: 1 });
+  };
+
+  beforeEach(() => {
+    setDevicesState();
+    deviceQueues.addJob.mockImplementation((machineId) => ({ id: machineId }));
+  });
+
+  it('Should only check active tunnels after the grace period of their last change', async () => {
+    mockTunnels([]);
+    const before = Date.now();
+    await tunnels.tasks.checkAndReconnectTunnels();
+    const after = Date.now();
+
+    const [filter] = tunnelsModel.find.mock.calls[0];
+    expect(filter.isActive).toBe(true);
+    expect(filter.updatedAt.$lt.getTime()).toBeGreaterThanOrEqual(before - 300000);
+    expect(filter.updatedAt.$lt.getTime()).toBeLessThanOrEqual(after - 300000);
+    expect(query.populate).toHaveBeenCalledWith('deviceA');
+    expect(query.populate).toHaveBeenCalledWith('deviceB');
+  });
+
+  it('Should not queue jobs for tunnels which should not be reconnected', async () => {
+    mockTunnels([getTunnel(), getTunnel({ deviceA: null, deviceAconf: false })]);
+    await tunnels.tasks.checkAndReconnectTunnels();
+
+    expect(tunnelsModel.updateOne).not.toHaveBeenCalled();
+    expect(deviceQueues.addJob).not.toHaveBeenCalled();
+  });
+
+  it('Should remove and add a tunnel which is not configured on a device', async () => {
+    const tunnel = getTunnel({ deviceBconf: false });
+    mockTunnels([tunnel]);
+    await tunnels.tasks.checkAndReconnectTunnels();
+
+    const [filter, update] = tunnelsModel.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: tunnel._id, org: tunnel.org });
+    expect(update.$set).toMatchObject({ deviceAconf: false, deviceBconf: false });
+
+    const jobs = deviceQueues.addJob.mock.calls.map(([machineId, user, org, data, response]) => {
+      return { machineId, user, method: response.method };
+    });
+    expect(jobs).toEqual([
+      { machineId: 'machine-1', user: 'system', method: 'deltunnels' },
+      { machineId: 'machine-2', user: 'system', method: 'deltunnels' },
+      { machineId: 'machine-1', user: 'system', method: 'tunnels' },
+      { machineId: 'machine-2', user: 'system', method: 'tunnels' }
+    ]);
+  });
+
+  it('Should continue to the next tunnel if a reconnection fails', async () => {
+    mockTunnels([getTunnel({ deviceAconf: false }), getTunnel({ num: 6, deviceAconf: false })]);
+    tunnelsModel.updateOne.mockRejectedValueOnce(new Error('Database error'));
+    await tunnels.tasks.checkAndReconnectTunnels();
+
+    expect(tunnelsModel.updateOne).toHaveBeenCalledTimes(2);
+    expect(deviceQueues.addJob).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('NAT classification', () => {
+  const getIfc = (IPv4, PublicIP, PublicPort) => ({ IPv4, PublicIP, PublicPort, IPv6: '' });
+  const noNat = getIfc('198.51.100.1', '198.51.100.1', '');
+  const unknownNat = getIfc('192.168.1.1', '203.0.113.1', '');
+  const addressNat = getIfc('192.168.1.1', '203.0.113.1', '4500');
+  const portNatA = getIfc('192.168.1.1', '203.0.113.1', '34567');
+  const portNatB = getIfc('192.168.2.1', '203.0.113.2', '34568');
+
+  it.each([
+    ['no public address', getIfc('192.168.1.1', '', ''), 'none'],
+    ['an IPv6 public address', getIfc('192.168.1.1', '2001:db8::1', '34567'), 'none'],
+    ['the same public address', noNat, 'none'],
+    ['a translated address and unknown port', unknownNat, 'address'],
+    ['a translated address and preserved port', addressNat, 'address'],
+    ['a translated address and port', portNatA, 'address-and-port']
+  ])('Should classify an interface with %s', (name, ifc, natType) => {
+    expect(tunnels.getNatType(ifc)).toBe(natType);
+  });
+
+  it.each([
+    ['no NAT', noNat, getIfc('198.51.100.2', '198.51.100.2', ''), null, false],
+    ['one side behind 1:1 NAT', noNat, addressNat, { portA: 4500, portB: 4500 }, false],
+    ['one side with unknown port', unknownNat, noNat, { portA: 4500, portB: 4500 }, false],
+    ['one side behind port translating NAT', noNat, portNatA,
+      { portA: 4500, portB: 34567 }, false],
+    ['both sides behind 1:1 NAT', addressNat, getIfc('192.168.2.1', '203.0.113.2', '4500'),
+      { portA: 4500, portB: 4500 }, false],
+    ['1:1 and port translating NAT', addressNat, portNatB, { portA: 4500, portB: 34568 }, false],
+    ['unknown port and port translating NAT', portNatA, unknownNat,
+      { portA: 34567, portB: 4500 }, false],
+    ['both sides behind port translating NAT', portNatA, portNatB,
+      { portA: 34567, portB: 34568 }, true]
+  ])('Should get the underlay of a tunnel with %s', (name, ifcA, ifcB, encap, unreachable) => {
+    const underlay = tunnels.getTunnelUnderlay(ifcA, ifcB);
+    expect(underlay.encap).toEqual(encap);
+    expect(underlay.unreachable).toBe(unreachable);
+    expect(underlay.dstA).toBe(ifcB.PublicIP || ifcB.IPv4);
+    expect(underlay.dstB).toBe(ifcA.PublicIP || ifcA.IPv4);
+  });
+
+  it('Should not use NAT traversal for IPv6 tunnels', () => {
+    const ifcA = { ...portNatA, IPv4: '', IPv6: '2001:db8::1' };
+    const ifcB = { ...portNatB, IPv4: '', IPv6: '2001:db8::2' };
+    const underlay = tunnels.getTunnelUnderlay(ifcA, ifcB);
+    expect(underlay.version).toBe(6);
+    expect(underlay.encap).toBe(null);
+    expect(underlay.unreachable).toBe(false);
+  });
+});
+
+describe('getTopologyPairs', () => {
+  const devices = [1, 2, 3, 4].map(id => getDevice(id));
+  const [idA, idB, idC, idD] = devices.map(device => device._id);
+  // Pairs are compared by the device numbers
+  const toNames = (pairs) => pairs.map(pair => pair.map(device => device.hostname).join('-'));
+
+  it.each([
+    ['full-mesh of all devices', {}, ['host1-host2', 'host1-host3', 'host1-host4',
+      'host2-host3', 'host2-host4', 'host3-host4']],
+    ['explicit full-mesh', { mode: 'full-mesh' }, ['host1-host2', 'host1-host3', 'host1-host4',
+      'host2-host3', 'host2-host4', 'host3-host4']],
+    ['hub-and-spoke with one hub', { mode: 'hub-and-spoke', hubs: [idB] },
+      ['host2-host1', 'host2-host3', 'host2-host4']],
+    ['hub-and-spoke with hub-to-hub links', { mode: 'hub-and-spoke', hubs: [idA, idB] },
+      ['host1-host2', 'host1-host3', 'host1-host4', 'host2-host3', 'host2-host4']],
+    ['hub-and-spoke with a duplicated hub', { mode: 'hub-and-spoke', hubs: [idC, idC] },
+      ['host3-host1', 'host3-host2', 'host3-host4']],
+    ['hub-and-spoke with only hubs', { mode: 'hub-and-spoke', hubs: [idA, idB, idC, idD] },
+      ['host1-host2', 'host1-host3', 'host1-host4', 'host2-host3', 'host2-host4', 'host3-host4']],
+    ['explicit pairs', { mode: 'pairs', pairs: [[idA, idB], [idC, idD]] },
+      ['host1-host2', 'host3-host4']],
+    ['duplicated pairs', { mode: 'pairs', pairs: [[idA, idB], [idB, idA], [idA, idB]] },
+      ['host1-host2']],
+    ['no pairs', { mode: 'pairs', pairs: [] }, []]
+  ])('Should return the pairs of %s', (name, topology, expected) => {
+    expect(toNames(tunnels.getTopologyPairs(devices, topology))).toEqual(expected);
+  });
+
+  it.each([
+    ['hub-and-spoke without hubs', { mode: 'hub-and-spoke', hubs: [] },
+      'At least one hub must be selected for hub-and-spoke topology'],
+    ['an unselected hub', { mode: 'hub-and-spoke', hubs: ['5e65f6a27a4a2e4d8bd2b5a9'] },
+      'Hub device 5e65f6a27a4a2e4d8bd2b5a9 is not selected'],
+    ['a pair of the same device', { mode: 'pairs', pairs: [[idA, idA]] },
+      `Invalid devices pair: ["${idA}","${idA}"]`],
+    ['a pair with an unselected device', { mode: 'pairs', pairs: [[idA, 'other']] },
+      `Invalid devices pair: ["${idA}","other"]`],
+    ['a pair which is not an array', { mode: 'pairs', pairs: [idA] },
+      `Invalid devices pair: "${idA}"`],
+    ['an unknown mode', { mode: 'ring' }, 'Unsupported tunnels topology: ring']
+  ])('Should throw an error for %s', (name, topology, message) => {
+    expect(() => tunnels.getTopologyPairs(devices, topology)).toThrow(message);
+  });
+});
+
+describe('getRequestedTunnels', () => {
+  const org = '5e65f6a27a4a2e4d8bd2b5d1';
+  // Tunnels are compared by the device numbers
+  const toNames = (requested) => requested.map(({ deviceA, deviceB, unreachable }) => {
+    return `${deviceA.hostname}-${deviceB.hostname}${unreachable ? ' unreachable' : ''}`;
+  });
+  const getRequest = (ids, topology) => ({
+    devices: Object.fromEntries(ids.map(id => [id, true])),
+    meta: { topology: topology }
+  });
+
+  let devices;
+
+  beforeEach(() => {
+    devices = [1, 2, 3, 4].map(id => getDevice(id));
+    jest.spyOn(cryptoProfiles, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+  });
+
+  it.each([
+    ['full-mesh', [1, 2, 3], {}, ['host1-host2', 'host1-host3', 'host2-host3']],
+    ['hub-and-spoke', [1, 2, 3, 4], { mode: 'hub-and-spoke', hubs: [1, 2] },
+      ['host1-host2', 'host1-host3', 'host1-host4', 'host2-host3', 'host2-host4']],
+    ['duplicated pairs', [], { mode: 'pairs', pairs: [[1, 3], [3, 1]] }, ['host1-host3']]
+  ])('Should request the tunnels of a %s topology', async (name, selected, topology, expected) => {
+    const getId = (num) => devices[num - 1]._id;
+    const request = getRequest(selected.map(getId), {
+      ...topology,
+      ...(topology.hubs ? { hubs: topology.hubs.map(getId) } : {}),
+      ...(topology.pairs ? { pairs: topology.pairs.map(pair => pair.map(getId)) } : {})
+    });
+    const requested = await tunnels.getRequestedTunnels(devices, org, request);
+    expect(toNames(requested)).toEqual(expected);
+  });
+
+  it('Should select the devices of explicit pairs', async () => {
+    const request = getRequest([], { mode: 'pairs', pairs: [[devices[1]._id, devices[3]._id]] });
+    const requested = await tunnels.getRequestedTunnels(devices, org, request);
+    expect(toNames(requested)).toEqual(['host2-host4']);
+  });
+
+  it.each([
+    ['not assigned', { isAssigned: false }],
+    ['not a WAN interface', { type: 'LAN' }]
+  ])('Should skip devices without WAN interfaces (%s)', async (name, ifcOverrides) => {
+    devices[1] = getDevice(2, ifcOverrides);
+    const request = getRequest(devices.slice(0, 3).map(device => device._id), {});
+    const requested = await tunnels.getRequestedTunnels(devices, org, request);
+    expect(toNames(requested)).toEqual(['host1-host3']);
+  });
+
+  it('Should return the tunnels between unreachable interfaces', async () => {
+    devices[0] = getDevice(1, { PublicIP: '203.0.113.1', PublicPort: '34567' });
+    devices[1] = getDevice(2, { PublicIP: '203.0.113.2', PublicPort: '34568' });
+    const request = getRequest([devices[0]._id, devices[1]._id], {});
+    const requested = await tunnels.getRequestedTunnels(devices, org, request);
+    expect(toNames(requested)).toEqual(['host1-host2 unreachable']);
+  });
+
+  it('Should throw an error if less than two devices are selected', async () => {
+    const request = getRequest([devices[0]._id], {});
+    await expect(tunnels.getRequestedTunnels(devices, org, request))
+      .rejects.toThrow('At least 2 devices must be selected to create tunnels');
+  });
+});
+
+describe('getTunnelPromise', () => {
+  const org = '5e65f6a27a4a2e4d8bd2b5d1';
+
+  beforeEach(() => {
+    jest.spyOn(tunnelsModel, 'find').mockResolvedValue([]);
+    jest.spyOn(organizations, 'findOne')
+      .mockReturnValue({ lean: () => Promise.resolve({ overlayPool: '10.100.0.0/16' }) });
+    jest.spyOn(cryptoProfiles, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+    deviceQueues.addJob.mockResolvedValue({ id: 1 });
+  });
+
+  it('Should clear the policy of a reused tunnel created by a tunnel policy', async () => {
+    jest.spyOn(tunnelsModel, 'findOneAndUpdate')
+      .mockResolvedValueOnce(getTunnel({ isActive: false, policy: '5e65f6a27a4a2e4d8bd2b5e1' }))
+      .mockResolvedValueOnce({});
+    const [deviceA, deviceB] = [getDevice(1), getDevice(2)];
+    await tunnels.getTunnelPromise('user', org, null, deviceA, deviceB,
+      deviceA.interfaces[0], deviceB.interfaces[0]);
+
+    expect(tunnelsModel.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { org: org, num: 5 },
+      expect.objectContaining({ isActive: true, cryptoProfile: null, policy: null }),
+      { upsert: true }
+    );
+    expect(deviceQueues.addJob).toHaveBeenCalledTimes(2);
+  });
+});
@@ -15,7 +15,21 @@
 // You should have received a copy of the GNU Affero General Public License
 // along with this program.  If not, see <https://www.gnu.org/licenses/>.
 
-const { validateDevice, validateModifyDeviceMsg } = require('../validators');
+const {
+  validateDevice,
+  validateSubInterfaces,
+  validateModifyDeviceMsg,
+  validateCryptoProfile,
+  validateOverlayPool,
+  validateLanPool,
+  validateBGP,
+  validateStaticRoute,
+  validateDhcpConfig,
+  validateFirewallRule,
+  validateNatRule,
+  validateMultilinkPolicy,
+  validateQosProfile
+} = require('../validators');
 
 describe('validateDevice', () => {
   let device;
@@ -51,7 +65,7 @@ describe('validateDevice', () => {
         MAC: 'ab:45:90:ed:89:17',
         IPv4: '172.23.100.1',
         IPv4Mask: '24',
-        IPv6: '2001:db8:85a3:8d3:1319:8a2e:370:7346',
+        IPv6: '2001:db8:85a3:8d4:1319:8a2e:370:7346',
         IPv6Mask: '64',
         PublicIP: '172.23.100.1',
         isAssigned: true,
@@ -121,10 +135,19 @@ describe('validateDevice', () => {
     expect(result).toMatchObject(failureObject);
   });
 
-  it('Should be an invalid device if both LAN IPv4 address and mask are empty', () => {
+  it('Should be a valid device if both LAN IPv4 address and mask are empty', () => {
     device.interfaces[0].IPv4 = '';
     device.interfaces[0].IPv4Mask = '';
-    failureObject.err = `Interface ${device.interfaces[0].name} does not have an IPv4 mask`;
+    const result = validateDevice(device);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be an invalid device if both LAN IPv4 and IPv6 addresses are empty', () => {
+    device.interfaces[0].IPv4 = '';
+    device.interfaces[0].IPv4Mask = '';
+    device.interfaces[0].IPv6 = '';
+    device.interfaces[0].IPv6Mask = '';
+    failureObject.err = `Interface ${device.interfaces[0].name} does not have an IP address`;
     const result = validateDevice(device);
     expect(result).toMatchObject(failureObject);
   });
@@ -150,10 +173,19 @@ describe('validateDevice', () => {
     expect(result).toMatchObject(failureObject);
   });
 
-  it('Should be an invalid device if both WAN IPv4 address and mask are empty', () => {
-    device.interfaces[0].IPv4 = '';
-    device.interfaces[0].IPv4Mask = '';
-    failureObject.err = `Interface ${device.interfaces[0].name} does not have an IPv4 mask`;
+  it('Should be a valid device if both WAN IPv4 address and mask are empty', () => {
+    device.interfaces[1].IPv4 = '';
+    device.interfaces[1].IPv4Mask = '';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be an invalid device if both WAN IPv4 and IPv6 addresses are empty', () => {
+    device.interfaces[1].IPv4 = '';
+    device.interfaces[1].IPv4Mask = '';
+    device.interfaces[1].IPv6 = '';
+    device.interfaces[1].IPv6Mask = '';
+    failureObject.err = `Interface ${device.interfaces[1].name} does not have an IP address`;
     const result = validateDevice(device);
     expect(result).toMatchObject(failureObject);
   });
@@ -174,12 +206,222 @@ describe('validateDevice', () => {
       expect(result).toMatchObject(successObject);
     });
 
+  it('Should be an invalid device if IPv6 address is invalid', () => {
+    device.interfaces[0].IPv6 = '2001:db8::g';
+    failureObject.err = 'Interface eth0 does not have a valid IPv6 address';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid device if IPv6 mask is empty', () => {
+    device.interfaces[0].IPv6Mask = '';
+    failureObject.err = 'Interface eth0 does not have a valid IPv6 mask';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid device if LAN and WAN IPv6 addresses are on the same subnet', () => {
+    device.interfaces[1].IPv6 = '2001:db8:85a3:8d3::1';
+    failureObject.err = 'WAN and LAN IPv6 addresses have an overlap';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be a valid device if LAN and WAN have link-local IPv6 addresses', () => {
+    device.interfaces[0].IPv6 = 'fe80::1';
+    device.interfaces[1].IPv6 = 'fe80::2';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(successObject);
+  });
+
   it('Should be an invalid device if OSPF is configured on the WAN interface', () => {
     device.interfaces[1].routing = 'OSPF';
     failureObject.err = 'OSPF should not be configured on WAN interface';
     const result = validateDevice(device);
     expect(result).toMatchObject(failureObject);
   });
+
+  it('Should be a valid device if BGP is configured on an interface and enabled', () => {
+    device.interfaces[1].routing = 'BGP';
+    device.bgp = { enable: true, localAsn: 65001 };
+    const result = validateDevice(device);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be an invalid device if BGP is configured on an interface but not enabled', () => {
+    device.interfaces[1].routing = 'BGP';
+    failureObject.err = 'BGP is configured on interface eth1 but not enabled on the device';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be a valid device if a DHCP WAN interface has not learned an address', () => {
+    device.interfaces[1].addressMode = 'dhcp';
+    device.interfaces[1].IPv4 = '';
+    device.interfaces[1].IPv4Mask = '';
+    device.interfaces[1].IPv6 = '';
+    device.interfaces[1].IPv6Mask = '';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be an invalid device if DHCP addressing is configured on a LAN interface', () => {
+    device.interfaces[0].addressMode = 'dhcp';
+    failureObject.err = 'Only WAN interfaces can use DHCP or PPPoE addressing, interface eth0';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be a valid device if a PPPoE WAN interface has credentials', () => {
+    device.interfaces[1].addressMode = 'pppoe';
+    device.interfaces[1].pppoe = { username: 'user', password: 'secret' };
+    const result = validateDevice(device);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be an invalid device if a PPPoE WAN interface has no password', () => {
+    device.interfaces[1].addressMode = 'pppoe';
+    device.interfaces[1].pppoe = { username: 'user', password: '' };
+    failureObject.err = 'PPPoE credentials must be set for interface eth1';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be a valid device if a VLAN sub-interface is configured', () => {
+    device.interfaces.push({
+      name: 'eth0_100',
+      pciaddr: 'vlan.100.00:02.00',
+      parentPciaddr: '00:02.00',
+      vlanId: 100,
+      IPv4: '192.168.101.1',
+      IPv4Mask: '24',
+      isAssigned: true,
+      routing: 'NONE',
+      type: 'LAN'
+    });
+    const result = validateDevice(device);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be an invalid device if a VLAN sub-interface overlaps another interface', () => {
+    device.interfaces.push({
+      name: 'eth0_100',
+      pciaddr: 'vlan.100.00:02.00',
+      parentPciaddr: '00:02.00',
+      vlanId: 100,
+      IPv4: '192.168.100.129',
+      IPv4Mask: '25',
+      isAssigned: true,
+      routing: 'NONE',
+      type: 'LAN'
+    });
+    failureObject.err = 'Interface eth0_100 subnet overlaps the subnet of interface eth0';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be a valid device if a QoS profile is attached to a WAN interface', () => {
+    device.interfaces[1].qos = { profile: '5e65290fbe66a2335718e081', bandwidth: 10000 };
+    const result = validateDevice(device);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be an invalid device if a QoS profile is attached to a LAN interface', () => {
+    device.interfaces[0].qos = { profile: '5e65290fbe66a2335718e081', bandwidth: 10000 };
+    failureObject.err = 'QoS profile can be attached only to WAN interfaces, interface eth0';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid device if a QoS profile is attached without bandwidth', () => {
+    device.interfaces[1].qos = { profile: '5e65290fbe66a2335718e081', bandwidth: 0 };
+    failureObject.err = 'QoS profile on interface eth1 requires a bandwidth limit';
+    const result = validateDevice(device);
+    expect(result).toMatchObject(failureObject);
+  });
+});
+
+describe('validateSubInterfaces', () => {
+  let interfaces;
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  beforeEach(() => {
+    interfaces = [{
+      name: 'eth0',
+      pciaddr: '00:02.00',
+      isAssigned: true
+    },
+    {
+      name: 'eth0_100',
+      pciaddr: 'vlan.100.00:02.00',
+      parentPciaddr: '00:02.00',
+      vlanId: 100,
+      isAssigned: true
+    },
+    {
+      name: 'eth0_200',
+      pciaddr: 'vlan.200.00:02.00',
+      parentPciaddr: '00:02.00',
+      vlanId: 200,
+      isAssigned: false
+    }];
+  });
+
+  // Happy path
+  it('Should be valid sub-interfaces', () => {
+    const result = validateSubInterfaces(interfaces);
+    expect(result).toMatchObject(successObject);
+  });
+
+  // Error cases
+  it('Should be invalid if the parent interface does not exist', () => {
+    interfaces[1].parentPciaddr = '00:03.00';
+    failureObject.err = 'Parent interface of eth0_100 not found';
+    const result = validateSubInterfaces(interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be invalid if the parent interface is a sub-interface', () => {
+    interfaces[2].parentPciaddr = 'vlan.100.00:02.00';
+    failureObject.err = 'Parent interface of eth0_200 not found';
+    const result = validateSubInterfaces(interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be invalid if the VLAN id is out of range', () => {
+    interfaces[1].vlanId = 4095;
+    failureObject.err = 'Invalid VLAN id for interface eth0_100: 4095';
+    const result = validateSubInterfaces(interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be invalid if a VLAN id is used twice on the same interface', () => {
+    interfaces[2].vlanId = 100;
+    failureObject.err = 'VLAN 100 is configured more than once on interface eth0';
+    const result = validateSubInterfaces(interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be invalid if the sub-interface name is not unique', () => {
+    interfaces[2].name = 'eth0';
+    failureObject.err = 'Interface name eth0 is used more than once';
+    const result = validateSubInterfaces(interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be invalid if the sub-interface is assigned but its parent is not', () => {
+    interfaces[0].isAssigned = false;
+    failureObject.err = 'Interface eth0 must be assigned to use its VLAN sub-interface eth0_100';
+    const result = validateSubInterfaces(interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
 });
 
 describe('validateModifyDeviceMsg', () => {
@@ -219,6 +461,13 @@ describe('validateModifyDeviceMsg', () => {
     expect(result).toMatchObject(successObject);
   });
 
+  it('Should be a valid message if a DHCP interface does not have an address', () => {
+    modifyDevMsg[0].addr = '';
+    modifyDevMsg[0].addressing = { mode: 'dhcp' };
+    const result = validateModifyDeviceMsg(modifyDevMsg);
+    expect(result).toMatchObject(successObject);
+  });
+
   // Array of interfaces
   it('Should be a valid if message contains a single interface', () => {
     const singleIfc = {
@@ -295,3 +544,893 @@ describe('validateModifyDeviceMsg', () => {
     expect(result).toMatchObject(failureObject);
   });
 });
+
+describe('validateCryptoProfile', () => {
+  let profile;
+  let devices;
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  beforeEach(() => {
+    profile = {
+      cryptoAlg: 'aes-gcm-256',
+      integrAlg: 'none'
+    };
+    devices = [
+      { hostname: 'deviceA', versions: { agent: '2.1.0' } },
+      { hostname: 'deviceB', versions: { agent: '2.0.3' } }
+    ];
+  });
+
+  it('Should be a valid profile', () => {
+    const result = validateCryptoProfile(profile, devices);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid profile if no devices are specified', () => {
+    const result = validateCryptoProfile(profile);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid profile if default suite is used by old agents', () => {
+    profile = { cryptoAlg: 'aes-cbc-128', integrAlg: 'sha-256-128' };
+    devices[0].versions.agent = '1.2.4';
+    const result = validateCryptoProfile(profile, devices);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be an invalid profile if encryption algorithm is not supported', () => {
+    profile.cryptoAlg = 'des';
+    failureObject.err = 'Unsupported encryption algorithm: des';
+    const result = validateCryptoProfile(profile, devices);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if integrity algorithm is not supported', () => {
+    profile.integrAlg = 'md5-96';
+    failureObject.err = 'Unsupported integrity algorithm: md5-96';
+    const result = validateCryptoProfile(profile, devices);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if profile is missing', () => {
+    failureObject.err = 'Unsupported encryption algorithm: undefined';
+    const result = validateCryptoProfile(null, devices);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if AEAD algorithm is used with integrity algorithm', () => {
+    profile.integrAlg = 'sha-256-128';
+    failureObject.err = 'Integrity algorithm sha-256-128 cannot be used with aes-gcm-256';
+    const result = validateCryptoProfile(profile, devices);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if CBC algorithm is used without integrity', () => {
+    profile.cryptoAlg = 'aes-cbc-256';
+    failureObject.err = 'Integrity algorithm none cannot be used with aes-cbc-256';
+    const result = validateCryptoProfile(profile, devices);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if device agent does not support the suite', () => {
+    devices[1].versions.agent = '1.3.9';
+    failureObject.err =
+      'Device deviceB does not support aes-gcm-256/none, please upgrade the device';
+    const result = validateCryptoProfile(profile, devices);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if device agent version is missing', () => {
+    devices[0].versions = {};
+    failureObject.err =
+      'Device deviceA does not support aes-gcm-256/none, please upgrade the device';
+    const result = validateCryptoProfile(profile, devices);
+    expect(result).toMatchObject(failureObject);
+  });
+});
+
+describe('validateOverlayPool', () => {
+  let devices;
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  beforeEach(() => {
+    devices = [{
+      hostname: 'deviceA',
+      interfaces: [{
+        name: 'eth0',
+        IPv4: '192.168.100.1',
+        IPv4Mask: '24',
+        isAssigned: true,
+        type: 'LAN'
+      },
+      {
+        name: 'eth1',
+        IPv4: '10.200.0.1',
+        IPv4Mask: '24',
+        isAssigned: true,
+        type: 'WAN'
+      }]
+    }];
+  });
+
+  it('Should be a valid pool', () => {
+    const result = validateOverlayPool('10.100.0.0/16', devices);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid pool if larger than /16', () => {
+    const result = validateOverlayPool('172.16.0.0/12', devices);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid pool if overlapping a WAN subnet', () => {
+    const result = validateOverlayPool('10.200.0.0/16', devices);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid pool if overlapping an unassigned LAN subnet', () => {
+    devices[0].interfaces[0].isAssigned = false;
+    const result = validateOverlayPool('192.168.0.0/16', devices);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be an invalid pool if smaller than /16', () => {
+    failureObject.err = 'Invalid overlay pool 10.100.0.0/24, must be /16 or larger';
+    const result = validateOverlayPool('10.100.0.0/24', devices);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid pool if not in CIDR format', () => {
+    failureObject.err = 'Invalid overlay pool 10.100.0.0, must be /16 or larger';
+    const result = validateOverlayPool('10.100.0.0', devices);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid pool if host bits are set', () => {
+    failureObject.err = 'Invalid overlay pool 10.100.5.0/16, host bits are set';
+    const result = validateOverlayPool('10.100.5.0/16', devices);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid pool if not a private subnet', () => {
+    failureObject.err = 'Overlay pool 172.32.0.0/16 must be a private subnet';
+    const result = validateOverlayPool('172.32.0.0/16', devices);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid pool if overlapping a LAN subnet', () => {
+    failureObject.err =
+      'Overlay pool 192.168.0.0/16 overlaps with LAN subnet of device deviceA';
+    const result = validateOverlayPool('192.168.0.0/16', devices);
+    expect(result).toMatchObject(failureObject);
+  });
+});
+
+describe('validateLanPool', () => {
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  it('Should be a valid pool', () => {
+    const result = validateLanPool('10.200.0.0/16', '10.100.0.0/16');
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid pool if empty', () => {
+    const result = validateLanPool('', '10.100.0.0/16');
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid pool of a single /24 subnet', () => {
+    const result = validateLanPool('192.168.10.0/24', '10.100.0.0/16');
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be an invalid pool if smaller than /24', () => {
+    failureObject.err = 'Invalid LAN pool 10.200.0.0/25, must be /24 or larger';
+    const result = validateLanPool('10.200.0.0/25', '10.100.0.0/16');
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid pool if host bits are set', () => {
+    failureObject.err = 'Invalid LAN pool 10.200.1.0/16, host bits are set';
+    const result = validateLanPool('10.200.1.0/16', '10.100.0.0/16');
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid pool if not a private subnet', () => {
+    failureObject.err = 'LAN pool 100.64.0.0/16 must be a private subnet';
+    const result = validateLanPool('100.64.0.0/16', '10.100.0.0/16');
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid pool if overlapping the overlay pool', () => {
+    failureObject.err = 'LAN pool 10.0.0.0/8 overlaps with the overlay pool 10.100.0.0/16';
+    const result = validateLanPool('10.0.0.0/8', '10.100.0.0/16');
+    expect(result).toMatchObject(failureObject);
+  });
+});
+
+describe('validateBGP', () => {
+  let device;
+  let bgp;
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  beforeEach(() => {
+    device = {
+      hostname: 'deviceA',
+      versions: { agent: '2.1.0' },
+      interfaces: [{
+        name: 'eth0',
+        IPv4: '192.168.100.1',
+        IPv4Mask: '24',
+        isAssigned: true,
+        type: 'LAN'
+      },
+      {
+        name: 'eth1',
+        IPv4: '172.23.100.1',
+        IPv4Mask: '24',
+        isAssigned: true,
+        type: 'WAN'
+      }]
+    };
+    bgp = {
+      enable: true,
+      localAsn: 65001,
+      routerId: '1.1.1.1',
+      neighbors: [{ ip: '172.23.100.254', remoteAsn: 65002 }],
+      networks: ['192.168.100.0/24']
+    };
+  });
+
+  // Happy path
+  it('Should be a valid BGP configuration', () => {
+    const result = validateBGP(bgp, device);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid BGP configuration if disabled', () => {
+    const result = validateBGP({ enable: false, localAsn: 0 }, device);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid BGP configuration with a 4-byte ASN and no router ID', () => {
+    bgp.localAsn = 4200000000;
+    bgp.routerId = '';
+    const result = validateBGP(bgp, device);
+    expect(result).toMatchObject(successObject);
+  });
+
+  // Error cases
+  it('Should be an invalid BGP configuration if not supported by the agent', () => {
+    device.versions.agent = '1.3.9';
+    failureObject.err = 'Device deviceA does not support BGP, please upgrade the device';
+    const result = validateBGP(bgp, device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid BGP configuration if local ASN is out of range', () => {
+    bgp.localAsn = 4294967296;
+    failureObject.err = 'Invalid local ASN: 4294967296';
+    const result = validateBGP(bgp, device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid BGP configuration if router ID is invalid', () => {
+    bgp.routerId = '1.1.1';
+    failureObject.err = 'Invalid router ID: 1.1.1';
+    const result = validateBGP(bgp, device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid BGP configuration if neighbor IP is invalid', () => {
+    bgp.neighbors[0].ip = '172.23.100.256';
+    failureObject.err = 'Invalid BGP neighbor IP: 172.23.100.256';
+    const result = validateBGP(bgp, device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid BGP configuration if neighbor ASN is missing', () => {
+    delete bgp.neighbors[0].remoteAsn;
+    failureObject.err = 'Invalid ASN of BGP neighbor 172.23.100.254';
+    const result = validateBGP(bgp, device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid BGP configuration if neighbors are duplicated', () => {
+    bgp.neighbors.push({ ip: '172.23.100.254', remoteAsn: 65003 });
+    failureObject.err = 'Duplicated BGP neighbor 172.23.100.254';
+    const result = validateBGP(bgp, device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid BGP configuration if neighbor is a device interface', () => {
+    bgp.neighbors[0].ip = '172.23.100.1';
+    failureObject.err = 'BGP neighbor 172.23.100.1 is a device interface address';
+    const result = validateBGP(bgp, device);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid BGP configuration if advertised prefix has no mask', () => {
+    bgp.networks.push('10.0.0.0');
+    failureObject.err = 'Invalid BGP advertised prefix: 10.0.0.0';
+    const result = validateBGP(bgp, device);
+    expect(result).toMatchObject(failureObject);
+  });
+});
+
+describe('validateStaticRoute', () => {
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  // Happy path
+  it.each`
+        destination           | gateway
+        ${'10.0.0.0/24'}      | ${'192.168.100.254'}
+        ${'2001:db8:1::/48'}  | ${'2001:db8::1'}
+        ${'::/0'}             | ${'fe80::1'}
+  `('Should be a valid route to $destination via $gateway', ({ destination, gateway }) => {
+    const result = validateStaticRoute({ destination, gateway });
+    expect(result).toMatchObject(successObject);
+  });
+
+  // Error cases
+  it('Should be an invalid route if destination has no mask', () => {
+    failureObject.err = 'Invalid destination: 2001:db8:1::';
+    const result = validateStaticRoute({ destination: '2001:db8:1::', gateway: '2001:db8::1' });
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid route if IPv6 destination mask is too long', () => {
+    failureObject.err = 'Invalid destination: 2001:db8:1::/129';
+    const result = validateStaticRoute({ destination: '2001:db8:1::/129', gateway: 'fe80::1' });
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid route if gateway is of a different IP version', () => {
+    failureObject.err = 'Gateway 192.168.100.254 must be an IPv6 address';
+    const result = validateStaticRoute({
+      destination: '2001:db8:1::/48',
+      gateway: '192.168.100.254'
+    });
+    expect(result).toMatchObject(failureObject);
+  });
+});
+
+describe('validateDhcpConfig', () => {
+  let interfaces;
+  let dhcp;
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  beforeEach(() => {
+    interfaces = [{
+      name: 'eth0',
+      pciaddr: '00:02.00',
+      IPv4: '192.168.100.1',
+      IPv4Mask: '24',
+      IPv6: '2001:db8:100::1',
+      IPv6Mask: '64',
+      isAssigned: true,
+      type: 'LAN'
+    }];
+    dhcp = {
+      interface: 'eth0',
+      rangeStart: '192.168.100.10',
+      rangeEnd: '192.168.100.100'
+    };
+  });
+
+  // Happy path
+  it('Should be a valid IPv4 DHCP range', () => {
+    const result = validateDhcpConfig(dhcp, interfaces);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid IPv6 DHCP range', () => {
+    dhcp.rangeStart = '2001:db8:100::10';
+    dhcp.rangeEnd = '2001:db8:100::ff';
+    const result = validateDhcpConfig(dhcp, interfaces);
+    expect(result).toMatchObject(successObject);
+  });
+
+  // Error cases
+  it('Should be an invalid DHCP range if start and end are of different IP versions', () => {
+    dhcp.rangeEnd = '2001:db8:100::ff';
+    failureObject.err = 'DHCP range start and end must be addresses of the same IP version';
+    const result = validateDhcpConfig(dhcp, interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid IPv6 DHCP range if interface has no IPv6 address', () => {
+    interfaces[0].IPv6 = '';
+    interfaces[0].IPv6Mask = '';
+    dhcp.rangeStart = '2001:db8:100::10';
+    dhcp.rangeEnd = '2001:db8:100::ff';
+    failureObject.err = 'Interface eth0 does not have an IPv6 address';
+    const result = validateDhcpConfig(dhcp, interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid DHCP range if outside the interface subnet', () => {
+    dhcp.rangeEnd = '192.168.101.100';
+    failureObject.err = 'DHCP range must be inside the subnet of interface eth0';
+    const result = validateDhcpConfig(dhcp, interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  describe('DHCP relay', () => {
+    beforeEach(() => {
+      dhcp = {
+        interface: 'eth0',
+        mode: 'relay',
+        relayServers: ['10.0.0.10', '10.0.0.11'],
+        macAssign: []
+      };
+    });
+
+    it('Should be a valid DHCP relay', () => {
+      const result = validateDhcpConfig(dhcp, interfaces);
+      expect(result).toMatchObject(successObject);
+    });
+
+    it('Should be an invalid DHCP relay without servers', () => {
+      dhcp.relayServers = [];
+      failureObject.err = 'DHCP relay must have 1 to 4 DHCP servers';
+      const result = validateDhcpConfig(dhcp, interfaces);
+      expect(result).toMatchObject(failureObject);
+    });
+
+    it('Should be an invalid DHCP relay with too many servers', () => {
+      dhcp.relayServers = ['10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.4', '10.0.0.5'];
+      failureObject.err = 'DHCP relay must have 1 to 4 DHCP servers';
+      const result = validateDhcpConfig(dhcp, interfaces);
+      expect(result).toMatchObject(failureObject);
+    });
+
+    it('Should be an invalid DHCP relay with an IPv6 server', () => {
+      dhcp.relayServers = ['2001:db8::10'];
+      failureObject.err = 'DHCP relay servers must be IPv4 addresses';
+      const result = validateDhcpConfig(dhcp, interfaces);
+      expect(result).toMatchObject(failureObject);
+    });
+
+    it('Should be an invalid DHCP relay with a duplicate server', () => {
+      dhcp.relayServers = ['10.0.0.10', '10.0.0.10'];
+      failureObject.err = 'DHCP relay servers must be unique';
+      const result = validateDhcpConfig(dhcp, interfaces);
+      expect(result).toMatchObject(failureObject);
+    });
+
+    it('Should be an invalid DHCP relay with MAC bindings', () => {
+      dhcp.macAssign = [{ host: 'host1', mac: '08:00:27:fd:00:00', ipv4: '192.168.100.20' }];
+      failureObject.err = 'MAC bindings are not supported in DHCP relay mode';
+      const result = validateDhcpConfig(dhcp, interfaces);
+      expect(result).toMatchObject(failureObject);
+    });
+
+    it('Should be an invalid DHCP relay if interface has no IPv4 address', () => {
+      interfaces[0].IPv4 = '';
+      interfaces[0].IPv4Mask = '';
+      failureObject.err = 'Interface eth0 does not have an IPv4 address';
+      const result = validateDhcpConfig(dhcp, interfaces);
+      expect(result).toMatchObject(failureObject);
+    });
+  });
+});
+
+describe('validateFirewallRule', () => {
+  let rule;
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  beforeEach(() => {
+    rule = {
+      direction: 'inbound',
+      source: 'any',
+      destination: '10.0.0.0/24',
+      protocol: 'tcp',
+      ports: '22',
+      action: 'deny'
+    };
+  });
+
+  // Happy path
+  it('Should be a valid rule', () => {
+    const result = validateFirewallRule(rule);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it.each`
+        source                | destination           | protocol   | ports
+        ${'any'}              | ${'any'}              | ${'any'}   | ${''}
+        ${'192.168.1.0/24'}   | ${'10.0.0.1/32'}      | ${'udp'}   | ${'5000-5100'}
+        ${'2001:db8::/32'}    | ${'any'}              | ${'icmp'}  | ${undefined}
+        ${'2001:db8::/32'}    | ${'2001:db8:1::/48'}  | ${'tcp'}   | ${'65535'}
+  `('Should be a valid rule from $source to $destination', (fields) => {
+    const result = validateFirewallRule({ ...rule, ...fields });
+    expect(result).toMatchObject(successObject);
+  });
+
+  // Error cases
+  it('Should be an invalid rule if direction is invalid', () => {
+    rule.direction = 'both';
+    failureObject.err = 'Invalid direction: both';
+    const result = validateFirewallRule(rule);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid rule if action is missing', () => {
+    delete rule.action;
+    failureObject.err = 'Invalid action: undefined';
+    const result = validateFirewallRule(rule);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid rule if source has no mask', () => {
+    rule.source = '192.168.1.1';
+    failureObject.err = 'Invalid source: 192.168.1.1';
+    const result = validateFirewallRule(rule);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid rule if destination mask is invalid', () => {
+    rule.destination = '10.0.0.0/33';
+    failureObject.err = 'Invalid destination: 10.0.0.0/33';
+    const result = validateFirewallRule(rule);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid rule if source and destination IP versions differ', () => {
+    rule.source = '2001:db8::/32';
+    failureObject.err = 'Source and destination must be of the same IP version';
+    const result = validateFirewallRule(rule);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid rule if ports are set for ICMP', () => {
+    rule.protocol = 'icmp';
+    failureObject.err = 'Ports can be set only for TCP or UDP rules';
+    const result = validateFirewallRule(rule);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it.each`
+        ports
+        ${'0'}
+        ${'65536'}
+        ${'100-10'}
+        ${'http'}
+        ${'10-'}
+  `('Should be an invalid rule if ports are $ports', ({ ports }) => {
+    failureObject.err = `Invalid ports: ${ports}`;
+    const result = validateFirewallRule({ ...rule, ports });
+    expect(result).toMatchObject(failureObject);
+  });
+});
+
+describe('validateNatRule', () => {
+  let interfaces;
+  let rule;
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  beforeEach(() => {
+    interfaces = [{
+      name: 'eth0',
+      pciaddr: '00:02.00',
+      IPv4: '192.168.100.1',
+      IPv4Mask: '24',
+      isAssigned: true,
+      type: 'LAN'
+    },
+    {
+      name: 'eth1',
+      pciaddr: '00:02.01',
+      IPv4: '172.23.100.1',
+      IPv4Mask: '24',
+      isAssigned: true,
+      type: 'WAN'
+    }];
+    rule = {
+      type: 'port-forward',
+      wanInterface: 'eth1',
+      protocol: 'tcp',
+      externalPort: 8080,
+      internalIP: '192.168.100.10',
+      internalPort: 80
+    };
+  });
+
+  // Happy path
+  it('Should be a valid port forwarding rule', () => {
+    const result = validateNatRule(rule, interfaces);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid 1:1 NAT rule', () => {
+    const result = validateNatRule({
+      type: '1:1',
+      wanInterface: 'eth1',
+      externalIP: '172.23.100.20',
+      internalIP: '192.168.100.20'
+    }, interfaces);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be valid if the external port is used on another WAN interface', () => {
+    interfaces.push({ ...interfaces[1], name: 'eth2', IPv4: '172.24.100.1' });
+    const result = validateNatRule(rule, interfaces, [{ ...rule, _id: '1', wanInterface: 'eth2' }]);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be valid if the external port is used by the modified rule', () => {
+    rule._id = '1';
+    const result = validateNatRule(rule, interfaces, [{ ...rule }]);
+    expect(result).toMatchObject(successObject);
+  });
+
+  // Error cases
+  it('Should be an invalid rule if the WAN interface does not exist', () => {
+    rule.wanInterface = 'eth0';
+    failureObject.err = 'WAN interface eth0 not found';
+    const result = validateNatRule(rule, interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid rule if the internal IP is not inside a LAN subnet', () => {
+    rule.internalIP = '172.23.100.10';
+    failureObject.err = 'Internal IP 172.23.100.10 is not inside a LAN interface subnet';
+    const result = validateNatRule(rule, interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid rule if the internal port is missing', () => {
+    delete rule.internalPort;
+    failureObject.err = 'Port forwarding requires valid external and internal ports';
+    const result = validateNatRule(rule, interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid rule if the external port is used on the WAN interface', () => {
+    failureObject.err = 'External port 8080 is already used on interface eth1';
+    const result = validateNatRule(rule, interfaces, [{ ...rule, _id: '1', internalPort: 8080 }]);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid rule if the 1:1 external IP is the WAN address', () => {
+    failureObject.err = 'External IP must differ from the address of interface eth1';
+    const result = validateNatRule({
+      type: '1:1',
+      wanInterface: 'eth1',
+      externalIP: '172.23.100.1',
+      internalIP: '192.168.100.20'
+    }, interfaces);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid device if a NAT rule target is outside the new LAN subnet', () => {
+    interfaces[0].IPv4 = '10.0.0.1';
+    failureObject.err = 'Internal IP 192.168.100.10 is not inside a LAN interface subnet';
+    const result = validateDevice({ interfaces, nat: [rule] });
+    expect(result).toMatchObject(failureObject);
+  });
+});
+
+describe('validateMultilinkPolicy', () => {
+  const pathLabels = [
+    { _id: '5e6a1fd4c1d1c3a2f1e0b9a1' },
+    { _id: '5e6a1fd4c1d1c3a2f1e0b9a2' }
+  ];
+  let policy;
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  beforeEach(() => {
+    policy = {
+      name: 'Branch policy',
+      rules: [{
+        name: 'Voice',
+        prefix: '10.10.0.0/16',
+        protocol: 'udp',
+        ports: '5060-5061',
+        dscp: 46,
+        preferredLabels: ['5e6a1fd4c1d1c3a2f1e0b9a1'],
+        fallbackLabels: ['5e6a1fd4c1d1c3a2f1e0b9a2']
+      },
+      {
+        name: 'Default',
+        preferredLabels: ['5e6a1fd4c1d1c3a2f1e0b9a2']
+      }]
+    };
+  });
+
+  // Happy path
+  it('Should be a valid policy', () => {
+    const result = validateMultilinkPolicy(policy, pathLabels);
+    expect(result).toMatchObject(successObject);
+  });
+
+  it('Should be a valid policy without rules', () => {
+    const result = validateMultilinkPolicy({ name: 'Empty', rules: [] }, pathLabels);
+    expect(result).toMatchObject(successObject);
+  });
+
+  // Error cases
+  it('Should be an invalid policy if rule names are not unique', () => {
+    policy.rules[1].name = 'Voice';
+    failureObject.err = 'Duplicate rule name: Voice';
+    const result = validateMultilinkPolicy(policy, pathLabels);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid policy if a rule prefix is invalid', () => {
+    policy.rules[0].prefix = '10.10.0.0';
+    failureObject.err = 'Invalid prefix in rule Voice: 10.10.0.0';
+    const result = validateMultilinkPolicy(policy, pathLabels);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid policy if ports are set without TCP or UDP', () => {
+    policy.rules[0].protocol = '';
+    failureObject.err = 'Ports can be set only for TCP or UDP rules, rule Voice';
+    const result = validateMultilinkPolicy(policy, pathLabels);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid policy if DSCP is out of range', () => {
+    policy.rules[0].dscp = 64;
+    failureObject.err = 'Invalid DSCP in rule Voice: 64';
+    const result = validateMultilinkPolicy(policy, pathLabels);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid policy if a rule has no preferred path label', () => {
+    policy.rules[1].preferredLabels = [];
+    failureObject.err = 'Rule Default must have a preferred path label';
+    const result = validateMultilinkPolicy(policy, pathLabels);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid policy if a label is both preferred and fallback', () => {
+    policy.rules[0].fallbackLabels = ['5e6a1fd4c1d1c3a2f1e0b9a1'];
+    failureObject.err = 'Rule Voice path labels cannot be both preferred and fallback';
+    const result = validateMultilinkPolicy(policy, pathLabels);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid policy if a path label is not in the organization', () => {
+    policy.rules[1].fallbackLabels = ['5e6a1fd4c1d1c3a2f1e0b9a3'];
+    failureObject.err = 'Rule Default uses an unknown path label';
+    const result = validateMultilinkPolicy(policy, pathLabels);
+    expect(result).toMatchObject(failureObject);
+  });
+});
+
+describe('validateQosProfile', () => {
+  let profile;
+  const successObject = {
+    valid: true,
+    err: ''
+  };
+  const failureObject = {
+    valid: false,
+    err: ''
+  };
+
+  beforeEach(() => {
+    profile = {
+      name: 'LTE',
+      classes: [
+        { name: 'voice', priority: 1, guaranteedRate: 20, dscp: [46] },
+        { name: 'video', priority: 2, guaranteedRate: 30, dscp: [34, 36] },
+        { name: 'bulk', priority: 3, guaranteedRate: 10, dscp: [] }
+      ]
+    };
+  });
+
+  // Happy path
+  it('Should be a valid profile', () => {
+    const result = validateQosProfile(profile);
+    expect(result).toMatchObject(successObject);
+  });
+
+  // Error cases
+  it('Should be an invalid profile if it has no classes', () => {
+    failureObject.err = 'QoS profile must have at least one traffic class';
+    const result = validateQosProfile({ name: 'LTE', classes: [] });
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if class names are not unique', () => {
+    profile.classes[1].name = 'voice';
+    failureObject.err = 'Duplicate class name: voice';
+    const result = validateQosProfile(profile);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if class priorities are not unique', () => {
+    profile.classes[2].priority = 1;
+    failureObject.err = 'Duplicate class priority: 1';
+    const result = validateQosProfile(profile);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if a DSCP value is used by two classes', () => {
+    profile.classes[1].dscp.push(46);
+    failureObject.err = 'DSCP 46 is used by more than one class';
+    const result = validateQosProfile(profile);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if two classes are without DSCP values', () => {
+    profile.classes[1].dscp = [];
+    failureObject.err = 'Only one class can be without DSCP values';
+    const result = validateQosProfile(profile);
+    expect(result).toMatchObject(failureObject);
+  });
+
+  it('Should be an invalid profile if the guaranteed rates exceed 100%', () => {
+    profile.classes[2].guaranteedRate = 60;
+    failureObject.err = 'The total guaranteed rate must not exceed 100%';
+    const result = validateQosProfile(profile);
+    expect(result).toMatchObject(failureObject);
+  });
+});
@@ -0,0 +1,89 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Registration token policies, enforced when devices register with a token
+const net = require('net');
+const cidr = require('cidr-tools');
+
+/**
+ * Checks if an address is in one of the allowed CIDRs
+ * @param  {string} address the source address of the device
+ * @param  {Array}  cidrs   the allowed CIDRs, any address is allowed if empty
+ * @return {boolean}        true if the address is allowed
+ */
+const isAddressAllowed = (address, cidrs = []) => {
+  if (cidrs.length === 0) return true;
+  if (!net.isIP(address)) return false;
+  const host = `${address}/${net.isIPv6(address) ? 128 : 32}`;
+  return cidrs.some(allowed => {
+    // IPv4 and IPv6 ranges never overlap
+    if (net.isIPv6(allowed.split('/')[0]) !== net.isIPv6(address)) return false;
+    return cidr.overlap(host, allowed);
+  });
+};
+
+/**
+ * Checks if a device can register with the token
+ * @param  {Object} token     the registration token
+ * @param  {string} sourceIP  the source address of the device
+ * @param  {Date}   now       the registration time
+ * @return {string}           the reason the registration is not allowed,
+ *                            empty string if allowed
+ */
+const checkTokenPolicy = (token, sourceIP, now = new Date()) => {
+  if (token.revoked) return 'Token has been revoked';
+  if (token.expiresAt && new Date(token.expiresAt) <= now) return 'Token has expired';
+  const registrations = (token.registeredDevices || []).length;
+  if (token.maxRegistrations > 0 && registrations >= token.maxRegistrations) {
+    return 'Token registration limit reached';
+  }
+  if (!isAddressAllowed(sourceIP, token.allowedCIDRs)) {
+    return 'Registration is not allowed from this address';
+  }
+  return '';
+};
+
+/**
+ * Gets the device fields set by the token defaults
+ * @param  {Object} token the registration token
+ * @return {Object}       the site and labels of the device
+ */
+const getTokenDefaults = (token) => ({
+  site: token.defaultSite || '',
+  labels: [...new Set(token.defaultLabels || [])]
+});
+
+/**
+ * Gets the query that matches the token only if another device
+ * can be registered with it, to count registrations atomically
+ * @param  {Object} token the registration token
+ * @return {Object}       the token query
+ */
+const getRegistrationQuery = (token) => {
+  const query = { _id: token._id, revoked: false };
+  if (token.maxRegistrations > 0) {
+    query[`registeredDevices.${token.maxRegistrations - 1}`] = { $exists: false };
+  }
+  return query;
+};
+
+module.exports = {
+  isAddressAllowed,
+  checkTokenPolicy,
+  getTokenDefaults,
+  getRegistrationQuery
+};
@@ -0,0 +1,477 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Logic to rotate the IPsec keys of established tunnels. A rotation is
+// done in two phases: first, the new SAs are installed on both devices,
+// and only after both devices completed, the old SAs are removed. If the
+// install phase fails, the new SAs are removed and the old SAs stay in use.
+const configs = require('../configs')();
+const tunnelsModel = require('../models/tunnels');
+const { cryptoProfiles, defaultKeyLifetime } = require('../models/cryptoProfiles');
+const {
+  generateTunnelParams,
+  prepareTunnelIpsecParams,
+  getTunnelCryptoProfile,
+  reconnectTunnel
+} = require('./tunnels');
+const connections = require('../websocket/Connections')();
+const notificationsMgr = require('../notifications/notifications')();
+const { getMajorVersion } = require('../versioning');
+const deviceQueues = require('../utils/deviceQueue')(
+  configs.get('kuePrefix'),
+  configs.get('redisUrl')
+);
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+
+// Minimal agent major version that supports keys rotation
+const keyRotationMinAgentVersion = 2;
+
+// Number of rotation results kept in the tunnel document
+const keyRotationHistorySize = 20;
+
+/**
+ * Gets the SPIs of the tunnel SAs of a keys generation. The SPIs of
+ * consecutive generations differ, so both can be installed at once.
+ * @param  {number} tunnelnum  tunnel id
+ * @param  {number} generation keys generation
+ * @return {{sa1: number, sa2: number}} SPIs of the SAs from A to B and from B to A
+ */
+const getGenerationSpis = (tunnelnum, generation) => {
+  const { sa1, sa2 } = generateTunnelParams(tunnelnum);
+  const offset = (generation % 2) * 0x10000;
+  return { sa1: sa1 + offset, sa2: sa2 + offset };
+};
+
+/**
+ * Prepares the jobs that install the SAs of a new keys generation
+ * @param  {number} tunnelnum     tunnel id
+ * @param  {number} generation    the new keys generation
+ * @param  {Object} cryptoProfile IPsec crypto profile used for the tunnel SAs
+ * @return {[Array, Array]}       device A and device B tasks
+ */
+const prepareKeysInstallJob = (tunnelnum, generation, cryptoProfile) => {
+  const { sa1, sa2 } = getGenerationSpis(tunnelnum, generation);
+  const [ipsecA, ipsecB] = prepareTunnelIpsecParams(sa1, sa2, cryptoProfile);
+
+  const tasksDeviceA = [{
+    entity: 'agent',
+    message: 'add-tunnel-sa',
+    params: { 'tunnel-id': tunnelnum, ipsec: ipsecA }
+  }];
+  const tasksDeviceB = [{
+    entity: 'agent',
+    message: 'add-tunnel-sa',
+    params: { 'tunnel-id': tunnelnum, ipsec: ipsecB }
+  }];
+  return [tasksDeviceA, tasksDeviceB];
+};
+
+/**
+ * Prepares the jobs that remove the SAs of an old keys generation.
+ * Once removed, the devices use only the SAs of the new generation.
+ * @param  {number} tunnelnum  tunnel id
+ * @param  {number} generation the old keys generation
+ * @return {[Array, Array]}    device A and device B tasks
+ */
+const prepareKeysRemoveJob = (tunnelnum, generation) => {
+  const { sa1, sa2 } = getGenerationSpis(tunnelnum, generation);
+
+  // Device B SAs are configured with swapped SPIs, see prepareTunnelIpsecParams()
+  const tasksDeviceA = [{
+    entity: 'agent',
+    message: 'remove-tunnel-sa',
+    params: {
+      'tunnel-id': tunnelnum,
+      ipsec: { 'local-sa': { spi: sa1 }, 'remote-sa': { spi: sa2 } }
+    }
+  }];
+  const tasksDeviceB = [{
+    entity: 'agent',
+    message: 'remove-tunnel-sa',
+    params: {
+      'tunnel-id': tunnelnum,
+      ipsec: { 'local-sa': { spi: sa2 }, 'remote-sa': { spi: sa1 } }
+    }
+  }];
+  return [tasksDeviceA, tasksDeviceB];
+};
+
+// Titles of the keys rotation phases jobs
+const phaseTitles = {
+  install: 'Install new keys for tunnel',
+  remove: 'Remove old keys of tunnel',
+  rollback: 'Remove new keys of tunnel'
+};
+
+/**
+ * Queues a keys rotation phase jobs to the devices of a tunnel
+ * @async
+ * @param  {Object} tunnel     tunnel object, with populated deviceA and deviceB
+ * @param  {string} phase      rotation phase ('install', 'remove' or 'rollback')
+ * @param  {number} generation the new keys generation
+ * @param  {Array}  tasksA     device A tasks, null to skip device A
+ * @param  {Array}  tasksB     device B tasks, null to skip device B
+ * @return {Array}             the queued jobs
+ */
+const queueKeysJobs = async (tunnel, phase, generation, tasksA, tasksB) => {
+  const { deviceA, deviceB, num } = tunnel;
+  const org = tunnel.org.toString();
+  const title = `${phaseTitles[phase]} ${num}`;
+
+  const jobs = [];
+  for (const [device, tasks, target] of [
+    [deviceA, tasksA, 'deviceAdone'],
+    [deviceB, tasksB, 'deviceBdone']
+  ]) {
+    if (!tasks) continue;
+    const job = await deviceQueues.addJob(
+      device.machineId,
+      'system',
+      org,
+      // Data
+      { title: title, tasks: tasks },
+      // Response data
+      {
+        method: 'tunnelkeys',
+        data: {
+          org: org,
+          tunnelId: num,
+          deviceA: deviceA._id,
+          deviceB: deviceB._id,
+          phase: phase,
+          generation: generation,
+          target: target
+        }
+      },
+      // Metadata
+      { priority: 'normal', attempts: 1, removeOnComplete: false },
+      // Complete callback
+      null
+    );
+    logger.info('Tunnel keys job queued', {
+      params: { tunnel: num, phase: phase, generation: generation },
+      job: job
+    });
+    jobs.push(job);
+  }
+  return jobs;
+};
+
+/**
+ * Starts a keys rotation of a tunnel by queuing the jobs
+ * that install the new SAs on both devices.
+ * @async
+ * @param  {Object} tunnel tunnel object, with populated deviceA and deviceB
+ * @return {Array}         the queued jobs
+ */
+const rotateTunnelKeys = async (tunnel) => {
+  const generation = tunnel.keyRotation.generation || 0;
+
+  // Mark the rotation as started, unless it was started in the meantime
+  const started = await tunnelsModel.findOneAndUpdate(
+    {
+      _id: tunnel._id,
+      isActive: true,
+      'keyRotation.generation': generation,
+      'keyRotation.status': { $nin: ['installing', 'removing'] }
+    },
+    {
+      $set: {
+        'keyRotation.status': 'installing',
+        'keyRotation.deviceAdone': false,
+        'keyRotation.deviceBdone': false
+      }
+    },
+    { upsert: false, new: true }
+  );
+  if (!started) return [];
+
+  logger.info('Rotating tunnel keys', {
+    params: { tunnel: tunnel.num, org: tunnel.org, generation: generation + 1 }
+  });
+  const cryptoProfile = await getTunnelCryptoProfile(tunnel);
+  const [tasksA, tasksB] = prepareKeysInstallJob(tunnel.num, generation + 1, cryptoProfile);
+  return queueKeysJobs(tunnel, 'install', generation + 1, tasksA, tasksB);
+};
+
+/**
+ * Checks whether the keys of a tunnel should be rotated. The keys are
+ * rotated when their lifetime has passed, only if both devices are
+ * connected and support keys rotation.
+ * @param  {Object}  tunnel      tunnel object, with populated deviceA and deviceB
+ * @param  {number}  keyLifetime keys lifetime in hours
+ * @param  {number}  now         current time in msec
+ * @return {boolean}             true if the keys should be rotated
+ */
+const shouldRotateTunnelKeys = (tunnel, keyLifetime, now) => {
+  const { deviceA, deviceB, keyRotation } = tunnel;
+  if (!deviceA || !deviceB) return false;
+
+  // Tunnels created before keys rotation was introduced have no rotation time
+  const lastRotation = (keyRotation && keyRotation.lastRotation) || tunnel.createdAt;
+  if (now - lastRotation.getTime() < keyLifetime * 3600000) return false;
+
+  return [deviceA, deviceB].every(device => {
+    const agentVersion = getMajorVersion((device.versions || {}).agent || '0');
+    return connections.isConnected(device.machineId) &&
+      agentVersion >= keyRotationMinAgentVersion;
+  });
+};
+
+/**
+ * Rotates the keys of all tunnels whose keys lifetime has passed.
+ * Called periodically by the rotate_tunnel_keys task.
+ * @async
+ * @return {void}
+ */
+const rotateExpiredTunnelKeys = async () => {
+  try {
+    const profiles = await cryptoProfiles.find({}, { org: 1, keyLifetime: 1 }).lean();
+    const orgKeyLifetimes = new Map(profiles.map(profile => {
+      return [profile.org.toString(), profile.keyLifetime];
+    }));
+
+    const tunnels = await tunnelsModel
+      .find({
+        isActive: true,
+        deviceAconf: true,
+        deviceBconf: true,
+        'keyRotation.status': { $nin: ['installing', 'removing'] }
+      })
+      .populate('deviceA')
+      .populate('deviceB');
+
+    const now = Date.now();
+    for (const tunnel of tunnels) {
+      const keyLifetime = orgKeyLifetimes.get(tunnel.org.toString()) || defaultKeyLifetime;
+      if (!shouldRotateTunnelKeys(tunnel, keyLifetime, now)) continue;
+      try {
+        await rotateTunnelKeys(tunnel);
+      } catch (err) {
+        logger.error('Tunnel keys rotation failed', {
+          params: { tunnel: tunnel.num, org: tunnel.org, err: err.message }
+        });
+      }
+    }
+  } catch (err) {
+    logger.error('Rotate tunnel keys failed', { params: { err: err.message } });
+  }
+};
+
+/**
+ * Marks a keys rotation as failed and notifies the user. When the install
+ * phase fails, both devices still have the old SAs, so the new SAs are
+ * removed from the other device and the tunnel keeps the old keys. When the
+ * remove phase fails, the tunnel is reconnected, to make sure both devices
+ * use the same keys.
+ * @async
+ * @param  {Object} res    the job response data
+ * @param  {string} reason the failure reason
+ * @return {void}
+ */
+const failKeysRotation = async (res, reason) => {
+  const { org, tunnelId, phase, generation, target } = res;
+  const tunnel = await tunnelsModel.findOneAndUpdate(
+    {
+      org: org,
+      num: tunnelId,
+      isActive: true,
+      'keyRotation.status': phase === 'install' ? 'installing' : 'removing',
+      'keyRotation.generation': generation - 1
+    },
+    {
+      $set: { 'keyRotation.status': 'failed' },
+      $push: {
+        'keyRotation.history': {
+          $each: [{ time: new Date(), generation, status: 'failed', reason }],
+          $slice: -keyRotationHistorySize
+        }
+      }
+    },
+    { upsert: false, new: true }
+  )
+    .populate('deviceA')
+    .populate('deviceB');
+
+  // The rotation was already failed by the other device, or canceled
+  if (!tunnel || !tunnel.deviceA || !tunnel.deviceB) return;
+
+  const device = target === 'deviceAdone' ? tunnel.deviceA : tunnel.deviceB;
+  await notificationsMgr.sendNotifications([{
+    org: org,
+    title: 'Tunnel key rotation failed',
+    time: new Date(),
+    device: device._id,
+    machineId: device.machineId,
+    details: `Key rotation of tunnel ${tunnelId} failed on device ${device.hostname}: ${reason}`
+  }]);
+
+  if (phase === 'install') {
+    // The new SAs were not installed on the failed device
+    const [tasksA, tasksB] = prepareKeysRemoveJob(tunnelId, generation);
+    await queueKeysJobs(
+      tunnel,
+      'rollback',
+      generation,
+      target === 'deviceAdone' ? null : tasksA,
+      target === 'deviceBdone' ? null : tasksB
+    );
+  } else {
+    await reconnectTunnel(tunnel);
+  }
+};
+
+/**
+ * Called when a tunnel keys job completes. When both devices complete the
+ * install phase, the remove phase is queued. When both devices complete the
+ * remove phase, the rotation is recorded in the tunnel document.
+ * @async
+ * @param  {number} jobId Kue job ID
+ * @param  {Object} res   job response data
+ * @return {void}
+ */
+const complete = async (jobId, res) => {
+  logger.info('Tunnel keys job complete', { params: { result: res, jobId: jobId } });
+  if (!res || !res.org || res.tunnelId === undefined || !res.phase || !res.target) {
+    logger.warn('Got an invalid job result', { params: { result: res, jobId: jobId } });
+    return;
+  }
+  const { org, tunnelId, phase, generation, target } = res;
+  // The rotation already failed, nothing to do when the new SAs are removed
+  if (phase === 'rollback') return;
+  const status = phase === 'install' ? 'installing' : 'removing';
+
+  try {
+    const tunnel = await tunnelsModel.findOneAndUpdate(
+      {
+        org: org,
+        num: tunnelId,
+        isActive: true,
+        'keyRotation.status': status,
+        'keyRotation.generation': generation - 1
+      },
+      { $set: { [`keyRotation.${target}`]: true } },
+      { upsert: false, new: true }
+    )
+      .populate('deviceA')
+      .populate('deviceB');
+
+    if (!tunnel) {
+      logger.info('Tunnel keys rotation was canceled', { params: { result: res, jobId: jobId } });
+      return;
+    }
+    const { deviceAdone, deviceBdone } = tunnel.keyRotation;
+    if (!deviceAdone || !deviceBdone) return;
+
+    if (phase === 'install') {
+      // Both devices have the new SAs, the old SAs can be removed
+      const updated = await tunnelsModel.findOneAndUpdate(
+        { _id: tunnel._id, 'keyRotation.status': 'installing' },
+        {
+          $set: {
+            'keyRotation.status': 'removing',
+            'keyRotation.deviceAdone': false,
+            'keyRotation.deviceBdone': false
+          }
+        },
+        { upsert: false }
+      );
+      if (!updated) return;
+      const [tasksA, tasksB] = prepareKeysRemoveJob(tunnelId, generation - 1);
+      await queueKeysJobs(tunnel, 'remove', generation, tasksA, tasksB);
+    } else {
+      await tunnelsModel.updateOne(
+        { _id: tunnel._id, 'keyRotation.status': 'removing' },
+        {
+          $set: {
+            'keyRotation.status': '',
+            'keyRotation.generation': generation,
+            'keyRotation.lastRotation': new Date(),
+            'keyRotation.deviceAdone': false,
+            'keyRotation.deviceBdone': false
+          },
+          $push: {
+            'keyRotation.history': {
+              $each: [{ time: new Date(), generation, status: 'complete' }],
+              $slice: -keyRotationHistorySize
+            }
+          }
+        },
+        { upsert: false }
+      );
+      logger.info('Tunnel keys rotated', { params: { tunnel: tunnelId, org: org, generation } });
+    }
+  } catch (err) {
+    logger.error('Tunnel keys job complete callback failed', {
+      params: { jobId: jobId, err: err.message }
+    });
+  }
+};
+
+/**
+ * Called when a tunnel keys job fails
+ * @async
+ * @param  {number} jobId Kue job ID
+ * @param  {Object} res   job response data
+ * @return {void}
+ */
+const error = async (jobId, res) => {
+  logger.error('Tunnel keys job failed', { params: { result: res, jobId: jobId } });
+  if (!res || !res.org || res.tunnelId === undefined || !res.phase || !res.target) {
+    logger.warn('Got an invalid job result', { params: { result: res, jobId: jobId } });
+    return;
+  }
+  // The rotation already failed, the tunnel keeps the old keys
+  if (res.phase === 'rollback') return;
+  try {
+    await failKeysRotation(res, `Failed to ${res.phase} keys`);
+  } catch (err) {
+    logger.error('Tunnel keys job error callback failed', {
+      params: { jobId: jobId, err: err.message }
+    });
+  }
+};
+
+/**
+ * Called when a tunnel keys job is removed
+ * @async
+ * @param  {Object} job Kue job
+ * @return {void}
+ */
+const remove = async (job) => {
+  const { phase } = (job.data.response || {}).data || {};
+  if (phase !== 'rollback' && ['inactive', 'delayed', 'active'].includes(job._state)) {
+    logger.info('Failing keys rotation for removed task', { params: { job: job } });
+    try {
+      await failKeysRotation(job.data.response.data, 'Job deleted');
+    } catch (err) {
+      logger.warn('Failed to update database', { params: { job: job, err: err.message } });
+    }
+  }
+};
+
+module.exports = {
+  complete: complete,
+  error: error,
+  remove: remove,
+  tasks: {
+    rotateExpiredTunnelKeys: rotateExpiredTunnelKeys
+  },
+  getGenerationSpis: getGenerationSpis,
+  prepareKeysInstallJob: prepareKeysInstallJob,
+  prepareKeysRemoveJob: prepareKeysRemoveJob
+};
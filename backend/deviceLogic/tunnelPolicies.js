@@ -0,0 +1,208 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const tunnelsModel = require('../models/tunnels');
+const tunnelPoliciesModel = require('../models/tunnelPolicies');
+const { devices } = require('../models/devices');
+const {
+  getDevicesPairTunnels,
+  getTunnelPromise,
+  oneTunnelDel,
+  getOrgCryptoProfile
+} = require('./tunnels');
+const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
+
+// Policies evaluations in progress per organization, used to
+// serialize the evaluations of the same organization
+const evaluations = new Map();
+
+/**
+ * Creates a key that identifies a tunnel regardless
+ * of the order of its interfaces
+ * @param  {string} interfaceA interface A id
+ * @param  {string} interfaceB interface B id
+ * @param  {string} pathlabel  path label id
+ * @return {string}            the tunnel key
+ */
+const getTunnelKey = (interfaceA, interfaceB, pathlabel) => {
+  const interfaces = [interfaceA.toString(), interfaceB.toString()].sort();
+  return `${interfaces.join(':')}:${pathlabel ? pathlabel.toString() : ''}`;
+};
+
+/**
+ * Gets the tunnels intended by the organization tunnel policies
+ * @param  {Array}  policies      enabled policies of the organization
+ * @param  {Array}  orgDevices    approved devices of the organization
+ * @param  {Object} cryptoProfile the organization crypto profile
+ * @return {Map}                  tunnel key to {policy, deviceA, deviceB, ifcA, ifcB, pathLabel}
+ */
+const getIntendedTunnels = (policies, orgDevices, cryptoProfile) => {
+  const intended = new Map();
+  for (const policy of policies) {
+    const pathlabel = policy.pathlabel.toString();
+    const sources = orgDevices.filter(device => device.labels.includes(policy.sourceLabel));
+    const destinations = orgDevices.filter(device => {
+      return device.labels.includes(policy.destinationLabel);
+    });
+
+    // A device with both labels is connected only once to each device
+    const connectedPairs = new Set();
+    for (const deviceA of sources) {
+      for (const deviceB of destinations) {
+        const pairKey = [deviceA._id.toString(), deviceB._id.toString()].sort().join(':');
+        if (deviceA._id.toString() === deviceB._id.toString() || connectedPairs.has(pairKey)) {
+          continue;
+        }
+        connectedPairs.add(pairKey);
+
+        let pairTunnels;
+        try {
+          pairTunnels = getDevicesPairTunnels(deviceA, deviceB, [pathlabel], cryptoProfile);
+        } catch (err) {
+          logger.warn('Tunnel policy cannot connect devices', {
+            params: {
+              policy: policy.name,
+              deviceA: deviceA.hostname,
+              deviceB: deviceB.hostname,
+              reason: err.message
+            }
+          });
+          continue;
+        }
+        pairTunnels.forEach(tunnel => {
+          const key = getTunnelKey(tunnel.ifcA._id, tunnel.ifcB._id, pathlabel);
+          if (!intended.has(key)) intended.set(key, { policy, ...tunnel });
+        });
+      }
+    }
+  }
+  return intended;
+};
+
+/**
+ * Converges the organization tunnels on the tunnel policies.
+ * Tunnels intended by the policies are created, and tunnels
+ * created by policies that are not intended anymore are deleted.
+ * Tunnels created by the user are never deleted.
+ * @async
+ * @param  {string} org  organization id
+ * @param  {string} user user name of the requesting user
+ * @return {Array}       jobs created
+ */
+const evaluateTunnelPolicies = async (org, user) => {
+  const policies = await tunnelPoliciesModel.find({ org: org, enabled: true }).lean();
+  const orgDevices = await devices.find({ org: org, isApproved: true })
+    .populate('interfaces.pathlabels', '_id name description color type');
+  const cryptoProfile = await getOrgCryptoProfile(org);
+  const intended = getIntendedTunnels(policies, orgDevices, cryptoProfile);
+
+  const activeTunnels = await tunnelsModel.find(
+    { org: org, isActive: true },
+    { interfaceA: 1, interfaceB: 1, pathlabel: 1, policy: 1, num: 1 }
+  ).lean();
+  const existing = new Set(activeTunnels.map(tunnel => {
+    return getTunnelKey(tunnel.interfaceA, tunnel.interfaceB, tunnel.pathlabel);
+  }));
+
+  const jobs = [];
+  // Remove the policies tunnels that are not intended anymore
+  const unintended = activeTunnels.filter(tunnel => {
+    return tunnel.policy &&
+      !intended.has(getTunnelKey(tunnel.interfaceA, tunnel.interfaceB, tunnel.pathlabel));
+  });
+  for (const tunnel of unintended) {
+    try {
+      logger.info('Deleting tunnel not intended by tunnel policies', {
+        params: { org: org, tunnel: tunnel.num }
+      });
+      jobs.push(...await oneTunnelDel(tunnel._id, user, org));
+    } catch (err) {
+      logger.error('Failed to delete tunnel not intended by tunnel policies', {
+        params: { org: org, tunnel: tunnel.num, err: err.message }
+      });
+    }
+  }
+
+  // Add the intended tunnels that don't exist
+  for (const [key, tunnel] of intended) {
+    // Interfaces that are both behind address and port translating NAT can't be connected
+    if (existing.has(key) || tunnel.unreachable) continue;
+    const { policy, deviceA, deviceB, ifcA, ifcB, pathLabel } = tunnel;
+    try {
+      logger.info('Adding tunnel intended by tunnel policy', {
+        params: {
+          policy: policy.name,
+          deviceA: deviceA.hostname,
+          deviceB: deviceB.hostname,
+          interfaces: { interfaceA: ifcA.name, interfaceB: ifcB.name }
+        }
+      });
+      const tunnelJobs = await getTunnelPromise(user, org, pathLabel._id,
+        { ...deviceA.toObject() }, { ...deviceB.toObject() },
+        { ...ifcA.toObject() }, { ...ifcB.toObject() });
+      jobs.push(...tunnelJobs);
+
+      // Mark the tunnel as created by the policy
+      await tunnelsModel.updateOne(
+        {
+          $or: [
+            { interfaceA: ifcA._id, interfaceB: ifcB._id },
+            { interfaceB: ifcA._id, interfaceA: ifcB._id }
+          ],
+          isActive: true,
+          pathlabel: pathLabel._id,
+          org: org
+        },
+        { $set: { policy: policy._id } }
+      );
+    } catch (err) {
+      logger.error('Failed to add tunnel intended by tunnel policy', {
+        params: { policy: policy.name, err: err.message }
+      });
+    }
+  }
+  return jobs;
+};
+
+/**
+ * Re-evaluates the organization tunnel policies. Called when
+ * the policies change, and when devices are approved or modified.
+ * Evaluations of the same organization run one after the other.
+ * @async
+ * @param  {string} org  organization id
+ * @param  {string} user user name of the requesting user
+ * @return {Array}       jobs created
+ */
+const applyTunnelPolicies = (org, user = 'system') => {
+  const orgId = org.toString();
+  const previous = evaluations.get(orgId) || Promise.resolve();
+  const evaluation = previous
+    .catch(() => {})
+    .then(() => evaluateTunnelPolicies(orgId, user));
+  evaluations.set(orgId, evaluation);
+  evaluation
+    .catch(() => {})
+    .then(() => {
+      if (evaluations.get(orgId) === evaluation) evaluations.delete(orgId);
+    });
+  return evaluation;
+};
+
+module.exports = {
+  applyTunnelPolicies,
+  getTunnelKey
+};
@@ -19,8 +19,25 @@
 const configs = require('../configs')();
 const tunnelsModel = require('../models/tunnels');
 const tunnelIDsModel = require('../models/tunnelids');
+const organizations = require('../models/organizations');
+const {
+  cryptoProfiles,
+  cryptoAlgs,
+  integrAlgs,
+  defaultCryptoProfile
+} = require('../models/cryptoProfiles');
+const { validateCryptoProfile, isIPv6LinkLocal } = require('./validators');
+const {
+  createDryRunResult,
+  addDryRunJob,
+  addDryRunTunnel,
+  addDryRunError
+} = require('./dryRun');
+const net = require('net');
 const mongoose = require('mongoose');
 const randomNum = require('../utils/random-key');
+const connections = require('../websocket/Connections')();
+const deviceStatus = require('../periodic/deviceStatus')();
 
 const deviceQueues = require('../utils/deviceQueue')(
   configs.get('kuePrefix'),
@@ -29,6 +46,21 @@ const deviceQueues = require('../utils/deviceQueue')(
 const { routerVersionsCompatible } = require('../versioning');
 const logger = require('../logging/logging')({ module: module.filename, type: 'job' });
 
+// Time (in msec) to wait after the last change of a tunnel before the
+// periodic check tries to reconnect it. This leaves enough time for the
+// tunnel jobs that were already queued to be processed by the devices.
+const tunnelReconnectGracePeriod = 300000;
+
+// Tunnel loopback addresses pool, used by tunnels created
+// before the overlay pool was configurable per organization
+const defaultOverlayPool = '10.100.0.0/16';
+
+// Maximal number of tunnels per organization
+const maxTunnelsPerOrg = 15000;
+
+// Local UDP port of tunnels that traverse NAT (UDP encapsulated tunnels)
+const natTraversalPort = 4500;
+
 const intersectIfcLabels = (ifcLabelsA, ifcLabelsB) => {
   const intersection = ifcLabelsA.filter(ifcLabel => {
     const idx = ifcLabelsB.findIndex(label => {
@@ -41,133 +73,405 @@ const intersectIfcLabels = (ifcLabelsA, ifcLabelsB) => {
 };
 
 /**
- * This function is called when adding new tunnels
- * @async
- * @param  {Array}    device    an array of the devices to be modified
- * @param  {Object}   user      User object
- * @param  {Object}   data      Additional data used by caller
- * @return {None}
+ * Gets the type of NAT a tunnel interface is behind, based on the public
+ * endpoint observed by the MGMT:
+ * - 'none': the public IPv4 address is the address of the interface (or unknown)
+ * - 'address': only the address is translated (1:1 NAT, port forwarding, or
+ *   port preserving NAT), the peer can reach the interface on its tunnels port.
+ *   This is also assumed when the public port was not observed.
+ * - 'address-and-port': both the address and the tunnels port are translated
+ * @param  {Object} ifc tunnel interface
+ * @return {string}     the NAT type
  */
-const applyTunnelAdd = async (devices, user, data) => {
-  /**
-     * Request body holds the list of devices ids to connect tunnel between
-     */
-  const selectedDevices = data.devices;
-  logger.info('Creating tunnels between devices', {
-    params: { devices: selectedDevices }
-  });
+const getNatType = (ifc) => {
+  if (!net.isIPv4(ifc.PublicIP) || ifc.PublicIP === ifc.IPv4) return 'none';
+  return ifc.PublicPort && Number(ifc.PublicPort) !== natTraversalPort
+    ? 'address-and-port'
+    : 'address';
+};
 
-  // Get details for devices to connect
-  const opDevices = (devices && selectedDevices)
-    ? devices.filter((device) => {
-      const inSelected = selectedDevices.hasOwnProperty(device._id);
-      if (inSelected) return true;
-      else return false;
-    }) : [];
-
-  // For each device pair, create tunnels between WAN interfaces
-  const devicesLen = opDevices.length;
-  // Only allow tunnels for more than two devices
-  if (devicesLen >= 2) {
-    const dbTasks = [];
-    const userName = user.username;
-    const org = user.defaultOrg._id.toString();
+/**
+ * Gets the underlay (source/destination) addresses of a tunnel
+ * between two WAN interfaces. IPv4 is used if both interfaces have
+ * an IPv4 address, otherwise IPv6 is used if both interfaces have a
+ * global IPv6 address. The public address of the remote interface
+ * is used as destination, if it is of the same IP version.
+ * When an interface is behind NAT the tunnel is UDP encapsulated, and each
+ * device sends to the observed public port of its peer (or to the tunnels
+ * port if it was not observed). Only interfaces that are both behind address
+ * and port translating NAT can't reach each other.
+ * @param  {Object}  deviceAIntf device A tunnel interface
+ * @param  {Object}  deviceBIntf device B tunnel interface
+ * @param  {boolean} strict      return null if there is no common IP version,
+ *                               otherwise fall back to IPv4
+ * @return {{version: number, srcA: string, dstA: string, srcB: string, dstB: string,
+ *           encap: {portA: number, portB: number}, unreachable: boolean}}
+ */
+const getTunnelUnderlay = (deviceAIntf, deviceBIntf, strict = false) => {
+  const getAddress = (ifc, version) => version === 4 ? ifc.IPv4 : ifc.IPv6;
+  const getPublicAddress = (ifc, version) => {
+    return net.isIP(ifc.PublicIP) === version ? ifc.PublicIP : getAddress(ifc, version);
+  };
+  const versions = [4, 6].filter(version => {
+    return [deviceAIntf, deviceBIntf].every(ifc => {
+      const ip = getAddress(ifc, version);
+      return net.isIP(ip) === version && !isIPv6LinkLocal(ip);
+    });
+  });
+  if (versions.length === 0 && strict) return null;
+
+  const version = versions.length > 0 ? versions[0] : 4;
+  const [natA, natB] = version === 4
+    ? [getNatType(deviceAIntf), getNatType(deviceBIntf)]
+    : ['none', 'none'];
+  const getPublicPort = (ifc, nat) => {
+    return nat !== 'none' && ifc.PublicPort ? Number(ifc.PublicPort) : natTraversalPort;
+  };
+  const natTraversal = natA !== 'none' || natB !== 'none';
+  return {
+    version: version,
+    srcA: getAddress(deviceAIntf, version),
+    dstA: getPublicAddress(deviceBIntf, version),
+    srcB: getAddress(deviceBIntf, version),
+    dstB: getPublicAddress(deviceAIntf, version),
+    encap: natTraversal
+      ? { portA: getPublicPort(deviceAIntf, natA), portB: getPublicPort(deviceBIntf, natB) }
+      : null,
+    unreachable: natA === 'address-and-port' && natB === 'address-and-port'
+  };
+};
 
-    for (let idxA = 0; idxA < devicesLen - 1; idxA++) {
-      for (let idxB = idxA + 1; idxB < devicesLen; idxB++) {
-        const deviceA = opDevices[idxA];
-        const deviceB = opDevices[idxB];
+/**
+ * Gets the UDP encapsulation parameters of both devices of a NAT traversal tunnel
+ * @param  {Object} underlay the tunnel underlay (see getTunnelUnderlay)
+ * @return {[Object, Object]} device A and device B parameters, empty if not encapsulated
+ */
+const getTunnelEncapParams = (underlay) => {
+  if (!underlay.encap) return [{}, {}];
+  const { portA, portB } = underlay.encap;
+  return [
+    { 'udp-encap': { 'src-port': natTraversalPort, 'dst-port': portB } },
+    { 'udp-encap': { 'src-port': natTraversalPort, 'dst-port': portA } }
+  ];
+};
 
-        // Tunnels are supported only between devices of the same router version
-        const [verA, verB] = [deviceA.versions.router, deviceB.versions.router];
-        if (!routerVersionsCompatible(verA, verB)) {
-          logger.warn('Tunnel creation failed', {
-            params: { reason: 'Router version mismatch', versions: { verA: verA, verB: verB } }
-          });
-          throw new Error('Cannot create tunnels between devices with mismatching router versions');
+/**
+ * Gets the pairs of devices that should be connected
+ * by tunnels, according to the requested topology:
+ * full-mesh - all pairs of the devices
+ * hub-and-spoke - every hub with all other devices, and hubs between themselves
+ * pairs - an explicit list of device pairs
+ * @param  {Array}  devices   the devices to be connected
+ * @param  {Object} topology  the topology mode and parameters
+ * @return {Array}            an array of [deviceA, deviceB] pairs
+ */
+const getTopologyPairs = (devices, topology = {}) => {
+  const { mode = 'full-mesh', hubs = [], pairs = [] } = topology;
+  const devicesMap = new Map(devices.map(device => [device._id.toString(), device]));
+  const result = [];
+
+  switch (mode) {
+    case 'full-mesh':
+      for (let idxA = 0; idxA < devices.length - 1; idxA++) {
+        for (let idxB = idxA + 1; idxB < devices.length; idxB++) {
+          result.push([devices[idxA], devices[idxB]]);
+        }
+      }
+      break;
+    case 'hub-and-spoke': {
+      if (hubs.length === 0) {
+        throw new Error('At least one hub must be selected for hub-and-spoke topology');
+      }
+      const hubIds = hubs.map(hub => hub.toString());
+      const unknownHub = hubIds.find(hub => !devicesMap.has(hub));
+      if (unknownHub) throw new Error(`Hub device ${unknownHub} is not selected`);
+
+      const hubDevices = hubIds.filter((hub, idx) => hubIds.indexOf(hub) === idx)
+        .map(hub => devicesMap.get(hub));
+      const spokeDevices = devices.filter(device => !hubIds.includes(device._id.toString()));
+      // Hubs are connected to each other
+      result.push(...getTopologyPairs(hubDevices, { mode: 'full-mesh' }));
+      hubDevices.forEach(hub => {
+        spokeDevices.forEach(spoke => result.push([hub, spoke]));
+      });
+      break;
+    }
+    case 'pairs': {
+      const pairKeys = new Set();
+      for (const pair of pairs) {
+        const [idA, idB] = (Array.isArray(pair) ? pair : []).map(id => String(id));
+        if (!devicesMap.has(idA) || !devicesMap.has(idB) || idA === idB) {
+          throw new Error(`Invalid devices pair: ${JSON.stringify(pair)}`);
         }
+        // Skip duplicated pairs, in any order
+        const key = [idA, idB].sort().join(':');
+        if (pairKeys.has(key)) continue;
+        pairKeys.add(key);
+        result.push([devicesMap.get(idA), devicesMap.get(idB)]);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unsupported tunnels topology: ${mode}`);
+  }
+  return result;
+};
 
-        // Find device A WAN interfaces
-        const deviceAIntfs = deviceA.interfaces.filter(intf => {
-          return intf.isAssigned === true && intf.type === 'WAN';
-        });
+/**
+ * Gets the tunnels that should be created between two devices.
+ * A tunnel is created between each WAN interface on device A to
+ * each of the WAN interfaces on device B according to the path
+ * labels assigned to the interfaces. If the list of path labels
+ * IDs contains the ID 'FFFFFF', tunnels are created between all
+ * common path labels across all WAN interfaces.
+ * @param  {Object} deviceA         device A
+ * @param  {Object} deviceB         device B
+ * @param  {Array}  specifiedLabels path labels IDs selected by the user
+ * @param  {Object} cryptoProfile   the organization crypto profile
+ * @return {Array}  an array of {deviceA, deviceB, ifcA, ifcB, pathLabel, unreachable} objects
+ */
+const getDevicesPairTunnels = (deviceA, deviceB, specifiedLabels, cryptoProfile) => {
+  // Tunnels are supported only between devices of the same router version
+  const [verA, verB] = [deviceA.versions.router, deviceB.versions.router];
+  if (!routerVersionsCompatible(verA, verB)) {
+    logger.warn('Tunnel creation failed', {
+      params: { reason: 'Router version mismatch', versions: { verA: verA, verB: verB } }
+    });
+    throw new Error('Cannot create tunnels between devices with mismatching router versions');
+  }
 
-        // Find device B WAN interfaces
-        const deviceBIntfs = deviceB.interfaces.filter(intf => {
-          return intf.isAssigned === true && intf.type === 'WAN';
-        });
+  // Both devices must support the organization crypto profile
+  const { valid, err } = validateCryptoProfile(cryptoProfile, [deviceA, deviceB]);
+  if (!valid) {
+    logger.warn('Tunnel creation failed', {
+      params: { reason: err, cryptoProfile: cryptoProfile }
+    });
+    throw new Error(err);
+  }
 
-        const devicesInfo = {
-          deviceA: { hostname: deviceA.hostname, interface: deviceAIntfs.name },
-          deviceB: { hostname: deviceB.hostname, interface: deviceBIntfs.name }
-        };
-        logger.debug('Connecting tunnel between devices', { params: { devicesInfo } });
-
-        // Create a tunnel between each WAN interface on device A to
-        // each of the WAN interfaces on device B according to the path
-        // labels assigned to the interfaces. If the list of path labels
-        // IDs contains the ID 'FFFFFF', create tunnels between all common
-        // path labels across all WAN interfaces.
-        // TBD: key exchange should be dynamic
-        const specifiedLabels = data.meta.pathLabels;
-        const createForAllLabels = specifiedLabels.includes('FFFFFF');
-        if (deviceAIntfs.length && deviceBIntfs.length) {
-          deviceAIntfs.forEach(wanIfcA => {
-            deviceBIntfs.forEach(wanIfcB => {
-              const ifcALabels = wanIfcA.pathlabels;
-              const ifcBLabels = wanIfcB.pathlabels;
-
-              // If no path labels were selected, create a tunnel
-              // only if both interfaces aren't assigned with labels
-              if (specifiedLabels.length === 0) {
-                if (ifcALabels.length === 0 && ifcBLabels.length === 0) {
-                  dbTasks.push(getTunnelPromise(userName, org, null,
-                    { ...deviceA.toObject() }, { ...deviceB.toObject() },
-                    { ...wanIfcA.toObject() }, { ...wanIfcB.toObject() }));
-                }
-              } else {
-                // Create a list of path labels that are common to both interfaces.
-                const labelsIntersection = intersectIfcLabels(ifcALabels, ifcBLabels);
-                for (const label of labelsIntersection) {
-                  // Skip tunnel creation for labels of type "DIA"
-                  // (Direct Internet Access) or if the label is not
-                  // included in the list of labels specified by the user
-                  const shouldSkipTunnel =
-                    label.type === 'DIA'
-                      ? true
-                      : !createForAllLabels &&
-                        !specifiedLabels.includes(label._id);
-                  if (shouldSkipTunnel) continue;
-                  // If a tunnel already exists, skip the configuration
-                  // Use a copy of devices objects as promise runs later
-                  dbTasks.push(getTunnelPromise(userName, org, label._id,
-                    { ...deviceA.toObject() }, { ...deviceB.toObject() },
-                    { ...wanIfcA.toObject() }, { ...wanIfcB.toObject() }));
-                }
-              }
-            });
+  // Find device A WAN interfaces
+  const deviceAIntfs = deviceA.interfaces.filter(intf => {
+    return intf.isAssigned === true && intf.type === 'WAN';
+  });
+
+  // Find device B WAN interfaces
+  const deviceBIntfs = deviceB.interfaces.filter(intf => {
+    return intf.isAssigned === true && intf.type === 'WAN';
+  });
+
+  const devicesInfo = {
+    deviceA: { hostname: deviceA.hostname, interface: deviceAIntfs.name },
+    deviceB: { hostname: deviceB.hostname, interface: deviceBIntfs.name }
+  };
+  logger.debug('Connecting tunnel between devices', { params: { devicesInfo } });
+
+  if (!deviceAIntfs.length || !deviceBIntfs.length) {
+    logger.info('Failed to connect tunnel between devices', {
+      params: {
+        deviceA: deviceA.hostname,
+        deviceB: deviceB.hostname,
+        reason: 'no valid WAN interfaces'
+      }
+    });
+    return [];
+  }
+
+  // TBD: key exchange should be dynamic
+  const createForAllLabels = specifiedLabels.includes('FFFFFF');
+  const pairTunnels = [];
+  deviceAIntfs.forEach(wanIfcA => {
+    deviceBIntfs.forEach(wanIfcB => {
+      // Tunnels are created only between interfaces of a common IP version
+      const underlay = getTunnelUnderlay(wanIfcA, wanIfcB, true);
+      if (!underlay) {
+        logger.info('Skipping tunnel between interfaces without a common IP version', {
+          params: {
+            deviceA: deviceA.hostname,
+            interfaceA: wanIfcA.name,
+            deviceB: deviceB.hostname,
+            interfaceB: wanIfcB.name
+          }
+        });
+        return;
+      }
+      // Interfaces that are both behind address and port translating NAT can't
+      // reach each other. These tunnels are returned as unreachable, so the
+      // user is told about them.
+      const { unreachable } = underlay;
+      const ifcALabels = wanIfcA.pathlabels;
+      const ifcBLabels = wanIfcB.pathlabels;
+
+      // If no path labels were selected, create a tunnel
+      // only if both interfaces aren't assigned with labels
+      if (specifiedLabels.length === 0) {
+        if (ifcALabels.length === 0 && ifcBLabels.length === 0) {
+          pairTunnels.push({
+            deviceA, deviceB, ifcA: wanIfcA, ifcB: wanIfcB, pathLabel: null, unreachable
           });
-        } else {
-          logger.info('Failed to connect tunnel between devices', {
-            params: {
-              deviceA: deviceA.hostname,
-              deviceB: deviceB.hostname,
-              reason: 'no valid WAN interfaces'
-            }
+        }
+      } else {
+        // Create a list of path labels that are common to both interfaces.
+        const labelsIntersection = intersectIfcLabels(ifcALabels, ifcBLabels);
+        for (const label of labelsIntersection) {
+          // Skip tunnel creation for labels of type "DIA"
+          // (Direct Internet Access) or if the label is not
+          // included in the list of labels specified by the user
+          const shouldSkipTunnel =
+            label.type === 'DIA'
+              ? true
+              : !createForAllLabels &&
+                !specifiedLabels.includes(label._id);
+          if (shouldSkipTunnel) continue;
+          pairTunnels.push({
+            deviceA, deviceB, ifcA: wanIfcA, ifcB: wanIfcB, pathLabel: label, unreachable
           });
         }
       }
-    }
+    });
+  });
+  return pairTunnels;
+};
+
+/**
+ * Gets the tunnels that should be created for a tunnels apply request,
+ * according to the selected devices, topology and path labels.
+ * @async
+ * @param  {Array}    devices   all the organization devices
+ * @param  {string}   org       organization id
+ * @param  {Object}   data      the apply request data
+ * @return {Array}    an array of {deviceA, deviceB, ifcA, ifcB, pathLabel, unreachable} objects
+ */
+const getRequestedTunnels = async (devices, org, data) => {
+  const meta = data.meta || {};
+  const topology = meta.topology || {};
+
+  // Devices of explicit pairs are selected even if not in the devices list
+  const selectedDevices = new Set(Object.keys(data.devices || {}));
+  if (topology.mode === 'pairs') {
+    (topology.pairs || []).flat().filter(id => id)
+      .forEach(id => selectedDevices.add(id.toString()));
+  }
+  logger.info('Creating tunnels between devices', {
+    params: { devices: [...selectedDevices], topology: topology }
+  });
 
-    // Execute all promises
-    logger.debug('Running tunnel promises', { params: { tunnels: dbTasks.length } });
-    const values = await Promise.all(dbTasks);
-    logger.debug('Operation completed', { params: { values: values } });
-    return values;
-  } else {
+  // Get details for devices to connect
+  const opDevices = (devices || []).filter((device) => {
+    return selectedDevices.has(device._id.toString());
+  });
+
+  // Only allow tunnels for more than two devices
+  if (opDevices.length < 2) {
     logger.error('At least 2 devices must be selected to create tunnels', { params: {} });
     throw new Error('At least 2 devices must be selected to create tunnels');
   }
+
+  const cryptoProfile = await getOrgCryptoProfile(org);
+  const specifiedLabels = meta.pathLabels || [];
+  const requestedTunnels = [];
+  for (const [deviceA, deviceB] of getTopologyPairs(opDevices, topology)) {
+    // Both devices must support the requested routing protocol
+    getTunnelRouting(meta.routing, deviceA, deviceB);
+    requestedTunnels.push(
+      ...getDevicesPairTunnels(deviceA, deviceB, specifiedLabels, cryptoProfile)
+    );
+  }
+  return requestedTunnels;
+};
+
+/**
+ * Gets the keys of the active tunnels of an organization, in both directions.
+ * A key is built from the tunnel interfaces and path label.
+ * @async
+ * @param  {string} org organization id
+ * @return {Set}        the keys of the active tunnels
+ */
+const getActiveTunnelKeys = async (org) => {
+  const activeTunnels = await tunnelsModel.find(
+    { org: org, isActive: true },
+    { interfaceA: 1, interfaceB: 1, pathlabel: 1 }
+  ).lean();
+  const existingKeys = new Set();
+  activeTunnels.forEach(({ interfaceA, interfaceB, pathlabel }) => {
+    const label = pathlabel ? pathlabel.toString() : '';
+    existingKeys.add(`${interfaceA}:${interfaceB}:${label}`);
+    existingKeys.add(`${interfaceB}:${interfaceA}:${label}`);
+  });
+  return existingKeys;
+};
+
+/**
+ * Returns a preview of the tunnels that will be created
+ * by a tunnels apply request, without queuing any job.
+ * @async
+ * @param  {Array}    devices   all the organization devices
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      the apply request data
+ * @return {Array}    an array of tunnels descriptions
+ */
+const previewTunnelAdd = async (devices, user, data) => {
+  const org = user.defaultOrg._id.toString();
+  const requestedTunnels = await getRequestedTunnels(devices, org, data);
+
+  // Tunnels that already exist are not created again
+  const existingKeys = await getActiveTunnelKeys(org);
+
+  return requestedTunnels.map(({ deviceA, deviceB, ifcA, ifcB, pathLabel, unreachable }) => {
+    const label = pathLabel ? pathLabel._id.toString() : '';
+    return {
+      deviceA: { _id: deviceA._id.toString(), name: deviceA.name, interface: ifcA.name },
+      deviceB: { _id: deviceB._id.toString(), name: deviceB.name, interface: ifcB.name },
+      pathlabel: pathLabel ? { _id: label, name: pathLabel.name } : null,
+      exists: existingKeys.has(`${ifcA._id}:${ifcB._id}:${label}`),
+      unreachable: unreachable
+    };
+  });
+};
+
+/**
+ * This function is called when adding new tunnels
+ * @async
+ * @param  {Array}    device    an array of the devices to be modified
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      Additional data used by caller
+ * @return {None}
+ */
+const applyTunnelAdd = async (devices, user, data) => {
+  const userName = user.username;
+  const org = user.defaultOrg._id.toString();
+  const requestedTunnels = await getRequestedTunnels(devices, org, data);
+
+  // Jobs of tunnels between interfaces that are both behind address and
+  // port translating NAT would fail, they are only reported in the preview
+  const reachableTunnels = requestedTunnels.filter(tunnel => {
+    const { deviceA, deviceB, ifcA, ifcB, unreachable } = tunnel;
+    if (unreachable) {
+      logger.info('Skipping tunnel between interfaces behind NAT', {
+        params: {
+          deviceA: deviceA.hostname,
+          interfaceA: ifcA.name,
+          deviceB: deviceB.hostname,
+          interfaceB: ifcB.name
+        }
+      });
+    }
+    return !unreachable;
+  });
+
+  // If a tunnel already exists, skip the configuration
+  // Use a copy of devices objects as promise runs later
+  const dbTasks = reachableTunnels.map(({ deviceA, deviceB, ifcA, ifcB, pathLabel }) => {
+    return getTunnelPromise(userName, org, pathLabel ? pathLabel._id : null,
+      { ...deviceA.toObject() }, { ...deviceB.toObject() },
+      { ...ifcA.toObject() }, { ...ifcB.toObject() },
+      (data.meta || {}).routing === 'bgp' ? 'bgp' : 'ospf');
+  });
+
+  // Execute all promises
+  logger.debug('Running tunnel promises', { params: { tunnels: dbTasks.length } });
+  const values = await Promise.all(dbTasks);
+  logger.debug('Operation completed', { params: { values: values } });
+  return values;
 };
 
 /**
@@ -288,9 +592,10 @@ const errorTunnelAdd = async (jobId, res) => {
  * @param  {Object}   deviceB      device B details
  * @param  {Object}   deviceAIntf device A tunnel interface
  * @param  {Object}   deviceBIntf device B tunnel interface
+ * @param  {string}   routing      routing protocol over the tunnel (ospf/bgp)
  */
 const getTunnelPromise = (user, org, pathLabel, deviceA, deviceB,
-  deviceAIntf, deviceBIntf) => {
+  deviceAIntf, deviceBIntf, routing = 'ospf') => {
   logger.debug('Adding tunnel between devices', {
     params: {
       deviceA: deviceA.hostname,
@@ -336,15 +641,16 @@ const getTunnelPromise = (user, org, pathLabel, deviceA, deviceB,
 
                 // Configure tunnel using this num
                 const tunnelJobs = await addTunnel(user, org, tunnelnum,
-                  deviceA, deviceB, deviceAIntf, deviceBIntf, pathLabel);
+                  deviceA, deviceB, deviceAIntf, deviceBIntf, pathLabel, routing);
 
                 return resolve(tunnelJobs);
               } else { // No deleted tunnel found, get a new one
+                const maxTunnelNum = getMaxTunnelNum(await getOrgOverlayPool(org));
                 tunnelIDsModel.findOneAndUpdate(
-                  // Query, allow only 15000 tunnels per organization
+                  // Query, allow only the tunnels that fit in the organization pool
                   {
                     org: org,
-                    nextAvailID: { $gte: 0, $lt: 15000 }
+                    nextAvailID: { $gte: 0, $lt: maxTunnelNum }
                   },
                   // Update
                   { $inc: { nextAvailID: 1 } },
@@ -356,7 +662,7 @@ const getTunnelPromise = (user, org, pathLabel, deviceA, deviceB,
 
                   // Configure tunnel using this num
                   const tunnelJobs = await addTunnel(user, org, tunnelnum,
-                    deviceA, deviceB, deviceAIntf, deviceBIntf, pathLabel);
+                    deviceA, deviceB, deviceAIntf, deviceBIntf, pathLabel, routing);
 
                   return resolve(tunnelJobs);
                 }, (err) => {
@@ -369,10 +675,10 @@ const getTunnelPromise = (user, org, pathLabel, deviceA, deviceB,
                   if (err.code === 11000) {
                     logger.debug('2nd try to find tunnel ID', { params: {} });
                     tunnelIDsModel.findOneAndUpdate(
-                      // Query, allow only 15000 tunnels per organization
+                      // Query, allow only the tunnels that fit in the organization pool
                       {
                         org: org,
-                        nextAvailID: { $gte: 0, $lt: 15000 }
+                        nextAvailID: { $gte: 0, $lt: maxTunnelNum }
                       },
                       // Update
                       { $inc: { nextAvailID: 1 } },
@@ -383,7 +689,7 @@ const getTunnelPromise = (user, org, pathLabel, deviceA, deviceB,
                       logger.info('Adding tunnel with new ID', { params: { tunnel: tunnelnum } });
                       // Configure tunnel using this num
                       const tunnelJobs = await addTunnel(user, org, tunnelnum,
-                        deviceA, deviceB, deviceAIntf, deviceBIntf, pathLabel);
+                        deviceA, deviceB, deviceAIntf, deviceBIntf, pathLabel, routing);
 
                       return resolve(tunnelJobs);
                     }, (err) => {
@@ -539,6 +845,49 @@ const queueTunnel = async (
   }
 };
 
+/**
+ * Prepares the IPsec parameters of both devices connected by
+ * a tunnel, using newly generated keys.
+ * @param  {number} sa1           SPI of the SA from device A to device B
+ * @param  {number} sa2           SPI of the SA from device B to device A
+ * @param  {Object} cryptoProfile IPsec crypto profile used for the SAs
+ * @return {[Object, Object]}     device A and device B IPsec parameters
+ */
+const prepareTunnelIpsecParams = (sa1, sa2, cryptoProfile = defaultCryptoProfile) => {
+  const tunnelKeys = generateRandomKeys(cryptoProfile);
+
+  const paramsSaAB = {
+    spi: sa1,
+    'crypto-key': tunnelKeys.key1,
+    'integr-key': tunnelKeys.key2,
+    'crypto-alg': cryptoProfile.cryptoAlg,
+    'integr-alg': cryptoProfile.integrAlg
+  };
+  const paramsSaBA = {
+    spi: sa2,
+    'crypto-key': tunnelKeys.key3,
+    'integr-key': tunnelKeys.key4,
+    'crypto-alg': cryptoProfile.cryptoAlg,
+    'integr-alg': cryptoProfile.integrAlg
+  };
+
+  const paramsIpsecDeviceA = {
+    'local-sa': paramsSaAB,
+    'remote-sa': paramsSaBA
+  };
+
+  // The following looks as a wrong config in vpp 19.01 ipsec-gre interface,
+  // spi isn't configured properly for SA
+  // This is also the case for version 1.X.X since we revert to ipsec-gre interface
+  // Kept the comments to be fixed in later releases
+  const paramsIpsecDeviceB = {
+    'local-sa': { ...paramsSaAB, spi: sa2 },
+    'remote-sa': { ...paramsSaBA, spi: sa1 }
+  };
+
+  return [paramsIpsecDeviceA, paramsIpsecDeviceB];
+};
+
 /**
  * Prepares tunnel add jobs by creating an array that contains
  * the jobs that should be queued for each of the devices connected
@@ -547,79 +896,73 @@ const queueTunnel = async (
  * @param  {Object} deviceAIntf device A tunnel interface
  * @param  {Object} deviceBIntf device B tunnel interface
  * @param  {string} devBagentVer device B version
+ * @param  {string} pathLabel    path label id of the tunnel
+ * @param  {Object} cryptoProfile IPsec crypto profile used for the tunnel SAs
+ * @param  {string} overlayPool  the pool of the tunnel loopback addresses
+ * @param  {Object} routing      the loopback routing parameters (see getTunnelRouting)
  * @return {[{entity: string, message: string, params: Object}]} an array of tunnel-add jobs
  */
-const prepareTunnelAddJob = (tunnelnum, deviceAIntf, deviceBIntf, devBagentVer, pathLabel) => {
+const prepareTunnelAddJob = (
+  tunnelnum,
+  deviceAIntf,
+  deviceBIntf,
+  devBagentVer,
+  pathLabel,
+  cryptoProfile = defaultCryptoProfile,
+  overlayPool = defaultOverlayPool,
+  routing = { protocol: 'ospf' }
+) => {
   // Generate from the tunnel ID: IP A/B, MAC A/B, SA A/B, 4 IPsec Keys
-  const tunnelParams = generateTunnelParams(tunnelnum);
-  const tunnelKeys = generateRandomKeys();
+  const tunnelParams = generateTunnelParams(tunnelnum, overlayPool);
+  const [paramsIpsecDeviceA, paramsIpsecDeviceB] = prepareTunnelIpsecParams(
+    tunnelParams.sa1,
+    tunnelParams.sa2,
+    cryptoProfile
+  );
 
   const tasksDeviceA = [];
   const tasksDeviceB = [];
   const paramsDeviceA = {};
   const paramsDeviceB = {};
-  const paramsIpsecDeviceA = {};
-  const paramsIpsecDeviceB = {};
 
-  const paramsSaAB = {
-    spi: tunnelParams.sa1,
-    'crypto-key': tunnelKeys.key1,
-    'integr-key': tunnelKeys.key2,
-    'crypto-alg': 'aes-cbc-128',
-    'integr-alg': 'sha-256-128'
-  };
-  const paramsSaBA = {
-    spi: tunnelParams.sa2,
-    'crypto-key': tunnelKeys.key3,
-    'integr-key': tunnelKeys.key4,
-    'crypto-alg': 'aes-cbc-128',
-    'integr-alg': 'sha-256-128'
-  };
-
-  paramsDeviceA.src = deviceAIntf.IPv4;
-  paramsDeviceA.dst = ((deviceBIntf.PublicIP === '') ? deviceBIntf.IPv4 : deviceBIntf.PublicIP);
+  const underlay = getTunnelUnderlay(deviceAIntf, deviceBIntf);
+  const [encapDeviceA, encapDeviceB] = getTunnelEncapParams(underlay);
+  paramsDeviceA.src = underlay.srcA;
+  paramsDeviceA.dst = underlay.dstA;
+  Object.assign(paramsDeviceA, encapDeviceA);
   paramsDeviceA['tunnel-id'] = tunnelnum;
-  paramsIpsecDeviceA['local-sa'] = paramsSaAB;
-  paramsIpsecDeviceA['remote-sa'] = paramsSaBA;
   paramsDeviceA.ipsec = paramsIpsecDeviceA;
   paramsDeviceA['loopback-iface'] = {
     addr: tunnelParams.ip1 + '/31',
     mac: tunnelParams.mac1,
     mtu: 1350,
-    routing: 'ospf',
+    routing: routing.protocol,
     multilink: {
       labels: pathLabel ? [pathLabel] : []
     }
   };
 
-  paramsDeviceB.src = deviceBIntf.IPv4;
-  paramsDeviceB.dst = ((deviceAIntf.PublicIP === '') ? deviceAIntf.IPv4 : deviceAIntf.PublicIP);
+  paramsDeviceB.src = underlay.srcB;
+  paramsDeviceB.dst = underlay.dstB;
+  Object.assign(paramsDeviceB, encapDeviceB);
   paramsDeviceB['tunnel-id'] = tunnelnum;
-
-  // const majorAgentVersion = getMajorVersion(devBagentVer);
-  // if (majorAgentVersion === 0) {    // version 0.X.X
-  // The following looks as a wrong config in vpp 19.01 ipsec-gre interface,
-  // spi isn't configured properly for SA
-  // This is also the case for version 1.X.X since we revert to ipsec-gre interface
-  // Kept the comments to be fixed in later releases
-  paramsIpsecDeviceB['local-sa'] = { ...paramsSaAB, spi: tunnelParams.sa2 };
-  paramsIpsecDeviceB['remote-sa'] = { ...paramsSaBA, spi: tunnelParams.sa1 };
-  // } else if (majorAgentVersion >= 1) {    // version 1.X.X+
-  //    paramsIpsecDeviceB['local-sa'] = {...paramsSaBA};
-  //    paramsIpsecDeviceB['remote-sa'] = {...paramsSaAB};
-  // }
-
   paramsDeviceB.ipsec = paramsIpsecDeviceB;
   paramsDeviceB['loopback-iface'] = {
     addr: tunnelParams.ip2 + '/31',
     mac: tunnelParams.mac2,
     mtu: 1350,
-    routing: 'ospf',
+    routing: routing.protocol,
     multilink: {
       labels: pathLabel ? [pathLabel] : []
     }
   };
 
+  // With BGP, each side peers with the remote loopback address
+  if (routing.protocol === 'bgp') {
+    paramsDeviceA['loopback-iface'].bgp = { 'remote-asn': routing.asnB };
+    paramsDeviceB['loopback-iface'].bgp = { 'remote-asn': routing.asnA };
+  }
+
   // Saving configuration for device A
   tasksDeviceA.push({ entity: 'agent', message: 'add-tunnel', params: paramsDeviceA });
 
@@ -638,9 +981,8 @@ const prepareTunnelAddJob = (tunnelnum, deviceAIntf, deviceBIntf, devBagentVer,
  * @param  {Object}   deviceB      details of device B
  * @param  {Object}   deviceAIntf device A tunnel interface
  * @param  {Object}   deviceBIntf device B tunnel interface
- * @param  {Callback} next         express next() callback
- * @param  {Callback} resolve      promise reject callback
- * @param  {Callback} reject       promise resolve callback
+ * @param  {string}   pathLabel    path label id of the tunnel
+ * @param  {string}   routing      routing protocol over the tunnel (ospf/bgp)
  * @return {void}
  */
 const addTunnel = async (
@@ -651,7 +993,8 @@ const addTunnel = async (
   deviceB,
   deviceAIntf,
   deviceBIntf,
-  pathLabel
+  pathLabel,
+  routing = 'ospf'
 ) => {
   const devicesInfo = {
     deviceA: { hostname: deviceA.hostname, interface: deviceAIntf.name },
@@ -662,6 +1005,8 @@ const addTunnel = async (
     params: { devices: devicesInfo }
   });
 
+  // New tunnels use the current organization overlay pool
+  const overlayPool = await getOrgOverlayPool(org);
   await tunnelsModel.findOneAndUpdate(
     // Query, use the org and tunnel number
     {
@@ -677,19 +1022,30 @@ const addTunnel = async (
       interfaceA: deviceAIntf._id,
       deviceB: deviceB._id,
       interfaceB: deviceBIntf._id,
-      pathlabel: pathLabel
+      pathlabel: pathLabel,
+      routing: routing,
+      // The tunnel might be reused, remove the previous tunnel override
+      // and the tunnel policy that created the previous tunnel
+      cryptoProfile: null,
+      policy: null,
+      overlayPool: overlayPool,
+      ...getKeyRotationReset()
     },
     // Options
     { upsert: true }
   );
 
+  const cryptoProfile = await getOrgCryptoProfile(org);
   const { agent } = deviceB.versions;
   const [tasksDeviceA, tasksDeviceB] = prepareTunnelAddJob(
     tunnelnum,
     deviceAIntf,
     deviceBIntf,
     agent,
-    pathLabel
+    pathLabel,
+    cryptoProfile,
+    overlayPool,
+    getTunnelRouting(routing, deviceA, deviceB)
   );
 
   const tunnelJobs = await queueTunnel(
@@ -801,6 +1157,126 @@ const applyTunnelDel = async (devices, user, data) => {
   }
 };
 
+/**
+ * Gets the numbers that would be allocated to new tunnels of an
+ * organization. Numbers of deleted tunnels are reused first.
+ * @async
+ * @param  {string} org   organization id
+ * @param  {number} count the number of new tunnels
+ * @return {Array}        the tunnel numbers, fewer than count if the pool is exhausted
+ */
+const getNextTunnelNums = async (org, count) => {
+  const deletedTunnels = await tunnelsModel.find(
+    { isActive: false, org: org },
+    { num: 1 }
+  ).limit(count).lean();
+  const tunnelNums = deletedTunnels.map(tunnel => tunnel.num);
+
+  const maxTunnelNum = getMaxTunnelNum(await getOrgOverlayPool(org));
+  const idResp = await tunnelIDsModel.findOne({ org: org }).lean();
+  let nextAvailID = idResp ? idResp.nextAvailID : 0;
+  while (tunnelNums.length < count && nextAvailID < maxTunnelNum) {
+    tunnelNums.push(++nextAvailID);
+  }
+  return tunnelNums;
+};
+
+/**
+ * Returns the jobs that would be queued by a tunnels apply
+ * request, without changing the database or queuing any job.
+ * @async
+ * @param  {Array}    devices   all the organization devices
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      the apply request data
+ * @return {Object}   the dry run result
+ */
+const dryRunTunnelAdd = async (devices, user, data) => {
+  const org = user.defaultOrg._id.toString();
+  const result = createDryRunResult();
+  const requestedTunnels = await getRequestedTunnels(devices, org, data);
+  const existingKeys = await getActiveTunnelKeys(org);
+
+  const newTunnels = requestedTunnels.filter(tunnel => {
+    const { deviceA, deviceB, ifcA, ifcB, pathLabel, unreachable } = tunnel;
+    const label = pathLabel ? pathLabel._id.toString() : '';
+    if (existingKeys.has(`${ifcA._id}:${ifcB._id}:${label}`)) return false;
+    if (unreachable) {
+      addDryRunError(result, deviceA,
+        `Interface ${ifcA.name} of device ${deviceA.name} and interface ${ifcB.name} ` +
+        `of device ${deviceB.name} are both behind address and port translating NAT`);
+    }
+    return !unreachable;
+  });
+  if (newTunnels.length === 0) return result;
+
+  const overlayPool = await getOrgOverlayPool(org);
+  const cryptoProfile = await getOrgCryptoProfile(org);
+  const routing = (data.meta || {}).routing === 'bgp' ? 'bgp' : 'ospf';
+  const tunnelNums = await getNextTunnelNums(org, newTunnels.length);
+  newTunnels.forEach(({ deviceA, deviceB, ifcA, ifcB, pathLabel }, idx) => {
+    if (idx >= tunnelNums.length) {
+      addDryRunError(result, deviceA, 'Tunnel ID not found');
+      return;
+    }
+    const [tasksDeviceA, tasksDeviceB] = prepareTunnelAddJob(
+      tunnelNums[idx],
+      ifcA,
+      ifcB,
+      deviceB.versions.agent,
+      pathLabel ? pathLabel._id : null,
+      cryptoProfile,
+      overlayPool,
+      getTunnelRouting(routing, deviceA, deviceB)
+    );
+    const title = `Create tunnel between (${deviceA.hostname},${ifcA.name}) and (${
+      deviceB.hostname},${ifcB.name})`;
+    addDryRunJob(result, deviceA, title, tasksDeviceA);
+    addDryRunJob(result, deviceB, title, tasksDeviceB);
+    addDryRunTunnel(result, 'added', tunnelNums[idx], deviceA, deviceB, ifcA, ifcB,
+      pathLabel ? pathLabel._id : null);
+  });
+  return result;
+};
+
+/**
+ * Returns the jobs that would be queued by a tunnels delete
+ * request, without changing the database or queuing any job.
+ * @async
+ * @param  {Array}    devices   all the organization devices
+ * @param  {Object}   user      User object
+ * @param  {Object}   data      the apply request data
+ * @return {Object}   the dry run result
+ */
+const dryRunTunnelDel = async (devices, user, data) => {
+  const org = user.defaultOrg._id.toString();
+  const result = createDryRunResult();
+  const tunnelIds = Object.keys(data.tunnels || {});
+  const tunnel = devices && tunnelIds.length === 1
+    ? await tunnelsModel.findOne({ _id: tunnelIds[0], isActive: true, org: org })
+      .populate('deviceA')
+      .populate('deviceB')
+    : null;
+  if (!tunnel) {
+    throw new Error('Attempt to delete more than one tunnel or no devices found');
+  }
+
+  const { deviceA, deviceB, num, pathlabel } = tunnel;
+  const ifcA = deviceA.interfaces.find(ifc => ifc._id.toString() === '' + tunnel.interfaceA);
+  const ifcB = deviceB.interfaces.find(ifc => ifc._id.toString() === '' + tunnel.interfaceB);
+  const [tasksDeviceA, tasksDeviceB] = prepareTunnelRemoveJob(
+    num,
+    ifcA,
+    ifcB,
+    tunnel.overlayPool
+  );
+  const title = `Delete tunnel between (${deviceA.hostname},${ifcA.name}) and (${
+    deviceB.hostname},${ifcB.name})`;
+  addDryRunJob(result, deviceA, title, tasksDeviceA);
+  addDryRunJob(result, deviceB, title, tasksDeviceB);
+  addDryRunTunnel(result, 'removed', num, deviceA, deviceB, ifcA, ifcB, pathlabel);
+  return result;
+};
+
 /**
  * Deletes a single tunnel.
  * @param  {number}   tunnelID   the id of the tunnel to be deleted
@@ -829,7 +1305,7 @@ const oneTunnelDel = async (tunnelID, user, org) => {
   const tunnelnum = tunnelResp.num;
 
   const tunnelJobs = await delTunnel(user, org, tunnelnum, deviceA, deviceB,
-    deviceAIntf, deviceBIntf, pathLabel);
+    deviceAIntf, deviceBIntf, pathLabel, tunnelResp.overlayPool);
 
   logger.info('Deleting tunnels from database');
   const resp = await tunnelsModel.findOneAndUpdate(
@@ -862,28 +1338,34 @@ const completeTunnelDel = (jobId, res) => {
  * @param  {number} tunnelnum    tunnel id
  * @param  {Object} deviceAIntf device A tunnel interface
  * @param  {Object} deviceBIntf device B tunnel interface
- * @param  {string} devBagentVer device B version
+ * @param  {string} overlayPool the pool of the tunnel loopback addresses
  * @return {[{entity: string, message: string, params: Object}]} an array of tunnel-add jobs
  */
-const prepareTunnelRemoveJob = (tunnelnum, deviceAIntf, deviceBIntf) => {
+const prepareTunnelRemoveJob = (
+  tunnelnum,
+  deviceAIntf,
+  deviceBIntf,
+  overlayPool = defaultOverlayPool
+) => {
   // Generate from the tunnel num: IP A/B, MAC A/B, SA A/B
-  const tunnelParams = generateTunnelParams(tunnelnum);
+  const tunnelParams = generateTunnelParams(tunnelnum, overlayPool);
 
   const tasksDeviceA = [];
   const tasksDeviceB = [];
   const paramsDeviceA = {};
   const paramsDeviceB = {};
 
-  paramsDeviceA.src = deviceAIntf.IPv4;
-  paramsDeviceA.dst = ((deviceBIntf.PublicIP === '') ? deviceBIntf.IPv4 : deviceBIntf.PublicIP);
+  const underlay = getTunnelUnderlay(deviceAIntf, deviceBIntf);
+  paramsDeviceA.src = underlay.srcA;
+  paramsDeviceA.dst = underlay.dstA;
   paramsDeviceA['tunnel-id'] = tunnelnum;
   paramsDeviceA['loopback-iface'] = {
     addr: tunnelParams.ip1 + '/31',
     mac: tunnelParams.mac1
   };
 
-  paramsDeviceB.src = deviceBIntf.IPv4;
-  paramsDeviceB.dst = ((deviceAIntf.PublicIP === '') ? deviceAIntf.IPv4 : deviceAIntf.PublicIP);
+  paramsDeviceB.src = underlay.srcB;
+  paramsDeviceB.dst = underlay.dstB;
   paramsDeviceB['tunnel-id'] = tunnelnum;
   paramsDeviceB['loopback-iface'] = {
     addr: tunnelParams.ip2 + '/31',
@@ -908,6 +1390,8 @@ const prepareTunnelRemoveJob = (tunnelnum, deviceAIntf, deviceBIntf) => {
  * @param  {Object}   deviceB      details of device B
  * @param  {Object}   deviceAIntf device A tunnel interface
  * @param  {Object}   deviceBIntf device B tunnel interface
+ * @param  {string}   pathLabel    path label id of the tunnel
+ * @param  {string}   overlayPool  the pool of the tunnel loopback addresses
  * @return {void}
  */
 const delTunnel = async (
@@ -918,12 +1402,14 @@ const delTunnel = async (
   deviceB,
   deviceAIntf,
   deviceBIntf,
-  pathLabel
+  pathLabel,
+  overlayPool
 ) => {
   const [tasksDeviceA, tasksDeviceB] = prepareTunnelRemoveJob(
     tunnelnum,
     deviceAIntf,
-    deviceBIntf
+    deviceBIntf,
+    overlayPool
   );
   try {
     const tunnelJobs = await queueTunnel(
@@ -959,7 +1445,8 @@ const delTunnel = async (
 /**
  * Generates various tunnel parameters that will
  * be used for creating the tunnel.
- * @param  {number} tunnelNum tunnel id
+ * @param  {number} tunnelNum   tunnel id
+ * @param  {string} overlayPool the pool of the tunnel loopback addresses
  * @return
  * {{
         ip1: string,
@@ -970,13 +1457,17 @@ const delTunnel = async (
         sa2: number
     }}
  */
-const generateTunnelParams = (tunnelNum) => {
+const generateTunnelParams = (tunnelNum, overlayPool = defaultOverlayPool) => {
   const d2h = (d) => (('00' + (+d).toString(16)).substr(-2));
+  const int2ip = (num) => [3, 2, 1, 0].map(i => Math.floor(num / 256 ** i) % 256).join('.');
 
   const h = (tunnelNum % 127 + 1) * 2;
   const l = Math.floor(tunnelNum / 127);
-  const ip1 = '10.100.' + (+l).toString(10) + '.' + (+h).toString(10);
-  const ip2 = '10.100.' + (+l).toString(10) + '.' + (+(h + 1)).toString(10);
+  // Addresses are allocated from the beginning of the pool
+  const poolBase = overlayPool.split('/')[0].split('.')
+    .reduce((res, octet) => res * 256 + parseInt(octet, 10), 0);
+  const ip1 = int2ip(poolBase + l * 256 + h);
+  const ip2 = int2ip(poolBase + l * 256 + h + 1);
   const mac1 = '02:00:27:fd:' + d2h(l) + ':' + d2h(h);
   const mac2 = '02:00:27:fd:' + d2h(l) + ':' + d2h(h + 1);
   const sa1 = (l * 256 + h);
@@ -993,17 +1484,280 @@ const generateTunnelParams = (tunnelNum) => {
 };
 /**
  * Generates random keys that will be used for tunnels creation
+ * @param  {Object} cryptoProfile the crypto profile the keys are used with
  * @return {{key1: number, key2: number, key3: number, key4: number}}
  */
-const generateRandomKeys = () => {
+const generateRandomKeys = (cryptoProfile = defaultCryptoProfile) => {
+  // Keys are represented as hex strings, two characters per byte
+  const cryptoKeyLen = cryptoAlgs[cryptoProfile.cryptoAlg].keyLength * 2;
+  const integrKeyLen = integrAlgs[cryptoProfile.integrAlg].keyLength * 2;
   return {
-    key1: randomNum(32, 16),
-    key2: randomNum(32, 16),
-    key3: randomNum(32, 16),
-    key4: randomNum(32, 16)
+    key1: randomNum(cryptoKeyLen, 16),
+    key2: integrKeyLen ? randomNum(integrKeyLen, 16) : '',
+    key3: randomNum(cryptoKeyLen, 16),
+    key4: integrKeyLen ? randomNum(integrKeyLen, 16) : ''
   };
 };
 
+/**
+ * Returns the fields that reset the keys rotation state of a tunnel.
+ * Used whenever the tunnel is configured from scratch with new keys.
+ * @return {Object} fields to be set in the tunnel document
+ */
+const getKeyRotationReset = () => {
+  return {
+    'keyRotation.generation': 0,
+    'keyRotation.lastRotation': new Date(),
+    'keyRotation.status': '',
+    'keyRotation.deviceAdone': false,
+    'keyRotation.deviceBdone': false
+  };
+};
+
+/**
+ * Gets the tunnel loopback addresses pool of an organization
+ * @async
+ * @param  {string} org organization id
+ * @return {string}     the organization overlay pool
+ */
+const getOrgOverlayPool = async (org) => {
+  const orgDoc = await organizations.findOne({ _id: org }, { overlayPool: 1 }).lean();
+  if (!orgDoc) throw new Error('Organization not found');
+  return orgDoc.overlayPool || defaultOverlayPool;
+};
+
+/**
+ * Gets the maximal tunnel number that can be allocated from an overlay
+ * pool. Each 127 tunnels use 256 addresses of the pool.
+ * @param  {string} overlayPool overlay pool in CIDR format
+ * @return {number}             maximal tunnel number (excluded)
+ */
+const getMaxTunnelNum = (overlayPool) => {
+  const poolSize = 2 ** (32 - parseInt(overlayPool.split('/')[1], 10));
+  return Math.min(maxTunnelsPerOrg, Math.floor(poolSize / 256) * 127);
+};
+
+/**
+ * Gets the crypto profile of an organization
+ * @async
+ * @param  {string} org organization id
+ * @return {{cryptoAlg: string, integrAlg: string}} the organization crypto profile,
+ *                                                  or the default profile if not set
+ */
+const getOrgCryptoProfile = async (org) => {
+  const profile = await cryptoProfiles.findOne({ org: org }).lean();
+  if (!profile) return { ...defaultCryptoProfile };
+  return { cryptoAlg: profile.cryptoAlg, integrAlg: profile.integrAlg };
+};
+
+/**
+ * Gets the routing parameters of the tunnel loopback interfaces.
+ * With BGP, both devices must have BGP enabled, and each
+ * side of the tunnel peers with the ASN of the remote device.
+ * @param  {string} protocol routing protocol over the tunnel (ospf/bgp)
+ * @param  {Object} deviceA  device A of the tunnel
+ * @param  {Object} deviceB  device B of the tunnel
+ * @return {{protocol: string, asnA: number, asnB: number}} the routing parameters
+ */
+const getTunnelRouting = (protocol, deviceA, deviceB) => {
+  if (protocol !== 'bgp') return { protocol: 'ospf' };
+  for (const device of [deviceA, deviceB]) {
+    if (!device.bgp || !device.bgp.enable) {
+      throw new Error(`BGP is not enabled on device ${device.hostname}`);
+    }
+  }
+  return { protocol: 'bgp', asnA: deviceA.bgp.localAsn, asnB: deviceB.bgp.localAsn };
+};
+
+/**
+ * Gets the crypto profile used by a tunnel, which is either the
+ * tunnel override profile or the organization profile.
+ * @async
+ * @param  {Object} tunnel tunnel object
+ * @return {{cryptoAlg: string, integrAlg: string}} the tunnel crypto profile
+ */
+const getTunnelCryptoProfile = async (tunnel) => {
+  if (tunnel.cryptoProfile && tunnel.cryptoProfile.cryptoAlg) {
+    const { cryptoAlg, integrAlg } = tunnel.cryptoProfile;
+    return { cryptoAlg, integrAlg };
+  }
+  return getOrgCryptoProfile(tunnel.org);
+};
+
+/**
+ * Checks whether a tunnel should be reconnected. A tunnel is reconnected
+ * only if both devices are connected and running, and the tunnel is either
+ * not configured on one of the devices, or it is not reported by one of them.
+ * @param  {Object}  tunnel tunnel object, with populated deviceA and deviceB
+ * @return {boolean}        true if the tunnel should be reconnected
+ */
+const shouldReconnectTunnel = (tunnel) => {
+  const { deviceA, deviceB, deviceAconf, deviceBconf, num } = tunnel;
+
+  // Devices might have been deleted while the tunnel is still active
+  if (!deviceA || !deviceB) return false;
+
+  // Tunnels between interfaces that are both behind address and port
+  // translating NAT can't be established
+  const ifcA = deviceA.interfaces.find(ifc => ifc._id.toString() === tunnel.interfaceA.toString());
+  const ifcB = deviceB.interfaces.find(ifc => ifc._id.toString() === tunnel.interfaceB.toString());
+  if (ifcA && ifcB && getTunnelUnderlay(ifcA, ifcB).unreachable) return false;
+
+  const devicesRunning = [deviceA, deviceB].every(device => {
+    const status = deviceStatus.getDeviceStatus(device.machineId);
+    return connections.isConnected(device.machineId) && status && status.state === 'running';
+  });
+  if (!devicesRunning) return false;
+
+  const isStuck = !deviceAconf || !deviceBconf;
+  const isMissing = [deviceA, deviceB].some(device => {
+    return deviceStatus.getTunnelStatus(device.machineId, num) === null;
+  });
+
+  return isStuck || isMissing;
+};
+
+/**
+ * Reconnects a tunnel by queuing remove-tunnel and add-tunnel jobs
+ * to both devices. The tunnel is removed first to make sure the
+ * device that still has the tunnel configured accepts the new tunnel.
+ * @async
+ * @param  {Object} tunnel      tunnel object, with populated deviceA and deviceB
+ * @param  {string} user='system' the user that requested the reconnection
+ * @param  {boolean} migrateOverlayPool=false move the tunnel to the organization
+ *                                           overlay pool
+ * @return {Array}              the queued jobs
+ */
+const reconnectTunnel = async (tunnel, user = 'system', migrateOverlayPool = false) => {
+  const { deviceA, deviceB, pathlabel, num, org } = tunnel;
+  const ifcA = deviceA.interfaces.find(ifc => {
+    return ifc._id.toString() === tunnel.interfaceA.toString();
+  });
+  const ifcB = deviceB.interfaces.find(ifc => {
+    return ifc._id.toString() === tunnel.interfaceB.toString();
+  });
+  if (!ifcA || !ifcB) {
+    logger.warn('Tunnel interfaces not found, skipping tunnel reconnection', {
+      params: { tunnel: num, org: org }
+    });
+    return [];
+  }
+
+  logger.info('Reconnecting tunnel', {
+    params: {
+      tunnel: num,
+      org: org,
+      deviceAconf: tunnel.deviceAconf,
+      deviceBconf: tunnel.deviceBconf
+    }
+  });
+
+  // Tunnels keep their loopback addresses unless explicitly migrated
+  const overlayPool = migrateOverlayPool
+    ? await getOrgOverlayPool(org)
+    : tunnel.overlayPool;
+
+  // Mark the tunnel as not configured on both sides. This also updates
+  // the time of the last change, which delays the next reconnect attempt.
+  await tunnelsModel.updateOne(
+    { _id: tunnel._id, org: org },
+    {
+      $set: {
+        deviceAconf: false,
+        deviceBconf: false,
+        overlayPool: overlayPool,
+        ...getKeyRotationReset()
+      }
+    },
+    { upsert: false }
+  );
+
+  const orgId = org.toString();
+  const devicesTitle =
+    `(${deviceA.hostname}, ${ifcA.name}) and (${deviceB.hostname}, ${ifcB.name})`;
+  const [removeTasksA, removeTasksB] = prepareTunnelRemoveJob(
+    num,
+    ifcA,
+    ifcB,
+    tunnel.overlayPool
+  );
+  const removeJobs = await queueTunnel(
+    false,
+    `Delete tunnel between ${devicesTitle}`,
+    removeTasksA,
+    removeTasksB,
+    user,
+    orgId,
+    deviceA.machineId,
+    deviceB.machineId,
+    deviceA._id,
+    deviceB._id,
+    num,
+    pathlabel
+  );
+
+  const cryptoProfile = await getTunnelCryptoProfile(tunnel);
+  const [addTasksA, addTasksB] = prepareTunnelAddJob(
+    num,
+    ifcA,
+    ifcB,
+    deviceB.versions.agent,
+    pathlabel,
+    cryptoProfile,
+    overlayPool,
+    getTunnelRouting(tunnel.routing, deviceA, deviceB)
+  );
+  const addJobs = await queueTunnel(
+    true,
+    `Reconnect tunnel between ${devicesTitle}`,
+    addTasksA,
+    addTasksB,
+    user,
+    orgId,
+    deviceA.machineId,
+    deviceB.machineId,
+    deviceA._id,
+    deviceB._id,
+    num,
+    pathlabel
+  );
+
+  return [...removeJobs, ...addJobs];
+};
+
+/**
+ * Compares the active tunnels in the database with the tunnels
+ * status reported by the devices, and reconnects tunnels that are
+ * missing or failed to be configured on one of the devices.
+ * Called periodically by the check_tunnels task.
+ * @async
+ * @return {void}
+ */
+const checkAndReconnectTunnels = async () => {
+  try {
+    const tunnels = await tunnelsModel
+      .find({
+        isActive: true,
+        updatedAt: { $lt: new Date(Date.now() - tunnelReconnectGracePeriod) }
+      })
+      .populate('deviceA')
+      .populate('deviceB');
+
+    for (const tunnel of tunnels) {
+      if (!shouldReconnectTunnel(tunnel)) continue;
+      try {
+        await reconnectTunnel(tunnel);
+      } catch (err) {
+        logger.error('Tunnel reconnection failed', {
+          params: { tunnel: tunnel.num, org: tunnel.org, err: err.message }
+        });
+      }
+    }
+  } catch (err) {
+    logger.error('Check tunnels failed', { params: { err: err.message } });
+  }
+};
+
 module.exports = {
   apply: {
     applyTunnelAdd: applyTunnelAdd,
@@ -1016,8 +1770,33 @@ module.exports = {
   error: {
     errorTunnelAdd: errorTunnelAdd
   },
+  dryRun: {
+    dryRunTunnelAdd: dryRunTunnelAdd,
+    dryRunTunnelDel: dryRunTunnelDel
+  },
+  tasks: {
+    checkAndReconnectTunnels: checkAndReconnectTunnels
+  },
+  previewTunnelAdd: previewTunnelAdd,
+  getTopologyPairs: getTopologyPairs,
+  getRequestedTunnels: getRequestedTunnels,
+  getDevicesPairTunnels: getDevicesPairTunnels,
+  getTunnelPromise: getTunnelPromise,
   prepareTunnelRemoveJob: prepareTunnelRemoveJob,
   prepareTunnelAddJob: prepareTunnelAddJob,
   queueTunnel: queueTunnel,
-  oneTunnelDel: oneTunnelDel
+  oneTunnelDel: oneTunnelDel,
+  reconnectTunnel: reconnectTunnel,
+  shouldReconnectTunnel: shouldReconnectTunnel,
+  generateTunnelParams: generateTunnelParams,
+  prepareTunnelIpsecParams: prepareTunnelIpsecParams,
+  getKeyRotationReset: getKeyRotationReset,
+  getOrgOverlayPool: getOrgOverlayPool,
+  getMaxTunnelNum: getMaxTunnelNum,
+  getOrgCryptoProfile: getOrgCryptoProfile,
+  getTunnelCryptoProfile: getTunnelCryptoProfile,
+  getTunnelRouting: getTunnelRouting,
+  getTunnelUnderlay: getTunnelUnderlay,
+  getNatType: getNatType,
+  getTunnelEncapParams: getTunnelEncapParams
 };
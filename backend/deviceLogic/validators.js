@@ -17,6 +17,11 @@
 
 const net = require('net');
 const cidr = require('cidr-tools');
+const { cryptoAlgs, integrAlgs } = require('../models/cryptoProfiles');
+const { getMajorVersion } = require('../versioning');
+
+// Maximal number of central DHCP servers of a DHCP relay
+const maxDhcpRelayServers = 4;
 
 /**
  * Checks whether a value is empty
@@ -39,6 +44,50 @@ const validateIPv4Mask = mask => {
   );
 };
 
+/**
+ * Checks whether a value is a valid IPv6 network mask
+ * @param  {string}  mask the mask to be checked
+ * @return {boolean}      true if mask is valid, false otherwise
+ */
+const validateIPv6Mask = mask => {
+  return (
+    !isEmpty(mask) &&
+        mask.length < 4 &&
+        !isNaN(Number(mask)) &&
+        (mask >= 0 && mask <= 128)
+  );
+};
+
+/**
+ * Checks whether an IPv6 address is a link-local address (fe80::/10).
+ * Link-local addresses are configured on all IPv6 interfaces,
+ * therefore they are not checked for overlaps.
+ * @param  {string}  ip the IPv6 address to be checked
+ * @return {boolean}    true if the address is link-local, false otherwise
+ */
+const isIPv6LinkLocal = (ip) => /^fe[89ab][0-9a-f]:/i.test(ip || '');
+
+/**
+ * Checks whether an interface has an IPv4/IPv6 address configured.
+ * The address is considered configured if either the address or the mask is set.
+ * @param  {Object}  ifc     the interface to check
+ * @param  {number}  version IP version (4/6)
+ * @return {boolean}         true if the address is configured, false otherwise
+ */
+const hasIPAddress = (ifc, version) => {
+  return version === 4
+    ? !isEmpty(ifc.IPv4) || !isEmpty(ifc.IPv4Mask)
+    : !isEmpty(ifc.IPv6) || !isEmpty(ifc.IPv6Mask);
+};
+
+/**
+ * Checks whether the address of an interface is learned
+ * by the device, using DHCP or PPPoE
+ * @param  {Object}  ifc the interface to check
+ * @return {boolean}     true if the address is learned, false if it is static
+ */
+const isDynamicAddressing = (ifc) => ['dhcp', 'pppoe'].includes(ifc.addressMode);
+
 /**
  * Checks whether the device configuration is valid,
  * therefore the device can be started.
@@ -62,6 +111,10 @@ const validateDevice = (device) => {
     };
   }
 
+  // VLAN sub-interfaces must be attached to an existing physical interface
+  const subIfcsValidation = validateSubInterfaces(interfaces);
+  if (!subIfcsValidation.valid) return subIfcsValidation;
+
   for (const ifc of assignedIfs) {
     // Assigned interfaces must be either WAN or LAN
     if (!['WAN', 'LAN'].includes(ifc.type)) {
@@ -71,7 +124,32 @@ const validateDevice = (device) => {
       };
     }
 
-    if (!net.isIPv4(ifc.IPv4) || ifc.IPv4Mask === '') {
+    // The address of DHCP/PPPoE interfaces is learned by the device
+    const isDynamic = isDynamicAddressing(ifc);
+    if (isDynamic && ifc.type !== 'WAN') {
+      return {
+        valid: false,
+        err: `Only WAN interfaces can use DHCP or PPPoE addressing, interface ${ifc.name}`
+      };
+    }
+    if (ifc.addressMode === 'pppoe' &&
+      (isEmpty((ifc.pppoe || {}).username) || isEmpty((ifc.pppoe || {}).password))) {
+      return {
+        valid: false,
+        err: `PPPoE credentials must be set for interface ${ifc.name}`
+      };
+    }
+
+    // Interfaces must have an IPv4 address, an IPv6 address or both
+    const [hasIPv4, hasIPv6] = [hasIPAddress(ifc, 4), hasIPAddress(ifc, 6)];
+    if (!hasIPv4 && !hasIPv6 && !isDynamic) {
+      return {
+        valid: false,
+        err: `Interface ${ifc.name} does not have an IP address`
+      };
+    }
+
+    if (hasIPv4 && (!net.isIPv4(ifc.IPv4) || ifc.IPv4Mask === '')) {
       return {
         valid: false,
         err: `Interface ${ifc.name} does not have an ${ifc.IPv4Mask === ''
@@ -79,6 +157,14 @@ const validateDevice = (device) => {
       };
     }
 
+    if (hasIPv6 && (!net.isIPv6(ifc.IPv6) || !validateIPv6Mask(ifc.IPv6Mask))) {
+      return {
+        valid: false,
+        err: `Interface ${ifc.name} does not have a valid ${!net.isIPv6(ifc.IPv6)
+                      ? 'IPv6 address' : 'IPv6 mask'}`
+      };
+    }
+
     // OSPF is not allowed on WAN interfaces
     if (ifc.type === 'WAN' && ifc.routing === 'OSPF') {
       return {
@@ -86,6 +172,31 @@ const validateDevice = (device) => {
         err: 'OSPF should not be configured on WAN interface'
       };
     }
+
+    // QoS profiles shape the upstream traffic of WAN interfaces
+    const qos = ifc.qos || {};
+    if (qos.profile) {
+      if (ifc.type !== 'WAN') {
+        return {
+          valid: false,
+          err: `QoS profile can be attached only to WAN interfaces, interface ${ifc.name}`
+        };
+      }
+      if (!(qos.bandwidth > 0)) {
+        return {
+          valid: false,
+          err: `QoS profile on interface ${ifc.name} requires a bandwidth limit`
+        };
+      }
+    }
+
+    // BGP can be configured on interfaces only if enabled on the device
+    if (ifc.routing === 'BGP' && !(device.bgp && device.bgp.enable)) {
+      return {
+        valid: false,
+        err: `BGP is configured on interface ${ifc.name} but not enabled on the device`
+      };
+    }
   }
 
   // LAN and WAN interfaces must not be on the same subnet
@@ -96,15 +207,57 @@ const validateDevice = (device) => {
       const lanSubnet = `${lanIfc.IPv4}/${lanIfc.IPv4Mask}`;
       // const defaultGwSubnet = `${device.defaultRoute}/32`;
 
-      if (cidr.overlap(wanSubnet, lanSubnet)) {
+      if (hasIPAddress(wanIfc, 4) && hasIPAddress(lanIfc, 4) &&
+        cidr.overlap(wanSubnet, lanSubnet)) {
         return {
           valid: false,
           err: 'WAN and LAN IP addresses have an overlap'
         };
       }
+
+      const [wanIPv6, lanIPv6] = [wanIfc.IPv6, lanIfc.IPv6];
+      if (!hasIPAddress(wanIfc, 6) || !hasIPAddress(lanIfc, 6) ||
+        isIPv6LinkLocal(wanIPv6) || isIPv6LinkLocal(lanIPv6)) continue;
+      if (cidr.overlap(`${wanIPv6}/${wanIfc.IPv6Mask}`, `${lanIPv6}/${lanIfc.IPv6Mask}`)) {
+        return {
+          valid: false,
+          err: 'WAN and LAN IPv6 addresses have an overlap'
+        };
+      }
     }
   }
 
+  // VLAN sub-interfaces share the parent port, so their subnets
+  // must not overlap the subnets of any other interface
+  for (const subIfc of assignedIfs.filter(ifc => ifc.parentPciaddr)) {
+    for (const ifc of assignedIfs) {
+      if (ifc === subIfc) continue;
+      const overlap = [4, 6].some(version => {
+        if (!hasIPAddress(subIfc, version) || !hasIPAddress(ifc, version)) return false;
+        const [subnetA, subnetB] = version === 4
+          ? [`${subIfc.IPv4}/${subIfc.IPv4Mask}`, `${ifc.IPv4}/${ifc.IPv4Mask}`]
+          : [`${subIfc.IPv6}/${subIfc.IPv6Mask}`, `${ifc.IPv6}/${ifc.IPv6Mask}`];
+        if (version === 6 && (isIPv6LinkLocal(subIfc.IPv6) || isIPv6LinkLocal(ifc.IPv6))) {
+          return false;
+        }
+        return cidr.overlap(subnetA, subnetB);
+      });
+      if (overlap) {
+        return {
+          valid: false,
+          err: `Interface ${subIfc.name} subnet overlaps the subnet of interface ${ifc.name}`
+        };
+      }
+    }
+  }
+
+  // NAT rules are configured separately, but must match the interfaces
+  const { valid, err } = validateNatRules(
+    (device.nat || []).filter(rule => rule.status !== 'remove-wait'),
+    assignedIfs
+  );
+  if (!valid) return { valid, err };
+
   /*
     if (!cidr.overlap(wanSubnet, defaultGwSubnet)) {
         return {
@@ -116,6 +269,46 @@ const validateDevice = (device) => {
   return { valid: true, err: '' };
 };
 
+/**
+ * Checks whether the VLAN sub-interfaces of a device are valid. A sub-interface
+ * must reference an existing physical interface, that must be assigned if the
+ * sub-interface is assigned. VLAN ids must be unique per physical interface.
+ * @param  {Array}  interfaces              the device interfaces
+ * @return {{valid: boolean, err: string}}  test result + error if sub-interfaces are invalid
+ */
+const validateSubInterfaces = (interfaces) => {
+  const vlans = new Set();
+  for (const ifc of interfaces.filter(ifc => ifc.parentPciaddr)) {
+    const parent = interfaces.find(parentIfc => {
+      return !parentIfc.parentPciaddr && parentIfc.pciaddr === ifc.parentPciaddr;
+    });
+    if (!parent) {
+      return { valid: false, err: `Parent interface of ${ifc.name} not found` };
+    }
+    if (!Number.isInteger(ifc.vlanId) || ifc.vlanId < 1 || ifc.vlanId > 4094) {
+      return { valid: false, err: `Invalid VLAN id for interface ${ifc.name}: ${ifc.vlanId}` };
+    }
+    const vlanKey = `${ifc.parentPciaddr}:${ifc.vlanId}`;
+    if (vlans.has(vlanKey)) {
+      return {
+        valid: false,
+        err: `VLAN ${ifc.vlanId} is configured more than once on interface ${parent.name}`
+      };
+    }
+    vlans.add(vlanKey);
+    if (interfaces.filter(other => other.name === ifc.name).length > 1) {
+      return { valid: false, err: `Interface name ${ifc.name} is used more than once` };
+    }
+    if (ifc.isAssigned && !parent.isAssigned) {
+      return {
+        valid: false,
+        err: `Interface ${parent.name} must be assigned to use its VLAN sub-interface ${ifc.name}`
+      };
+    }
+  }
+  return { valid: true, err: '' };
+};
+
 /**
  * Checks whether a modify-device message body
  * contains valid configurations.
@@ -126,6 +319,8 @@ const validateModifyDeviceMsg = (modifyDeviceMsg) => {
   // Support both arrays and single interface
   const msg = Array.isArray(modifyDeviceMsg) ? modifyDeviceMsg : [modifyDeviceMsg];
   for (const ifc of msg) {
+    // The address of DHCP/PPPoE interfaces is learned by the device
+    if (ifc.addressing) continue;
     const [ip, mask] = (ifc.addr || '/').split('/');
     if (!net.isIPv4(ip) || !validateIPv4Mask(mask)) {
       return {
@@ -137,7 +332,543 @@ const validateModifyDeviceMsg = (modifyDeviceMsg) => {
   return { valid: true, err: '' };
 };
 
+/**
+ * Checks whether an IPsec crypto profile is valid, and
+ * whether it is supported by the agents of the devices.
+ * @param  {Object} profile                 the crypto profile to check
+ * @param  {Array}  devices=[]              devices that should use the profile
+ * @return {{valid: boolean, err: string}}  test result + error if profile is invalid
+ */
+const validateCryptoProfile = (profile, devices = []) => {
+  const { cryptoAlg, integrAlg } = profile || {};
+  if (!cryptoAlgs.hasOwnProperty(cryptoAlg)) {
+    return { valid: false, err: `Unsupported encryption algorithm: ${cryptoAlg}` };
+  }
+  if (!integrAlgs.hasOwnProperty(integrAlg)) {
+    return { valid: false, err: `Unsupported integrity algorithm: ${integrAlg}` };
+  }
+
+  // AEAD algorithms provide integrity, and can't be used with
+  // a separate integrity algorithm, all other algorithms require one
+  if (cryptoAlgs[cryptoAlg].aead !== (integrAlg === 'none')) {
+    return {
+      valid: false,
+      err: `Integrity algorithm ${integrAlg} cannot be used with ${cryptoAlg}`
+    };
+  }
+
+  const minAgentVersion = Math.max(
+    cryptoAlgs[cryptoAlg].minAgentVersion,
+    integrAlgs[integrAlg].minAgentVersion
+  );
+  for (const device of devices) {
+    const agentVersion = getMajorVersion((device.versions || {}).agent || '0');
+    if (isNaN(agentVersion) || agentVersion < minAgentVersion) {
+      return {
+        valid: false,
+        err: `Device ${device.hostname} does not support ` +
+          `${cryptoAlg}/${integrAlg}, please upgrade the device`
+      };
+    }
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Checks whether an IPv4 subnet is inside the private (RFC1918) address space
+ * @param  {string}  subnet the subnet in CIDR format
+ * @return {boolean}        true if the subnet is private, false otherwise
+ */
+const isPrivateSubnet = (subnet) => {
+  const privateSubnets = ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16'];
+  return privateSubnets.some(privateSubnet => {
+    return cidr.exclude([subnet], [privateSubnet]).length === 0;
+  });
+};
+
+/**
+ * Checks whether a tunnels overlay pool is valid. The pool must be a
+ * private (RFC1918) subnet of size /16 or larger, and must not overlap
+ * the LAN subnets of the devices.
+ * @param  {string} overlayPool             the pool in CIDR format
+ * @param  {Array}  devices=[]              the organization devices
+ * @return {{valid: boolean, err: string}}  test result + error if pool is invalid
+ */
+const validateOverlayPool = (overlayPool, devices = []) => {
+  const [ip, mask] = (overlayPool || '').split('/');
+  if (!net.isIPv4(ip) || !/^[0-9]{1,2}$/.test(mask) || mask > 16) {
+    return { valid: false, err: `Invalid overlay pool ${overlayPool}, must be /16 or larger` };
+  }
+  const ipNum = ip.split('.').reduce((res, octet) => res * 256 + parseInt(octet, 10), 0);
+  if (ipNum % (2 ** (32 - mask)) !== 0) {
+    return { valid: false, err: `Invalid overlay pool ${overlayPool}, host bits are set` };
+  }
+
+  if (!isPrivateSubnet(overlayPool)) {
+    return { valid: false, err: `Overlay pool ${overlayPool} must be a private subnet` };
+  }
+
+  for (const device of devices) {
+    const lanIfcs = (device.interfaces || []).filter(ifc => {
+      return ifc.isAssigned && ifc.type === 'LAN' && net.isIPv4(ifc.IPv4) &&
+        validateIPv4Mask(ifc.IPv4Mask);
+    });
+    for (const ifc of lanIfcs) {
+      if (cidr.overlap(overlayPool, `${ifc.IPv4}/${ifc.IPv4Mask}`)) {
+        return {
+          valid: false,
+          err: `Overlay pool ${overlayPool} overlaps with LAN subnet of device ${device.hostname}`
+        };
+      }
+    }
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Checks whether an organization LAN pool is valid. The LAN subnets of new
+ * devices are allocated from the pool, therefore it must be a private subnet
+ * of size /24 or larger, that does not overlap the tunnels overlay pool.
+ * An empty pool disables the allocation.
+ * @param  {string} lanPool                 the pool in CIDR format
+ * @param  {string} overlayPool             the organization overlay pool
+ * @return {{valid: boolean, err: string}}  test result + error if pool is invalid
+ */
+const validateLanPool = (lanPool, overlayPool) => {
+  if (lanPool === '') return { valid: true, err: '' };
+
+  const [ip, mask] = (lanPool || '').split('/');
+  if (!net.isIPv4(ip) || !/^[0-9]{1,2}$/.test(mask) || mask > 24) {
+    return { valid: false, err: `Invalid LAN pool ${lanPool}, must be /24 or larger` };
+  }
+  const ipNum = ip.split('.').reduce((res, octet) => res * 256 + parseInt(octet, 10), 0);
+  if (ipNum % (2 ** (32 - mask)) !== 0) {
+    return { valid: false, err: `Invalid LAN pool ${lanPool}, host bits are set` };
+  }
+  if (!isPrivateSubnet(lanPool)) {
+    return { valid: false, err: `LAN pool ${lanPool} must be a private subnet` };
+  }
+  if (overlayPool && cidr.overlap(lanPool, overlayPool)) {
+    return {
+      valid: false,
+      err: `LAN pool ${lanPool} overlaps with the overlay pool ${overlayPool}`
+    };
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Checks whether a BGP ASN is valid (4-byte ASN)
+ * @param  {number}  asn the ASN to be checked
+ * @return {boolean}     true if the ASN is valid, false otherwise
+ */
+const isValidAsn = (asn) => Number.isInteger(asn) && asn >= 1 && asn <= 4294967295;
+
+/**
+ * Checks whether the BGP configuration of a device is valid,
+ * and whether it is supported by the device agent.
+ * @param  {Object} bgp                     the BGP configuration to check
+ * @param  {Object} device                  the device to be configured
+ * @return {{valid: boolean, err: string}}  test result + error if configuration is invalid
+ */
+const validateBGP = (bgp, device) => {
+  if (!bgp || !bgp.enable) return { valid: true, err: '' };
+
+  if (getMajorVersion(device.versions.agent) < 2) {
+    return {
+      valid: false,
+      err: `Device ${device.hostname} does not support BGP, please upgrade the device`
+    };
+  }
+
+  if (!isValidAsn(bgp.localAsn)) {
+    return { valid: false, err: `Invalid local ASN: ${bgp.localAsn}` };
+  }
+
+  if (!isEmpty(bgp.routerId) && !net.isIPv4(bgp.routerId)) {
+    return { valid: false, err: `Invalid router ID: ${bgp.routerId}` };
+  }
+
+  const ifcsIPs = (device.interfaces || [])
+    .filter(ifc => ifc.isAssigned)
+    .map(ifc => ifc.IPv4);
+  const neighborsIPs = new Set();
+  for (const neighbor of bgp.neighbors || []) {
+    if (!net.isIPv4(neighbor.ip)) {
+      return { valid: false, err: `Invalid BGP neighbor IP: ${neighbor.ip}` };
+    }
+    if (!isValidAsn(neighbor.remoteAsn)) {
+      return { valid: false, err: `Invalid ASN of BGP neighbor ${neighbor.ip}` };
+    }
+    if (neighborsIPs.has(neighbor.ip)) {
+      return { valid: false, err: `Duplicated BGP neighbor ${neighbor.ip}` };
+    }
+    if (ifcsIPs.includes(neighbor.ip)) {
+      return { valid: false, err: `BGP neighbor ${neighbor.ip} is a device interface address` };
+    }
+    neighborsIPs.add(neighbor.ip);
+  }
+
+  for (const network of bgp.networks || []) {
+    const [ip, mask] = (network || '').split('/');
+    if (!net.isIPv4(ip) || !validateIPv4Mask(mask)) {
+      return { valid: false, err: `Invalid BGP advertised prefix: ${network}` };
+    }
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Checks whether a static route is valid. The destination
+ * and the gateway must be of the same IP version.
+ * @param  {Object} route                   the static route to check
+ * @return {{valid: boolean, err: string}}  test result + error if route is invalid
+ */
+const validateStaticRoute = (route) => {
+  const [ip, mask] = (route.destination || '').split('/');
+  const version = net.isIP(ip);
+  const validMask = version === 4 ? validateIPv4Mask(mask) : validateIPv6Mask(mask);
+  if (!version || !validMask) {
+    return { valid: false, err: `Invalid destination: ${route.destination}` };
+  }
+  if (net.isIP(route.gateway) !== version) {
+    return {
+      valid: false,
+      err: `Gateway ${route.gateway} must be an IPv${version} address`
+    };
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Checks whether a DHCP relay configuration is valid. Requests are relayed
+ * to central IPv4 DHCP servers from the IPv4 address of the interface.
+ * @param  {Object} dhcp                    the DHCP configuration to check
+ * @param  {Array}  interfaces              the device interfaces
+ * @return {{valid: boolean, err: string}}  test result + error if configuration is invalid
+ */
+const validateDhcpRelay = (dhcp, interfaces) => {
+  const servers = dhcp.relayServers || [];
+  if (servers.length === 0 || servers.length > maxDhcpRelayServers) {
+    return {
+      valid: false,
+      err: `DHCP relay must have 1 to ${maxDhcpRelayServers} DHCP servers`
+    };
+  }
+  if (!servers.every(server => net.isIPv4(server))) {
+    return { valid: false, err: 'DHCP relay servers must be IPv4 addresses' };
+  }
+  if (new Set(servers).size !== servers.length) {
+    return { valid: false, err: 'DHCP relay servers must be unique' };
+  }
+  if ((dhcp.macAssign || []).length > 0) {
+    return { valid: false, err: 'MAC bindings are not supported in DHCP relay mode' };
+  }
+
+  const ifc = interfaces.find(ifc => {
+    return ifc.name === dhcp.interface || ifc.pciaddr === dhcp.interface;
+  });
+  if (ifc && !hasIPAddress(ifc, 4)) {
+    return { valid: false, err: `Interface ${ifc.name} does not have an IPv4 address` };
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Checks whether a DHCP configuration is valid. In server mode, the range
+ * start and end must be of the same IP version, and inside the interface subnet.
+ * @param  {Object} dhcp                    the DHCP configuration to check
+ * @param  {Array}  interfaces              the device interfaces
+ * @return {{valid: boolean, err: string}}  test result + error if configuration is invalid
+ */
+const validateDhcpConfig = (dhcp, interfaces = []) => {
+  if (dhcp.mode === 'relay') return validateDhcpRelay(dhcp, interfaces);
+
+  const version = net.isIP(dhcp.rangeStart);
+  if (!version || net.isIP(dhcp.rangeEnd) !== version) {
+    return {
+      valid: false,
+      err: 'DHCP range start and end must be addresses of the same IP version'
+    };
+  }
+
+  const ifc = interfaces.find(ifc => {
+    return ifc.name === dhcp.interface || ifc.pciaddr === dhcp.interface;
+  });
+  if (!ifc) return { valid: true, err: '' };
+
+  if (!hasIPAddress(ifc, version)) {
+    return { valid: false, err: `Interface ${ifc.name} does not have an IPv${version} address` };
+  }
+  const subnet = version === 4
+    ? `${ifc.IPv4}/${ifc.IPv4Mask}`
+    : `${ifc.IPv6}/${ifc.IPv6Mask}`;
+  if (!cidr.overlap(subnet, dhcp.rangeStart) || !cidr.overlap(subnet, dhcp.rangeEnd)) {
+    return {
+      valid: false,
+      err: `DHCP range must be inside the subnet of interface ${ifc.name}`
+    };
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Returns the IP version of a firewall rule prefix
+ * @param  {string} prefix the prefix ('any' or ip/mask)
+ * @return {number}        0 for 'any' or an invalid prefix, 4 or 6 otherwise
+ */
+const getPrefixVersion = (prefix) => {
+  if (prefix === 'any') return 0;
+  const [ip, mask] = (prefix || '').split('/');
+  const version = net.isIP(ip);
+  if (version === 4 && validateIPv4Mask(mask)) return 4;
+  if (version === 6 && validateIPv6Mask(mask)) return 6;
+  return -1;
+};
+
+/**
+ * Checks whether a firewall rule is valid. Source and destination must be
+ * 'any' or prefixes of the same IP version. Ports can be set only for
+ * TCP/UDP rules, as a single port or a range of ports (start-end).
+ * @param  {Object} rule                    the firewall rule to check
+ * @return {{valid: boolean, err: string}}  test result + error if the rule is invalid
+ */
+const validateFirewallRule = (rule) => {
+  if (!['inbound', 'outbound'].includes(rule.direction)) {
+    return { valid: false, err: `Invalid direction: ${rule.direction}` };
+  }
+  if (!['allow', 'deny'].includes(rule.action)) {
+    return { valid: false, err: `Invalid action: ${rule.action}` };
+  }
+  const source = rule.source || 'any';
+  const destination = rule.destination || 'any';
+  const srcVersion = getPrefixVersion(source);
+  if (srcVersion < 0) {
+    return { valid: false, err: `Invalid source: ${source}` };
+  }
+  const dstVersion = getPrefixVersion(destination);
+  if (dstVersion < 0) {
+    return { valid: false, err: `Invalid destination: ${destination}` };
+  }
+  if (srcVersion && dstVersion && srcVersion !== dstVersion) {
+    return {
+      valid: false,
+      err: 'Source and destination must be of the same IP version'
+    };
+  }
+  const protocol = rule.protocol || 'any';
+  if (!['any', 'tcp', 'udp', 'icmp'].includes(protocol)) {
+    return { valid: false, err: `Invalid protocol: ${protocol}` };
+  }
+  if (!isEmpty(rule.ports)) {
+    if (!['tcp', 'udp'].includes(protocol)) {
+      return { valid: false, err: 'Ports can be set only for TCP or UDP rules' };
+    }
+    const match = /^([0-9]{1,5})(?:-([0-9]{1,5}))?$/.exec(rule.ports);
+    const start = match ? Number(match[1]) : 0;
+    const end = match && match[2] ? Number(match[2]) : start;
+    if (start < 1 || end > 65535 || start > end) {
+      return { valid: false, err: `Invalid ports: ${rule.ports}` };
+    }
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Checks whether a port number is valid
+ * @param  {number}  port the port to check
+ * @return {boolean}      true if port is valid, false otherwise
+ */
+const isValidPort = (port) => Number.isInteger(port) && port >= 1 && port <= 65535;
+
+/**
+ * Checks whether a NAT rule is valid. The rule WAN interface must exist, and
+ * the internal address must be inside the subnet of a LAN interface.
+ * Port forwarding external ports and 1:1 NAT external addresses
+ * must be unique per WAN interface.
+ * @param  {Object} rule                    the NAT rule to check
+ * @param  {Array}  interfaces              the device interfaces
+ * @param  {Array}  rules                   the other NAT rules of the device
+ * @return {{valid: boolean, err: string}}  test result + error if the rule is invalid
+ */
+const validateNatRule = (rule, interfaces = [], rules = []) => {
+  if (!['port-forward', '1:1'].includes(rule.type)) {
+    return { valid: false, err: `Invalid NAT type: ${rule.type}` };
+  }
+  const wanIfc = interfaces.find(ifc => ifc.name === rule.wanInterface && ifc.type === 'WAN');
+  if (!wanIfc) {
+    return { valid: false, err: `WAN interface ${rule.wanInterface} not found` };
+  }
+  if (!net.isIPv4(rule.internalIP)) {
+    return { valid: false, err: 'Internal IP must be an IPv4 address' };
+  }
+  const lanIfc = interfaces.find(ifc => ifc.type === 'LAN' && hasIPAddress(ifc, 4) &&
+    cidr.overlap(`${ifc.IPv4}/${ifc.IPv4Mask}`, rule.internalIP));
+  if (!lanIfc) {
+    return {
+      valid: false,
+      err: `Internal IP ${rule.internalIP} is not inside a LAN interface subnet`
+    };
+  }
+
+  const wanRules = rules.filter(other => other.wanInterface === rule.wanInterface &&
+    other.type === rule.type && (!rule._id || String(other._id) !== String(rule._id)));
+  if (rule.type === 'port-forward') {
+    if (!['tcp', 'udp'].includes(rule.protocol)) {
+      return { valid: false, err: 'Port forwarding protocol must be TCP or UDP' };
+    }
+    if (!isValidPort(rule.externalPort) || !isValidPort(rule.internalPort)) {
+      return { valid: false, err: 'Port forwarding requires valid external and internal ports' };
+    }
+    if (wanRules.some(other => other.externalPort === rule.externalPort)) {
+      return {
+        valid: false,
+        err: `External port ${rule.externalPort} is already used on interface ${wanIfc.name}`
+      };
+    }
+  } else {
+    if (!net.isIPv4(rule.externalIP)) {
+      return { valid: false, err: 'External IP must be an IPv4 address' };
+    }
+    if (rule.externalIP === wanIfc.IPv4) {
+      return {
+        valid: false,
+        err: `External IP must differ from the address of interface ${wanIfc.name}`
+      };
+    }
+    if (wanRules.some(other => other.externalIP === rule.externalIP)) {
+      return {
+        valid: false,
+        err: `External IP ${rule.externalIP} is already used on interface ${wanIfc.name}`
+      };
+    }
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Checks whether the NAT rules of a device are valid
+ * @param  {Array}  rules                   the NAT rules to check
+ * @param  {Array}  interfaces              the device interfaces
+ * @return {{valid: boolean, err: string}}  test result + error of the first invalid rule
+ */
+const validateNatRules = (rules = [], interfaces = []) => {
+  for (const [idx, rule] of rules.entries()) {
+    const result = validateNatRule(rule, interfaces, rules.slice(0, idx));
+    if (!result.valid) return result;
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Checks whether a multilink policy is valid. Rule names must be unique,
+ * every rule must have at least one preferred path label, and all the
+ * path labels must belong to the organization.
+ * @param  {Object} policy                  the multilink policy to check
+ * @param  {Array}  pathLabels              the organization path labels
+ * @return {{valid: boolean, err: string}}  test result + error if the policy is invalid
+ */
+const validateMultilinkPolicy = (policy, pathLabels = []) => {
+  const labelIds = pathLabels.map(label => label._id.toString());
+  const names = new Set();
+  for (const rule of policy.rules || []) {
+    if (names.has(rule.name)) {
+      return { valid: false, err: `Duplicate rule name: ${rule.name}` };
+    }
+    names.add(rule.name);
+
+    if (!isEmpty(rule.prefix) && getPrefixVersion(rule.prefix) <= 0) {
+      return { valid: false, err: `Invalid prefix in rule ${rule.name}: ${rule.prefix}` };
+    }
+    if (!isEmpty(rule.ports) && !['tcp', 'udp'].includes(rule.protocol)) {
+      return {
+        valid: false,
+        err: `Ports can be set only for TCP or UDP rules, rule ${rule.name}`
+      };
+    }
+    if (!isEmpty(rule.dscp) && !(Number.isInteger(rule.dscp) && rule.dscp >= 0 &&
+      rule.dscp <= 63)) {
+      return { valid: false, err: `Invalid DSCP in rule ${rule.name}: ${rule.dscp}` };
+    }
+
+    const preferred = (rule.preferredLabels || []).map(String);
+    const fallback = (rule.fallbackLabels || []).map(String);
+    if (preferred.length === 0) {
+      return { valid: false, err: `Rule ${rule.name} must have a preferred path label` };
+    }
+    if (preferred.some(label => fallback.includes(label))) {
+      return {
+        valid: false,
+        err: `Rule ${rule.name} path labels cannot be both preferred and fallback`
+      };
+    }
+    if ([...preferred, ...fallback].some(label => !labelIds.includes(label))) {
+      return { valid: false, err: `Rule ${rule.name} uses an unknown path label` };
+    }
+  }
+  return { valid: true, err: '' };
+};
+
+/**
+ * Checks whether a QoS profile is valid. Class names, priorities and DSCP
+ * values must be unique, at most one class can be without DSCP values
+ * (the default class), and the guaranteed rates must not exceed 100%.
+ * @param  {Object} profile                 the QoS profile to check
+ * @return {{valid: boolean, err: string}}  test result + error if the profile is invalid
+ */
+const validateQosProfile = (profile) => {
+  const classes = profile.classes || [];
+  if (classes.length === 0) {
+    return { valid: false, err: 'QoS profile must have at least one traffic class' };
+  }
+  const names = new Set();
+  const priorities = new Set();
+  const dscpValues = new Set();
+  let defaultClasses = 0;
+  let totalRate = 0;
+  for (const qosClass of classes) {
+    if (names.has(qosClass.name)) {
+      return { valid: false, err: `Duplicate class name: ${qosClass.name}` };
+    }
+    names.add(qosClass.name);
+    if (priorities.has(qosClass.priority)) {
+      return { valid: false, err: `Duplicate class priority: ${qosClass.priority}` };
+    }
+    priorities.add(qosClass.priority);
+
+    const dscp = qosClass.dscp || [];
+    if (dscp.length === 0) defaultClasses++;
+    for (const value of dscp) {
+      if (dscpValues.has(value)) {
+        return { valid: false, err: `DSCP ${value} is used by more than one class` };
+      }
+      dscpValues.add(value);
+    }
+    totalRate += qosClass.guaranteedRate || 0;
+  }
+  if (defaultClasses > 1) {
+    return { valid: false, err: 'Only one class can be without DSCP values' };
+  }
+  if (totalRate > 100) {
+    return { valid: false, err: 'The total guaranteed rate must not exceed 100%' };
+  }
+  return { valid: true, err: '' };
+};
+
 module.exports = {
   validateDevice: validateDevice,
-  validateModifyDeviceMsg: validateModifyDeviceMsg
+  validateSubInterfaces: validateSubInterfaces,
+  validateModifyDeviceMsg: validateModifyDeviceMsg,
+  validateCryptoProfile: validateCryptoProfile,
+  validateBGP: validateBGP,
+  validateStaticRoute: validateStaticRoute,
+  validateDhcpConfig: validateDhcpConfig,
+  validateFirewallRule: validateFirewallRule,
+  validateNatRule: validateNatRule,
+  validateMultilinkPolicy: validateMultilinkPolicy,
+  validateQosProfile: validateQosProfile,
+  isIPv6LinkLocal: isIPv6LinkLocal,
+  isDynamicAddressing: isDynamicAddressing,
+  validateOverlayPool: validateOverlayPool,
+  validateLanPool: validateLanPool
 };
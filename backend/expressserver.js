@@ -25,6 +25,10 @@ const deviceQueues = require('./periodic/deviceQueue')();
 const deviceSwVersion = require('./periodic/deviceSwVersion')();
 const deviceSwUpgrade = require('./periodic/deviceperiodicUpgrade')();
 const notifyUsers = require('./periodic/notifyUsers')();
+const checkTunnels = require('./periodic/checkTunnels')();
+const tunnelKeysRotation = require('./periodic/tunnelKeysRotation')();
+const configDriftCheck = require('./periodic/configDriftCheck')();
+const deviceTokenRenewal = require('./periodic/deviceTokenRenewal')();
 
 // rate limiter
 const rateLimit = require('express-rate-limit');
@@ -41,6 +45,7 @@ const adminRouter = require('./routes/admin');
 const WebSocket = require('ws');
 const connections = require('./websocket/Connections')();
 const broker = require('./broker/broker.js');
+const stunResponder = require('./utils/stunResponder')();
 
 class ExpressServer {
   constructor (port, securePort, openApiYaml) {
@@ -97,6 +102,10 @@ class ExpressServer {
     deviceSwVersion.start();
     deviceSwUpgrade.start();
     notifyUsers.start();
+    checkTunnels.start();
+    tunnelKeysRotation.start();
+    configDriftCheck.start();
+    deviceTokenRenewal.start();
 
     // Secure traffic only
     this.app.all('*', (req, res, next) => {
@@ -310,6 +319,9 @@ class ExpressServer {
       this.wss.on('connection', connections.createConnection);
       console.log('Websocket server running');
 
+      // NAT traversal responder for the devices tunnels
+      stunResponder.start();
+
       this.server.listen(this.port, () => {
         console.log('HTTP server listening on port', { params: { port: this.port } });
       });
@@ -327,6 +339,7 @@ class ExpressServer {
   }
 
   async close () {
+    stunResponder.close();
     if (this.server !== undefined) {
       await this.server.close();
       console.log(`HTTP Server on port ${this.port} shut down`);
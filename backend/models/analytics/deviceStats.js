@@ -40,7 +40,9 @@ const deviceStatsSchema = new Schema({
     default: 0
   },
   // Free form, not schema based
-  stats: Schema.Types.Mixed
+  stats: Schema.Types.Mixed,
+  // QoS statistics per interface and traffic class
+  qos: Schema.Types.Mixed
 }, {
   timestamps: true
 });
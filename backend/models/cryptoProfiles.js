@@ -0,0 +1,120 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const mongoConns = require('../mongoConns.js')();
+
+/**
+ * IPsec encryption algorithms supported by the devices.
+ * keyLength - the length of the key in bytes
+ * aead - the algorithm also provides integrity (no integrity algorithm is used)
+ * minAgentVersion - the minimal agent major version that supports the algorithm
+ */
+const cryptoAlgs = {
+  'aes-cbc-128': { keyLength: 16, aead: false, minAgentVersion: 1 },
+  'aes-cbc-192': { keyLength: 24, aead: false, minAgentVersion: 2 },
+  'aes-cbc-256': { keyLength: 32, aead: false, minAgentVersion: 2 },
+  'aes-gcm-128': { keyLength: 16, aead: true, minAgentVersion: 2 },
+  'aes-gcm-256': { keyLength: 32, aead: true, minAgentVersion: 2 }
+};
+
+/**
+ * IPsec integrity algorithms supported by the devices.
+ * 'none' must be used with AEAD encryption algorithms.
+ */
+const integrAlgs = {
+  none: { keyLength: 0, minAgentVersion: 2 },
+  'sha-256-128': { keyLength: 16, minAgentVersion: 1 },
+  'sha-384-192': { keyLength: 24, minAgentVersion: 2 },
+  'sha-512-256': { keyLength: 32, minAgentVersion: 2 }
+};
+
+// The suite used when the organization doesn't have a crypto profile
+const defaultCryptoProfile = {
+  cryptoAlg: 'aes-cbc-128',
+  integrAlg: 'sha-256-128'
+};
+
+// The lifetime (in hours) of tunnel keys, before they are rotated
+const defaultKeyLifetime = 24;
+
+/**
+ * Crypto Profile Schema
+ * Used by the organization profile and by the tunnel override
+ */
+const cryptoProfileSchema = new Schema({
+  // IPsec encryption algorithm
+  cryptoAlg: {
+    type: String,
+    required: [true, 'Encryption algorithm must be set'],
+    enum: Object.keys(cryptoAlgs)
+  },
+  // IPsec integrity algorithm
+  integrAlg: {
+    type: String,
+    required: [true, 'Integrity algorithm must be set'],
+    enum: Object.keys(integrAlgs)
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Organization Crypto Profiles Database Schema
+ * Holds the IPsec suite used for the organization tunnels
+ */
+const orgCryptoProfileSchema = new Schema({
+  // Organization
+  org: {
+    type: Schema.Types.ObjectId,
+    ref: 'organizations',
+    required: true,
+    unique: true
+  },
+  // IPsec encryption algorithm
+  cryptoAlg: {
+    type: String,
+    required: [true, 'Encryption algorithm must be set'],
+    enum: Object.keys(cryptoAlgs)
+  },
+  // IPsec integrity algorithm
+  integrAlg: {
+    type: String,
+    required: [true, 'Integrity algorithm must be set'],
+    enum: Object.keys(integrAlgs)
+  },
+  // Lifetime (in hours) of the tunnel keys, before they are rotated
+  keyLifetime: {
+    type: Number,
+    default: defaultKeyLifetime,
+    min: [1, 'Key lifetime must be at least 1 hour'],
+    max: [8760, 'Key lifetime must be at most 8760 hours']
+  }
+}, {
+  timestamps: true
+});
+
+// Default exports
+module.exports = {
+  cryptoProfiles: mongoConns.getMainDB().model('cryptoProfiles', orgCryptoProfileSchema),
+  cryptoProfileSchema,
+  cryptoAlgs,
+  integrAlgs,
+  defaultCryptoProfile,
+  defaultKeyLifetime
+};
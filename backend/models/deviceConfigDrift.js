@@ -0,0 +1,80 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const mongoConns = require('../mongoConns.js')();
+
+/**
+ * Device Configuration Drift Database Schema
+ * Holds the last comparison between the configuration stored in the
+ * MGMT and the configuration running on the device, one report per device.
+ */
+const deviceConfigDriftSchema = new Schema({
+  // Organization
+  org: {
+    type: Schema.Types.ObjectId,
+    ref: 'organizations',
+    required: true
+  },
+  // The device
+  device: {
+    type: Schema.Types.ObjectId,
+    ref: 'devices',
+    required: true,
+    unique: true
+  },
+  // Drift status:
+  // in-sync - the device configuration matches the MGMT configuration
+  // drifted - the device configuration differs from the MGMT configuration
+  // resyncing - the MGMT configuration is being re-pushed to the device
+  // resynced - the MGMT configuration was re-pushed to the device
+  // error - the device configuration could not be retrieved
+  status: {
+    type: String,
+    enum: ['in-sync', 'drifted', 'resyncing', 'resynced', 'error'],
+    required: true
+  },
+  // The time of the last check
+  checkedAt: {
+    type: Date,
+    required: true
+  },
+  // The time the resync started, a resync which is not done after
+  // a timeout is considered stale, and the drift is checked again
+  resyncStartedAt: {
+    type: Date,
+    default: null
+  },
+  // The differences per configuration section (interfaces, static routes, DHCP
+  // and tunnels), each with the missing, unexpected and modified items on the device
+  drift: {
+    type: Object,
+    default: {}
+  },
+  // The error of the last check, if failed
+  error: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Default exports
+module.exports = mongoConns.getMainDB().model('deviceConfigDrift', deviceConfigDriftSchema);
@@ -0,0 +1,69 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const mongoConns = require('../mongoConns.js')();
+
+/**
+ * Device Configuration History Database Schema
+ * Holds a versioned snapshot of the device configuration,
+ * stored after each successful configuration change.
+ */
+const deviceConfigHistorySchema = new Schema({
+  // Organization
+  org: {
+    type: Schema.Types.ObjectId,
+    ref: 'organizations',
+    required: true
+  },
+  // The device
+  device: {
+    type: Schema.Types.ObjectId,
+    ref: 'devices',
+    required: true
+  },
+  // Configuration version, incremented per device
+  version: {
+    type: Number,
+    required: true
+  },
+  // The user that made the change
+  username: {
+    type: String,
+    default: 'system'
+  },
+  // The id of the job that applied the change, null for changes without a job
+  jobId: {
+    type: Number,
+    default: null
+  },
+  // The device configuration: default route, interfaces, static routes, DHCP and labels
+  config: {
+    type: Object,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Configuration version per device must be unique
+deviceConfigHistorySchema.index({ device: 1, version: 1 }, { unique: true });
+
+// Default exports
+module.exports = mongoConns.getMainDB().model('deviceConfigHistory', deviceConfigHistorySchema);
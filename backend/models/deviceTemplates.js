@@ -0,0 +1,178 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const mongoConns = require('../mongoConns.js')();
+const { validateLabelName, validateDescription } = require('./validators');
+
+// Template values may hold variables, e.g. {{lan_ip}}, that are rendered
+// per device. Therefore, the addresses are validated only after rendering.
+
+/**
+ * Template Interface Schema
+ * Assigns a role to the device interface with the same name.
+ * Fields which are not set keep the device values.
+ */
+const templateInterfaceSchema = new Schema({
+  // The name of the device interface
+  name: {
+    type: String,
+    required: [true, 'Interface name must be set'],
+    maxlength: [30, 'Interface name length must be at most 30']
+  },
+  isAssigned: {
+    type: Boolean
+  },
+  type: {
+    type: String,
+    enum: ['WAN', 'LAN']
+  },
+  routing: {
+    type: String,
+    enum: ['NONE', 'OSPF', 'BGP']
+  },
+  IPv4: {
+    type: String,
+    maxlength: [50, 'IPv4 length must be at most 50']
+  },
+  IPv4Mask: {
+    type: String,
+    maxlength: [50, 'IPv4 mask length must be at most 50']
+  },
+  pathlabels: {
+    type: [{
+      type: Schema.Types.ObjectId,
+      ref: 'PathLabels'
+    }],
+    default: undefined
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Template Static Route Schema
+ */
+const templateStaticRouteSchema = new Schema({
+  destination: {
+    type: String,
+    required: [true, 'Destination must be set'],
+    maxlength: [100, 'Destination length must be at most 100']
+  },
+  gateway: {
+    type: String,
+    required: [true, 'Gateway must be set'],
+    maxlength: [100, 'Gateway length must be at most 100']
+  },
+  // The name of the device interface, optional
+  ifname: {
+    type: String,
+    default: '',
+    maxlength: [30, 'Interface name length must be at most 30']
+  },
+  metric: {
+    type: String,
+    default: '',
+    maxlength: [50, 'Metric length must be at most 50']
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Template DHCP Schema
+ */
+const templateDhcpSchema = new Schema({
+  // The name of the device interface
+  interface: {
+    type: String,
+    required: [true, 'Interface name must be set'],
+    maxlength: [30, 'Interface name length must be at most 30']
+  },
+  mode: {
+    type: String,
+    enum: ['server', 'relay'],
+    default: 'server'
+  },
+  rangeStart: {
+    type: String,
+    default: '',
+    maxlength: [100, 'Range start length must be at most 100']
+  },
+  rangeEnd: {
+    type: String,
+    default: '',
+    maxlength: [100, 'Range end length must be at most 100']
+  },
+  dns: [String],
+  relayServers: [String]
+}, {
+  _id: false
+});
+
+/**
+ * Device Templates Database Schema
+ * A named configuration applied to many devices. The version
+ * is incremented on every change of the template.
+ */
+const deviceTemplateSchema = new Schema({
+  // Organization
+  org: {
+    type: Schema.Types.ObjectId,
+    ref: 'organizations',
+    required: true
+  },
+  // Template name
+  name: {
+    type: String,
+    required: [true, 'Template name must be set'],
+    validate: {
+      validator: validateLabelName,
+      message: 'Template name format is invalid'
+    }
+  },
+  // Template description
+  description: {
+    type: String,
+    default: '',
+    validate: {
+      validator: validateDescription,
+      message: 'Template description format is invalid'
+    }
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  interfaces: [templateInterfaceSchema],
+  staticroutes: [templateStaticRouteSchema],
+  dhcp: [templateDhcpSchema]
+}, {
+  timestamps: true
+});
+
+// Template name per org must be unique
+deviceTemplateSchema.index({ org: 1, name: 1 }, { unique: true });
+
+// Default exports
+module.exports = {
+  deviceTemplates: mongoConns.getMainDB().model('deviceTemplates', deviceTemplateSchema),
+  templateInterfaceSchema,
+  templateStaticRouteSchema,
+  templateDhcpSchema
+};
@@ -19,6 +19,47 @@ const validators = require('./validators');
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const mongoConns = require('../mongoConns.js')();
+const { firewallRuleSchema } = require('./firewallRules');
+
+/**
+ * Interface QoS Database Schema
+ */
+const interfaceQosSchema = new Schema({
+  // QoS profile
+  profile: {
+    type: Schema.Types.ObjectId,
+    ref: 'qosProfiles',
+    default: null
+  },
+  // bandwidth limit in kbps, the class rates are relative to it
+  bandwidth: {
+    type: Number,
+    min: [0, 'Bandwidth must be at least 0'],
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Interface PPPoE Credentials Database Schema
+ */
+const interfacePppoeSchema = new Schema({
+  // PPPoE user name
+  username: {
+    type: String,
+    maxlength: [64, 'PPPoE user name length must be at most 64'],
+    default: ''
+  },
+  // PPPoE password
+  password: {
+    type: String,
+    maxlength: [64, 'PPPoE password length must be at most 64'],
+    default: ''
+  }
+}, {
+  _id: false
+});
 
 /**
  * Interfaces Database Schema
@@ -40,11 +81,31 @@ const interfacesSchema = new Schema({
     type: String,
     maxlength: [50, 'PCI address length must be at most 50'],
     validate: {
-      validator: validators.validatePciAddress,
+      validator: (pci) => {
+        return validators.validatePciAddress(pci) || validators.validateVlanPciAddress(pci);
+      },
       message: 'pciaddr should be a vaild pci address'
     },
     default: ''
   },
+  // parent interface PCI address, set only for VLAN sub-interfaces
+  parentPciaddr: {
+    type: String,
+    validate: {
+      validator: validators.validatePciAddress,
+      message: 'parentPciaddr should be a vaild pci address'
+    },
+    default: ''
+  },
+  // VLAN id of a VLAN sub-interface, 0 for physical interfaces
+  vlanId: {
+    type: Number,
+    validate: {
+      validator: (vlanId) => vlanId === 0 || validators.validateVlanId(vlanId),
+      message: 'vlanId should be a valid VLAN id'
+    },
+    default: 0
+  },
   // driver name
   driver: {
     type: String,
@@ -113,6 +174,27 @@ const interfacesSchema = new Schema({
     },
     default: ''
   },
+  // external port, as observed by the MGMT NAT traversal responder
+  PublicPort: {
+    type: String,
+    maxlength: [5, 'PublicPort length must be at most 5'],
+    validate: {
+      validator: validators.validatePort,
+      message: 'PublicPort should be a valid port number'
+    },
+    default: ''
+  },
+  // addressing mode, the address of DHCP/PPPoE interfaces is learned by the device
+  addressMode: {
+    type: String,
+    enum: ['static', 'dhcp', 'pppoe'],
+    default: 'static'
+  },
+  // PPPoE credentials, for PPPoE addressing
+  pppoe: {
+    type: interfacePppoeSchema,
+    default: () => ({})
+  },
   // assigned
   isAssigned: {
     type: Boolean,
@@ -141,7 +223,12 @@ const interfacesSchema = new Schema({
   pathlabels: [{
     type: Schema.Types.ObjectId,
     ref: 'PathLabels'
-  }]
+  }],
+  // QoS, for WAN interfaces
+  qos: {
+    type: interfaceQosSchema,
+    default: () => ({})
+  }
 }, {
   timestamps: true
 });
@@ -154,16 +241,16 @@ const staticroutesSchema = new Schema({
   destination: {
     type: String,
     validate: {
-      validator: validators.validateIPv4WithMask,
-      message: 'Destination should be a valid ipv4 with mask type'
+      validator: validators.validateIPWithMask,
+      message: 'Destination should be a valid ipv4 or ipv6 with mask type'
     }
   },
   // gateway
   gateway: {
     type: String,
     validate: {
-      validator: validators.validateIPv4,
-      message: 'Gateway should be a valid ipv4 address'
+      validator: validators.validateIPaddr,
+      message: 'Gateway should be a valid ipv4 or ipv6 address'
     }
   },
   // interface name
@@ -188,6 +275,136 @@ const staticroutesSchema = new Schema({
   timestamps: true
 });
 
+/**
+ * Device Firewall Rule Database Schema
+ */
+const deviceFirewallRuleSchema = firewallRuleSchema.clone();
+deviceFirewallRuleSchema.add({
+  // status
+  status: {
+    type: String,
+    default: 'failed'
+  }
+});
+
+/**
+ * NAT Rule Database Schema
+ */
+const natRuleSchema = new Schema({
+  // port-forward or 1:1 NAT
+  type: {
+    type: String,
+    required: [true, 'NAT type must be set'],
+    enum: ['port-forward', '1:1']
+  },
+  // description
+  description: {
+    type: String,
+    default: '',
+    validate: {
+      validator: validators.validateDescription,
+      message: 'Rule description format is invalid'
+    }
+  },
+  // name of the WAN interface
+  wanInterface: {
+    type: String,
+    required: [true, 'WAN interface must be set'],
+    validate: {
+      validator: validators.validateIfcName,
+      message: 'WAN interface should be a vaild interface name'
+    }
+  },
+  // protocol, for port forwarding
+  protocol: {
+    type: String,
+    enum: ['tcp', 'udp', ''],
+    default: ''
+  },
+  // external port, for port forwarding
+  externalPort: {
+    type: Number,
+    min: [1, 'External port must be at least 1'],
+    max: [65535, 'External port must be at most 65535']
+  },
+  // external address, for 1:1 NAT
+  externalIP: {
+    type: String,
+    default: '',
+    validate: {
+      validator: validators.validateIPv4,
+      message: 'External IP should be a vaild ipv4 address'
+    }
+  },
+  // internal (LAN) address
+  internalIP: {
+    type: String,
+    required: [true, 'Internal IP must be set'],
+    validate: {
+      validator: validators.validateIPv4,
+      message: 'Internal IP should be a vaild ipv4 address'
+    }
+  },
+  // internal port, for port forwarding
+  internalPort: {
+    type: Number,
+    min: [1, 'Internal port must be at least 1'],
+    max: [65535, 'Internal port must be at most 65535']
+  },
+  // status
+  status: {
+    type: String,
+    default: 'failed'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Device Multilink Policy Database Schema
+ */
+const deviceMultilinkPolicySchema = new Schema({
+  // the assigned policy
+  policy: {
+    type: Schema.Types.ObjectId,
+    ref: 'multilinkPolicies',
+    default: null
+  },
+  // status
+  status: {
+    type: String,
+    default: ''
+  }
+}, {
+  _id: false
+});
+
+/**
+ * Device Template Database Schema
+ * The configuration template applied to the device
+ */
+const deviceTemplateSchema = new Schema({
+  // the applied template
+  template: {
+    type: Schema.Types.ObjectId,
+    ref: 'deviceTemplates',
+    default: null
+  },
+  // the applied template version
+  version: {
+    type: Number,
+    default: 0
+  },
+  // the values of the template variables for the device
+  variables: {
+    type: Map,
+    of: String,
+    default: {}
+  }
+}, {
+  _id: false
+});
+
 const MACAssignmentSchema = new Schema({
   host: {
     type: String,
@@ -232,24 +449,38 @@ const DHCPSchema = new Schema({
       message: 'Interface should be a vaild interface name'
     }
   },
+  // server - local DHCP server, relay - relay requests to central DHCP servers
+  mode: {
+    type: String,
+    enum: ['server', 'relay'],
+    default: 'server'
+  },
   rangeStart: {
     type: String,
-    required: [true, 'Start range must be set'],
+    required: [function () { return this.mode !== 'relay'; }, 'Start range must be set'],
     validate: {
-      validator: validators.validateIPv4,
-      message: 'IP start range should be a valid ipv4 address'
+      validator: validators.validateIPaddr,
+      message: 'IP start range should be a valid ipv4 or ipv6 address'
     }
   },
   rangeEnd: {
     type: String,
-    required: [true, 'End range must be set'],
+    required: [function () { return this.mode !== 'relay'; }, 'End range must be set'],
     validate: {
-      validator: validators.validateIPv4,
-      message: 'IP end range should be a valid ipv4 address'
+      validator: validators.validateIPaddr,
+      message: 'IP end range should be a valid ipv4 or ipv6 address'
     }
   },
   dns: [String],
   macAssign: [MACAssignmentSchema],
+  // central DHCP servers, used in relay mode
+  relayServers: {
+    type: [String],
+    validate: {
+      validator: servers => servers.every(server => server && validators.validateIPv4(server)),
+      message: 'DHCP relay servers should be valid IPv4 addresses'
+    }
+  },
   status: {
     type: String,
     default: 'failed'
@@ -258,6 +489,79 @@ const DHCPSchema = new Schema({
   timestamps: true
 });
 
+/**
+ * BGP Neighbor Database Schema
+ */
+const BGPNeighborSchema = new Schema({
+  // neighbor IP address
+  ip: {
+    type: String,
+    required: [true, 'Neighbor IP must be set'],
+    validate: {
+      validator: validators.validateIPv4,
+      message: 'Neighbor IP should be a valid ipv4 address'
+    }
+  },
+  // neighbor autonomous system number
+  remoteAsn: {
+    type: Number,
+    required: [true, 'Neighbor ASN must be set'],
+    min: [1, 'ASN must be at least 1'],
+    max: [4294967295, 'ASN must be at most 4294967295']
+  },
+  // neighbor session password
+  password: {
+    type: String,
+    maxlength: [80, 'Password length must be at most 80'],
+    default: ''
+  }
+}, {
+  _id: false
+});
+
+/**
+ * BGP Database Schema
+ */
+const BGPSchema = new Schema({
+  // is BGP enabled on the device
+  enable: {
+    type: Boolean,
+    default: false
+  },
+  // local autonomous system number
+  localAsn: {
+    type: Number,
+    min: [1, 'ASN must be at least 1'],
+    max: [4294967295, 'ASN must be at most 4294967295']
+  },
+  // router ID, the router selects one if not set
+  routerId: {
+    type: String,
+    default: '',
+    validate: {
+      validator: validators.validateIPv4,
+      message: 'Router ID should be a valid ipv4 address'
+    }
+  },
+  // neighbors to peer with
+  neighbors: [BGPNeighborSchema],
+  // advertised prefixes
+  networks: [{
+    type: String,
+    validate: {
+      validator: validators.validateIPv4WithMask,
+      message: 'Advertised prefix should be a valid ipv4 with mask type'
+    }
+  }],
+  // status
+  status: {
+    type: String,
+    default: ''
+  }
+}, {
+  _id: false
+});
+
 /**
  * Device Version Database Schema
  */
@@ -425,6 +729,12 @@ const deviceSchema = new Schema({
     maxlength: [1024, 'Device token length must be at most 1024']
     // Device token is not set by the user, therefore does not require a validator
   },
+  // renewed token sent to the device, accepted until the device confirms it
+  pendingDeviceToken: {
+    type: String,
+    maxlength: [1024, 'Device token length must be at most 1024'],
+    default: ''
+  },
   // is device statis approved
   isApproved: {
     type: Boolean,
@@ -444,6 +754,30 @@ const deviceSchema = new Schema({
   staticroutes: [staticroutesSchema],
   // LAN side DHCP
   dhcp: [DHCPSchema],
+  // firewall rules
+  firewall: [deviceFirewallRuleSchema],
+  // NAT and port forwarding rules
+  nat: [natRuleSchema],
+  // multilink policy
+  multilinkPolicy: {
+    type: deviceMultilinkPolicySchema,
+    default: () => ({})
+  },
+  // configuration template
+  template: {
+    type: deviceTemplateSchema,
+    default: () => ({})
+  },
+  // status of the QoS configuration
+  qosStatus: {
+    type: String,
+    default: ''
+  },
+  // BGP routing
+  bgp: {
+    type: BGPSchema,
+    default: () => ({})
+  },
   // schedule for upgrade process
   upgradeSchedule: {
     type: versionUpgradeSchema,
@@ -472,5 +806,7 @@ module.exports =
   versions: mongoConns.getMainDB().model('versions', deviceVersionsSchema),
   staticroutes: mongoConns.getMainDB().model('staticroutes', staticroutesSchema),
   dhcpModel: mongoConns.getMainDB().model('dhcp', DHCPSchema),
+  firewallRules: mongoConns.getMainDB().model('firewallRules', deviceFirewallRuleSchema),
+  natRules: mongoConns.getMainDB().model('natRules', natRuleSchema),
   upgradeSchedule: mongoConns.getMainDB().model('upgradeSchedule', versionUpgradeSchema)
 };
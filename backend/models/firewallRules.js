@@ -0,0 +1,108 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const mongoConns = require('../mongoConns.js')();
+const validators = require('./validators');
+
+/**
+ * Firewall Rule Schema
+ * Used by the device rules and by the organization rules
+ */
+const firewallRuleSchema = new Schema({
+  // traffic direction
+  direction: {
+    type: String,
+    required: [true, 'Direction must be set'],
+    enum: ['inbound', 'outbound']
+  },
+  // description
+  description: {
+    type: String,
+    default: '',
+    validate: {
+      validator: validators.validateDescription,
+      message: 'Rule description format is invalid'
+    }
+  },
+  // source prefix, 'any' matches all addresses
+  source: {
+    type: String,
+    default: 'any',
+    validate: {
+      validator: (val) => val === 'any' || validators.validateIPWithMask(val),
+      message: 'Source should be any or a valid ip with mask'
+    }
+  },
+  // destination prefix, 'any' matches all addresses
+  destination: {
+    type: String,
+    default: 'any',
+    validate: {
+      validator: (val) => val === 'any' || validators.validateIPWithMask(val),
+      message: 'Destination should be any or a valid ip with mask'
+    }
+  },
+  // protocol
+  protocol: {
+    type: String,
+    enum: ['any', 'tcp', 'udp', 'icmp'],
+    default: 'any'
+  },
+  // destination port or ports range (start-end), empty matches all ports
+  ports: {
+    type: String,
+    default: '',
+    validate: {
+      validator: validators.validatePortRange,
+      message: 'Ports should be a port or a range of ports'
+    }
+  },
+  // action
+  action: {
+    type: String,
+    required: [true, 'Action must be set'],
+    enum: ['allow', 'deny']
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Organization Firewall Rules Database Schema
+ * The organization rules are merged into the rules of every device
+ */
+const orgFirewallRulesSchema = new Schema({
+  // Organization
+  org: {
+    type: Schema.Types.ObjectId,
+    ref: 'organizations',
+    required: true,
+    unique: true
+  },
+  // Rules, applied on the devices before the device rules
+  rules: [firewallRuleSchema]
+}, {
+  timestamps: true
+});
+
+// Default exports
+module.exports = {
+  orgFirewallRules: mongoConns.getMainDB().model('orgFirewallRules', orgFirewallRulesSchema),
+  firewallRuleSchema
+};
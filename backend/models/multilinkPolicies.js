@@ -0,0 +1,139 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const mongoConns = require('../mongoConns.js')();
+const {
+  validateLabelName,
+  validateDescription,
+  validateIPWithMask,
+  validatePortRange
+} = require('./validators');
+
+/**
+ * Multilink Policy Rule Schema
+ * Traffic matching the rule is sent over the preferred path labels,
+ * and over the fallback path labels when no preferred path is available.
+ * Empty match fields match all traffic.
+ */
+const multilinkRuleSchema = new Schema({
+  // Rule name
+  name: {
+    type: String,
+    required: [true, 'Rule name must be set'],
+    validate: {
+      validator: validateLabelName,
+      message: 'Rule name format is invalid'
+    }
+  },
+  // Disabled rules are not sent to the devices
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Application name, as identified by the device
+  application: {
+    type: String,
+    default: '',
+    maxlength: [50, 'Application length must be at most 50']
+  },
+  // Destination prefix
+  prefix: {
+    type: String,
+    default: '',
+    validate: {
+      validator: (val) => val === '' || validateIPWithMask(val),
+      message: 'Prefix should be a valid ip with mask'
+    }
+  },
+  // Protocol
+  protocol: {
+    type: String,
+    enum: ['', 'tcp', 'udp', 'icmp'],
+    default: ''
+  },
+  // Destination port or ports range (start-end)
+  ports: {
+    type: String,
+    default: '',
+    validate: {
+      validator: validatePortRange,
+      message: 'Ports should be a port or a range of ports'
+    }
+  },
+  // DSCP value
+  dscp: {
+    type: Number,
+    min: [0, 'DSCP must be at least 0'],
+    max: [63, 'DSCP must be at most 63'],
+    default: null
+  },
+  // Path labels used for the matching traffic
+  preferredLabels: [{
+    type: Schema.Types.ObjectId,
+    ref: 'PathLabels'
+  }],
+  // Path labels used when no preferred path is available
+  fallbackLabels: [{
+    type: Schema.Types.ObjectId,
+    ref: 'PathLabels'
+  }]
+}, {
+  timestamps: true
+});
+
+/**
+ * Multilink Policies Database Schema
+ * An ordered list of rules, the first matching rule is applied
+ */
+const multilinkPolicySchema = new Schema({
+  // Organization
+  org: {
+    type: Schema.Types.ObjectId,
+    ref: 'organizations',
+    required: true
+  },
+  // Policy name
+  name: {
+    type: String,
+    required: [true, 'Policy name must be set'],
+    validate: {
+      validator: validateLabelName,
+      message: 'Policy name format is invalid'
+    }
+  },
+  // Policy description
+  description: {
+    type: String,
+    default: '',
+    validate: {
+      validator: validateDescription,
+      message: 'Policy description format is invalid'
+    }
+  },
+  // Rules, in order of priority
+  rules: [multilinkRuleSchema]
+}, {
+  timestamps: true
+});
+
+// Policy name per org must be unique
+multilinkPolicySchema.index({ org: 1, name: 1 }, { unique: true });
+
+// Default exports
+module.exports = mongoConns.getMainDB().model('multilinkPolicies', multilinkPolicySchema);
@@ -41,6 +41,16 @@ const OrgSchema = new Schema({
   account: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'accounts'
+  },
+  // The pool of the tunnels loopback addresses
+  overlayPool: {
+    type: String,
+    default: '10.100.0.0/16'
+  },
+  // The pool from which LAN subnets are allocated to new devices, empty if not used
+  lanPool: {
+    type: String,
+    default: ''
   }
 });
 
@@ -0,0 +1,99 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const mongoConns = require('../mongoConns.js')();
+const { validateLabelName, validateDescription } = require('./validators');
+
+/**
+ * QoS Traffic Class Schema
+ * Traffic is classified by DSCP, a class without DSCP
+ * values is the default class of the profile.
+ */
+const qosClassSchema = new Schema({
+  // Class name, used as a key of the class statistics
+  name: {
+    type: String,
+    required: [true, 'Class name must be set'],
+    validate: {
+      validator: (name) => /^[a-z0-9_-]{1,30}$/i.test(name || ''),
+      message: 'Class name format is invalid'
+    }
+  },
+  // Scheduling priority, 1 is the highest
+  priority: {
+    type: Number,
+    required: [true, 'Class priority must be set'],
+    min: [1, 'Class priority must be at least 1'],
+    max: [8, 'Class priority must be at most 8']
+  },
+  // Guaranteed rate, in percents of the interface bandwidth
+  guaranteedRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Guaranteed rate must be at least 0'],
+    max: [100, 'Guaranteed rate must be at most 100']
+  },
+  // DSCP values of the class traffic
+  dscp: [{
+    type: Number,
+    min: [0, 'DSCP must be at least 0'],
+    max: [63, 'DSCP must be at most 63']
+  }]
+});
+
+/**
+ * QoS Profiles Database Schema
+ * Attached to WAN interfaces, together with the interface bandwidth limit
+ */
+const qosProfileSchema = new Schema({
+  // Organization
+  org: {
+    type: Schema.Types.ObjectId,
+    ref: 'organizations',
+    required: true
+  },
+  // Profile name
+  name: {
+    type: String,
+    required: [true, 'Profile name must be set'],
+    validate: {
+      validator: validateLabelName,
+      message: 'Profile name format is invalid'
+    }
+  },
+  // Profile description
+  description: {
+    type: String,
+    default: '',
+    validate: {
+      validator: validateDescription,
+      message: 'Profile description format is invalid'
+    }
+  },
+  // Traffic classes
+  classes: [qosClassSchema]
+}, {
+  timestamps: true
+});
+
+// Profile name per org must be unique
+qosProfileSchema.index({ org: 1, name: 1 }, { unique: true });
+
+// Default exports
+module.exports = mongoConns.getMainDB().model('qosProfiles', qosProfileSchema);
@@ -0,0 +1,66 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const mongoConns = require('../mongoConns.js')();
+
+/**
+ * Revoked Device Tokens Database Schema
+ * Device tokens that can't be used to connect, even if their signature
+ * is valid. Entries are removed once the revoked token expires.
+ */
+const revokedDeviceTokenSchema = new Schema({
+  // SHA-256 hash of the revoked token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Organization of the device
+  org: {
+    type: Schema.Types.ObjectId,
+    ref: 'organizations'
+  },
+  // The device the token was issued for, kept after the device is deleted
+  device: {
+    type: Schema.Types.ObjectId,
+    ref: 'devices'
+  },
+  machineId: {
+    type: String,
+    default: ''
+  },
+  // The expiration time of the token, null if the token never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // The reason the token was revoked
+  reason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Expired tokens are rejected anyway, no need to keep them in the list
+revokedDeviceTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Default exports
+module.exports = mongoConns.getMainDB().model('revokedDeviceTokens', revokedDeviceTokenSchema);
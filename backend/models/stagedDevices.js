@@ -0,0 +1,141 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const mongoConns = require('../mongoConns.js')();
+const validators = require('./validators');
+const {
+  templateInterfaceSchema,
+  templateStaticRouteSchema,
+  templateDhcpSchema
+} = require('./deviceTemplates');
+
+/**
+ * Staged Devices Database Schema
+ * A device pre-provisioned by its machine ID or serial number before it is
+ * shipped. The staged configuration is merged into the device when it registers.
+ * The interfaces, static routes and DHCP configurations are set like in a device
+ * template, and may use the variables of the staged device.
+ */
+const stagedDeviceSchema = new Schema({
+  // Organization
+  org: {
+    type: Schema.Types.ObjectId,
+    ref: 'organizations',
+    required: true
+  },
+  // The machine ID of the device, either the machine ID or the serial number must be set
+  machineId: {
+    type: String,
+    maxlength: [50, 'Machine ID length must be at most 50'],
+    validate: {
+      validator: (id) => !id || validators.validateMachineID(id),
+      message: 'machineId should be a valid machine ID'
+    },
+    default: ''
+  },
+  // The serial number of the device
+  serial: {
+    type: String,
+    maxlength: [50, 'Serial number length must be at most 50'],
+    default: ''
+  },
+  // Device name
+  name: {
+    type: String,
+    maxlength: [50, 'Name length must be at most 50'],
+    validate: {
+      validator: validators.validateDeviceName,
+      message: 'Device name format is invalid'
+    },
+    default: ''
+  },
+  // Device description
+  description: {
+    type: String,
+    maxlength: [50, 'Description length must be at most 50'],
+    validate: {
+      validator: validators.validateDescription,
+      message: 'Device description format is invalid'
+    },
+    default: ''
+  },
+  // Device site
+  site: {
+    type: String,
+    maxlength: [50, 'Site length must be at most 50'],
+    validate: {
+      validator: validators.validateDeviceSite,
+      message: 'Device site format is invalid'
+    },
+    default: ''
+  },
+  // Device labels
+  labels: [String],
+  // A device template applied before the staged configuration, optional
+  template: {
+    type: Schema.Types.ObjectId,
+    ref: 'deviceTemplates',
+    default: null
+  },
+  // The values of the template variables for the device
+  variables: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  interfaces: [templateInterfaceSchema],
+  staticroutes: [templateStaticRouteSchema],
+  dhcp: [templateDhcpSchema],
+  // Staging status:
+  // pending - waiting for the device to register
+  // registered - the device registered and is waiting for approval
+  // onboarded - the device was approved and its configuration jobs were queued
+  // failed - the staged configuration could not be applied to the device
+  status: {
+    type: String,
+    enum: ['pending', 'registered', 'onboarded', 'failed'],
+    default: 'pending'
+  },
+  // The registered device
+  device: {
+    type: Schema.Types.ObjectId,
+    ref: 'devices',
+    default: null
+  },
+  // The reason the staged configuration could not be applied
+  error: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// A device can be staged only once in the organization
+stagedDeviceSchema.index(
+  { org: 1, machineId: 1 },
+  { unique: true, partialFilterExpression: { machineId: { $gt: '' } } }
+);
+stagedDeviceSchema.index(
+  { org: 1, serial: 1 },
+  { unique: true, partialFilterExpression: { serial: { $gt: '' } } }
+);
+
+// Default exports
+module.exports = mongoConns.getMainDB().model('stagedDevices', stagedDeviceSchema);
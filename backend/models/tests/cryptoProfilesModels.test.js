@@ -0,0 +1,90 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/* eslint-disable max-len */
+const { cryptoProfiles } = require('../cryptoProfiles');
+const mongoose = require('mongoose');
+
+let cryptoProfileFullSchema;
+
+beforeEach(() => {
+  // eslint-disable-next-line new-cap
+  cryptoProfileFullSchema = new cryptoProfiles({
+    org: mongoose.Types.ObjectId('4edd40c86762e0fb12000001'),
+    cryptoAlg: 'aes-gcm-256',
+    integrAlg: 'none',
+    keyLifetime: 12
+  });
+});
+
+describe('Crypto profiles schema', () => {
+  it('Should be a valid crypto profile model if all required fields are valid', () => {
+    cryptoProfileFullSchema.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should use the default key lifetime if not set', () => {
+    // eslint-disable-next-line new-cap
+    const profile = new cryptoProfiles({
+      org: mongoose.Types.ObjectId('4edd40c86762e0fb12000001'),
+      cryptoAlg: 'aes-cbc-128',
+      integrAlg: 'sha-256-128'
+    });
+    expect(profile.keyLifetime).toBe(24);
+  });
+
+  it('Should be an invalid crypto profile model if org field is missing', () => {
+    cryptoProfileFullSchema.org = null;
+
+    cryptoProfileFullSchema.validate((err) => {
+      expect(err.message).toBe('cryptoProfiles validation failed: org: Path `org` is required.');
+    });
+  });
+
+  it('Should be an invalid crypto profile model if encryption algorithm is not supported', () => {
+    cryptoProfileFullSchema.cryptoAlg = 'des';
+
+    cryptoProfileFullSchema.validate((err) => {
+      expect(err.message).toBe('cryptoProfiles validation failed: cryptoAlg: `des` is not a valid enum value for path `cryptoAlg`.');
+    });
+  });
+
+  it('Should be an invalid crypto profile model if integrity algorithm is missing', () => {
+    cryptoProfileFullSchema.integrAlg = null;
+
+    cryptoProfileFullSchema.validate((err) => {
+      expect(err.message).toBe('cryptoProfiles validation failed: integrAlg: Integrity algorithm must be set');
+    });
+  });
+
+  it('Should be an invalid crypto profile model if key lifetime is too short', () => {
+    cryptoProfileFullSchema.keyLifetime = 0;
+
+    cryptoProfileFullSchema.validate((err) => {
+      expect(err.message).toBe('cryptoProfiles validation failed: keyLifetime: Key lifetime must be at least 1 hour');
+    });
+  });
+
+  it('Should be an invalid crypto profile model if key lifetime is too long', () => {
+    cryptoProfileFullSchema.keyLifetime = 8761;
+
+    cryptoProfileFullSchema.validate((err) => {
+      expect(err.message).toBe('cryptoProfiles validation failed: keyLifetime: Key lifetime must be at most 8760 hours');
+    });
+  });
+});
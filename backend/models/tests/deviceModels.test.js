@@ -307,6 +307,37 @@ describe('Interface schema', () => {
     });
   });
 
+  it('Should be valid if the interface is a VLAN sub-interface', () => {
+    interfaceModel.pciaddr = 'vlan.100.00:02.00';
+    interfaceModel.parentPciaddr = '00:02.00';
+    interfaceModel.vlanId = 100;
+
+    interfaceModel.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should be invalid if VLAN id is invalid', () => {
+    interfaceModel.vlanId = 4095;
+
+    interfaceModel.validate((err) => {
+      expect(err.message).toBe(
+        'interfaces validation failed: vlanId: vlanId should be a valid VLAN id'
+      );
+    });
+  });
+
+  it('Should be invalid if addressing mode is invalid', () => {
+    interfaceModel.addressMode = 'bootp';
+
+    interfaceModel.validate((err) => {
+      expect(err.message).toBe(
+        'interfaces validation failed: addressMode: ' +
+        '`bootp` is not a valid enum value for path `addressMode`.'
+      );
+    });
+  });
+
   it('Should be invalid if driver name is invalid', () => {
     interfaceModel.driver = '$%@^%!@#$';
 
@@ -416,3 +447,73 @@ describe('Versions schema', () => {
     });
   });
 });
+
+describe('NAT rules schema', () => {
+  it('Should be a valid device model if NAT rules are valid', () => {
+    deviceModel.nat = [{
+      type: 'port-forward',
+      wanInterface: 'eth1',
+      protocol: 'tcp',
+      externalPort: 8080,
+      internalIP: '192.168.100.10',
+      internalPort: 80
+    }];
+    deviceModel.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should be an invalid device model if NAT internal IP is invalid', () => {
+    deviceModel.nat = [{ type: '1:1', wanInterface: 'eth1', internalIP: '192.168.100' }];
+    deviceModel.validate((err) => {
+      expect(err.message).toBe(
+        'devices validation failed: nat.0.internalIP: Internal IP should be a vaild ipv4 address'
+      );
+    });
+  });
+
+  it('Should be an invalid device model if NAT external port is out of range', () => {
+    deviceModel.nat = [{
+      type: 'port-forward',
+      wanInterface: 'eth1',
+      externalPort: 70000,
+      internalIP: '192.168.100.10'
+    }];
+    deviceModel.validate((err) => {
+      expect(err.message).toBe(
+        'devices validation failed: nat.0.externalPort: External port must be at most 65535'
+      );
+    });
+  });
+});
+
+describe('DHCP schema', () => {
+  it('Should be a valid device model if DHCP relay has no range', () => {
+    deviceModel.dhcp = [{
+      interface: 'eth0',
+      mode: 'relay',
+      relayServers: ['10.0.0.10']
+    }];
+    deviceModel.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should be an invalid device model if DHCP server has no range', () => {
+    deviceModel.dhcp = [{ interface: 'eth0', rangeEnd: '192.168.100.100' }];
+    deviceModel.validate((err) => {
+      expect(err.message).toBe(
+        'devices validation failed: dhcp.0.rangeStart: Start range must be set'
+      );
+    });
+  });
+
+  it('Should be an invalid device model if DHCP relay server is invalid', () => {
+    deviceModel.dhcp = [{ interface: 'eth0', mode: 'relay', relayServers: ['10.0.0'] }];
+    deviceModel.validate((err) => {
+      expect(err.message).toBe(
+        'devices validation failed: dhcp.0.relayServers: DHCP relay servers should be valid IPv4 addresses'
+      );
+    });
+  });
+});
@@ -263,6 +263,77 @@ describe('validateIPaddr', () => {
   });
 });
 
+describe('validateIPv6WithMask', () => {
+  it.each`
+        field                   | result
+        ${'2001:db8::/64'}      | ${true}
+        ${'::/0'}               | ${true}
+        ${'2001:db8::/'}        | ${false}
+        ${'2001:db8::/129'}     | ${false}
+        ${'2001:db8::'}         | ${false}
+        ${'10.0.0.0/24'}        | ${false}
+  `('Should return $result if IPv6 with mask is $field', ({ field, result }) => {
+    expect(validators.validateIPv6WithMask(field)).toEqual(result);
+  });
+});
+
+describe('validateIPWithMask', () => {
+  it.each`
+        field                   | result
+        ${'10.0.0.0/24'}        | ${true}
+        ${'2001:db8::/64'}      | ${true}
+        ${'10.0.0.0/33'}        | ${false}
+        ${'2001:db8::'}         | ${false}
+  `('Should return $result if IP with mask is $field', ({ field, result }) => {
+    expect(validators.validateIPWithMask(field)).toEqual(result);
+  });
+});
+
+describe('validateVlanPciAddress', () => {
+  it.each`
+        pci                       | result
+        ${'vlan.100.00:02.00'}    | ${true}
+        ${'vlan.4094.0000:00:03.00'} | ${true}
+        ${'vlan.0.00:02.00'}      | ${false}
+        ${'vlan.4095.00:02.00'}   | ${false}
+        ${'vlan.100.'}            | ${false}
+        ${'vlan.100.00:1.00'}     | ${false}
+        ${'00:02.00'}             | ${false}
+  `('Should return $result if VLAN pci address is $pci', ({ pci, result }) => {
+    expect(validators.validateVlanPciAddress(pci)).toEqual(result);
+  });
+});
+
+describe('validatePortRange', () => {
+  it.each`
+        ports                   | result
+        ${''}                   | ${true}
+        ${'80'}                 | ${true}
+        ${'1000-2000'}          | ${true}
+        ${'0'}                  | ${false}
+        ${'65536'}              | ${false}
+        ${'2000-1000'}          | ${false}
+        ${'80,443'}             | ${false}
+  `('Should return $result if ports are $ports', ({ ports, result }) => {
+    expect(validators.validatePortRange(ports)).toEqual(result);
+  });
+});
+
+describe('validatePort', () => {
+  it.each`
+        port                    | result
+        ${''}                   | ${true}
+        ${'4500'}               | ${true}
+        ${'65535'}              | ${true}
+        ${'0'}                  | ${false}
+        ${'65536'}              | ${false}
+        ${'1000-2000'}          | ${false}
+        ${'port'}               | ${false}
+  `('Should return $result if port is $port', ({ port, result }) => {
+    expect(validators.validatePort(port)).toEqual(result);
+  });
+});
+
 // Extended BDF format: ww:xx:yy.zz, all values are hexadecimal
 describe('validatePCI extended BDF format', () => {
   it.each`
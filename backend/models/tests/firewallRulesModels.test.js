@@ -0,0 +1,89 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/* eslint-disable max-len */
+const { orgFirewallRules } = require('../firewallRules');
+const mongoose = require('mongoose');
+
+let orgFirewallFullSchema;
+
+beforeEach(() => {
+  // eslint-disable-next-line new-cap
+  orgFirewallFullSchema = new orgFirewallRules({
+    org: mongoose.Types.ObjectId('4edd40c86762e0fb12000001'),
+    rules: [{
+      direction: 'inbound',
+      description: 'Block SSH',
+      source: 'any',
+      destination: '10.0.0.0/24',
+      protocol: 'tcp',
+      ports: '22',
+      action: 'deny'
+    }]
+  });
+});
+
+describe('Organization firewall rules schema', () => {
+  it('Should be a valid firewall rules model if all required fields are valid', () => {
+    orgFirewallFullSchema.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should use any source, destination and protocol by default', () => {
+    orgFirewallFullSchema.rules = [{ direction: 'outbound', action: 'allow' }];
+
+    expect(orgFirewallFullSchema.rules[0]).toMatchObject({
+      source: 'any',
+      destination: 'any',
+      protocol: 'any',
+      ports: ''
+    });
+  });
+
+  it('Should be an invalid firewall rules model if direction is invalid', () => {
+    orgFirewallFullSchema.rules[0].direction = 'both';
+
+    orgFirewallFullSchema.validate((err) => {
+      expect(err.message).toBe('orgFirewallRules validation failed: rules.0.direction: `both` is not a valid enum value for path `direction`.');
+    });
+  });
+
+  it('Should be an invalid firewall rules model if action is missing', () => {
+    orgFirewallFullSchema.rules[0].action = null;
+
+    orgFirewallFullSchema.validate((err) => {
+      expect(err.message).toBe('orgFirewallRules validation failed: rules.0.action: Action must be set');
+    });
+  });
+
+  it('Should be an invalid firewall rules model if source is invalid', () => {
+    orgFirewallFullSchema.rules[0].source = '10.0.0.1';
+
+    orgFirewallFullSchema.validate((err) => {
+      expect(err.message).toBe('orgFirewallRules validation failed: rules.0.source: Source should be any or a valid ip with mask');
+    });
+  });
+
+  it('Should be an invalid firewall rules model if ports are invalid', () => {
+    orgFirewallFullSchema.rules[0].ports = '22-21';
+
+    orgFirewallFullSchema.validate((err) => {
+      expect(err.message).toBe('orgFirewallRules validation failed: rules.0.ports: Ports should be a port or a range of ports');
+    });
+  });
+});
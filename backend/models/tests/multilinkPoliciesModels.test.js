@@ -0,0 +1,75 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/* eslint-disable max-len */
+const MultilinkPolicies = require('../multilinkPolicies');
+const mongoose = require('mongoose');
+
+let multilinkPolicyFullSchema;
+
+beforeEach(() => {
+  multilinkPolicyFullSchema = new MultilinkPolicies({
+    org: mongoose.Types.ObjectId('4edd40c86762e0fb12000001'),
+    name: 'Branch policy',
+    description: 'Voice over MPLS',
+    rules: [{
+      name: 'Voice',
+      prefix: '10.10.0.0/16',
+      protocol: 'udp',
+      ports: '5060-5061',
+      dscp: 46,
+      preferredLabels: [mongoose.Types.ObjectId('4edd40c86762e0fb12000002')],
+      fallbackLabels: [mongoose.Types.ObjectId('4edd40c86762e0fb12000003')]
+    }]
+  });
+});
+
+describe('Multilink policies schema', () => {
+  it('Should be a valid multilink policy model if all required fields are valid', () => {
+    multilinkPolicyFullSchema.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should enable rules by default', () => {
+    expect(multilinkPolicyFullSchema.rules[0].enabled).toBe(true);
+  });
+
+  it('Should be an invalid multilink policy model if name format is invalid', () => {
+    multilinkPolicyFullSchema.name = 'ab';
+
+    multilinkPolicyFullSchema.validate((err) => {
+      expect(err.message).toBe('multilinkPolicies validation failed: name: Policy name format is invalid');
+    });
+  });
+
+  it('Should be an invalid multilink policy model if a rule prefix is invalid', () => {
+    multilinkPolicyFullSchema.rules[0].prefix = '10.10.0.0/33';
+
+    multilinkPolicyFullSchema.validate((err) => {
+      expect(err.message).toBe('multilinkPolicies validation failed: rules.0.prefix: Prefix should be a valid ip with mask');
+    });
+  });
+
+  it('Should be an invalid multilink policy model if DSCP is out of range', () => {
+    multilinkPolicyFullSchema.rules[0].dscp = 64;
+
+    multilinkPolicyFullSchema.validate((err) => {
+      expect(err.message).toBe('multilinkPolicies validation failed: rules.0.dscp: DSCP must be at most 63');
+    });
+  });
+});
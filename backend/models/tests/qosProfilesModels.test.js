@@ -0,0 +1,75 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/* eslint-disable max-len */
+const QosProfiles = require('../qosProfiles');
+const mongoose = require('mongoose');
+
+let qosProfileFullSchema;
+
+beforeEach(() => {
+  qosProfileFullSchema = new QosProfiles({
+    org: mongoose.Types.ObjectId('4edd40c86762e0fb12000001'),
+    name: 'LTE',
+    description: 'Shaping for LTE links',
+    classes: [{
+      name: 'voice',
+      priority: 1,
+      guaranteedRate: 20,
+      dscp: [46]
+    }, {
+      name: 'default',
+      priority: 2
+    }]
+  });
+});
+
+describe('QoS profiles schema', () => {
+  it('Should be a valid QoS profile model if all required fields are valid', () => {
+    qosProfileFullSchema.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should not guarantee a rate by default', () => {
+    expect(qosProfileFullSchema.classes[1].guaranteedRate).toBe(0);
+  });
+
+  it('Should be an invalid QoS profile model if a class name format is invalid', () => {
+    qosProfileFullSchema.classes[0].name = 'voice.rtp';
+
+    qosProfileFullSchema.validate((err) => {
+      expect(err.message).toBe('qosProfiles validation failed: classes.0.name: Class name format is invalid');
+    });
+  });
+
+  it('Should be an invalid QoS profile model if a class priority is out of range', () => {
+    qosProfileFullSchema.classes[0].priority = 9;
+
+    qosProfileFullSchema.validate((err) => {
+      expect(err.message).toBe('qosProfiles validation failed: classes.0.priority: Class priority must be at most 8');
+    });
+  });
+
+  it('Should be an invalid QoS profile model if a guaranteed rate is out of range', () => {
+    qosProfileFullSchema.classes[0].guaranteedRate = 101;
+
+    qosProfileFullSchema.validate((err) => {
+      expect(err.message).toBe('qosProfiles validation failed: classes.0.guaranteedRate: Guaranteed rate must be at most 100');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/* eslint-disable max-len */
+const StagedDevices = require('../stagedDevices');
+const mongoose = require('mongoose');
+
+let stagedDeviceFullSchema;
+
+beforeEach(() => {
+  stagedDeviceFullSchema = new StagedDevices({
+    org: mongoose.Types.ObjectId('4edd40c86762e0fb12000001'),
+    machineId: '4C4C4544-0035-4210-8032-B3C04F443732',
+    serial: 'FW-1234',
+    name: 'Branch 1',
+    site: 'London',
+    variables: { lan_ip: '10.0.1.1' },
+    interfaces: [{ name: 'eth1', IPv4: '{{lan_ip}}', IPv4Mask: '24' }]
+  });
+});
+
+describe('Staged devices schema', () => {
+  it('Should be a valid staged device model if all fields are valid', () => {
+    stagedDeviceFullSchema.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should be pending by default', () => {
+    expect(stagedDeviceFullSchema.status).toBe('pending');
+    expect(stagedDeviceFullSchema.device).toBe(null);
+  });
+
+  it('Should be a valid staged device model if machine ID is empty', () => {
+    stagedDeviceFullSchema.machineId = '';
+
+    stagedDeviceFullSchema.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should be an invalid staged device model if machine ID format is invalid', () => {
+    stagedDeviceFullSchema.machineId = 'invalid machine id!';
+
+    stagedDeviceFullSchema.validate((err) => {
+      expect(err.message).toBe('stagedDevices validation failed: machineId: machineId should be a valid machine ID');
+    });
+  });
+
+  it('Should be an invalid staged device model if status is invalid', () => {
+    stagedDeviceFullSchema.status = 'approved';
+
+    stagedDeviceFullSchema.validate((err) => {
+      expect(err.message).toBe('stagedDevices validation failed: status: `approved` is not a valid enum value for path `status`.');
+    });
+  });
+});
@@ -84,4 +84,37 @@ describe('Token schema', () => {
       expect(err.message).toBe('tokens validation failed: name: Token name format is invalid');
     });
   });
+
+  it('Should have no registration policy by default', () => {
+    expect(tokenFullSchema.revoked).toBe(false);
+    expect(tokenFullSchema.expiresAt).toBe(null);
+    expect(tokenFullSchema.maxRegistrations).toBe(0);
+    expect(tokenFullSchema.allowedCIDRs.length).toBe(0);
+  });
+
+  it('Should be a valid token model if allowed CIDRs are valid', () => {
+    tokenFullSchema.allowedCIDRs = ['192.168.0.0/16', '2001:db8::/32'];
+
+    tokenFullSchema.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should be an invalid token model if an allowed CIDR is invalid', () => {
+    tokenFullSchema.allowedCIDRs = ['192.168.0.0'];
+
+    tokenFullSchema.validate((err) => {
+      expect(err.message).toBe('tokens validation failed: allowedCIDRs.0: ' +
+            'Allowed CIDR format is invalid');
+    });
+  });
+
+  it('Should be an invalid token model if maximum registrations is negative', () => {
+    tokenFullSchema.maxRegistrations = -1;
+
+    tokenFullSchema.validate((err) => {
+      expect(err.message).toBe('tokens validation failed: maxRegistrations: ' +
+            'Maximum registrations must be a non-negative number');
+    });
+  });
 });
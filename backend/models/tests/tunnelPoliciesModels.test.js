@@ -0,0 +1,77 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+/* eslint-disable max-len */
+const TunnelPolicies = require('../tunnelPolicies');
+const mongoose = require('mongoose');
+
+let tunnelPolicyFullSchema;
+
+beforeEach(() => {
+  tunnelPolicyFullSchema = new TunnelPolicies({
+    org: mongoose.Types.ObjectId('4edd40c86762e0fb12000001'),
+    name: 'Branches to DC',
+    description: 'Connect branches over MPLS',
+    sourceLabel: 'branch',
+    destinationLabel: 'dc',
+    pathlabel: mongoose.Types.ObjectId('4edd40c86762e0fb12000002')
+  });
+});
+
+describe('Tunnel policies schema', () => {
+  it('Should be a valid tunnel policy model if all required fields are valid', () => {
+    tunnelPolicyFullSchema.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should be enabled by default', () => {
+    expect(tunnelPolicyFullSchema.enabled).toBe(true);
+  });
+
+  it('Should be a valid tunnel policy model if description is empty', () => {
+    tunnelPolicyFullSchema.description = '';
+
+    tunnelPolicyFullSchema.validate((err) => {
+      expect(err).toBe(null);
+    });
+  });
+
+  it('Should be an invalid tunnel policy model if name format is invalid', () => {
+    tunnelPolicyFullSchema.name = 'ab';
+
+    tunnelPolicyFullSchema.validate((err) => {
+      expect(err.message).toBe('tunnelPolicies validation failed: name: Policy name format is invalid');
+    });
+  });
+
+  it('Should be an invalid tunnel policy model if source label is missing', () => {
+    tunnelPolicyFullSchema.sourceLabel = null;
+
+    tunnelPolicyFullSchema.validate((err) => {
+      expect(err.message).toBe('tunnelPolicies validation failed: sourceLabel: Source devices label must be set');
+    });
+  });
+
+  it('Should be an invalid tunnel policy model if path label is missing', () => {
+    tunnelPolicyFullSchema.pathlabel = null;
+
+    tunnelPolicyFullSchema.validate((err) => {
+      expect(err.message).toBe('tunnelPolicies validation failed: pathlabel: Path label must be set');
+    });
+  });
+});
@@ -20,6 +20,31 @@ const Schema = mongoose.Schema;
 const mongoConns = require('../mongoConns.js')();
 const validators = require('./validators');
 
+/**
+ * Registered Device Schema
+ * A device registered with the token
+ */
+const registeredDeviceSchema = new Schema({
+  // The registered device, kept after the device is deleted
+  device: {
+    type: Schema.Types.ObjectId,
+    ref: 'devices',
+    required: true
+  },
+  // The machine ID of the device
+  machineId: {
+    type: String,
+    default: ''
+  },
+  // The registration time
+  registeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
 /**
  * Token Database Schema
  */
@@ -44,7 +69,58 @@ const tokenSchema = new Schema({
     type: String,
     required: true,
     maxlength: [1024, 'Token length must be at most 1024']
-  }
+  },
+  // approve devices registered with the token automatically
+  autoApprove: {
+    type: Boolean,
+    default: false
+  },
+  // devices can't register with the token after this time, null if never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // maximum number of devices registered with the token, 0 for unlimited
+  maxRegistrations: {
+    type: Number,
+    default: 0,
+    min: [0, 'Maximum registrations must be a non-negative number'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Maximum registrations must be an integer'
+    }
+  },
+  // source addresses devices can register from, any address if empty
+  allowedCIDRs: [{
+    type: String,
+    validate: {
+      validator: validators.validateIPWithMask,
+      message: 'Allowed CIDR format is invalid'
+    }
+  }],
+  // labels set on devices registered with the token
+  defaultLabels: [String],
+  // site set on devices registered with the token
+  defaultSite: {
+    type: String,
+    maxlength: [50, 'Site length must be at most 50'],
+    validate: {
+      validator: validators.validateDeviceSite,
+      message: 'Default site format is invalid'
+    },
+    default: ''
+  },
+  // revoked tokens can't be used to register devices
+  revoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // devices registered with the token
+  registeredDevices: [registeredDeviceSchema]
 }, {
   timestamps: true
 });
@@ -0,0 +1,83 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const mongoConns = require('../mongoConns.js')();
+const { validateLabelName, validateDescription } = require('./validators');
+
+/**
+ * Tunnel Policies Database Schema
+ * Describes the intended tunnels of the organization: all devices
+ * with the source label are connected by tunnels to all devices
+ * with the destination label, over the selected path label.
+ */
+const tunnelPolicySchema = new Schema({
+  // Organization
+  org: {
+    type: Schema.Types.ObjectId,
+    ref: 'organizations',
+    required: true
+  },
+  // Policy name
+  name: {
+    type: String,
+    required: [true, 'Policy name must be set'],
+    validate: {
+      validator: validateLabelName,
+      message: 'Policy name format is invalid'
+    }
+  },
+  // Policy description
+  description: {
+    type: String,
+    default: '',
+    validate: {
+      validator: validateDescription,
+      message: 'Policy description format is invalid'
+    }
+  },
+  // Devices with this label are connected to the destination devices
+  sourceLabel: {
+    type: String,
+    required: [true, 'Source devices label must be set']
+  },
+  // Devices with this label are connected to the source devices
+  destinationLabel: {
+    type: String,
+    required: [true, 'Destination devices label must be set']
+  },
+  // The path label of the tunnels
+  pathlabel: {
+    type: Schema.Types.ObjectId,
+    ref: 'PathLabels',
+    required: [true, 'Path label must be set']
+  },
+  // Disabled policies are not evaluated, and their tunnels are removed
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Policy name per org must be unique
+tunnelPolicySchema.index({ org: 1, name: 1 }, { unique: true });
+
+// Default exports
+module.exports = mongoConns.getMainDB().model('tunnelPolicies', tunnelPolicySchema);
@@ -18,6 +18,36 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const mongoConns = require('../mongoConns.js')();
+const { cryptoProfileSchema } = require('./cryptoProfiles');
+
+/**
+ * Tunnel Key Rotation History Schema
+ */
+const keyRotationHistorySchema = new Schema({
+  // Time the rotation ended
+  time: {
+    type: Date,
+    required: true
+  },
+  // The keys generation installed by the rotation
+  generation: {
+    type: Number,
+    required: true
+  },
+  // Rotation result
+  status: {
+    type: String,
+    enum: ['complete', 'failed'],
+    required: true
+  },
+  // Failure reason
+  reason: {
+    type: String,
+    default: ''
+  }
+}, {
+  _id: false
+});
 
 /**
  * Tunnels Database Schema
@@ -69,6 +99,63 @@ const tunnelSchema = new Schema({
   pathlabel: {
     type: Schema.Types.ObjectId,
     ref: 'PathLabels'
+  },
+  // The routing protocol over the tunnel loopback interfaces
+  routing: {
+    type: String,
+    enum: ['ospf', 'bgp'],
+    default: 'ospf'
+  },
+  // The tunnel policy that created the tunnel, null for tunnels created by the user
+  policy: {
+    type: Schema.Types.ObjectId,
+    ref: 'tunnelPolicies',
+    default: null
+  },
+  // Crypto profile override, the organization profile is used if not set
+  cryptoProfile: {
+    type: cryptoProfileSchema,
+    default: null
+  },
+  // The pool of the tunnel loopback addresses, kept when the
+  // organization pool changes, until the tunnel is migrated
+  overlayPool: {
+    type: String,
+    default: '10.100.0.0/16'
+  },
+  // IPsec keys rotation state
+  keyRotation: {
+    // Generation of the installed keys, used to alternate the SAs SPIs
+    generation: {
+      type: Number,
+      default: 0
+    },
+    // Time of the last keys change
+    lastRotation: {
+      type: Date,
+      default: null
+    },
+    // Rotation in progress: 'installing' new SAs, or 'removing' old SAs
+    status: {
+      type: String,
+      enum: ['', 'installing', 'removing', 'failed'],
+      default: ''
+    },
+    // Indicate if the current rotation phase completed for deviceA
+    deviceAdone: {
+      type: Boolean,
+      default: false
+    },
+    // Indicate if the current rotation phase completed for deviceB
+    deviceBdone: {
+      type: Boolean,
+      default: false
+    },
+    // Last rotations results
+    history: {
+      type: [keyRotationHistorySchema],
+      default: []
+    }
   }
 }, {
   timestamps: true
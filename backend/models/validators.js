@@ -66,6 +66,23 @@ const validateIPv6Mask = mask => {
 };
 const validateIPv6 = (ip) => { return ip === '' || net.isIPv6(ip); };
 const validateIPaddr = (ip) => { return validateIPv4(ip) || validateIPv6(ip); };
+const validatePortRange = ports => {
+  if (ports === '') return true;
+  if (!/^[0-9]{1,5}(-[0-9]{1,5})?$/.test(ports || '')) return false;
+  const [start, end = start] = ports.split('-').map(Number);
+  return start >= 1 && end <= 65535 && start <= end;
+};
+const validatePort = port => {
+  if (port === '') return true;
+  return /^[0-9]{1,5}$/.test(port || '') && Number(port) >= 1 && Number(port) <= 65535;
+};
+const validateIPv6WithMask = field => {
+  const [ip, mask] = field.split('/');
+  return net.isIPv6(ip) && !isEmpty(mask) && mask !== '' && validateIPv6Mask(mask);
+};
+const validateIPWithMask = field => {
+  return validateIPv4WithMask(field) || validateIPv6WithMask(field);
+};
 const validatePciAddress = pci => {
   return (
     pci === '' ||
@@ -74,6 +91,14 @@ const validatePciAddress = pci => {
     )
   );
 };
+const validateVlanId = vlanId => {
+  return Number.isInteger(vlanId) && vlanId >= 1 && vlanId <= 4094;
+};
+// VLAN sub-interfaces are identified by the VLAN id and the parent PCI address
+const validateVlanPciAddress = pci => {
+  const [, vlanId, parentPci] = /^vlan\.([0-9]{1,4})\.(.+)$/.exec(pci || '') || [];
+  return validateVlanId(Number(vlanId)) && validatePciAddress(parentPci || null);
+};
 const validateIfcName = (name) => { return /^[a-zA-Z0-9_]{1,15}$/i.test(name || ''); };
 const validateDriverName = (name) => { return /^[a-z0-9_-]{1,30}$/i.test(name || ''); };
 const validateMacAddress = mac => {
@@ -133,8 +158,14 @@ module.exports = {
   validateIPv4,
   validateIPv4WithMask,
   validateIPv6,
+  validateIPv6WithMask,
+  validateIPWithMask,
+  validatePortRange,
+  validatePort,
   validateIPaddr,
   validatePciAddress,
+  validateVlanId,
+  validateVlanPciAddress,
   validateIfcName,
   validateIPv4Mask,
   validateIPv6Mask,
@@ -0,0 +1,62 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const periodic = require('./periodic')();
+const configDrift = require('../deviceLogic/configDrift');
+
+/***
+ * This class periodically compares the configuration of the
+ * devices with the configuration stored in the MGMT
+ *
+ ***/
+class ConfigDriftCheck {
+  /**
+     * Creates an instance of the ConfigDriftCheck class.
+     */
+  constructor () {
+    this.start = this.start.bind(this);
+    this.periodicCheckConfigDrift = this.periodicCheckConfigDrift.bind(this);
+  }
+
+  /**
+     * Starts the check-config-drift task
+     * @return {void}
+     */
+  start () {
+    // Runs once every hour
+    periodic.registerTask('check_config_drift', this.periodicCheckConfigDrift, 3600000);
+    periodic.startTask('check_config_drift');
+  }
+
+  /**
+     * Calls checkConfigDrift() to periodically
+     * check the configuration drift of all devices.
+     * @return {void}
+     */
+  periodicCheckConfigDrift () {
+    configDrift.tasks.checkConfigDrift();
+  }
+}
+
+var configDriftCheck = null;
+module.exports = function () {
+  if (configDriftCheck) return configDriftCheck;
+  else {
+    configDriftCheck = new ConfigDriftCheck();
+    return configDriftCheck;
+  }
+};
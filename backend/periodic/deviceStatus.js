@@ -21,6 +21,9 @@ const { deviceStats, deviceAggregateStats } = require('../models/analytics/devic
 const Joi = require('@hapi/joi');
 const logger = require('../logging/logging')({ module: module.filename, type: 'periodic' });
 const notificationsMgr = require('../notifications/notifications')();
+const { devices } = require('../models/devices');
+const { validateIPv4, validateIPv4Mask } = require('../models/validators');
+const { isDynamicAddressing } = require('../deviceLogic/validators');
 
 /***
  * This class gets periodic status from all connected devices
@@ -34,12 +37,17 @@ class DeviceStatus {
     this.status = {};
     this.events = [];
     this.usersDeviceAggregatedStats = {};
+    this.addressChangeCallbacks = {};
     this.statsFieldsMap = new Map([
       ['rx_bytes', 'rx_bps'],
       ['rx_pkts', 'rx_pps'],
       ['tx_bytes', 'tx_bps'],
       ['tx_pkts', 'tx_pps']
     ]);
+    this.qosStatsFieldsMap = new Map([
+      ['drop_pkts', 'drop_pps'],
+      ['drop_bytes', 'drop_bps']
+    ]);
 
     this.start = this.start.bind(this);
     this.periodicPollDevices = this.periodicPollDevices.bind(this);
@@ -47,6 +55,8 @@ class DeviceStatus {
     this.generateDevStatsNotifications = this.generateDevStatsNotifications.bind(this);
     this.getDeviceStatus = this.getDeviceStatus.bind(this);
     this.setDeviceStatus = this.setDeviceStatus.bind(this);
+    this.updateLearnedAddresses = this.updateLearnedAddresses.bind(this);
+    this.registerAddressChangeCallback = this.registerAddressChangeCallback.bind(this);
 
     // Task information
     this.taskInfo = {
@@ -82,7 +92,20 @@ class DeviceStatus {
         rx_pkts: Joi.number().required(),
         tx_bytes: Joi.number().required(),
         tx_pkts: Joi.number().required()
-      }))
+      })),
+      // Per interface, per traffic class drop counters, sent by agents with QoS
+      qos_stats: Joi.object().pattern(/^[a-z0-9_/-]{1,64}$/i,
+        Joi.object().pattern(/^[a-z0-9_-]{1,30}$/i, Joi.object({
+          drop_pkts: Joi.number().required(),
+          drop_bytes: Joi.number().optional()
+        }))).optional(),
+      // Addresses learned by interfaces with DHCP/PPPoE addressing
+      network: Joi.object({
+        interfaces: Joi.array().items(Joi.object({
+          pci: Joi.string().required(),
+          addr: Joi.string().allow('').required()
+        })).required()
+      }).optional()
     });
 
     for (const updateEntry of msg) {
@@ -135,6 +158,7 @@ class DeviceStatus {
             const lastUpdateEntry = msg.message[msg.message.length - 1];
             const deviceInfo = connections.getDeviceInfo(deviceID);
             this.setDeviceStatus(deviceID, deviceInfo, lastUpdateEntry);
+            this.updateLearnedAddresses(deviceID, lastUpdateEntry);
             this.updateAnalyticsInterfaceStats(deviceID, deviceInfo, msg.message);
             this.updateUserDeviceStats(deviceInfo.org, deviceID, msg.message);
             this.generateDevStatsNotifications();
@@ -190,6 +214,20 @@ class DeviceStatus {
         }
       }
 
+      const qosStats = statsEntry.qos_stats || {};
+      for (const intf in qosStats) {
+        if (!qosStats.hasOwnProperty(intf)) continue;
+        for (const qosClass in qosStats[intf]) {
+          if (!qosStats[intf].hasOwnProperty(qosClass)) continue;
+          const classStats = qosStats[intf][qosClass];
+          for (const stat in classStats) {
+            if (!classStats.hasOwnProperty(stat) || !this.qosStatsFieldsMap.get(stat)) continue;
+            const key = `qos.${intf}.${qosClass}.${this.qosStatsFieldsMap.get(stat)}`;
+            dbStats[key] = classStats[stat] / statsEntry.period;
+          }
+        }
+      }
+
       if (!shouldUpdate) return;
       this.setDeviceStatsField(deviceID, 'lastUpdateTime', msgTime);
 
@@ -326,6 +364,116 @@ class DeviceStatus {
     if (Object.entries(devStats).length !== 0) {
       this.setDeviceStatsField(deviceID, 'ifStats', devStats);
     }
+
+    // Set QoS class drop rates in memory
+    const qosStats = rawStats.hasOwnProperty('qos_stats') ? rawStats.qos_stats : {};
+    const devQosStats = {};
+    Object.keys(qosStats).forEach((ifc) => {
+      devQosStats[ifc] = {};
+      Object.keys(qosStats[ifc]).forEach((qosClass) => {
+        devQosStats[ifc][qosClass] = {};
+        Object.keys(qosStats[ifc][qosClass]).forEach((statKey) => {
+          const mappedKey = this.qosStatsFieldsMap.get(statKey);
+          if (!mappedKey) return;
+          devQosStats[ifc][qosClass][mappedKey] = qosStats[ifc][qosClass][statKey] / timeDelta;
+        });
+      });
+    });
+
+    if (Object.entries(devQosStats).length !== 0) {
+      this.setDeviceStatsField(deviceID, 'qosStats', devQosStats);
+    }
+  }
+
+  /**
+    * Registers a callback function for a module that will be called when the
+    * addresses learned by the device interfaces (DHCP/PPPoE) have changed.
+    * The callback receives the device before the change and the changed interfaces.
+    * @param  {string}   name     the name of the module that registers the callback
+    * @param  {Callback} callback the callback to be registered
+    * @return {void}
+    */
+  registerAddressChangeCallback (name, callback) {
+    this.addressChangeCallbacks[name] = callback;
+  }
+
+  /**
+    * Updates the addresses of DHCP/PPPoE interfaces in the
+    * database according to the addresses learned by the device.
+    * @async
+    * @param  {string} deviceID device host id
+    * @param  {Object} rawStats device stats supplied by the device
+    * @return {void}
+    */
+  async updateLearnedAddresses (deviceID, rawStats) {
+    const learnedAddresses = rawStats.network ? rawStats.network.interfaces : [];
+    if (learnedAddresses.length === 0) return;
+    try {
+      const device = await devices.findOne({ machineId: deviceID });
+      if (!device) return;
+
+      const changedIfcs = [];
+      device.interfaces.forEach(ifc => {
+        if (!isDynamicAddressing(ifc)) return;
+        const learned = learnedAddresses.find(entry => entry.pci === ifc.pciaddr);
+        if (!learned) return;
+        // An empty address is reported when the interface lost its address
+        const [IPv4, IPv4Mask = ''] = learned.addr.split('/');
+        if (IPv4 !== '' && !(validateIPv4(IPv4) && validateIPv4Mask(IPv4Mask))) {
+          logger.warn('Invalid learned interface address', {
+            params: { deviceID: deviceID, interface: ifc.name, addr: learned.addr },
+            periodic: { task: this.taskInfo }
+          });
+          return;
+        }
+        if (IPv4 === ifc.IPv4 && IPv4Mask === ifc.IPv4Mask) return;
+        changedIfcs.push({
+          _id: ifc._id, name: ifc.name, IPv4, IPv4Mask, prevIPv4: ifc.IPv4, prevMask: ifc.IPv4Mask
+        });
+      });
+      if (changedIfcs.length === 0) return;
+
+      // The address is only updated if it was not changed since it was read
+      // (e.g. by a previous stats message), so the change is handled once.
+      // An empty address may be stored as an empty string or be missing.
+      const storedValue = (value) => value || { $in: ['', null] };
+      const updatedIfcs = [];
+      for (const { prevIPv4, prevMask, ...ifc } of changedIfcs) {
+        const { nModified } = await devices.updateOne(
+          {
+            _id: device._id,
+            interfaces: {
+              $elemMatch: {
+                _id: ifc._id, IPv4: storedValue(prevIPv4), IPv4Mask: storedValue(prevMask)
+              }
+            }
+          },
+          { $set: { 'interfaces.$.IPv4': ifc.IPv4, 'interfaces.$.IPv4Mask': ifc.IPv4Mask } }
+        );
+        if (nModified > 0) updatedIfcs.push(ifc);
+      }
+      if (updatedIfcs.length === 0) return;
+      logger.info('Interface learned addresses changed', {
+        params: { deviceID: deviceID, interfaces: updatedIfcs },
+        periodic: { task: this.taskInfo }
+      });
+
+      for (const [name, callback] of Object.entries(this.addressChangeCallbacks)) {
+        try {
+          await callback(device, updatedIfcs);
+        } catch (err) {
+          logger.error('Address change callback failed', {
+            params: { deviceID: deviceID, callback: name, err: err.message },
+            periodic: { task: this.taskInfo }
+          });
+        }
+      }
+    } catch (err) {
+      logger.warn('Failed to update learned interface addresses', {
+        params: { deviceID: deviceID, err: err.message },
+        periodic: { task: this.taskInfo }
+      });
+    }
   }
 
   /**
@@ -0,0 +1,62 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const periodic = require('./periodic')();
+const deviceTokens = require('../deviceLogic/deviceTokens');
+
+/***
+ * This class periodically renews the tokens of the connected
+ * devices before they expire
+ *
+ ***/
+class DeviceTokenRenewal {
+  /**
+     * Creates an instance of the DeviceTokenRenewal class.
+     */
+  constructor () {
+    this.start = this.start.bind(this);
+    this.periodicRenewDeviceTokens = this.periodicRenewDeviceTokens.bind(this);
+  }
+
+  /**
+     * Starts the renew-device-tokens task
+     * @return {void}
+     */
+  start () {
+    // Runs once every 6 hours
+    periodic.registerTask('renew_device_tokens', this.periodicRenewDeviceTokens, 21600000);
+    periodic.startTask('renew_device_tokens');
+  }
+
+  /**
+     * Calls renewDeviceTokens() to periodically
+     * renew the tokens of the connected devices.
+     * @return {void}
+     */
+  periodicRenewDeviceTokens () {
+    deviceTokens.tasks.renewDeviceTokens();
+  }
+}
+
+var deviceTokenRenewal = null;
+module.exports = function () {
+  if (deviceTokenRenewal) return deviceTokenRenewal;
+  else {
+    deviceTokenRenewal = new DeviceTokenRenewal();
+    return deviceTokenRenewal;
+  }
+};
@@ -180,4 +180,112 @@ describe('validateDevStatsMessage', () => {
       deviceStatsMsg[0].stats[field] = 0;
     }
   });
+
+  it('Should be a valid message if message `qos_stats` field contains class drop counters', () => {
+    deviceStatsMsg[0].qos_stats = {
+      'GigabitEthernet0/8/0': {
+        voice: { drop_pkts: 0, drop_bytes: 0 },
+        bulk: { drop_pkts: 120 }
+      }
+    };
+    const result = deviceStatus.validateDevStatsMessage(deviceStatsMsg);
+    expect(result).toMatchObject({ valid: true, err: '' });
+  });
+
+  it('Should be an invalid message if message `qos_stats` field is missing drop counters', () => {
+    deviceStatsMsg[0].qos_stats = {
+      'GigabitEthernet0/8/0': { voice: { drop_bytes: 0 } }
+    };
+    const result = deviceStatus.validateDevStatsMessage(deviceStatsMsg);
+    expect(result).toEqual(expect.objectContaining({ valid: false }));
+  });
+
+  it('Should be an invalid message if message `qos_stats` field contains invalid class name', () => {
+    deviceStatsMsg[0].qos_stats = {
+      'GigabitEthernet0/8/0': { 'invalid.class': { drop_pkts: 0 } }
+    };
+    const result = deviceStatus.validateDevStatsMessage(deviceStatsMsg);
+    expect(result).toEqual(expect.objectContaining({ valid: false }));
+  });
+
+  it('Should be a valid message if message `network` field contains learned addresses', () => {
+    deviceStatsMsg[0].network = {
+      interfaces: [
+        { pci: '0000:00:03.00', addr: '100.64.12.7/22' },
+        { pci: '0000:00:09.00', addr: '' }
+      ]
+    };
+    const result = deviceStatus.validateDevStatsMessage(deviceStatsMsg);
+    expect(result).toMatchObject({ valid: true, err: '' });
+  });
+
+  it('Should be an invalid message if message `network` field is missing an address', () => {
+    deviceStatsMsg[0].network = {
+      interfaces: [{ pci: '0000:00:03.00' }]
+    };
+    const result = deviceStatus.validateDevStatsMessage(deviceStatsMsg);
+    expect(result).toEqual(expect.objectContaining({ valid: false }));
+  });
+});
+
+describe('updateLearnedAddresses', () => {
+  const { devices } = require('../../models/devices');
+  const ifcId = '5e65f6a27a4a2e4d8bd2b5c1';
+  const rawStats = { network: { interfaces: [{ pci: '0000:00:03.00', addr: '100.64.12.7/22' }] } };
+  const callback = jest.fn();
+
+  beforeAll(() => {
+    deviceStatus.registerAddressChangeCallback('test', callback);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(devices, 'findOne').mockResolvedValue({
+      _id: '5e65f6a27a4a2e4d8bd2b5a1',
+      interfaces: [{
+        _id: ifcId,
+        name: 'eth0',
+        pciaddr: '0000:00:03.00',
+        addressMode: 'dhcp',
+        IPv4: '100.64.10.5',
+        IPv4Mask: '22'
+      }]
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it('Should update a changed address only if it was not changed meanwhile', async () => {
+    jest.spyOn(devices, 'updateOne').mockResolvedValue({ nModified: 1 });
+    await deviceStatus.updateLearnedAddresses('machine-1', rawStats);
+    expect(devices.updateOne).toHaveBeenCalledWith(
+      {
+        _id: '5e65f6a27a4a2e4d8bd2b5a1',
+        interfaces: { $elemMatch: { _id: ifcId, IPv4: '100.64.10.5', IPv4Mask: '22' } }
+      },
+      { $set: { 'interfaces.$.IPv4': '100.64.12.7', 'interfaces.$.IPv4Mask': '22' } }
+    );
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback.mock.calls[0][1]).toEqual([
+      { _id: ifcId, name: 'eth0', IPv4: '100.64.12.7', IPv4Mask: '22' }
+    ]);
+  });
+
+  it('Should not call the address change callbacks if the address was changed meanwhile', async () => {
+    jest.spyOn(devices, 'updateOne').mockResolvedValue({ nModified: 0 });
+    await deviceStatus.updateLearnedAddresses('machine-1', rawStats);
+    expect(devices.updateOne).toHaveBeenCalledTimes(1);
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  it('Should not update an unchanged address', async () => {
+    jest.spyOn(devices, 'updateOne').mockResolvedValue({ nModified: 1 });
+    await deviceStatus.updateLearnedAddresses('machine-1', {
+      network: { interfaces: [{ pci: '0000:00:03.00', addr: '100.64.10.5/22' }] }
+    });
+    expect(devices.updateOne).not.toHaveBeenCalled();
+    expect(callback).not.toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,62 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const periodic = require('./periodic')();
+const tunnelKeys = require('../deviceLogic/tunnelKeys');
+
+/***
+ * This class periodically rotates the IPsec keys
+ * of tunnels whose keys lifetime has passed
+ *
+ ***/
+class TunnelKeysRotation {
+  /**
+     * Creates an instance of the TunnelKeysRotation class.
+     */
+  constructor () {
+    this.start = this.start.bind(this);
+    this.periodicRotateTunnelKeys = this.periodicRotateTunnelKeys.bind(this);
+  }
+
+  /**
+     * Starts the rotate-tunnel-keys task
+     * @return {void}
+     */
+  start () {
+    // Runs once every 10 minutes
+    periodic.registerTask('rotate_tunnel_keys', this.periodicRotateTunnelKeys, 600000);
+    periodic.startTask('rotate_tunnel_keys');
+  }
+
+  /**
+     * Calls rotateExpiredTunnelKeys() to periodically
+     * rotate the keys of all tunnels.
+     * @return {void}
+     */
+  periodicRotateTunnelKeys () {
+    tunnelKeys.tasks.rotateExpiredTunnelKeys();
+  }
+}
+
+var tunnelKeysRotation = null;
+module.exports = function () {
+  if (tunnelKeysRotation) return tunnelKeysRotation;
+  else {
+    tunnelKeysRotation = new TunnelKeysRotation();
+    return tunnelKeysRotation;
+  }
+};
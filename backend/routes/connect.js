@@ -26,6 +26,19 @@ const jwt = require('jsonwebtoken');
 const mongoConns = require('../mongoConns.js')();
 const { checkDeviceVersion } = require('../versioning');
 const webHooks = require('../utils/webhooks')();
+const {
+  findStagedDevice,
+  prepareStagedConfig,
+  prepareAutoApproval,
+  registerStagedDevice
+} = require('../deviceLogic/onboarding');
+const {
+  checkTokenPolicy,
+  getTokenDefaults,
+  getRegistrationQuery
+} = require('../deviceLogic/tokenPolicies');
+const { applyTunnelPolicies } = require('../deviceLogic/tunnelPolicies');
+const { genDeviceToken, supportsTokenRenewal } = require('../utils/deviceTokens');
 const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
 
 // billing support
@@ -49,11 +62,6 @@ const formatErr = (err, msg) => {
   }
 };
 
-// Generate token
-const genToken = function (data) {
-  return jwt.sign(data, configs.get('deviceTokenSecretKey'));
-};
-
 // Register device. When device connects for the first
 // time, it tries to authenticate by accessing this URL
 connectRouter.route('/register')
@@ -68,11 +76,22 @@ connectRouter.route('/register')
         tokens.find({ token: req.body.token, org: decoded.org })
           .then(async (resp) => {
             if (resp.length === 1) { // exactly one token found
-              // create device and add token new token to the device
-              const deviceToken = genToken({
+              const token = resp[0];
+              const policyErr = checkTokenPolicy(token, sourceIP);
+              if (policyErr) {
+                logger.warn('Device registration rejected by token policy', {
+                  params: { deviceId: req.body.machine_id, token: token.name, err: policyErr },
+                  req: req
+                });
+                return next(createError(403, policyErr));
+              }
+
+              // create device and add token new token to the device. The token
+              // expires only if the device agent can renew it over the connection
+              const deviceToken = genDeviceToken({
                 machine_id: req.body.machine_id,
                 machine_name: req.body.machine_name
-              });
+              }, supportsTokenRenewal(req.body.fwagent_version));
 
               // Try to auto populate interfaces parameters
               const ifs = JSON.parse(req.body.interfaces);
@@ -96,6 +115,43 @@ connectRouter.route('/register')
                 router: req.body.router_version
               };
 
+              // Pre-provisioned devices get the staged configuration on top of
+              // the token defaults, and are approved if the token allows it
+              const tokenDefaults = getTokenDefaults(token);
+              const staged = await findStagedDevice(
+                decoded.org, req.body.machine_id, req.body.serial
+              );
+              let stagedConfig = {};
+              let stagedErr = '';
+              let isApproved = false;
+              if (staged) {
+                const { config, err } = await prepareStagedConfig({
+                  org: decoded.org,
+                  hostname: req.body.machine_name,
+                  interfaces: ifs
+                }, staged);
+                if (err) {
+                  stagedErr = err;
+                  logger.warn('Failed to apply the staged device configuration',
+                    { params: { deviceId: req.body.machine_id, err: err }, req: req });
+                } else {
+                  stagedConfig = {
+                    ...config,
+                    site: config.site || tokenDefaults.site,
+                    labels: [...new Set([...tokenDefaults.labels, ...config.labels])]
+                  };
+                  isApproved = token.autoApprove === true;
+                }
+              } else if (token.autoApprove) {
+                const approvalErr = await prepareAutoApproval(decoded.org, ifs);
+                if (approvalErr) {
+                  logger.warn('Device was not approved automatically',
+                    { params: { deviceId: req.body.machine_id, err: approvalErr }, req: req });
+                } else {
+                  isApproved = true;
+                }
+              }
+
               // Check that account didn't cross its device limit
               const account = decoded.account;
               // Get max allowed devices for free from the ChargeBee plan
@@ -129,14 +185,34 @@ connectRouter.route('/register')
                     ipList: req.body.ip_list,
                     machineId: req.body.machine_id,
                     defaultRoute: req.body.default_route,
-                    fromToken: resp[0].name,
+                    fromToken: token.name,
                     interfaces: ifs,
                     deviceToken: deviceToken,
-                    isApproved: false,
+                    isApproved: isApproved,
                     isConnected: false,
-                    versions: versions
+                    versions: versions,
+                    ...tokenDefaults,
+                    ...stagedConfig
                   }], { session: session })
                     .then(async (result) => {
+                      // Record the device in the token, unless the token was revoked
+                      // or reached its registration limit since it was checked
+                      const { nModified } = await tokens.updateOne(
+                        getRegistrationQuery(token),
+                        {
+                          $push: {
+                            registeredDevices: {
+                              device: result[0]._id,
+                              machineId: req.body.machine_id
+                            }
+                          }
+                        },
+                        { session: session }
+                      );
+                      if (nModified === 0) {
+                        throw createError(403, 'Token registration limit reached');
+                      }
+
                       await flexibilling.registerDevice({
                         account: result[0].account,
                         count: keepCount,
@@ -147,6 +223,24 @@ connectRouter.route('/register')
                       await session.commitTransaction();
                       session = null;
 
+                      // Approved pre-provisioned devices are started and connected,
+                      // other approved devices may be connected by tunnel policies
+                      if (staged) {
+                        try {
+                          await registerStagedDevice(staged, result[0], stagedErr);
+                        } catch (err) {
+                          logger.error('Staged device registration failed',
+                            { params: { deviceId: req.body.machine_id, err: err.message } });
+                        }
+                      } else if (result[0].isApproved) {
+                        try {
+                          await applyTunnelPolicies(decoded.org);
+                        } catch (err) {
+                          logger.error('Tunnel policies evaluation failed',
+                            { params: { org: decoded.org, err: err.message } });
+                        }
+                      }
+
                       // Send register device webhook for first device
                       if (keepCount === 0) {
                         const webHookMessage = {
@@ -154,6 +154,7 @@ const checkUpdReq = (qtype, req) => new Promise(function (resolve, reject) {
         delete req.body.ipList;
         delete req.body.fromToken;
         delete req.body.deviceToken;
+        delete req.body.pendingDeviceToken;
         delete req.body.state;
         delete req.body.emailTokens;
         delete req.body.defaultAccount;
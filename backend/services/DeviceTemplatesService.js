@@ -0,0 +1,339 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const Service = require('./Service');
+const DevicesService = require('./DevicesService');
+const configs = require('../configs')();
+const { devices } = require('../models/devices');
+const { deviceTemplates: DeviceTemplates } = require('../models/deviceTemplates');
+const PathLabels = require('../models/pathlabels');
+const { applyTunnelPolicies } = require('../deviceLogic/tunnelPolicies');
+const { getOrgIpam, getDeviceIpamEntries, validateLanSubnets } = require('../deviceLogic/ipam');
+const {
+  isValidVariableName,
+  getDeviceVariables,
+  validateDeviceTemplate,
+  prepareTemplateConfig
+} = require('../deviceLogic/deviceTemplates');
+const mongoose = require('mongoose');
+const pick = require('lodash/pick');
+const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
+const { getAccessTokenOrgList } = require('../utils/membershipUtils');
+
+class DeviceTemplatesService {
+  /**
+   * Select the API fields from a device template
+   * @param {Object} item the device template
+   */
+  static selectDeviceTemplateParams (item) {
+    const retTemplate = pick(item, ['_id', 'org', 'name', 'description', 'version']);
+    retTemplate._id = retTemplate._id.toString();
+    retTemplate.org = retTemplate.org.toString();
+    retTemplate.interfaces = (item.interfaces || []).map(ifc => {
+      const retIfc = pick(ifc, [
+        'name', 'isAssigned', 'type', 'routing', 'IPv4', 'IPv4Mask', 'pathlabels'
+      ]);
+      if (retIfc.pathlabels) retIfc.pathlabels = retIfc.pathlabels.map(l => l.toString());
+      return retIfc;
+    });
+    retTemplate.staticroutes = (item.staticroutes || []).map(route => {
+      return pick(route, ['destination', 'gateway', 'ifname', 'metric']);
+    });
+    retTemplate.dhcp = (item.dhcp || []).map(dhcp => {
+      return pick(dhcp, ['interface', 'mode', 'rangeStart', 'rangeEnd', 'dns', 'relayServers']);
+    });
+    return retTemplate;
+  }
+
+  /**
+   * Checks the path labels of a device template
+   * @param {String} org the organization of the template
+   * @param {Object} template the device template
+   * @return {String} error message, or empty string if the path labels are valid
+   */
+  static async checkTemplatePathLabels (org, template) {
+    const labelIds = new Set();
+    (template.interfaces || []).forEach(ifc => {
+      (ifc.pathlabels || []).forEach(label => labelIds.add(label));
+    });
+    if (labelIds.size === 0) return '';
+    if (![...labelIds].every(labelId => mongoose.Types.ObjectId.isValid(labelId))) {
+      return 'Path label not found';
+    }
+    const count = await PathLabels.countDocuments({ _id: { $in: [...labelIds] }, org });
+    return count === labelIds.size ? '' : 'Path label not found';
+  }
+
+  /**
+   * Retrieve the organization device templates
+   *
+   * org String Organization to be filtered by (optional)
+   * offset Integer The number of items to skip before starting to collect the result set (optional)
+   * limit Integer The numbers of items to return (optional)
+   * returns List
+   **/
+  static async devicetemplatesGET ({ org, offset, limit }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const templates = await DeviceTemplates.find({ org: { $in: orgList } })
+        .skip(offset).limit(limit).lean();
+
+      return Service.successResponse(
+        templates.map(template => DeviceTemplatesService.selectDeviceTemplateParams(template))
+      );
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Add a device template
+   *
+   * deviceTemplateRequest DeviceTemplateRequest
+   * returns DeviceTemplate
+   **/
+  static async devicetemplatesPOST ({ org, deviceTemplateRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const { valid, err } = validateDeviceTemplate(deviceTemplateRequest);
+      if (!valid) {
+        logger.warn('Device template validation failed', {
+          params: { template: deviceTemplateRequest, err: err }
+        });
+        return Service.rejectResponse(err, 400);
+      }
+      const labelsErr = await DeviceTemplatesService.checkTemplatePathLabels(
+        orgList[0], deviceTemplateRequest
+      );
+      if (labelsErr) return Service.rejectResponse(labelsErr, 400);
+
+      const template = await DeviceTemplates.create({
+        ...deviceTemplateRequest,
+        version: 1,
+        org: orgList[0].toString()
+      });
+      return Service.successResponse(
+        DeviceTemplatesService.selectDeviceTemplateParams(template), 201
+      );
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Modify a device template, the template version is incremented.
+   * Devices are updated when the template is applied to them again.
+   *
+   * id String Numeric ID of the device template to modify
+   * deviceTemplateRequest DeviceTemplateRequest
+   * returns DeviceTemplate
+   **/
+  static async devicetemplatesIdPUT ({ id, org, deviceTemplateRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const { valid, err } = validateDeviceTemplate(deviceTemplateRequest);
+      if (!valid) {
+        logger.warn('Device template validation failed', {
+          params: { template: deviceTemplateRequest, err: err }
+        });
+        return Service.rejectResponse(err, 400);
+      }
+
+      const origTemplate = await DeviceTemplates.findOne({ _id: id, org: { $in: orgList } });
+      if (!origTemplate) {
+        return Service.rejectResponse('Device template not found', 404);
+      }
+      const labelsErr = await DeviceTemplatesService.checkTemplatePathLabels(
+        origTemplate.org, deviceTemplateRequest
+      );
+      if (labelsErr) return Service.rejectResponse(labelsErr, 400);
+
+      const template = await DeviceTemplates.findOneAndUpdate(
+        { _id: id, org: origTemplate.org },
+        {
+          ...deviceTemplateRequest,
+          org: origTemplate.org,
+          version: origTemplate.version + 1
+        },
+        { new: true, upsert: false, runValidators: true }
+      );
+      return Service.successResponse(DeviceTemplatesService.selectDeviceTemplateParams(template));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Delete a device template, the template must not be applied to devices
+   *
+   * id String Numeric ID of the device template to delete
+   * no response value expected for this operation
+   **/
+  static async devicetemplatesIdDELETE ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const count = await devices.countDocuments({ 'template.template': id });
+      if (count > 0) {
+        return Service.rejectResponse(
+          'Cannot delete a device template that is applied to devices', 400
+        );
+      }
+
+      const { deletedCount } = await DeviceTemplates.deleteOne({
+        _id: id,
+        org: { $in: orgList }
+      });
+      if (deletedCount === 0) {
+        return Service.rejectResponse('Device template not found', 404);
+      }
+
+      return Service.successResponse(null, 204);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Apply a device template to devices. The template is rendered with
+   * the variables of each device, and all devices are validated before
+   * any change is made. The changes are sent to the devices using the
+   * modify, static routes and DHCP jobs, tracked by the returned job ids.
+   *
+   * id String Numeric ID of the device template to apply
+   * deviceTemplateApplyRequest DeviceTemplateApplyRequest
+   * returns ApplyJobsResponse
+   **/
+  static async devicetemplatesIdApplyPOST (
+    { id, org, deviceTemplateApplyRequest }, { user }, response
+  ) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const template = await DeviceTemplates.findOne({ _id: id, org: { $in: orgList } }).lean();
+      if (!template) {
+        return Service.rejectResponse('Device template not found', 404);
+      }
+
+      const requests = deviceTemplateApplyRequest.devices || [];
+      const deviceIds = requests.map(req => req._id);
+      if (deviceIds.length === 0 || new Set(deviceIds).size !== deviceIds.length ||
+        !deviceIds.every(deviceId => mongoose.Types.ObjectId.isValid(deviceId))) {
+        return Service.rejectResponse('A list of unique devices must be specified', 400);
+      }
+      const opDevices = await devices.find({ _id: { $in: deviceIds }, org: template.org });
+      if (opDevices.length !== deviceIds.length) {
+        return Service.rejectResponse('Device not found', 404);
+      }
+
+      // Render and validate the template for all devices before making any change.
+      // LAN subnets are checked also against the other devices of the request.
+      let { entries: ipamEntries } = await getOrgIpam(template.org);
+      const prepared = [];
+      for (const { _id: deviceId, variables = {} } of requests) {
+        const device = opDevices.find(device => device._id.toString() === deviceId);
+        const deviceName = device.name || device.hostname;
+        if (!device.isApproved) {
+          return Service.rejectResponse(`Device ${deviceName} must be first approved`, 400);
+        }
+        if (device.pendingDevModification ||
+          device.dhcp.some(dhcp => dhcp.status.includes('wait'))) {
+          return Service.rejectResponse(
+            `Only one device change is allowed at any time, device ${deviceName}`, 400
+          );
+        }
+        const invalidName = Object.keys(variables).find(name => !isValidVariableName(name));
+        if (invalidName !== undefined) {
+          return Service.rejectResponse(`Invalid variable name ${invalidName}`, 400);
+        }
+
+        // Variables set when a template was applied before are kept
+        const appliedTemplate = DevicesService.selectDeviceTemplateRef(device.template);
+        const deviceVariables = {
+          ...getDeviceVariables(device),
+          ...(appliedTemplate ? appliedTemplate.variables : {}),
+          ...variables
+        };
+        const deviceObj = device.toObject();
+        const { config, err } = prepareTemplateConfig(deviceObj, template, deviceVariables);
+        const otherEntries = ipamEntries.filter(entry => entry.device !== deviceId);
+        const { valid, err: validationErr } = config
+          ? validateLanSubnets(config.interfaces, deviceObj.interfaces, otherEntries)
+          : { valid: false, err };
+        if (!valid) {
+          logger.warn('Device template validation failed', {
+            params: { template: id, device: deviceId, err: validationErr }
+          });
+          return Service.rejectResponse(`Device ${deviceName}: ${validationErr}`, 400);
+        }
+        ipamEntries = [
+          ...otherEntries,
+          ...getDeviceIpamEntries({ ...deviceObj, interfaces: config.interfaces })
+        ];
+        prepared.push({ device, config, variables: deviceVariables });
+      }
+
+      // Apply the changes, a failure on one device should not prevent updating the others
+      const jobs = [];
+      for (const { device, config, variables } of prepared) {
+        try {
+          jobs.push(...await DevicesService.applyDeviceConfig(device, config, user));
+          await devices.updateOne(
+            { _id: device._id },
+            { $set: { template: { template: template._id, version: template.version, variables } } }
+          );
+        } catch (err) {
+          logger.error('Failed to apply device template', {
+            params: { template: id, device: device._id, err: err.message }
+          });
+        }
+      }
+
+      // Interface roles and path labels may change the tunnels intended by the tunnel policies
+      try {
+        await applyTunnelPolicies(template.org, user.username);
+      } catch (err) {
+        logger.error('Tunnel policies evaluation failed', {
+          params: { org: template.org, err: err.message }
+        });
+      }
+
+      const jobIds = jobs.map(job => job.id);
+      const location = `${configs.get('restServerUrl')}/api/jobs?status=all&ids=${
+        jobIds.join('%2C')}&org=${template.org}`;
+      response.setHeader('Location', location);
+      return Service.successResponse({ ids: jobIds }, 202);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+}
+
+module.exports = DeviceTemplatesService;
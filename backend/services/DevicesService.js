@@ -17,7 +17,13 @@
 
 const Service = require('./Service');
 const configs = require('../configs')();
-const { devices, staticroutes, dhcpModel } = require('../models/devices');
+const {
+  devices,
+  staticroutes,
+  dhcpModel,
+  firewallRules,
+  natRules
+} = require('../models/devices');
 const tunnelsModel = require('../models/tunnels');
 const connections = require('../websocket/Connections')();
 const deviceStatus = require('../periodic/deviceStatus')();
@@ -31,30 +37,90 @@ const isEqual = require('lodash/isEqual');
 const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
 const flexibilling = require('../flexibilling');
 const dispatcher = require('../deviceLogic/dispatcher');
-const { validateDevice } = require('../deviceLogic/validators');
+const { previewTunnelAdd } = require('../deviceLogic/tunnels');
+const { applyTunnelPolicies } = require('../deviceLogic/tunnelPolicies');
+const {
+  createDryRunResult,
+  addDryRunError,
+  mergeDryRunResults
+} = require('../deviceLogic/dryRun');
+const {
+  getUserConfig,
+  diffDeviceConfigs,
+  prepareConfigRollback,
+  saveConfigSnapshot
+} = require('../deviceLogic/configHistory');
+const { checkDeviceDrift } = require('../deviceLogic/configDrift');
+const { approveStagedDevice } = require('../deviceLogic/onboarding');
+const {
+  getOrgIpam,
+  validateLanSubnets,
+  allocateLanSubnets
+} = require('../deviceLogic/ipam');
+const {
+  validateDevice,
+  validateSubInterfaces,
+  validateBGP,
+  validateStaticRoute,
+  validateDhcpConfig,
+  validateFirewallRule,
+  validateNatRule,
+  isDynamicAddressing
+} = require('../deviceLogic/validators');
+const { isFirewallSupported } = require('../deviceLogic/firewall');
+const { isNatSupported } = require('../deviceLogic/nat');
+const { isDhcpRelaySupported, validateDhcpLeasesMessage } = require('../deviceLogic/dhcp');
+const { isMultilinkSupported } = require('../deviceLogic/multilink');
+const MultilinkPolicies = require('../models/multilinkPolicies');
+const { isQosSupported } = require('../deviceLogic/qos');
+const QosProfiles = require('../models/qosProfiles');
+const deviceConfigHistory = require('../models/deviceConfigHistory');
+const deviceConfigDrift = require('../models/deviceConfigDrift');
+const { orgFirewallRules } = require('../models/firewallRules');
 const { getAccessTokenOrgList } = require('../utils/membershipUtils');
+const { revokeDeviceToken } = require('../utils/deviceTokens');
+const { getMajorVersion } = require('../versioning');
 
 class DevicesService {
   /**
    * Execute an action on the device side
    *
    * action String Command to execute
+   * dryRun Boolean Return the jobs without applying the command (optional)
    * commandRequest CommandRequest  (optional)
    * no response value expected for this operation
    **/
-  static async devicesApplyPOST ({ org, deviceCommand }, { user }, response) {
+  static async devicesApplyPOST ({ org, dryRun, deviceCommand }, { user }, response) {
     try {
       // Find all devices of the organization
       const orgList = await getAccessTokenOrgList(user, org, true);
       const opDevices = await devices.find({ org: { $in: orgList } })
         .populate('interfaces.pathlabels', '_id name description color type');
+      // Return the jobs that would be queued, without applying the command
+      if (dryRun) {
+        const result = await dispatcher.dryRun(
+          opDevices, deviceCommand.method, user, deviceCommand
+        );
+        return Service.successResponse(result, 200);
+      }
+      // For tunnels, preview the tunnels that will be created
+      // and return only the preview if requested by the user
+      let tunnelsPreview;
+      if (deviceCommand.method === 'tunnels') {
+        tunnelsPreview = await previewTunnelAdd(opDevices, user, deviceCommand);
+        if (deviceCommand.meta && deviceCommand.meta.preview) {
+          return Service.successResponse({ ids: [], tunnels: tunnelsPreview }, 200);
+        }
+      }
       // Apply the device command
       const retJobs = await dispatcher.apply(opDevices, deviceCommand.method, user, deviceCommand);
       const jobIds = retJobs.flat().map(job => job.id);
       const location = `${configs.get('restServerUrl')}/api/jobs?status=all&ids=${
         jobIds.join('%2C')}&org=${orgList[0]}`;
       response.setHeader('Location', location);
-      return Service.successResponse({ ids: jobIds }, 202);
+      return Service.successResponse(tunnelsPreview
+        ? { ids: jobIds, tunnels: tunnelsPreview }
+        : { ids: jobIds }, 202);
     } catch (e) {
       return Service.rejectResponse(
         e.message || 'Internal Server Error',
@@ -118,7 +184,8 @@ class DevicesService {
       'ipList',
       // Internal array, objects
       'labels',
-      'upgradeSchedule']);
+      'upgradeSchedule',
+      'qosStatus']);
     retDevice.deviceStatus = (retDevice.deviceStatus === '1');
 
     // pick interfaces
@@ -126,6 +193,7 @@ class DevicesService {
       const retIf = pick(i, [
         'IPv6',
         'PublicIP',
+        'PublicPort',
         'IPv4',
         'type',
         'MAC',
@@ -137,7 +205,12 @@ class DevicesService {
         'name',
         'pciaddr',
         '_id',
-        'pathlabels'
+        'pathlabels',
+        'qos',
+        'parentPciaddr',
+        'vlanId',
+        'addressMode',
+        'pppoe.username'
       ]);
       retIf._id = retIf._id.toString();
       return retIf;
@@ -158,9 +231,11 @@ class DevicesService {
       const retDhcp = pick(d, [
         '_id',
         'interface',
+        'mode',
         'rangeStart',
         'rangeEnd',
         'dns',
+        'relayServers',
         'status'
       ]);
 
@@ -184,9 +259,11 @@ class DevicesService {
     retDevice.upgradeSchedule.time = (retDevice.upgradeSchedule.time)
       ? retDevice.upgradeSchedule.time.toISOString() : null;
     retDevice.versions = pick(item.versions, ['agent', 'router', 'device', 'vpp', 'frr']);
+    if (item.bgp) retDevice.bgp = DevicesService.selectBgpParams(item.bgp);
     retDevice.interfaces = retInterfaces;
     retDevice.staticroutes = retStaticRoutes;
     retDevice.dhcp = retDhcpList;
+    retDevice.template = DevicesService.selectDeviceTemplateRef(item.template);
     retDevice.isConnected = connections.isConnected(retDevice.machineId);
     // Add interface stats to mongoose response
     retDevice.deviceStatus = retDevice.isConnected
@@ -485,6 +562,11 @@ class DevicesService {
         _id: id,
         org: { $in: orgList }
       }).session(session);
+      await deviceConfigHistory.deleteMany({ device: id }, { session: session });
+      await deviceConfigDrift.deleteMany({ device: id }, { session: session });
+
+      // The token of a deleted device can't be used anymore
+      await revokeDeviceToken(delDevices[0], 'Device deleted', session);
 
       await session.commitTransaction();
       session = null;
@@ -499,14 +581,154 @@ class DevicesService {
     }
   }
 
+  /**
+   * Prepares and validates the device changes requested by the user
+   *
+   * @param {mongo Device Object} origDevice the device before the changes
+   * @param {Object} deviceRequest the requested changes, completed in place
+   * @return {String} the validation error, empty if the changes are valid
+   */
+  static async prepareDeviceRequest (origDevice, deviceRequest) {
+    // Don't allow any changes if the device is not approved
+    if (!origDevice.isApproved && !deviceRequest.isApproved) {
+      return 'Device must be first approved';
+    }
+
+    // VLAN sub-interfaces are completed from their parent interfaces,
+    // DHCP/PPPoE interfaces keep the addresses learned by the device
+    if (deviceRequest.interfaces) {
+      const err = DevicesService.prepareSubInterfaces(origDevice, deviceRequest.interfaces) ||
+        DevicesService.prepareDynamicAddressing(origDevice, deviceRequest.interfaces);
+      if (err) return err;
+
+      // The public port is observed by the MGMT and can't be set by the user
+      deviceRequest.interfaces.forEach(ifc => {
+        const origIfc = origDevice.interfaces.find(origIfc => origIfc._id.toString() === ifc._id);
+        ifc.PublicPort = origIfc ? origIfc.PublicPort : '';
+      });
+    }
+
+    // LAN subnets of approved devices must not conflict with the organization
+    // address space. Approved devices get LAN subnets from the organization LAN pool.
+    const isApproval = !origDevice.isApproved && deviceRequest.isApproved === true;
+    if (isApproval || (origDevice.isApproved && deviceRequest.interfaces)) {
+      const { lanPool, entries } = await getOrgIpam(origDevice.org, origDevice._id);
+      if (isApproval && lanPool) {
+        if (!deviceRequest.interfaces) {
+          deviceRequest.interfaces = origDevice.toObject().interfaces;
+        }
+        const { allocated, err } = allocateLanSubnets(deviceRequest.interfaces, lanPool, entries);
+        if (err) return err;
+        if (allocated.length > 0) {
+          logger.info('LAN subnets allocated to device', {
+            params: { deviceId: origDevice._id, allocated: allocated }
+          });
+        }
+      }
+      const { valid, err } = validateLanSubnets(
+        deviceRequest.interfaces || origDevice.interfaces,
+        isApproval ? [] : origDevice.interfaces,
+        entries
+      );
+      if (!valid) {
+        logger.warn('Device LAN subnets conflict', {
+          params: { deviceId: origDevice._id, err: err }
+        });
+        return err;
+      }
+    }
+
+    // Validate device changes only for approved devices,
+    // and only if the request contains interfaces.
+    if (origDevice.isApproved && deviceRequest.interfaces) {
+      // BGP and NAT are configured separately, validate with the current configuration
+      const { valid, err } = validateDevice({
+        ...deviceRequest,
+        bgp: origDevice.bgp,
+        nat: origDevice.nat
+      });
+      if (!valid) {
+        logger.warn('Device update failed',
+          {
+            params: { device: deviceRequest, err: err }
+          });
+        return err;
+      }
+    }
+
+    // QoS profiles attached to interfaces must belong to the organization
+    if (DevicesService.isQosChanged(origDevice, deviceRequest)) {
+      const err = await DevicesService.checkQosProfiles(origDevice, deviceRequest.interfaces);
+      if (err) return err;
+    }
+    return '';
+  }
+
+  /**
+   * Checks whether the device changes requested by the user change the QoS configuration
+   *
+   * @param {mongo Device Object} origDevice the device before the changes
+   * @param {Object} deviceRequest the requested changes
+   * @return {Boolean} true if the QoS configuration changes
+   */
+  static isQosChanged (origDevice, deviceRequest) {
+    return !!deviceRequest.interfaces &&
+      !isEqual(DevicesService.getQosConfig(origDevice.interfaces),
+        DevicesService.getQosConfig(deviceRequest.interfaces));
+  }
+
+  /**
+   * Returns the jobs that would be queued by a device modification,
+   * without changing the database or queuing any job
+   *
+   * @param {mongo Device Object} origDevice the device before the changes
+   * @param {Object} deviceRequest the prepared changes
+   * @param {String} err the validation error of the changes, if any
+   * @param {Object} user User object
+   * @return {Object} the dry run result
+   */
+  static async devicesIdDryRun (origDevice, deviceRequest, err, user) {
+    const result = createDryRunResult();
+    if (!err && origDevice.pendingDevModification) {
+      err = 'Only one device change is allowed at any time';
+    }
+    if (err) {
+      addDryRunError(result, origDevice, err);
+      return result;
+    }
+
+    // The device as it would be stored in the database
+    // eslint-disable-next-line new-cap
+    const newDevice = new devices({ ...origDevice.toObject(), ...deviceRequest });
+    try {
+      await newDevice.validate();
+    } catch (err) {
+      addDryRunError(result, origDevice, err.message);
+      return result;
+    }
+
+    try {
+      mergeDryRunResults(result, await dispatcher.dryRun([origDevice], 'modify', user, {
+        newDevice: newDevice
+      }));
+      if (DevicesService.isQosChanged(origDevice, deviceRequest)) {
+        mergeDryRunResults(result, await dispatcher.dryRun(newDevice, 'qos', user));
+      }
+    } catch (err) {
+      addDryRunError(result, origDevice, err.message);
+    }
+    return result;
+  }
+
   /**
    * Modify device
    *
    * id String Numeric ID of the Device to modify
+   * dryRun Boolean Return the jobs without applying the changes (optional)
    * deviceRequest DeviceRequest  (optional)
    * returns Device
    **/
-  static async devicesIdPUT ({ id, org, deviceRequest }, { user }) {
+  static async devicesIdPUT ({ id, org, dryRun, deviceRequest }, { user }) {
     let session;
     try {
       session = await mongoConns.getMainDB().startSession();
@@ -518,26 +740,15 @@ class DevicesService {
         org: { $in: orgList }
       }).session(session);
 
-      // Don't allow any changes if the device is not approved
-      if (!origDevice.isApproved && !deviceRequest.isApproved) {
-        throw new Error('Device must be first approved');
-      }
-
-      // Validate device changes only for approved devices,
-      // and only if the request contains interfaces.
-      if (origDevice.isApproved && deviceRequest.interfaces) {
-        const { valid, err } = validateDevice(deviceRequest);
-        if (!valid) {
-          logger.warn('Device update failed',
-            {
-              params: { device: deviceRequest, err: err }
-            });
-          throw new Error(err);
-        }
-      }
+      // Validation failures are part of the dry run result
+      const err = await DevicesService.prepareDeviceRequest(origDevice, deviceRequest);
+      if (err && !dryRun) throw new Error(err);
+      const qosChanged = DevicesService.isQosChanged(origDevice, deviceRequest);
 
       // If device changed to not approved disconnect it's socket
-      if (deviceRequest.isApproved === false) connections.deviceDisconnect(origDevice.machineId);
+      if (deviceRequest.isApproved === false && !dryRun) {
+        connections.deviceDisconnect(origDevice.machineId);
+      }
 
       // TBD: Remove these fields from the yaml PUT request
       delete deviceRequest.machineId;
@@ -546,10 +757,24 @@ class DevicesService {
       delete deviceRequest.ipList;
       delete deviceRequest.fromToken;
       delete deviceRequest.deviceToken;
+      delete deviceRequest.pendingDeviceToken;
       delete deviceRequest.state;
       delete deviceRequest.emailTokens;
       delete deviceRequest.defaultAccount;
       delete deviceRequest.defaultOrg;
+      delete deviceRequest.bgp;
+      delete deviceRequest.nat;
+      delete deviceRequest.multilinkPolicy;
+      delete deviceRequest.qosStatus;
+      delete deviceRequest.template;
+
+      if (dryRun) {
+        await session.abortTransaction();
+        session = null;
+        return Service.successResponse(
+          await DevicesService.devicesIdDryRun(origDevice, deviceRequest, err, user)
+        );
+      }
 
       // Currently we allow only one change at a time to the device,
       // to prevent inconsistencies between the device and the MGMT database.
@@ -569,9 +794,58 @@ class DevicesService {
 
       // If the change made to the device fields requires a change on the
       // device itself, add a 'modify' job to the device's queue.
-      if (origDevice) {
-        await dispatcher.apply([origDevice], 'modify', user, {
-          newDevice: updDevice
+      const modifyJobs = await dispatcher.apply([origDevice], 'modify', user, {
+        newDevice: updDevice
+      });
+
+      // Changes applied by jobs are stored in the configuration
+      // history when the jobs complete, other changes are stored now
+      if (!modifyJobs && !qosChanged) {
+        try {
+          await saveConfigSnapshot(updDevice._id, user.username);
+        } catch (err) {
+          logger.error('Failed to store the device configuration', {
+            params: { device: updDevice._id, err: err.message }
+          });
+        }
+      }
+
+      // QoS is configured by a separate job
+      if (qosChanged) {
+        try {
+          const qosStatus = DevicesService.getQosConfig(updDevice.interfaces).length > 0
+            ? 'add-wait' : 'remove-wait';
+          const qosDevice = await devices.findOneAndUpdate(
+            { _id: updDevice._id },
+            { $set: { qosStatus } },
+            { new: true }
+          );
+          await dispatcher.apply(qosDevice, 'qos', user);
+        } catch (err) {
+          logger.error('Failed to apply QoS configuration', {
+            params: { device: updDevice._id, err: err.message }
+          });
+        }
+      }
+
+      // Approved pre-provisioned devices are started with the staged configuration
+      if (!origDevice.isApproved && updDevice.isApproved) {
+        try {
+          await approveStagedDevice(updDevice, user);
+        } catch (err) {
+          logger.error('Staged device onboarding failed', {
+            params: { device: updDevice._id, err: err.message }
+          });
+        }
+      }
+
+      // Device approval, labels and path labels changes
+      // may change the tunnels intended by the tunnel policies
+      try {
+        await applyTunnelPolicies(updDevice.org, user.username);
+      } catch (err) {
+        logger.error('Tunnel policies evaluation failed', {
+          params: { org: updDevice.org, err: err.message }
         });
       }
 
@@ -751,6 +1025,14 @@ class DevicesService {
       }
       const device = deviceObject[0];
 
+      const { valid, err } = validateStaticRoute(staticRouteRequest);
+      if (!valid) {
+        logger.warn('Static route validation failed', {
+          params: { route: staticRouteRequest, err: err }
+        });
+        return Service.rejectResponse(err, 400);
+      }
+
       // eslint-disable-next-line new-cap
       const route = new staticroutes({
         destination: staticRouteRequest.destination,
@@ -1021,10 +1303,12 @@ class DevicesService {
       const result = {
         _id: resultDhcp[0].id,
         interface: resultDhcp[0].interface,
+        mode: resultDhcp[0].mode,
         rangeStart: resultDhcp[0].rangeStart,
         rangeEnd: resultDhcp[0].rangeEnd,
         dns: resultDhcp[0].dns,
         macAssign: resultDhcp[0].macAssign,
+        relayServers: resultDhcp[0].relayServers,
         status: resultDhcp[0].status
       };
 
@@ -1059,6 +1343,7 @@ class DevicesService {
       if (!deviceObject.isApproved) {
         throw new Error('Device must be first approved');
       }
+      DevicesService.validateDhcpConfig(dhcpRequest, deviceObject);
       // Currently we allow only one change at a time to the device
       if (deviceObject.pendingDevModification ||
               deviceObject.dhcp.some(d => d.status.includes('wait'))) {
@@ -1073,18 +1358,22 @@ class DevicesService {
         _id: origDhcp._id.toString(),
         dns: origDhcp.dns,
         interface: origDhcp.interface,
+        mode: origDhcp.mode,
         macAssign: origDhcp.macAssign.map(m => ({ host: m.host, mac: m.mac, ipv4: m.ipv4 })),
         rangeStart: origDhcp.rangeStart,
-        rangeEnd: origDhcp.rangeEnd
+        rangeEnd: origDhcp.rangeEnd,
+        relayServers: origDhcp.relayServers
       };
 
       const dhcpData = {
         _id: dhcpId,
         interface: dhcpRequest.interface,
+        mode: dhcpRequest.mode || 'server',
         rangeStart: dhcpRequest.rangeStart,
         rangeEnd: dhcpRequest.rangeEnd,
         dns: dhcpRequest.dns,
         macAssign: dhcpRequest.macAssign,
+        relayServers: dhcpRequest.relayServers || [],
         status: 'add-wait'
       };
 
@@ -1166,10 +1455,12 @@ class DevicesService {
       const dhcpData = {
         _id: dhcpObject.id,
         interface: dhcpObject.interface,
+        mode: dhcpObject.mode,
         rangeStart: dhcpObject.rangeStart,
         rangeEnd: dhcpObject.rangeEnd,
         dns: dhcpObject.dns,
         macAssign: dhcpObject.macAssign,
+        relayServers: dhcpObject.relayServers,
         status: dhcpObject.status
       };
 
@@ -1214,10 +1505,12 @@ class DevicesService {
         return {
           _id: r.id,
           interface: r.interface,
+          mode: r.mode,
           rangeStart: r.rangeStart,
           rangeEnd: r.rangeEnd,
           dns: r.dns,
           macAssign: r.macAssign,
+          relayServers: r.relayServers,
           status: r.status
         };
       });
@@ -1231,6 +1524,81 @@ class DevicesService {
     }
   }
 
+  /**
+   * Retrieve the active leases of a device DHCP server
+   *
+   * id String Numeric ID of the Device
+   * dhcpId String Numeric ID of the DHCP
+   * org String Organization to be filtered by (optional)
+   * returns DhcpLeases
+   **/
+  static async devicesIdDhcpDhcpIdLeasesGET ({ id, dhcpId, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const device = await devices.findOne(
+        {
+          _id: mongoose.Types.ObjectId(id),
+          org: { $in: orgList }
+        }
+      );
+
+      if (!device) return Service.rejectResponse('Device not found', 404);
+      const dhcp = device.dhcp.find(d => d.id === dhcpId);
+      if (!dhcp) return Service.rejectResponse('DHCP ID not found', 404);
+      if (dhcp.mode === 'relay') {
+        return Service.rejectResponse('DHCP leases are kept by the central DHCP servers', 400);
+      }
+      if (!isDhcpRelaySupported(device)) {
+        return Service.rejectResponse(
+          'DHCP leases are not supported for the current agent version', 400
+        );
+      }
+
+      if (!connections.isConnected(device.machineId)) {
+        return Service.successResponse({
+          status: 'disconnected',
+          leases: []
+        });
+      }
+
+      const deviceLeases = await connections.deviceSendMessage(
+        null,
+        device.machineId,
+        {
+          entity: 'agent',
+          message: 'get-dhcp-leases',
+          params: { interface: dhcp.interface }
+        },
+        validateDhcpLeasesMessage
+      );
+
+      if (!deviceLeases.ok) {
+        logger.error('Failed to get DHCP leases', {
+          params: {
+            deviceId: id,
+            response: deviceLeases.message
+          }
+        });
+        return Service.rejectResponse('Failed to get DHCP leases', 500);
+      }
+
+      return Service.successResponse({
+        status: 'connected',
+        leases: deviceLeases.message.map(lease => ({
+          hostname: lease.hostname,
+          mac: lease.mac,
+          ip: lease.ip,
+          expiry: lease.expiry ? new Date(lease.expiry * 1000).toISOString() : null
+        }))
+      });
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
   /**
    * Validate that the dhcp request
    * @param {Object} dhcpRequest - request values
@@ -1247,6 +1615,23 @@ class DevicesService {
     if (uniqIPs.length !== macLen) throw new Error('MAC bindings IPs are not unique');
   }
 
+  /**
+   * Validate the DHCP range against the device interfaces
+   *
+   * dhcpRequest DhcpRequest
+   * device mongo Device Object
+   **/
+  static validateDhcpConfig (dhcpRequest, device) {
+    if (dhcpRequest.mode === 'relay' && !isDhcpRelaySupported(device)) {
+      throw new Error('DHCP relay is not supported for the current agent version');
+    }
+    const { valid, err } = validateDhcpConfig(dhcpRequest, device.interfaces);
+    if (!valid) {
+      logger.warn('DHCP validation failed', { params: { dhcp: dhcpRequest, err: err } });
+      throw new Error(err);
+    }
+  }
+
   /**
    * Add DHCP server
    *
@@ -1272,6 +1657,7 @@ class DevicesService {
       if (!deviceObject.isApproved) {
         throw new Error('Device must be first approved');
       }
+      DevicesService.validateDhcpConfig(dhcpRequest, deviceObject);
 
       // Verify that no dhcp has been defined for the interface
       const dhcpObject = deviceObject.dhcp.filter((s) => {
@@ -1281,10 +1667,12 @@ class DevicesService {
 
       const dhcpData = {
         interface: dhcpRequest.interface,
+        mode: dhcpRequest.mode || 'server',
         rangeStart: dhcpRequest.rangeStart,
         rangeEnd: dhcpRequest.rangeEnd,
         dns: dhcpRequest.dns,
         macAssign: dhcpRequest.macAssign,
+        relayServers: dhcpRequest.relayServers || [],
         status: 'add-wait'
       };
 
@@ -1326,6 +1714,1170 @@ class DevicesService {
       );
     }
   }
+
+  /**
+   * Select the API fields from the device BGP configuration,
+   * the neighbors session passwords are not returned to the user
+   * @param {Object} bgp the device BGP configuration
+   */
+  static selectBgpParams (bgp) {
+    const retBgp = pick(bgp, ['enable', 'localAsn', 'routerId', 'networks', 'status']);
+    retBgp.neighbors = (bgp.neighbors || []).map(neighbor => {
+      return pick(neighbor, ['ip', 'remoteAsn']);
+    });
+    return retBgp;
+  }
+
+  /**
+   * Get device BGP configuration
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * returns Bgp
+   **/
+  static async devicesIdBgpGET ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const device = await devices.findOne(
+        {
+          _id: mongoose.Types.ObjectId(id),
+          org: { $in: orgList }
+        },
+        { bgp: 1 }
+      ).lean();
+
+      if (!device) return Service.rejectResponse('Device not found', 404);
+
+      return Service.successResponse({
+        enable: false,
+        ...DevicesService.selectBgpParams(device.bgp || {})
+      }, 200);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Modify device BGP configuration
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * bgpRequest BgpRequest
+   * returns Bgp
+   **/
+  static async devicesIdBgpPUT ({ id, org, bgpRequest }, { user }, response) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const deviceObject = await devices.findOne({
+        _id: mongoose.Types.ObjectId(id),
+        org: { $in: orgList }
+      });
+      if (!deviceObject) {
+        return Service.rejectResponse('Device not found', 404);
+      }
+      if (!deviceObject.isApproved) {
+        return Service.rejectResponse('Device must be first approved', 400);
+      }
+      // Currently we allow only one change at a time to the device
+      const origBgp = deviceObject.bgp ? deviceObject.bgp.toObject() : { enable: false };
+      if (deviceObject.pendingDevModification || (origBgp.status || '').includes('wait')) {
+        return Service.rejectResponse('Only one device change is allowed at any time', 400);
+      }
+
+      const { valid, err } = validateBGP(bgpRequest, deviceObject);
+      if (!valid) {
+        logger.warn('BGP configuration validation failed', {
+          params: { bgp: bgpRequest, err: err }
+        });
+        return Service.rejectResponse(err, 400);
+      }
+
+      // BGP tunnels peer with the device ASN, it can't
+      // be changed or removed while such tunnels exist
+      const asnChanged = !bgpRequest.enable || bgpRequest.localAsn !== origBgp.localAsn;
+      if (origBgp.enable && asnChanged) {
+        const bgpTunnels = await tunnelsModel.countDocuments({
+          isActive: true,
+          routing: 'bgp',
+          $or: [{ deviceA: deviceObject._id }, { deviceB: deviceObject._id }]
+        });
+        if (bgpTunnels > 0) {
+          return Service.rejectResponse(
+            'Cannot change the local ASN of a device with BGP tunnels', 400
+          );
+        }
+      }
+
+      // Interfaces with BGP routing require BGP to be enabled
+      const bgpIfc = deviceObject.interfaces.find(ifc => ifc.routing === 'BGP');
+      if (!bgpRequest.enable && bgpIfc) {
+        return Service.rejectResponse(
+          `BGP is configured on interface ${bgpIfc.name}, cannot disable BGP`, 400
+        );
+      }
+
+      // The neighbors passwords are not returned to the user, so the
+      // stored password is kept if it is not set in the request
+      const neighbors = (bgpRequest.neighbors || []).map(neighbor => {
+        const origNeighbor = (origBgp.neighbors || []).find(orig => orig.ip === neighbor.ip);
+        if (neighbor.password || !origNeighbor) return neighbor;
+        return { ...neighbor, password: origNeighbor.password };
+      });
+      const bgp = {
+        enable: bgpRequest.enable,
+        localAsn: bgpRequest.localAsn,
+        routerId: bgpRequest.routerId || '',
+        neighbors: neighbors,
+        networks: bgpRequest.networks || [],
+        status: bgpRequest.enable ? 'add-wait' : origBgp.enable ? 'remove-wait' : ''
+      };
+      const updDevice = await devices.findOneAndUpdate(
+        { _id: deviceObject._id },
+        { $set: { bgp: bgp } },
+        { new: true, runValidators: true }
+      );
+
+      const retJobs = await dispatcher.apply(deviceObject, 'bgp', user, { bgp, origBgp });
+      const jobIds = retJobs.flat().map(job => job.id);
+      const location = `${configs.get('restServerUrl')}/api/jobs?status=all&ids=${
+        jobIds.join('%2C')}&org=${orgList[0]}`;
+      response.setHeader('Location', location);
+
+      return Service.successResponse(DevicesService.selectBgpParams(updDevice.bgp), 202);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Select the API fields from a firewall rule
+   * @param {Object} rule  the firewall rule
+   * @param {String} scope device or organization rule
+   */
+  static selectFirewallRuleParams (rule, scope) {
+    const retRule = pick(rule, [
+      '_id',
+      'direction',
+      'description',
+      'source',
+      'destination',
+      'protocol',
+      'ports',
+      'action',
+      'status'
+    ]);
+    retRule._id = retRule._id.toString();
+    retRule.scope = scope;
+    return retRule;
+  }
+
+  /**
+   * Checks the firewall rule and the device before a rule is changed
+   * @param {Object} device the device
+   * @param {Object} rule   the firewall rule request
+   * @return {String}       error message, or empty string if the rule can be applied
+   */
+  static checkFirewallRule (device, rule) {
+    if (!device.isApproved) return 'Device must be first approved';
+    if (!isFirewallSupported(device)) {
+      return 'Firewall is not supported for the current agent version';
+    }
+    const { valid, err } = validateFirewallRule(rule);
+    if (!valid) {
+      logger.warn('Firewall rule validation failed', { params: { rule, err } });
+    }
+    return err;
+  }
+
+  /**
+   * Get device firewall rules, the organization rules are listed first
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * returns List
+   **/
+  static async devicesIdFirewallGET ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const device = await devices.findOne(
+        {
+          _id: mongoose.Types.ObjectId(id),
+          org: { $in: orgList }
+        },
+        { org: 1, firewall: 1 }
+      ).lean();
+      if (!device) return Service.rejectResponse('Device not found', 404);
+
+      const orgRules = await orgFirewallRules.findOne({ org: device.org }).lean();
+      const rules = [
+        ...(orgRules ? orgRules.rules : [])
+          .map(rule => DevicesService.selectFirewallRuleParams(rule, 'organization')),
+        ...(device.firewall || [])
+          .map(rule => DevicesService.selectFirewallRuleParams(rule, 'device'))
+      ];
+      return Service.successResponse(rules);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Create new device firewall rule
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * firewallRuleRequest FirewallRuleRequest
+   * returns FirewallRule
+   **/
+  static async devicesIdFirewallPOST ({ id, org, firewallRuleRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const device = await devices.findOne({
+        _id: mongoose.Types.ObjectId(id),
+        org: { $in: orgList }
+      });
+      if (!device) return Service.rejectResponse('Device not found', 404);
+
+      const err = DevicesService.checkFirewallRule(device, firewallRuleRequest);
+      if (err) return Service.rejectResponse(err, 400);
+
+      // eslint-disable-next-line new-cap
+      const rule = new firewallRules({
+        direction: firewallRuleRequest.direction,
+        description: firewallRuleRequest.description,
+        source: firewallRuleRequest.source,
+        destination: firewallRuleRequest.destination,
+        protocol: firewallRuleRequest.protocol,
+        ports: firewallRuleRequest.ports,
+        action: firewallRuleRequest.action,
+        status: 'add-wait'
+      });
+      const updDevice = await devices.findOneAndUpdate(
+        { _id: device._id },
+        { $push: { firewall: rule } },
+        { new: true, runValidators: true }
+      );
+
+      await dispatcher.apply(updDevice, 'firewall', user);
+      return Service.successResponse(
+        DevicesService.selectFirewallRuleParams(rule, 'device'), 201
+      );
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Modify device firewall rule
+   *
+   * id String Numeric ID of the Device
+   * ruleId String Numeric ID of the firewall rule
+   * org String Organization to be filtered by (optional)
+   * firewallRuleRequest FirewallRuleRequest
+   * returns FirewallRule
+   **/
+  static async devicesIdFirewallRuleIdPUT ({ id, ruleId, org, firewallRuleRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const device = await devices.findOne({
+        _id: mongoose.Types.ObjectId(id),
+        org: { $in: orgList },
+        'firewall._id': mongoose.Types.ObjectId(ruleId)
+      });
+      if (!device) return Service.rejectResponse('Firewall rule not found', 404);
+
+      const err = DevicesService.checkFirewallRule(device, firewallRuleRequest);
+      if (err) return Service.rejectResponse(err, 400);
+
+      // The rule is replaced, omitted fields are reset to their defaults
+      const defaults = {
+        description: '',
+        source: 'any',
+        destination: 'any',
+        protocol: 'any',
+        ports: ''
+      };
+      const update = {
+        'firewall.$.status': 'add-wait'
+      };
+      ['direction', 'description', 'source', 'destination', 'protocol', 'ports', 'action']
+        .forEach(field => {
+          update[`firewall.$.${field}`] = firewallRuleRequest[field] !== undefined
+            ? firewallRuleRequest[field] : defaults[field];
+        });
+      const updDevice = await devices.findOneAndUpdate(
+        { _id: device._id, 'firewall._id': mongoose.Types.ObjectId(ruleId) },
+        { $set: update },
+        { new: true, runValidators: true }
+      );
+
+      await dispatcher.apply(updDevice, 'firewall', user);
+      const rule = updDevice.firewall.find(r => r._id.toString() === ruleId);
+      return Service.successResponse(DevicesService.selectFirewallRuleParams(rule, 'device'));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Delete device firewall rule, the rule is removed once the device confirms
+   *
+   * id String Numeric ID of the Device
+   * ruleId String Numeric ID of the firewall rule
+   * org String Organization to be filtered by (optional)
+   * no response value expected for this operation
+   **/
+  static async devicesIdFirewallRuleIdDELETE ({ id, ruleId, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const updDevice = await devices.findOneAndUpdate(
+        {
+          _id: mongoose.Types.ObjectId(id),
+          org: { $in: orgList },
+          'firewall._id': mongoose.Types.ObjectId(ruleId)
+        },
+        { $set: { 'firewall.$.status': 'remove-wait' } },
+        { new: true }
+      );
+      if (!updDevice) return Service.rejectResponse('Firewall rule not found', 404);
+
+      await dispatcher.apply(updDevice, 'firewall', user);
+      return Service.successResponse(null, 204);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Select the API fields from a NAT rule
+   * @param {Object} rule  the NAT rule
+   */
+  static selectNatRuleParams (rule) {
+    const retRule = pick(rule, [
+      '_id',
+      'type',
+      'description',
+      'wanInterface',
+      'protocol',
+      'externalPort',
+      'externalIP',
+      'internalIP',
+      'internalPort',
+      'status'
+    ]);
+    retRule._id = retRule._id.toString();
+    return retRule;
+  }
+
+  /**
+   * Checks the NAT rule and the device before a rule is changed
+   * @param {Object} device the device
+   * @param {Object} rule   the NAT rule, with the _id of the modified rule
+   * @return {String}       error message, or empty string if the rule can be applied
+   */
+  static checkNatRule (device, rule) {
+    if (!device.isApproved) return 'Device must be first approved';
+    if (!isNatSupported(device)) {
+      return 'NAT is not supported for the current agent version';
+    }
+    const { valid, err } = validateNatRule(
+      rule,
+      device.interfaces.filter(ifc => ifc.isAssigned),
+      device.nat.filter(other => other.status !== 'remove-wait')
+    );
+    if (!valid) {
+      logger.warn('NAT rule validation failed', { params: { rule, err } });
+    }
+    return err;
+  }
+
+  /**
+   * Get device NAT rules
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * returns List
+   **/
+  static async devicesIdNatGET ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const device = await devices.findOne(
+        {
+          _id: mongoose.Types.ObjectId(id),
+          org: { $in: orgList }
+        },
+        { nat: 1 }
+      ).lean();
+      if (!device) return Service.rejectResponse('Device not found', 404);
+
+      const rules = (device.nat || []).map(DevicesService.selectNatRuleParams);
+      return Service.successResponse(rules);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Create new device NAT rule
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * natRuleRequest NatRuleRequest
+   * returns NatRule
+   **/
+  static async devicesIdNatPOST ({ id, org, natRuleRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const device = await devices.findOne({
+        _id: mongoose.Types.ObjectId(id),
+        org: { $in: orgList }
+      });
+      if (!device) return Service.rejectResponse('Device not found', 404);
+
+      const err = DevicesService.checkNatRule(device, { ...natRuleRequest, _id: undefined });
+      if (err) return Service.rejectResponse(err, 400);
+
+      // eslint-disable-next-line new-cap
+      const rule = new natRules({
+        type: natRuleRequest.type,
+        description: natRuleRequest.description,
+        wanInterface: natRuleRequest.wanInterface,
+        protocol: natRuleRequest.protocol,
+        externalPort: natRuleRequest.externalPort,
+        externalIP: natRuleRequest.externalIP,
+        internalIP: natRuleRequest.internalIP,
+        internalPort: natRuleRequest.internalPort,
+        status: 'add-wait'
+      });
+      const updDevice = await devices.findOneAndUpdate(
+        { _id: device._id },
+        { $push: { nat: rule } },
+        { new: true, runValidators: true }
+      );
+
+      await dispatcher.apply(updDevice, 'nat', user);
+      return Service.successResponse(DevicesService.selectNatRuleParams(rule), 201);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Modify device NAT rule
+   *
+   * id String Numeric ID of the Device
+   * ruleId String Numeric ID of the NAT rule
+   * org String Organization to be filtered by (optional)
+   * natRuleRequest NatRuleRequest
+   * returns NatRule
+   **/
+  static async devicesIdNatRuleIdPUT ({ id, ruleId, org, natRuleRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const device = await devices.findOne({
+        _id: mongoose.Types.ObjectId(id),
+        org: { $in: orgList },
+        'nat._id': mongoose.Types.ObjectId(ruleId)
+      });
+      if (!device) return Service.rejectResponse('NAT rule not found', 404);
+
+      const err = DevicesService.checkNatRule(device, { ...natRuleRequest, _id: ruleId });
+      if (err) return Service.rejectResponse(err, 400);
+
+      // The rule is replaced, omitted fields are reset to their defaults
+      const defaults = {
+        description: '',
+        protocol: '',
+        externalPort: null,
+        externalIP: '',
+        internalPort: null
+      };
+      const update = {
+        'nat.$.status': 'add-wait'
+      };
+      [
+        'type',
+        'description',
+        'wanInterface',
+        'protocol',
+        'externalPort',
+        'externalIP',
+        'internalIP',
+        'internalPort'
+      ].forEach(field => {
+        update[`nat.$.${field}`] = natRuleRequest[field] !== undefined
+          ? natRuleRequest[field] : defaults[field];
+      });
+      const updDevice = await devices.findOneAndUpdate(
+        { _id: device._id, 'nat._id': mongoose.Types.ObjectId(ruleId) },
+        { $set: update },
+        { new: true, runValidators: true }
+      );
+
+      await dispatcher.apply(updDevice, 'nat', user);
+      const rule = updDevice.nat.find(r => r._id.toString() === ruleId);
+      return Service.successResponse(DevicesService.selectNatRuleParams(rule));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Delete device NAT rule, the rule is removed once the device confirms
+   *
+   * id String Numeric ID of the Device
+   * ruleId String Numeric ID of the NAT rule
+   * org String Organization to be filtered by (optional)
+   * no response value expected for this operation
+   **/
+  static async devicesIdNatRuleIdDELETE ({ id, ruleId, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const updDevice = await devices.findOneAndUpdate(
+        {
+          _id: mongoose.Types.ObjectId(id),
+          org: { $in: orgList },
+          'nat._id': mongoose.Types.ObjectId(ruleId)
+        },
+        { $set: { 'nat.$.status': 'remove-wait' } },
+        { new: true }
+      );
+      if (!updDevice) return Service.rejectResponse('NAT rule not found', 404);
+
+      await dispatcher.apply(updDevice, 'nat', user);
+      return Service.successResponse(null, 204);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Get the multilink policy assigned to the device
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * returns DeviceMultilinkPolicy
+   **/
+  static async devicesIdMultilinkPolicyGET ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const device = await devices.findOne(
+        {
+          _id: mongoose.Types.ObjectId(id),
+          org: { $in: orgList }
+        },
+        { multilinkPolicy: 1 }
+      ).populate('multilinkPolicy.policy', '_id name').lean();
+      if (!device) return Service.rejectResponse('Device not found', 404);
+
+      const { policy = null, status = '' } = device.multilinkPolicy || {};
+      return Service.successResponse({
+        policy: policy ? { _id: policy._id.toString(), name: policy.name } : null,
+        status
+      });
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Assign a multilink policy to the device, or remove
+   * the device policy if no policy is set
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * deviceMultilinkPolicyRequest DeviceMultilinkPolicyRequest
+   * returns DeviceMultilinkPolicy
+   **/
+  static async devicesIdMultilinkPolicyPUT (
+    { id, org, deviceMultilinkPolicyRequest }, { user }, response
+  ) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const device = await devices.findOne({
+        _id: mongoose.Types.ObjectId(id),
+        org: { $in: orgList }
+      });
+      if (!device) return Service.rejectResponse('Device not found', 404);
+      if (!device.isApproved) {
+        return Service.rejectResponse('Device must be first approved', 400);
+      }
+      if (!isMultilinkSupported(device)) {
+        return Service.rejectResponse(
+          'Multilink policies are not supported for the current agent version', 400
+        );
+      }
+
+      const policyId = deviceMultilinkPolicyRequest.policy;
+      let policy = null;
+      if (policyId) {
+        policy = mongoose.Types.ObjectId.isValid(policyId)
+          ? await MultilinkPolicies.findOne({ _id: policyId, org: device.org }, { name: 1 })
+          : null;
+        if (!policy) return Service.rejectResponse('Multilink policy not found', 404);
+      }
+
+      const origPolicy = device.multilinkPolicy ? device.multilinkPolicy.policy : null;
+      if (!policy && !origPolicy) {
+        return Service.successResponse({ policy: null, status: '' });
+      }
+      const multilinkPolicy = policy
+        ? { policy: policy._id, status: 'add-wait' }
+        : { policy: origPolicy, status: 'remove-wait' };
+      const updDevice = await devices.findOneAndUpdate(
+        { _id: device._id },
+        { $set: { multilinkPolicy } },
+        { new: true }
+      );
+
+      const jobs = await dispatcher.apply(updDevice, 'multilink', user);
+      const location = `${configs.get('restServerUrl')}/api/jobs?status=all&ids=${
+        jobs.map(job => job.id).join('%2C')}&org=${orgList[0]}`;
+      response.setHeader('Location', location);
+
+      return Service.successResponse({
+        policy: policy ? { _id: policy._id.toString(), name: policy.name } : null,
+        status: multilinkPolicy.status
+      }, 202);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Validates the VLAN sub-interfaces of a device update request, and sets
+   * their PCI address, driver and MAC address according to the parent interface.
+   * The parent interface and VLAN id of an existing sub-interface can't change.
+   * @param {Object} device     the device before the update
+   * @param {Array}  interfaces the device interfaces in the update request
+   * @return {string} an error message, empty if the sub-interfaces are valid
+   */
+  static prepareSubInterfaces (device, interfaces) {
+    const subIfcs = interfaces.filter(ifc => ifc.parentPciaddr);
+    if (subIfcs.length === 0) return '';
+    if (getMajorVersion(device.versions.agent) < 2) {
+      return 'VLAN sub-interfaces are not supported for the current agent version';
+    }
+    for (const ifc of subIfcs) {
+      const origIfc = device.interfaces.find(origIfc => origIfc._id.toString() === ifc._id);
+      if (origIfc && (origIfc.parentPciaddr !== ifc.parentPciaddr ||
+        origIfc.vlanId !== ifc.vlanId)) {
+        return `VLAN of interface ${ifc.name} can't be changed, remove and add it instead`;
+      }
+    }
+    const { valid, err } = validateSubInterfaces(interfaces);
+    if (!valid) return err;
+
+    subIfcs.forEach(ifc => {
+      const parent = interfaces.find(parentIfc => parentIfc.pciaddr === ifc.parentPciaddr);
+      ifc.pciaddr = `vlan.${ifc.vlanId}.${ifc.parentPciaddr}`;
+      ifc.driver = parent.driver;
+      ifc.MAC = parent.MAC;
+    });
+    return '';
+  }
+
+  /**
+   * Prepares the DHCP/PPPoE interfaces of a device update request. The addresses
+   * of these interfaces are learned by the device, hence the stored addresses
+   * are kept. The PPPoE password is not returned to the user, so it is kept
+   * if it is not set in the request and the user name has not changed.
+   * @param {Object} device     the device before the update
+   * @param {Array}  interfaces the device interfaces in the update request
+   * @return {string} an error message, empty if the interfaces are valid
+   */
+  static prepareDynamicAddressing (device, interfaces) {
+    const dynamicIfcs = interfaces.filter(ifc => isDynamicAddressing(ifc));
+    if (dynamicIfcs.length === 0) return '';
+    if (getMajorVersion(device.versions.agent) < 2) {
+      return 'DHCP and PPPoE addressing are not supported for the current agent version';
+    }
+    dynamicIfcs.forEach(ifc => {
+      const origIfc = device.interfaces.find(origIfc => origIfc._id.toString() === ifc._id);
+      const isLearned = origIfc && isDynamicAddressing(origIfc);
+      ifc.IPv4 = isLearned ? origIfc.IPv4 : '';
+      ifc.IPv4Mask = isLearned ? origIfc.IPv4Mask : '';
+      if (ifc.addressMode === 'pppoe' && origIfc && ifc.pppoe && !ifc.pppoe.password &&
+        ifc.pppoe.username === origIfc.pppoe.username) {
+        ifc.pppoe.password = origIfc.pppoe.password;
+      }
+    });
+    return '';
+  }
+
+  /**
+   * Returns the QoS configuration of the device interfaces
+   * @param {Array} interfaces the device interfaces
+   * @return {Array} QoS profile and bandwidth per WAN interface
+   */
+  static getQosConfig (interfaces) {
+    return interfaces
+      .filter(ifc => ifc.isAssigned && ifc.type === 'WAN' && ifc.qos && ifc.qos.profile)
+      .map(ifc => ({
+        pci: ifc.pciaddr,
+        profile: ifc.qos.profile.toString(),
+        bandwidth: ifc.qos.bandwidth
+      }));
+  }
+
+  /**
+   * Checks the QoS profiles attached to the device interfaces
+   * @param {Object} device the device
+   * @param {Array} interfaces the new device interfaces
+   * @return {String} error message, or empty string if the profiles can be applied
+   */
+  static async checkQosProfiles (device, interfaces) {
+    const profileIds = DevicesService.getQosConfig(interfaces).map(qos => qos.profile);
+    if (profileIds.length === 0) return '';
+    if (!isQosSupported(device)) return 'QoS is not supported for the current agent version';
+    if (!profileIds.every(profileId => mongoose.Types.ObjectId.isValid(profileId))) {
+      return 'QoS profile not found';
+    }
+    const count = await QosProfiles.countDocuments({
+      _id: { $in: [...new Set(profileIds)] },
+      org: device.org
+    });
+    return count === new Set(profileIds).size ? '' : 'QoS profile not found';
+  }
+
+  /**
+   * Select the API fields of the template applied to a device
+   * @param {Object} ref the device template reference
+   * @return {Object} the applied template, or null if no template was applied
+   */
+  static selectDeviceTemplateRef (ref) {
+    if (!ref || !ref.template) return null;
+    const variables = ref.variables instanceof Map
+      ? Object.fromEntries(ref.variables)
+      : { ...ref.variables };
+    return { _id: ref.template.toString(), version: ref.version, variables };
+  }
+
+  /**
+   * Retrieve the device configuration history
+   *
+   * id String Numeric ID of the Device
+   * offset Integer The number of items to skip before starting to collect the result set (optional)
+   * limit Integer The numbers of items to return (optional)
+   * org String Organization to be filtered by (optional)
+   * returns List
+   **/
+  static async devicesIdConfigHistoryGET ({ id, offset, limit, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const device = await devices.findOne(
+        { _id: mongoose.Types.ObjectId(id), org: { $in: orgList } },
+        { _id: 1 }
+      );
+      if (!device) return Service.rejectResponse('Device not found', 404);
+
+      const versions = await deviceConfigHistory.find({ device: device._id })
+        .sort({ version: -1 })
+        .skip(offset || 0)
+        .limit(limit || 0)
+        .lean();
+      return Service.successResponse(versions.map(version => ({
+        _id: version._id.toString(),
+        version: version.version,
+        username: version.username,
+        jobId: version.jobId,
+        createdAt: version.createdAt,
+        config: getUserConfig(version.config)
+      })));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Compare two versions of the device configuration
+   *
+   * id String Numeric ID of the Device
+   * from Integer The version to compare from
+   * to Integer The version to compare to
+   * org String Organization to be filtered by (optional)
+   * returns DeviceConfigDiff
+   **/
+  static async devicesIdConfigHistoryDiffGET ({ id, from, to, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const device = await devices.findOne(
+        { _id: mongoose.Types.ObjectId(id), org: { $in: orgList } },
+        { _id: 1 }
+      );
+      if (!device) return Service.rejectResponse('Device not found', 404);
+
+      const versions = await deviceConfigHistory.find({
+        device: device._id,
+        version: { $in: [from, to] }
+      }).lean();
+      const fromVersion = versions.find(version => version.version === from);
+      const toVersion = versions.find(version => version.version === to);
+      if (!fromVersion || !toVersion) {
+        return Service.rejectResponse('Configuration version not found', 404);
+      }
+      return Service.successResponse({
+        from: from,
+        to: to,
+        changes: diffDeviceConfigs(fromVersion.config, toVersion.config)
+      });
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Roll the device back to a configuration version
+   *
+   * id String Numeric ID of the Device
+   * version Integer The configuration version to roll back to
+   * org String Organization to be filtered by (optional)
+   * returns ApplyJobsResponse
+   **/
+  static async devicesIdConfigHistoryRollbackVersionPOST (
+    { id, version, org }, { user }, response
+  ) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const device = await devices.findOne({
+        _id: mongoose.Types.ObjectId(id),
+        org: { $in: orgList }
+      });
+      if (!device) return Service.rejectResponse('Device not found', 404);
+      if (!device.isApproved) return Service.rejectResponse('Device must be first approved', 400);
+
+      const snapshot = await deviceConfigHistory.findOne({
+        device: device._id,
+        version: version
+      }).lean();
+      if (!snapshot) return Service.rejectResponse('Configuration version not found', 404);
+
+      const rollback = prepareConfigRollback(device, snapshot.config);
+      if (rollback.err) return Service.rejectResponse(rollback.err, 400);
+
+      // The restored interfaces are validated as a device change
+      // made by the user, before making any change
+      const { deviceRequest, interfacesChanged } = rollback;
+      const err = await DevicesService.prepareDeviceRequest(device, deviceRequest);
+      if (err) return Service.rejectResponse(err, 400);
+      // eslint-disable-next-line new-cap
+      const newDevice = new devices({ ...device.toObject(), ...deviceRequest });
+      await newDevice.validate();
+      const { errors } = await dispatcher.dryRun([device], 'modify', user, { newDevice });
+      if (errors.length > 0) return Service.rejectResponse(errors[0].error, 400);
+
+      const updDevice = await devices.findOneAndUpdate(
+        { _id: device._id },
+        { $set: deviceRequest },
+        { new: true, upsert: false, runValidators: true }
+      );
+      const jobs = [];
+      if (interfacesChanged) {
+        jobs.push(...(await dispatcher.apply([device], 'modify', user, {
+          newDevice: updDevice
+        }) || []));
+      }
+      jobs.push(...await DevicesService.applyDeviceConfig(device, {
+        interfacesChanged: false,
+        staticroutes: rollback.staticroutes.add,
+        removedStaticroutes: rollback.staticroutes.remove,
+        dhcp: rollback.dhcp
+      }, user));
+
+      // QoS is configured by a separate job
+      if (DevicesService.isQosChanged(device, deviceRequest)) {
+        try {
+          const qosStatus = DevicesService.getQosConfig(updDevice.interfaces).length > 0
+            ? 'add-wait' : 'remove-wait';
+          const qosDevice = await devices.findOneAndUpdate(
+            { _id: updDevice._id },
+            { $set: { qosStatus } },
+            { new: true }
+          );
+          jobs.push(...await dispatcher.apply(qosDevice, 'qos', user));
+        } catch (err) {
+          logger.error('Failed to apply QoS configuration', {
+            params: { device: updDevice._id, err: err.message }
+          });
+        }
+      }
+
+      // Changes without jobs (e.g. labels) are stored now
+      if (jobs.length === 0) await saveConfigSnapshot(device._id, user.username);
+
+      // Labels and path labels may change the tunnels intended by the tunnel policies
+      try {
+        await applyTunnelPolicies(device.org, user.username);
+      } catch (err) {
+        logger.error('Tunnel policies evaluation failed', {
+          params: { org: device.org, err: err.message }
+        });
+      }
+
+      logger.info('Device configuration rollback', {
+        params: { device: device._id, version: version, jobs: jobs.map(job => job.id) }
+      });
+      const jobIds = jobs.map(job => job.id);
+      const location = `${configs.get('restServerUrl')}/api/jobs?status=all&ids=${
+        jobIds.join('%2C')}&org=${device.org}`;
+      response.setHeader('Location', location);
+      return Service.successResponse({ ids: jobIds }, 202);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Select the API fields of a configuration drift report
+   *
+   * @param {Object} report the drift report
+   */
+  static selectDriftReportParams (report) {
+    return {
+      _id: report._id.toString(),
+      device: report.device.toString(),
+      status: report.status,
+      checkedAt: report.checkedAt,
+      drift: report.drift,
+      error: report.error
+    };
+  }
+
+  /**
+   * Get the last configuration drift report of a device
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * returns DeviceConfigDrift
+   **/
+  static async devicesIdConfigDriftGET ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const device = await devices.findOne(
+        { _id: mongoose.Types.ObjectId(id), org: { $in: orgList } },
+        { _id: 1 }
+      );
+      if (!device) return Service.rejectResponse('Device not found', 404);
+
+      const report = await deviceConfigDrift.findOne({ device: device._id }).lean();
+      if (!report) return Service.rejectResponse('Configuration drift report not found', 404);
+      return Service.successResponse(DevicesService.selectDriftReportParams(report));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Check the configuration drift of a device now
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * returns DeviceConfigDrift
+   **/
+  static async devicesIdConfigDriftPOST ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const device = await devices.findOne({
+        _id: mongoose.Types.ObjectId(id),
+        org: { $in: orgList }
+      });
+      if (!device) return Service.rejectResponse('Device not found', 404);
+      if (!device.isApproved) return Service.rejectResponse('Device must be first approved', 400);
+      if (!connections.isConnected(device.machineId)) {
+        return Service.rejectResponse('Device must be connected', 400);
+      }
+
+      const report = await checkDeviceDrift(device);
+      return Service.successResponse(DevicesService.selectDriftReportParams(report));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Revoke the token of a device and disconnect the device. The device
+   * can't connect with the revoked token, and must be registered again.
+   *
+   * id String Numeric ID of the Device
+   * org String Organization to be filtered by (optional)
+   * no response value expected for this operation
+   **/
+  static async devicesIdRevokeTokenPOST ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const device = await devices.findOne({
+        _id: mongoose.Types.ObjectId(id),
+        org: { $in: orgList }
+      });
+      if (!device) return Service.rejectResponse('Device not found', 404);
+
+      await revokeDeviceToken(device, `Revoked by ${user.username}`);
+      connections.deviceDisconnect(device.machineId);
+      logger.info('Device token revoked', {
+        params: { deviceId: device._id, machineId: device.machineId },
+        user: user
+      });
+
+      return Service.successResponse(null, 204);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Updates the device with a configuration prepared from a template or
+   * from a configuration version, and queues the jobs that configure the device
+   * @param {Object} device the device
+   * @param {Object} config the prepared configuration: the changed interfaces,
+   *                        the static routes to add and remove and the DHCP
+   *                        configurations to add, modify and remove
+   * @param {Object} user the user applying the configuration
+   * @return {Array} the queued jobs
+   */
+  static async applyDeviceConfig (device, config, user) {
+    const jobs = [];
+    if (config.interfacesChanged) {
+      const updDevice = await devices.findOneAndUpdate(
+        { _id: device._id },
+        { $set: { interfaces: config.interfaces } },
+        { new: true, upsert: false, runValidators: true }
+      );
+      const modifyJobs = await dispatcher.apply([device], 'modify', user, {
+        newDevice: updDevice
+      });
+      jobs.push(...(modifyJobs || []));
+    }
+
+    for (const route of config.removedStaticroutes || []) {
+      await devices.updateOne(
+        { _id: device._id },
+        { $set: { 'staticroutes.$[elem].status': 'waiting' } },
+        { arrayFilters: [{ 'elem._id': mongoose.Types.ObjectId(route._id) }] }
+      );
+      jobs.push(...await dispatcher.apply(device, 'staticroutes', user, {
+        ...route,
+        method: 'staticroutes',
+        action: 'del'
+      }));
+    }
+
+    for (const dhcpConfig of config.dhcp.remove || []) {
+      await devices.updateOne(
+        { _id: device._id },
+        { $set: { 'dhcp.$[elem].status': 'del-wait' } },
+        { arrayFilters: [{ 'elem._id': mongoose.Types.ObjectId(dhcpConfig._id) }] }
+      );
+      jobs.push(...await dispatcher.apply(device, 'dhcp', user, {
+        ...dhcpConfig,
+        method: 'dhcp',
+        action: 'del'
+      }));
+    }
+
+    for (const routeConfig of config.staticroutes) {
+      // eslint-disable-next-line new-cap
+      const route = new staticroutes({ ...routeConfig, status: 'waiting' });
+      await devices.updateOne({ _id: device._id }, { $push: { staticroutes: route } });
+      jobs.push(...await dispatcher.apply(device, 'staticroutes', user, {
+        ...routeConfig,
+        _id: route.id,
+        method: 'staticroutes'
+      }));
+    }
+
+    for (const dhcpConfig of config.dhcp.add) {
+      // eslint-disable-next-line new-cap
+      const dhcp = new dhcpModel({ ...dhcpConfig, status: 'add-wait' });
+      await devices.updateOne({ _id: device._id }, { $push: { dhcp: dhcp } });
+      jobs.push(...await dispatcher.apply(device, 'dhcp', user, {
+        ...dhcpConfig,
+        _id: dhcp.id,
+        method: 'dhcp',
+        action: 'add'
+      }));
+    }
+
+    for (const dhcpConfig of config.dhcp.modify) {
+      const origDhcp = device.dhcp.find(dhcp => dhcp._id.toString() === dhcpConfig._id.toString());
+      const origCmpDhcp = {
+        _id: origDhcp._id.toString(),
+        dns: origDhcp.dns,
+        interface: origDhcp.interface,
+        mode: origDhcp.mode,
+        macAssign: origDhcp.macAssign.map(m => ({ host: m.host, mac: m.mac, ipv4: m.ipv4 })),
+        rangeStart: origDhcp.rangeStart,
+        rangeEnd: origDhcp.rangeEnd,
+        relayServers: origDhcp.relayServers
+      };
+      jobs.push(...await dispatcher.apply(device, 'dhcp', user, {
+        ...dhcpConfig,
+        _id: origCmpDhcp._id,
+        method: 'dhcp',
+        action: 'modify',
+        origDhcp: origCmpDhcp
+      }));
+      await devices.updateOne(
+        { _id: device._id },
+        { $set: { 'dhcp.$[elem]': { ...dhcpConfig, status: 'add-wait' } } },
+        { arrayFilters: [{ 'elem._id': origDhcp._id }] }
+      );
+    }
+    return jobs;
+  }
 }
 
 module.exports = DevicesService;
@@ -0,0 +1,227 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const Service = require('./Service');
+const PathLabels = require('../models/pathlabels');
+const { devices } = require('../models/devices');
+const MultilinkPolicies = require('../models/multilinkPolicies');
+const { validateMultilinkPolicy } = require('../deviceLogic/validators');
+const { reapplyPolicies } = require('../deviceLogic/multilink');
+const pick = require('lodash/pick');
+const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
+const { getAccessTokenOrgList } = require('../utils/membershipUtils');
+
+class MultilinkPoliciesService {
+  /**
+   * Re-send multilink policies to the devices they are assigned to.
+   * A failure doesn't fail the request.
+   *
+   * @param {Array} policyIds ids of the modified policies
+   * @param {Object} user the requesting user
+   **/
+  static async reapplyMultilinkPolicies (policyIds, user) {
+    try {
+      await reapplyPolicies(policyIds, user);
+    } catch (err) {
+      logger.error('Failed to re-apply multilink policies', {
+        params: { policies: policyIds, err: err.message }
+      });
+    }
+  }
+
+  /**
+   * Select the API fields from a multilink policy
+   * @param {Object} item the multilink policy
+   */
+  static selectMultilinkPolicyParams (item) {
+    const retPolicy = pick(item, ['_id', 'org', 'name', 'description']);
+    retPolicy._id = retPolicy._id.toString();
+    retPolicy.org = retPolicy.org.toString();
+    retPolicy.rules = (item.rules || []).map(rule => ({
+      ...pick(rule, ['name', 'enabled', 'application', 'prefix', 'protocol', 'ports', 'dscp']),
+      _id: rule._id.toString(),
+      preferredLabels: rule.preferredLabels.map(String),
+      fallbackLabels: rule.fallbackLabels.map(String)
+    }));
+    return retPolicy;
+  }
+
+  /**
+   * Validates a multilink policy against the organization path labels
+   *
+   * @param {Object} policy the multilink policy request
+   * @param {String} org organization id
+   * returns an error message, or empty string if the policy is valid
+   **/
+  static async checkMultilinkPolicy (policy, org) {
+    const pathLabels = await PathLabels.find({ org: org }, { _id: 1 }).lean();
+    const { valid, err } = validateMultilinkPolicy(policy, pathLabels);
+    if (!valid) {
+      logger.warn('Multilink policy validation failed', { params: { policy, err } });
+    }
+    return err;
+  }
+
+  /**
+   * Retrieve the organization multilink policies
+   *
+   * org String Organization to be filtered by (optional)
+   * offset Integer The number of items to skip before starting to collect the result set (optional)
+   * limit Integer The numbers of items to return (optional)
+   * returns List
+   **/
+  static async multilinkpoliciesGET ({ org, offset, limit }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const policies = await MultilinkPolicies.find({ org: { $in: orgList } })
+        .skip(offset).limit(limit).lean();
+
+      return Service.successResponse(
+        policies.map(policy => MultilinkPoliciesService.selectMultilinkPolicyParams(policy))
+      );
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Get a multilink policy by id
+   *
+   * id String Numeric ID of the Multilink Policy to retrieve
+   * org String Organization to be filtered by (optional)
+   * returns MultilinkPolicy
+   **/
+  static async multilinkpoliciesIdGET ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const policy = await MultilinkPolicies.findOne({ _id: id, org: { $in: orgList } }).lean();
+      if (!policy) {
+        return Service.rejectResponse('Multilink policy not found', 404);
+      }
+
+      return Service.successResponse(MultilinkPoliciesService.selectMultilinkPolicyParams(policy));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Add a multilink policy
+   *
+   * multilinkPolicyRequest MultilinkPolicyRequest
+   * returns MultilinkPolicy
+   **/
+  static async multilinkpoliciesPOST ({ org, multilinkPolicyRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const orgId = orgList[0].toString();
+      const err = await MultilinkPoliciesService.checkMultilinkPolicy(
+        multilinkPolicyRequest, orgId
+      );
+      if (err) return Service.rejectResponse(err, 400);
+
+      const policy = await MultilinkPolicies.create({ ...multilinkPolicyRequest, org: orgId });
+      return Service.successResponse(
+        MultilinkPoliciesService.selectMultilinkPolicyParams(policy), 201
+      );
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Modify a multilink policy, the policy is sent
+   * to the devices it is assigned to
+   *
+   * id String Numeric ID of the Multilink Policy to modify
+   * multilinkPolicyRequest MultilinkPolicyRequest
+   * returns MultilinkPolicy
+   **/
+  static async multilinkpoliciesIdPUT ({ id, org, multilinkPolicyRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const origPolicy = await MultilinkPolicies.findOne({ _id: id, org: { $in: orgList } });
+      if (!origPolicy) {
+        return Service.rejectResponse('Multilink policy not found', 404);
+      }
+
+      const orgId = origPolicy.org.toString();
+      const err = await MultilinkPoliciesService.checkMultilinkPolicy(
+        multilinkPolicyRequest, orgId
+      );
+      if (err) return Service.rejectResponse(err, 400);
+
+      const policy = await MultilinkPolicies.findOneAndUpdate(
+        { _id: id, org: orgId },
+        { ...multilinkPolicyRequest, org: orgId },
+        { new: true, upsert: false, runValidators: true }
+      );
+      await MultilinkPoliciesService.reapplyMultilinkPolicies([policy._id], user);
+
+      return Service.successResponse(MultilinkPoliciesService.selectMultilinkPolicyParams(policy));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Delete a multilink policy, the policy must not be assigned to devices
+   *
+   * id String Numeric ID of the Multilink Policy to delete
+   * no response value expected for this operation
+   **/
+  static async multilinkpoliciesIdDELETE ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const count = await devices.countDocuments({ 'multilinkPolicy.policy': id });
+      if (count > 0) {
+        return Service.rejectResponse(
+          'Cannot delete a multilink policy that is assigned to devices', 400
+        );
+      }
+
+      const { deletedCount } = await MultilinkPolicies.deleteOne({
+        _id: id,
+        org: { $in: orgList }
+      });
+      if (deletedCount === 0) {
+        return Service.rejectResponse('Multilink policy not found', 404);
+      }
+
+      return Service.successResponse(null, 204);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+}
+
+module.exports = MultilinkPoliciesService;
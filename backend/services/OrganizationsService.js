@@ -23,8 +23,30 @@ const Users = require('../models/users');
 const Organizations = require('../models/organizations');
 const Tunnels = require('../models/tunnels');
 const TunnelIds = require('../models/tunnelids');
+const TunnelPolicies = require('../models/tunnelPolicies');
+const MultilinkPolicies = require('../models/multilinkPolicies');
+const QosProfiles = require('../models/qosProfiles');
+const { deviceTemplates: DeviceTemplates } = require('../models/deviceTemplates');
+const StagedDevices = require('../models/stagedDevices');
+const deviceConfigHistory = require('../models/deviceConfigHistory');
+const deviceConfigDrift = require('../models/deviceConfigDrift');
 const Tokens = require('../models/tokens');
 const AccessTokens = require('../models/accesstokens');
+const {
+  cryptoProfiles,
+  defaultCryptoProfile,
+  defaultKeyLifetime
+} = require('../models/cryptoProfiles');
+const { orgFirewallRules } = require('../models/firewallRules');
+const {
+  validateCryptoProfile,
+  validateOverlayPool,
+  validateLanPool,
+  validateFirewallRule
+} = require('../deviceLogic/validators');
+const { getOrgIpam, getFreeSubnets } = require('../deviceLogic/ipam');
+const dispatcher = require('../deviceLogic/dispatcher');
+const { isFirewallSupported } = require('../deviceLogic/firewall');
 const { membership } = require('../models/membership');
 const Connections = require('../websocket/Connections')();
 const { getAccessTokenOrgList } = require('../utils/membershipUtils');
@@ -46,7 +68,9 @@ class OrganizationsService {
       'name',
       '_id',
       'account',
-      'group'
+      'group',
+      'overlayPool',
+      'lanPool'
     ]);
     retOrg._id = retOrg._id.toString();
     retOrg.account = retOrg.account.toString();
@@ -73,7 +97,9 @@ class OrganizationsService {
           _id: element._id.toString(),
           name: element.name,
           account: element.account ? element.account.toString() : '',
-          group: element.group
+          group: element.group,
+          overlayPool: element.overlayPool,
+          lanPool: element.lanPool || ''
         };
       });
 
@@ -199,6 +225,15 @@ class OrganizationsService {
       await Tunnels.deleteMany({ org: id }, { session: session });
       await TunnelIds.deleteMany({ org: id }, { session: session });
       await Tokens.deleteMany({ org: id }, { session: session });
+      await cryptoProfiles.deleteMany({ org: id }, { session: session });
+      await TunnelPolicies.deleteMany({ org: id }, { session: session });
+      await MultilinkPolicies.deleteMany({ org: id }, { session: session });
+      await QosProfiles.deleteMany({ org: id }, { session: session });
+      await DeviceTemplates.deleteMany({ org: id }, { session: session });
+      await StagedDevices.deleteMany({ org: id }, { session: session });
+      await deviceConfigHistory.deleteMany({ org: id }, { session: session });
+      await deviceConfigDrift.deleteMany({ org: id }, { session: session });
+      await orgFirewallRules.deleteMany({ org: id }, { session: session });
       await AccessTokens.deleteMany({ organization: id }, { session: session });
 
       // Find all devices for organization
@@ -248,10 +283,48 @@ class OrganizationsService {
       // are set properly for updating this organization
       const orgList = await getAccessTokenOrgList(user, undefined, false);
       if (orgList.includes(id)) {
-        const { name, group } = organizationRequest;
+        const { name, group, overlayPool, lanPool } = organizationRequest;
+        const update = { name, group };
+
+        // Changing the overlay pool affects only new tunnels,
+        // existing tunnels keep their addresses until migrated
+        const currentOrg = await Organizations.findOne(
+          { _id: id },
+          { overlayPool: 1, lanPool: 1 }
+        );
+        if (overlayPool && currentOrg && overlayPool !== currentOrg.overlayPool) {
+          const orgDevices = await Devices.devices.find(
+            { org: id },
+            { hostname: 1, interfaces: 1 }
+          );
+          const { valid, err } = validateOverlayPool(overlayPool, orgDevices);
+          if (!valid) {
+            logger.warn('Overlay pool validation failed', {
+              params: { org: id, overlayPool: overlayPool, err: err }
+            });
+            return Service.rejectResponse(err, 400);
+          }
+          update.overlayPool = overlayPool;
+        }
+
+        // Changing the LAN pool affects only devices approved later on
+        if (lanPool !== undefined && currentOrg) {
+          const { valid, err } = validateLanPool(
+            lanPool,
+            update.overlayPool || currentOrg.overlayPool
+          );
+          if (!valid) {
+            logger.warn('LAN pool validation failed', {
+              params: { org: id, lanPool: lanPool, err: err }
+            });
+            return Service.rejectResponse(err, 400);
+          }
+          update.lanPool = lanPool;
+        }
+
         const resultOrg = await Organizations.findOneAndUpdate(
           { _id: id },
-          { $set: { name, group } },
+          { $set: update },
           { upsert: false, multi: false, new: true, runValidators: true }
         );
         // Update token
@@ -269,6 +342,184 @@ class OrganizationsService {
     }
   }
 
+  /**
+   * Get organization IP address management information
+   *
+   * id String Numeric ID of the Organization
+   * returns OrganizationIpam
+   **/
+  static async organizationsIdIpamGET ({ id }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, undefined, false);
+      if (!orgList.includes(id)) {
+        throw new Error('Please select an organization to get its IP address management');
+      }
+      const { lanPool, overlayPool, entries } = await getOrgIpam(id);
+      return Service.successResponse({
+        lanPool: lanPool || '',
+        overlayPool,
+        used: entries.filter(entry => entry.type !== 'overlay'),
+        free: getFreeSubnets(lanPool, entries)
+      });
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Get organization IPsec crypto profile
+   *
+   * id String Numeric ID of the Organization
+   * returns OrganizationCryptoProfile
+   **/
+  static async organizationsIdCryptoProfileGET ({ id }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, undefined, false);
+      if (!orgList.includes(id)) {
+        throw new Error('Please select an organization to get its crypto profile');
+      }
+      const profile = await cryptoProfiles.findOne({ org: id }).lean();
+      return Service.successResponse({
+        ...defaultCryptoProfile,
+        keyLifetime: defaultKeyLifetime,
+        ...pick(profile, ['cryptoAlg', 'integrAlg', 'keyLifetime'])
+      });
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Modify organization IPsec crypto profile
+   * The profile is used for new tunnels and for tunnels that are reconstructed.
+   * All the organization devices must support the profile.
+   * The key lifetime sets the time between tunnel keys rotations.
+   *
+   * id String Numeric ID of the Organization
+   * organizationCryptoProfile OrganizationCryptoProfile
+   * returns OrganizationCryptoProfile
+   **/
+  static async organizationsIdCryptoProfilePUT ({ id, organizationCryptoProfile }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, undefined, false);
+      if (!orgList.includes(id)) {
+        throw new Error('Please select an organization to update its crypto profile');
+      }
+
+      const orgDevices = await Devices.devices.find(
+        { org: id },
+        { hostname: 1, versions: 1 }
+      );
+      const { valid, err } = validateCryptoProfile(organizationCryptoProfile, orgDevices);
+      if (!valid) {
+        logger.warn('Crypto profile validation failed', {
+          params: { org: id, cryptoProfile: organizationCryptoProfile, err: err }
+        });
+        return Service.rejectResponse(err, 400);
+      }
+
+      const {
+        cryptoAlg,
+        integrAlg,
+        keyLifetime = defaultKeyLifetime
+      } = organizationCryptoProfile;
+      await cryptoProfiles.findOneAndUpdate(
+        { org: id },
+        { $set: { cryptoAlg, integrAlg, keyLifetime } },
+        { upsert: true, new: true, runValidators: true }
+      );
+      return Service.successResponse({ cryptoAlg, integrAlg, keyLifetime });
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Get organization firewall rules
+   *
+   * id String Numeric ID of the Organization
+   * returns OrganizationFirewall
+   **/
+  static async organizationsIdFirewallGET ({ id }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, undefined, false);
+      if (!orgList.includes(id)) {
+        throw new Error('Please select an organization to get its firewall rules');
+      }
+      const orgRules = await orgFirewallRules.findOne({ org: id }).lean();
+      return Service.successResponse({ rules: orgRules ? orgRules.rules : [] });
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Modify organization firewall rules
+   * The organization rules are merged into the firewall policy of every
+   * device in the organization, the policy is sent to all approved devices.
+   *
+   * id String Numeric ID of the Organization
+   * organizationFirewall OrganizationFirewall
+   * returns OrganizationFirewall
+   **/
+  static async organizationsIdFirewallPUT ({ id, organizationFirewall }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, undefined, false);
+      if (!orgList.includes(id)) {
+        throw new Error('Please select an organization to update its firewall rules');
+      }
+
+      const rules = organizationFirewall.rules || [];
+      for (const rule of rules) {
+        const { valid, err } = validateFirewallRule(rule);
+        if (!valid) {
+          logger.warn('Firewall rule validation failed', {
+            params: { org: id, rule: rule, err: err }
+          });
+          return Service.rejectResponse(err, 400);
+        }
+      }
+
+      const orgRules = await orgFirewallRules.findOneAndUpdate(
+        { org: id },
+        { $set: { rules } },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      // Send the updated policy to the devices, a failure
+      // on one device should not prevent updating the others
+      const orgDevices = await Devices.devices.find({ org: id, isApproved: true });
+      for (const device of orgDevices.filter(isFirewallSupported)) {
+        try {
+          await dispatcher.apply(device, 'firewall', user);
+        } catch (err) {
+          logger.error('Failed to apply organization firewall rules', {
+            params: { org: id, device: device._id, err: err.message }
+          });
+        }
+      }
+
+      return Service.successResponse({ rules: orgRules.rules });
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
   /**
    * Add new organization
    *
@@ -277,6 +528,17 @@ class OrganizationsService {
    **/
   static async organizationsPOST ({ organizationRequest }, { user }, response) {
     try {
+      if (organizationRequest.overlayPool) {
+        const { valid, err } = validateOverlayPool(organizationRequest.overlayPool);
+        if (!valid) return Service.rejectResponse(err, 400);
+      }
+      if (organizationRequest.lanPool) {
+        const { valid, err } = validateLanPool(
+          organizationRequest.lanPool,
+          organizationRequest.overlayPool || Organizations.schema.path('overlayPool').defaultValue
+        );
+        if (!valid) return Service.rejectResponse(err, 400);
+      }
       const session = await mongoConns.getMainDB().startSession();
       await session.startTransaction();
       const orgBody = { ...organizationRequest, account: user.defaultAccount };
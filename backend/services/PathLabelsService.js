@@ -2,6 +2,9 @@ const Service = require('./Service');
 const PathLabels = require('../models/pathlabels');
 const { devices } = require('../models/devices');
 const tunnels = require('../models/tunnels');
+const tunnelPolicies = require('../models/tunnelPolicies');
+const MultilinkPolicies = require('../models/multilinkPolicies');
+const MultilinkPoliciesService = require('./MultilinkPoliciesService');
 const { getAccessTokenOrgList } = require('../utils/membershipUtils');
 
 class PathLabelsService {
@@ -44,6 +47,7 @@ class PathLabelsService {
       const orgList = await getAccessTokenOrgList(user, org, true);
       let count = await devices.countDocuments({ 'interfaces.pathlabels': id });
       count += await tunnels.countDocuments({ isActive: true, pathlabel: id });
+      count += await tunnelPolicies.countDocuments({ pathlabel: id });
 
       if (count > 0) {
         const message = 'Cannot delete a path label that is being used';
@@ -59,6 +63,25 @@ class PathLabelsService {
         return Service.rejectResponse('Not found', 404);
       }
 
+      // Remove the label from the multilink policies, rules
+      // left without a preferred path label are removed
+      const policies = await MultilinkPolicies.find(
+        { $or: [{ 'rules.preferredLabels': id }, { 'rules.fallbackLabels': id }] },
+        { _id: 1 }
+      ).lean();
+      if (policies.length > 0) {
+        const policyIds = policies.map(policy => policy._id);
+        await MultilinkPolicies.updateMany(
+          { _id: { $in: policyIds } },
+          { $pull: { 'rules.$[].preferredLabels': id, 'rules.$[].fallbackLabels': id } }
+        );
+        await MultilinkPolicies.updateMany(
+          { _id: { $in: policyIds } },
+          { $pull: { rules: { preferredLabels: { $size: 0 } } } }
+        );
+        await MultilinkPoliciesService.reapplyMultilinkPolicies(policyIds, user);
+      }
+
       return Service.successResponse({}, 204);
     } catch (e) {
       return Service.rejectResponse(
@@ -137,6 +160,15 @@ class PathLabelsService {
         return Service.rejectResponse('Not found', 404);
       }
 
+      // Re-send the multilink policies that use the label
+      const policies = await MultilinkPolicies.find(
+        { $or: [{ 'rules.preferredLabels': id }, { 'rules.fallbackLabels': id }] },
+        { _id: 1 }
+      ).lean();
+      await MultilinkPoliciesService.reapplyMultilinkPolicies(
+        policies.map(policy => policy._id), user
+      );
+
       return Service.successResponse(pathLabel);
     } catch (e) {
       return Service.rejectResponse(
@@ -0,0 +1,177 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const Service = require('./Service');
+const QosProfiles = require('../models/qosProfiles');
+const { devices } = require('../models/devices');
+const { validateQosProfile } = require('../deviceLogic/validators');
+const { reapplyProfiles } = require('../deviceLogic/qos');
+const pick = require('lodash/pick');
+const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
+const { getAccessTokenOrgList } = require('../utils/membershipUtils');
+
+class QosProfilesService {
+  /**
+   * Select the API fields from a QoS profile
+   * @param {Object} item the QoS profile
+   */
+  static selectQosProfileParams (item) {
+    const retProfile = pick(item, ['_id', 'org', 'name', 'description']);
+    retProfile._id = retProfile._id.toString();
+    retProfile.org = retProfile.org.toString();
+    retProfile.classes = (item.classes || []).map(qosClass => ({
+      ...pick(qosClass, ['name', 'priority', 'guaranteedRate', 'dscp']),
+      _id: qosClass._id.toString()
+    }));
+    return retProfile;
+  }
+
+  /**
+   * Retrieve the organization QoS profiles
+   *
+   * org String Organization to be filtered by (optional)
+   * offset Integer The number of items to skip before starting to collect the result set (optional)
+   * limit Integer The numbers of items to return (optional)
+   * returns List
+   **/
+  static async qosprofilesGET ({ org, offset, limit }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const profiles = await QosProfiles.find({ org: { $in: orgList } })
+        .skip(offset).limit(limit).lean();
+
+      return Service.successResponse(
+        profiles.map(profile => QosProfilesService.selectQosProfileParams(profile))
+      );
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Add a QoS profile
+   *
+   * qosProfileRequest QosProfileRequest
+   * returns QosProfile
+   **/
+  static async qosprofilesPOST ({ org, qosProfileRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const { valid, err } = validateQosProfile(qosProfileRequest);
+      if (!valid) {
+        logger.warn('QoS profile validation failed', {
+          params: { profile: qosProfileRequest, err: err }
+        });
+        return Service.rejectResponse(err, 400);
+      }
+
+      const profile = await QosProfiles.create({
+        ...qosProfileRequest,
+        org: orgList[0].toString()
+      });
+      return Service.successResponse(QosProfilesService.selectQosProfileParams(profile), 201);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Modify a QoS profile, the devices that use
+   * the profile are updated
+   *
+   * id String Numeric ID of the QoS profile to modify
+   * qosProfileRequest QosProfileRequest
+   * returns QosProfile
+   **/
+  static async qosprofilesIdPUT ({ id, org, qosProfileRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const { valid, err } = validateQosProfile(qosProfileRequest);
+      if (!valid) {
+        logger.warn('QoS profile validation failed', {
+          params: { profile: qosProfileRequest, err: err }
+        });
+        return Service.rejectResponse(err, 400);
+      }
+
+      const origProfile = await QosProfiles.findOne({ _id: id, org: { $in: orgList } });
+      if (!origProfile) {
+        return Service.rejectResponse('QoS profile not found', 404);
+      }
+      const profile = await QosProfiles.findOneAndUpdate(
+        { _id: id, org: origProfile.org },
+        { ...qosProfileRequest, org: origProfile.org },
+        { new: true, upsert: false, runValidators: true }
+      );
+
+      try {
+        await reapplyProfiles([profile._id], user);
+      } catch (err) {
+        logger.error('Failed to re-apply QoS profile', {
+          params: { profile: id, err: err.message }
+        });
+      }
+      return Service.successResponse(QosProfilesService.selectQosProfileParams(profile));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Delete a QoS profile, the profile must not be attached to interfaces
+   *
+   * id String Numeric ID of the QoS profile to delete
+   * no response value expected for this operation
+   **/
+  static async qosprofilesIdDELETE ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const count = await devices.countDocuments({ 'interfaces.qos.profile': id });
+      if (count > 0) {
+        return Service.rejectResponse(
+          'Cannot delete a QoS profile that is attached to interfaces', 400
+        );
+      }
+
+      const { deletedCount } = await QosProfiles.deleteOne({
+        _id: id,
+        org: { $in: orgList }
+      });
+      if (deletedCount === 0) {
+        return Service.rejectResponse('QoS profile not found', 404);
+      }
+
+      return Service.successResponse(null, 204);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+}
+
+module.exports = QosProfilesService;
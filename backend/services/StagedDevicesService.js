@@ -0,0 +1,227 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+const Service = require('./Service');
+const DeviceTemplatesService = require('./DeviceTemplatesService');
+const StagedDevices = require('../models/stagedDevices');
+const { devices } = require('../models/devices');
+const { deviceTemplates: DeviceTemplates } = require('../models/deviceTemplates');
+const { isValidVariableName, validateDeviceTemplate } = require('../deviceLogic/deviceTemplates');
+const mongoose = require('mongoose');
+const pick = require('lodash/pick');
+const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
+const { getAccessTokenOrgList } = require('../utils/membershipUtils');
+
+class StagedDevicesService {
+  /**
+   * Select the API fields from a staged device
+   * @param {Object} item the staged device
+   */
+  static selectStagedDeviceParams (item) {
+    const retStaged = pick(item, [
+      '_id', 'org', 'machineId', 'serial', 'name', 'description', 'site', 'labels',
+      'template', 'status', 'device', 'error'
+    ]);
+    retStaged._id = retStaged._id.toString();
+    retStaged.org = retStaged.org.toString();
+    retStaged.template = retStaged.template ? retStaged.template.toString() : null;
+    retStaged.device = retStaged.device ? retStaged.device.toString() : null;
+    retStaged.variables = item.variables instanceof Map
+      ? Object.fromEntries(item.variables) : { ...item.variables };
+    const { interfaces, staticroutes, dhcp } = DeviceTemplatesService.selectDeviceTemplateParams({
+      _id: item._id, org: item.org, ...pick(item, ['interfaces', 'staticroutes', 'dhcp'])
+    });
+    return { ...retStaged, interfaces, staticroutes, dhcp };
+  }
+
+  /**
+   * Checks a staged device request
+   * @param {String} org the organization of the staged device
+   * @param {Object} request the staged device request
+   * @param {String} id the id of the modified staged device, null for a new one
+   * @return {String} error message, or empty string if the request is valid
+   */
+  static async checkStagedDevice (org, request, id = null) {
+    const { machineId, serial, variables = {}, template } = request;
+    if (!machineId && !serial) return 'Machine ID or serial number must be set';
+    const { valid, err } = validateDeviceTemplate(request);
+    if (!valid) return err;
+    const invalidName = Object.keys(variables).find(name => !isValidVariableName(name));
+    if (invalidName !== undefined) return `Invalid variable name ${invalidName}`;
+    const labelsErr = await DeviceTemplatesService.checkTemplatePathLabels(org, request);
+    if (labelsErr) return labelsErr;
+    if (template) {
+      const exists = mongoose.Types.ObjectId.isValid(template) &&
+        await DeviceTemplates.countDocuments({ _id: template, org: org }) > 0;
+      if (!exists) return 'Device template not found';
+    }
+    if (machineId && await devices.countDocuments({ machineId: machineId }) > 0) {
+      return 'Device is already registered';
+    }
+    const match = [];
+    if (machineId) match.push({ machineId: machineId });
+    if (serial) match.push({ serial: serial });
+    const staged = await StagedDevices.countDocuments({
+      org: org,
+      ...(id ? { _id: { $ne: id } } : {}),
+      $or: match
+    });
+    return staged > 0 ? 'Device is already staged' : '';
+  }
+
+  /**
+   * Retrieve the organization staged devices
+   *
+   * org String Organization to be filtered by (optional)
+   * offset Integer The number of items to skip before starting to collect the result set (optional)
+   * limit Integer The numbers of items to return (optional)
+   * returns List
+   **/
+  static async stageddevicesGET ({ org, offset, limit }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const staged = await StagedDevices.find({ org: { $in: orgList } })
+        .skip(offset).limit(limit).lean();
+
+      return Service.successResponse(
+        staged.map(item => StagedDevicesService.selectStagedDeviceParams(item))
+      );
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Stage a device before it registers
+   *
+   * stagedDeviceRequest StagedDeviceRequest
+   * returns StagedDevice
+   **/
+  static async stageddevicesPOST ({ org, stagedDeviceRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const err = await StagedDevicesService.checkStagedDevice(orgList[0], stagedDeviceRequest);
+      if (err) {
+        logger.warn('Staged device validation failed', {
+          params: { staged: stagedDeviceRequest, err: err }
+        });
+        return Service.rejectResponse(err, 400);
+      }
+
+      const staged = await StagedDevices.create({
+        ...stagedDeviceRequest,
+        org: orgList[0].toString()
+      });
+      return Service.successResponse(StagedDevicesService.selectStagedDeviceParams(staged), 201);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Modify a staged device. Devices which already
+   * registered and were not failed can't be modified.
+   *
+   * id String Numeric ID of the staged device to modify
+   * stagedDeviceRequest StagedDeviceRequest
+   * returns StagedDevice
+   **/
+  static async stageddevicesIdPUT ({ id, org, stagedDeviceRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const origStaged = await StagedDevices.findOne({ _id: id, org: { $in: orgList } });
+      if (!origStaged) {
+        return Service.rejectResponse('Staged device not found', 404);
+      }
+      if (!['pending', 'failed'].includes(origStaged.status)) {
+        return Service.rejectResponse('The staged device has already registered', 400);
+      }
+      const err = await StagedDevicesService.checkStagedDevice(
+        origStaged.org, stagedDeviceRequest, origStaged._id
+      );
+      if (err) {
+        logger.warn('Staged device validation failed', {
+          params: { staged: stagedDeviceRequest, err: err }
+        });
+        return Service.rejectResponse(err, 400);
+      }
+
+      // A failed device is matched again when it registers again
+      const staged = await StagedDevices.findOneAndUpdate(
+        { _id: id, org: origStaged.org },
+        {
+          machineId: '',
+          serial: '',
+          name: '',
+          description: '',
+          site: '',
+          labels: [],
+          template: null,
+          variables: {},
+          interfaces: [],
+          staticroutes: [],
+          dhcp: [],
+          ...stagedDeviceRequest,
+          status: 'pending',
+          device: null,
+          error: ''
+        },
+        { new: true, upsert: false, runValidators: true }
+      );
+      return Service.successResponse(StagedDevicesService.selectStagedDeviceParams(staged));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Delete a staged device
+   *
+   * id String Numeric ID of the staged device to delete
+   * no response value expected for this operation
+   **/
+  static async stageddevicesIdDELETE ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const { deletedCount } = await StagedDevices.deleteOne({
+        _id: id,
+        org: { $in: orgList }
+      });
+      if (deletedCount === 0) {
+        return Service.rejectResponse('Staged device not found', 404);
+      }
+
+      return Service.successResponse(null, 204);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+}
+
+module.exports = StagedDevicesService;
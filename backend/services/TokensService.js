@@ -21,8 +21,44 @@ const jwt = require('jsonwebtoken');
 const configs = require('../configs.js')();
 const Tokens = require('../models/tokens');
 const { getAccessTokenOrgList } = require('../utils/membershipUtils');
+const pick = require('lodash/pick');
+const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
+
+// Token fields that can be set by the user
+const tokenRequestFields = [
+  'name', 'autoApprove', 'expiresAt', 'maxRegistrations',
+  'allowedCIDRs', 'defaultLabels', 'defaultSite'
+];
 
 class TokensService {
+  /**
+   * Select the API fields from a token
+   * @param {Object} item the token
+   */
+  static selectTokenParams (item) {
+    return {
+      _id: item.id,
+      org: item.org.toString(),
+      name: item.name,
+      token: item.token,
+      autoApprove: item.autoApprove,
+      expiresAt: item.expiresAt ? item.expiresAt.toISOString() : null,
+      maxRegistrations: item.maxRegistrations,
+      allowedCIDRs: item.allowedCIDRs,
+      defaultLabels: item.defaultLabels,
+      defaultSite: item.defaultSite,
+      revoked: item.revoked,
+      revokedAt: item.revokedAt ? item.revokedAt.toISOString() : null,
+      registrations: item.registeredDevices.length,
+      registeredDevices: item.registeredDevices.map(registered => ({
+        device: registered.device.toString(),
+        machineId: registered.machineId,
+        registeredAt: registered.registeredAt.toISOString()
+      })),
+      createdAt: item.createdAt.toISOString()
+    };
+  }
+
   /**
    * Get all Tokens
    *
@@ -35,15 +71,7 @@ class TokensService {
       const orgList = await getAccessTokenOrgList(user, org, false);
       const result = await Tokens.find({ org: { $in: orgList } });
 
-      const tokens = result.map(item => {
-        return {
-          _id: item.id,
-          org: item.org.toString(),
-          name: item.name,
-          token: item.token,
-          createdAt: item.createdAt.toISOString()
-        };
-      });
+      const tokens = result.map(item => TokensService.selectTokenParams(item));
 
       return Service.successResponse(tokens);
     } catch (e) {
@@ -82,13 +110,7 @@ class TokensService {
       const orgList = await getAccessTokenOrgList(user, org, false);
       const result = await Tokens.findOne({ _id: id, org: { $in: orgList } });
 
-      const token = {
-        _id: result.id,
-        org: result.org.toString(),
-        name: result.name,
-        token: result.token,
-        createdAt: result.createdAt.toISOString()
-      };
+      const token = TokensService.selectTokenParams(result);
       return Service.successResponse(token);
     } catch (e) {
       return Service.rejectResponse(
@@ -98,6 +120,34 @@ class TokensService {
     }
   }
 
+  /**
+   * Revoke a token. Devices can't register with a revoked token,
+   * devices already registered with it are not affected.
+   *
+   * id String Numeric ID of the Token to revoke
+   * returns Token
+   **/
+  static async tokensIdRevokePOST ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const result = await Tokens.findOneAndUpdate(
+        { _id: id, org: { $in: orgList } },
+        { $set: { revoked: true, revokedAt: new Date() } },
+        { useFindAndModify: false, upsert: false, new: true });
+      if (!result) {
+        return Service.rejectResponse('Token not found', 404);
+      }
+
+      logger.info('Token revoked', { params: { token: result.name, org: result.org } });
+      return Service.successResponse(TokensService.selectTokenParams(result));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
   /**
    * Modify a token
    *
@@ -110,16 +160,10 @@ class TokensService {
       const orgList = await getAccessTokenOrgList(user, org, true);
       const result = await Tokens.findOneAndUpdate(
         { _id: id, org: { $in: orgList } },
-        { $set: tokenRequest },
+        { $set: pick(tokenRequest, tokenRequestFields) },
         { useFindAndModify: false, upsert: false, runValidators: true, new: true });
 
-      const token = {
-        _id: result.id,
-        org: result.org.toString(),
-        name: result.name,
-        token: result.token,
-        createdAt: result.createdAt.toISOString()
-      };
+      const token = TokensService.selectTokenParams(result);
 
       return Service.successResponse(token, 201);
     } catch (e) {
@@ -145,18 +189,12 @@ class TokensService {
       }, configs.get('deviceTokenSecretKey'));
 
       const token = await Tokens.create({
-        name: tokenRequest.name,
+        ...pick(tokenRequest, tokenRequestFields),
         org: orgList[0].toString(),
         token: body
       });
 
-      return Service.successResponse({
-        _id: token.id,
-        org: token.org.toString(),
-        name: token.name,
-        token: token.token,
-        createdAt: token.createdAt.toISOString()
-      }, 201);
+      return Service.successResponse(TokensService.selectTokenParams(token), 201);
     } catch (e) {
       return Service.rejectResponse(
         e.message || 'Internal Server Error',
@@ -17,10 +17,16 @@
 
 const Service = require('./Service');
 const Tunnels = require('../models/tunnels');
+const TunnelPolicies = require('../models/tunnelPolicies');
+const PathLabels = require('../models/pathlabels');
 const mongoose = require('mongoose');
 const pick = require('lodash/pick');
 const { getAccessTokenOrgList } = require('../utils/membershipUtils');
 const deviceStatus = require('../periodic/deviceStatus')();
+const { validateCryptoProfile } = require('../deviceLogic/validators');
+const { reconnectTunnel, getOrgCryptoProfile } = require('../deviceLogic/tunnels');
+const { applyTunnelPolicies } = require('../deviceLogic/tunnelPolicies');
+const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
 
 class TunnelsService {
   /**
@@ -40,7 +46,12 @@ class TunnelsService {
       'deviceB',
       'deviceBconf',
       '_id',
-      'pathlabel']);
+      'pathlabel',
+      'cryptoProfile',
+      'keyRotation',
+      'overlayPool',
+      'routing',
+      'policy']);
 
     retTunnel.interfaceADetails =
       retTunnel.deviceA.interfaces.filter((ifc) => {
@@ -97,6 +108,60 @@ class TunnelsService {
     }
   }
 
+  /**
+   * Modify a tunnel crypto profile override, or migrate the tunnel
+   * to the organization overlay pool. The tunnel is reconfigured
+   * on both devices to apply the changes.
+   *
+   * id String Numeric ID of the Tunnel to modify
+   * tunnelRequest TunnelRequest
+   * returns Tunnel
+   **/
+  static async tunnelsIdPUT ({ id, org, tunnelRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const query = {
+        _id: mongoose.Types.ObjectId(id),
+        org: { $in: orgList },
+        isActive: true
+      };
+      const tunnel = await Tunnels.findOne(query)
+        .populate('deviceA')
+        .populate('deviceB');
+
+      if (!tunnel) {
+        return Service.rejectResponse('Tunnel not found', 404);
+      }
+
+      const { cryptoProfile, migrateOverlayPool = false } = tunnelRequest;
+      if (cryptoProfile !== undefined) {
+        // Without an override, the organization profile is used
+        const profile = cryptoProfile || await getOrgCryptoProfile(tunnel.org);
+        const { valid, err } = validateCryptoProfile(profile, [tunnel.deviceA, tunnel.deviceB]);
+        if (!valid) {
+          logger.warn('Tunnel crypto profile validation failed', {
+            params: { tunnel: tunnel.num, cryptoProfile: profile, err: err }
+          });
+          return Service.rejectResponse(err, 400);
+        }
+        tunnel.cryptoProfile = cryptoProfile || null;
+        await tunnel.save();
+      }
+
+      await reconnectTunnel(tunnel, user.username, migrateOverlayPool);
+
+      const updatedTunnel = await Tunnels.findOne(query)
+        .populate('deviceA')
+        .populate('deviceB');
+      return Service.successResponse(TunnelsService.selectTunnelParams(updatedTunnel));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
   /**
    * Retrieve device tunnels information
    *
@@ -129,6 +194,178 @@ class TunnelsService {
       );
     };
   }
+
+  /**
+   * Select the API fields from mongo Tunnel Policy Object
+   *
+   * @param {mongo Tunnel Policy Object} item
+   */
+  static selectTunnelPolicyParams (item) {
+    const retPolicy = pick(item, [
+      '_id',
+      'org',
+      'name',
+      'description',
+      'sourceLabel',
+      'destinationLabel',
+      'pathlabel',
+      'enabled'
+    ]);
+    retPolicy._id = retPolicy._id.toString();
+    retPolicy.org = retPolicy.org.toString();
+    retPolicy.pathlabel = retPolicy.pathlabel.toString();
+    return retPolicy;
+  }
+
+  /**
+   * Validates that the path label of a tunnel policy
+   * exists in the organization and can be used for tunnels
+   *
+   * @param {String} pathlabel path label id
+   * @param {String} org organization id
+   * returns an error message, or null if the path label is valid
+   **/
+  static async validateTunnelPolicyPathLabel (pathlabel, org) {
+    if (!mongoose.Types.ObjectId.isValid(pathlabel)) return 'Path label not found';
+    const label = await PathLabels.findOne({ _id: pathlabel, org: org }, { type: 1 }).lean();
+    if (!label) return 'Path label not found';
+    if (label.type === 'DIA') return 'Tunnels cannot be created over DIA path labels';
+    return null;
+  }
+
+  /**
+   * Re-evaluate the organization tunnel policies after a policy change.
+   * A failure doesn't fail the request, the policies are evaluated
+   * again on the next change.
+   *
+   * @param {String} org organization id
+   * @param {Object} user the requesting user
+   **/
+  static async reevaluateTunnelPolicies (org, user) {
+    try {
+      await applyTunnelPolicies(org, user.username);
+    } catch (err) {
+      logger.error('Tunnel policies evaluation failed', {
+        params: { org: org, err: err.message }
+      });
+    }
+  }
+
+  /**
+   * Retrieve the organization tunnel policies
+   *
+   * org String Organization to be filtered by (optional)
+   * offset Integer The number of items to skip before starting to collect the result set (optional)
+   * limit Integer The numbers of items to return (optional)
+   * returns List
+   **/
+  static async tunnelpoliciesGET ({ org, offset, limit }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, false);
+      const policies = await TunnelPolicies.find({ org: { $in: orgList } })
+        .skip(offset).limit(limit).lean();
+
+      return Service.successResponse(
+        policies.map(policy => TunnelsService.selectTunnelPolicyParams(policy))
+      );
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Add a tunnel policy, the tunnels intended by the
+   * policy are created
+   *
+   * tunnelPolicyRequest TunnelPolicyRequest
+   * returns TunnelPolicy
+   **/
+  static async tunnelpoliciesPOST ({ org, tunnelPolicyRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const orgId = orgList[0].toString();
+      const err = await TunnelsService.validateTunnelPolicyPathLabel(
+        tunnelPolicyRequest.pathlabel, orgId
+      );
+      if (err) return Service.rejectResponse(err, 400);
+
+      const policy = await TunnelPolicies.create({ ...tunnelPolicyRequest, org: orgId });
+      await TunnelsService.reevaluateTunnelPolicies(orgId, user);
+
+      return Service.successResponse(TunnelsService.selectTunnelPolicyParams(policy), 201);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Modify a tunnel policy, the tunnels are converged
+   * on the modified policy
+   *
+   * id String Numeric ID of the Tunnel Policy to modify
+   * tunnelPolicyRequest TunnelPolicyRequest
+   * returns TunnelPolicy
+   **/
+  static async tunnelpoliciesIdPUT ({ id, org, tunnelPolicyRequest }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const origPolicy = await TunnelPolicies.findOne({ _id: id, org: { $in: orgList } });
+      if (!origPolicy) {
+        return Service.rejectResponse('Tunnel policy not found', 404);
+      }
+
+      const orgId = origPolicy.org.toString();
+      const err = await TunnelsService.validateTunnelPolicyPathLabel(
+        tunnelPolicyRequest.pathlabel, orgId
+      );
+      if (err) return Service.rejectResponse(err, 400);
+
+      const policy = await TunnelPolicies.findOneAndUpdate(
+        { _id: id, org: orgId },
+        { ...tunnelPolicyRequest, org: orgId },
+        { new: true, upsert: false, runValidators: true }
+      );
+      await TunnelsService.reevaluateTunnelPolicies(orgId, user);
+
+      return Service.successResponse(TunnelsService.selectTunnelPolicyParams(policy));
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
+
+  /**
+   * Delete a tunnel policy, the tunnels created by
+   * the policy are deleted
+   *
+   * id String Numeric ID of the Tunnel Policy to delete
+   * no response value expected for this operation
+   **/
+  static async tunnelpoliciesIdDELETE ({ id, org }, { user }) {
+    try {
+      const orgList = await getAccessTokenOrgList(user, org, true);
+      const policy = await TunnelPolicies.findOneAndDelete({ _id: id, org: { $in: orgList } });
+      if (!policy) {
+        return Service.rejectResponse('Tunnel policy not found', 404);
+      }
+
+      await TunnelsService.reevaluateTunnelPolicies(policy.org.toString(), user);
+      return Service.successResponse(null, 204);
+    } catch (e) {
+      return Service.rejectResponse(
+        e.message || 'Internal Server Error',
+        e.status || 500
+      );
+    }
+  }
 }
 
 module.exports = TunnelsService;
@@ -27,6 +27,10 @@ const TunnelsService = require('./TunnelsService');
 const UsersService = require('./UsersService');
 const BillingService = require('./BillingService');
 const PathLabelsService = require('./PathLabelsService');
+const MultilinkPoliciesService = require('./MultilinkPoliciesService');
+const QosProfilesService = require('./QosProfilesService');
+const StagedDevicesService = require('./StagedDevicesService');
+const DeviceTemplatesService = require('./DeviceTemplatesService');
 
 module.exports = {
   AccessTokensService,
@@ -40,5 +44,9 @@ module.exports = {
   TunnelsService,
   UsersService,
   BillingService,
-  PathLabelsService
+  PathLabelsService,
+  MultilinkPoliciesService,
+  QosProfilesService,
+  StagedDevicesService,
+  DeviceTemplatesService
 };
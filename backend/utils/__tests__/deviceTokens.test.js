@@ -0,0 +1,102 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Module for the device tokens Unit Test
+const jwt = require('jsonwebtoken');
+const configs = require('../../configs')();
+const {
+  supportsTokenRenewal,
+  genDeviceToken,
+  getDeviceTokenHash,
+  needsRenewal,
+  verifyDeviceToken
+} = require('../deviceTokens');
+
+const secret = configs.get('deviceTokenSecretKey');
+const expiration = configs.get('deviceTokenExpiration');
+const data = { machine_id: 'A1B2', machine_name: 'branch1' };
+
+describe('supportsTokenRenewal', () => {
+  it('Should be supported by agents from version 2', () => {
+    expect(supportsTokenRenewal('2.0.1')).toBe(true);
+    expect(supportsTokenRenewal('3.1.0')).toBe(true);
+  });
+
+  it('Should not be supported by older or unknown agents', () => {
+    expect(supportsTokenRenewal('1.2.3')).toBe(false);
+    expect(supportsTokenRenewal(undefined)).toBe(false);
+    expect(supportsTokenRenewal('invalid')).toBe(false);
+  });
+});
+
+describe('genDeviceToken', () => {
+  it('Should generate a token that expires', () => {
+    const decoded = jwt.verify(genDeviceToken(data), secret);
+    expect(decoded.machine_id).toBe('A1B2');
+    expect(decoded.exp - decoded.iat).toBe(expiration);
+  });
+
+  it('Should generate a token that never expires if requested', () => {
+    const decoded = jwt.verify(genDeviceToken(data, false), secret);
+    expect(decoded.machine_name).toBe('branch1');
+    expect(decoded.exp).toBe(undefined);
+  });
+});
+
+describe('getDeviceTokenHash', () => {
+  it('Should return the same hash for the same token only', () => {
+    expect(getDeviceTokenHash('token1')).toBe(getDeviceTokenHash('token1'));
+    expect(getDeviceTokenHash('token1')).not.toBe(getDeviceTokenHash('token2'));
+    expect(getDeviceTokenHash('token1')).toMatch(/^[a-f0-9]{64}$/);
+  });
+});
+
+describe('needsRenewal', () => {
+  it('Should not renew a new token', () => {
+    expect(needsRenewal(genDeviceToken(data))).toBe(false);
+  });
+
+  it('Should renew a token after half of its duration has passed', () => {
+    const now = Date.now() + (expiration / 2 + 60) * 1000;
+    expect(needsRenewal(genDeviceToken(data), now)).toBe(true);
+  });
+
+  it('Should renew a token that never expires', () => {
+    expect(needsRenewal(genDeviceToken(data, false))).toBe(true);
+  });
+
+  it('Should not renew an invalid token', () => {
+    expect(needsRenewal('invalid')).toBe(false);
+    expect(needsRenewal(undefined)).toBe(false);
+  });
+});
+
+describe('verifyDeviceToken', () => {
+  it('Should reject a token with an invalid signature', async () => {
+    const token = jwt.sign(data, 'other secret');
+    const err = await verifyDeviceToken(token).catch(err => err);
+    expect(err.message).toBe('Invalid device token');
+    expect(err.status).toBe(401);
+  });
+
+  it('Should reject an expired token', async () => {
+    const token = jwt.sign({ ...data, exp: Math.floor(Date.now() / 1000) - 60 }, secret);
+    const err = await verifyDeviceToken(token).catch(err => err);
+    expect(err.message).toBe('Device token has expired');
+    expect(err.status).toBe(401);
+  });
+});
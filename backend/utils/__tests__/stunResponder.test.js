@@ -0,0 +1,54 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Module for the NAT traversal responder Unit Test
+const stunResponder = require('../stunResponder')();
+
+describe('getBindingResponse', () => {
+  const rinfo = { address: '203.0.113.10', port: 40123 };
+  const toMsg = (request) => Buffer.from(JSON.stringify(request));
+  const longMsg = toMsg({ type: 'binding-request', id: 'a1', pad: 'a'.repeat(512) });
+
+  it('Should reply with the observed address and port', () => {
+    const msg = toMsg({ type: 'binding-request', id: 'a1b2-c3' });
+    expect(stunResponder.getBindingResponse(msg, rinfo)).toEqual({
+      type: 'binding-response',
+      id: 'a1b2-c3',
+      address: '203.0.113.10',
+      port: 40123
+    });
+  });
+
+  it('Should strip the IPv4-mapped IPv6 prefix of the address', () => {
+    const msg = toMsg({ type: 'binding-request', id: 'a1' });
+    const response = stunResponder.getBindingResponse(msg, {
+      address: '::ffff:203.0.113.10', port: 40123
+    });
+    expect(response.address).toEqual('203.0.113.10');
+  });
+
+  it.each`
+      msg                                                      | desc
+      ${Buffer.from('not json')}                               | ${'not JSON'}
+      ${toMsg({ type: 'binding-response', id: 'a1' })}          | ${'not a request'}
+      ${toMsg({ type: 'binding-request' })}                     | ${'without id'}
+      ${toMsg({ type: 'binding-request', id: 'a'.repeat(65) })} | ${'with a long id'}
+      ${longMsg}                                               | ${'too long'}
+  `('Should drop a request $desc', ({ msg }) => {
+    expect(stunResponder.getBindingResponse(msg, rinfo)).toEqual(null);
+  });
+});
@@ -0,0 +1,173 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// Device tokens are JWTs given to devices when they register, and used by the
+// devices to open their websocket connection. Tokens expire, and are renewed
+// over the connection by agents that support it. A renewed token is pending
+// until the device confirms it, and both tokens are accepted meanwhile.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const createError = require('http-errors');
+const configs = require('../configs')();
+const revokedDeviceTokens = require('../models/revokedDeviceTokens');
+const { devices } = require('../models/devices');
+const { getMajorVersion } = require('../versioning');
+
+// Minimal agent major version that supports renewing its token
+const renewTokenMinAgentVersion = 2;
+
+/**
+ * Checks if a device agent can renew its token over the connection.
+ * Agents that can't renew their token get tokens that never expire.
+ * @param  {string}  agentVersion the agent version of the device
+ * @return {boolean}              true if the agent can renew its token
+ */
+const supportsTokenRenewal = (agentVersion) => {
+  const majorVersion = getMajorVersion(agentVersion || '');
+  return !isNaN(majorVersion) && majorVersion >= renewTokenMinAgentVersion;
+};
+
+/**
+ * Generates a device token
+ * @param  {Object}  data    the token payload (machine_id and machine_name)
+ * @param  {boolean} expires whether the token expires
+ * @return {string}          the signed token
+ */
+const genDeviceToken = (data, expires = true) => {
+  const expiration = configs.get('deviceTokenExpiration');
+  return jwt.sign(
+    data,
+    configs.get('deviceTokenSecretKey'),
+    expires && expiration > 0 ? { expiresIn: expiration } : {}
+  );
+};
+
+/**
+ * Gets the hash of a device token, used to store it in the revocation list
+ * @param  {string} token the device token
+ * @return {string}       the token hash
+ */
+const getDeviceTokenHash = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Checks if a device token should be renewed. Tokens are renewed when half
+ * of their duration has passed. Tokens without expiration are renewed, to
+ * replace them with tokens that expire.
+ * @param  {string} token the device token
+ * @param  {number} now   the current time in msec
+ * @return {boolean}      true if the token should be renewed
+ */
+const needsRenewal = (token, now = Date.now()) => {
+  const expiration = configs.get('deviceTokenExpiration');
+  const decoded = jwt.decode(token || '');
+  if (expiration <= 0 || !decoded) return false;
+  if (!decoded.exp) return true;
+  return decoded.exp * 1000 - now < expiration * 1000 / 2;
+};
+
+/**
+ * Verifies the token a device connects with
+ * @async
+ * @param  {string} token the device token
+ * @return {Promise<Object>} the token payload, throws an http error
+ *                           if the token is invalid, expired or revoked
+ */
+const verifyDeviceToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, configs.get('deviceTokenSecretKey'));
+  } catch (err) {
+    throw createError(401, err.name === 'TokenExpiredError'
+      ? 'Device token has expired' : 'Invalid device token');
+  }
+  const revoked = await revokedDeviceTokens.countDocuments({
+    tokenHash: getDeviceTokenHash(token)
+  });
+  if (revoked > 0) throw createError(401, 'Device token has been revoked');
+  return decoded;
+};
+
+/**
+ * Adds a token of a device to the revocation list
+ * @async
+ * @param  {Object} device  the device
+ * @param  {string} token   the token to revoke
+ * @param  {string} reason  the reason the token is revoked
+ * @param  {Object} session mongo session, optional
+ * @return {Promise<void>}
+ */
+const revokeToken = async (device, token, reason, session = null) => {
+  if (!token) return;
+  const decoded = jwt.decode(token) || {};
+  await revokedDeviceTokens.updateOne(
+    { tokenHash: getDeviceTokenHash(token) },
+    {
+      $setOnInsert: {
+        org: device.org,
+        device: device._id,
+        machineId: device.machineId,
+        expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null,
+        reason: reason
+      }
+    },
+    { upsert: true, session: session }
+  );
+};
+
+/**
+ * Adds the current and pending tokens of a device to the revocation list
+ * @async
+ * @param  {Object} device  the device
+ * @param  {string} reason  the reason the tokens are revoked
+ * @param  {Object} session mongo session, optional
+ * @return {Promise<void>}
+ */
+const revokeDeviceToken = async (device, reason, session = null) => {
+  await revokeToken(device, device.deviceToken, reason, session);
+  await revokeToken(device, device.pendingDeviceToken, reason, session);
+};
+
+/**
+ * Replaces the current token of a device with its pending token, once the
+ * device confirmed it, and revokes the replaced token
+ * @async
+ * @param  {Object} device the device, with its current token
+ * @param  {string} token  the pending token confirmed by the device
+ * @return {Promise<boolean>} true if the token was replaced, false if the
+ *                            device tokens were changed meanwhile
+ */
+const confirmPendingDeviceToken = async (device, token) => {
+  const { nModified } = await devices.updateOne(
+    { _id: device._id, deviceToken: device.deviceToken, pendingDeviceToken: token },
+    { $set: { deviceToken: token, pendingDeviceToken: '' } }
+  );
+  if (nModified === 0) return false;
+  await revokeToken(device, device.deviceToken, 'Token renewed');
+  return true;
+};
+
+module.exports = {
+  supportsTokenRenewal,
+  genDeviceToken,
+  getDeviceTokenHash,
+  needsRenewal,
+  verifyDeviceToken,
+  revokeDeviceToken,
+  confirmPendingDeviceToken
+};
@@ -0,0 +1,123 @@
+// flexiWAN SD-WAN software - flexiEdge, flexiManage.
+// For more information go to https://flexiwan.com
+// Copyright (C) 2019-2020  flexiWAN Ltd.
+
+// This program is free software: you can redistribute it and/or modify
+// it under the terms of the GNU Affero General Public License as
+// published by the Free Software Foundation, either version 3 of the
+// License, or (at your option) any later version.
+
+// This program is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU Affero General Public License for more details.
+
+// You should have received a copy of the GNU Affero General Public License
+// along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+// MGMT side responder of the NAT traversal binding exchange. A device sends
+// a binding request over UDP from the port used by its tunnels, and gets back
+// the address and port observed by the MGMT, which are the public endpoint of
+// the device tunnels. The device reports the public endpoint on connection.
+const dgram = require('dgram');
+const configs = require('../configs')();
+const logger = require('../logging/logging')({ module: module.filename, type: 'req' });
+
+// Binding requests are small, larger messages are dropped
+const maxRequestLength = 512;
+
+class StunResponder {
+  /**
+   * Creates an instance of the StunResponder class.
+   */
+  constructor () {
+    this.socket = null;
+    this.start = this.start.bind(this);
+    this.close = this.close.bind(this);
+    this.onMessage = this.onMessage.bind(this);
+    this.getBindingResponse = this.getBindingResponse.bind(this);
+  }
+
+  /**
+   * Starts listening for binding requests, if a responder port is configured
+   * @return {void}
+   */
+  start () {
+    const port = configs.get('natResponderPort');
+    if (!port || this.socket) return;
+
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('message', this.onMessage);
+    this.socket.on('error', err => {
+      logger.error('NAT traversal responder error', { params: { err: err.message } });
+    });
+    this.socket.bind(port, () => {
+      logger.info('NAT traversal responder listening on port', { params: { port: port } });
+    });
+  }
+
+  /**
+   * Prepares the response to a binding request
+   * @param  {Buffer} msg   the received message
+   * @param  {Object} rinfo the address and port of the message sender
+   * @return {Object}       the binding response, or null for an invalid request
+   */
+  getBindingResponse (msg, rinfo) {
+    if (msg.length > maxRequestLength) return null;
+    let request;
+    try {
+      request = JSON.parse(msg.toString());
+    } catch (err) {
+      return null;
+    }
+    if (!request || request.type !== 'binding-request' ||
+      !/^[a-z0-9-]{1,64}$/i.test(request.id || '')) {
+      return null;
+    }
+    let address = rinfo.address;
+    if (address.substr(0, 7) === '::ffff:') address = address.substr(7);
+    return { type: 'binding-response', id: request.id, address: address, port: rinfo.port };
+  }
+
+  /**
+   * Replies to a binding request with the observed address and port
+   * @param  {Buffer} msg   the received message
+   * @param  {Object} rinfo the address and port of the message sender
+   * @return {void}
+   */
+  onMessage (msg, rinfo) {
+    const response = this.getBindingResponse(msg, rinfo);
+    if (!response) {
+      logger.debug('Invalid binding request dropped', {
+        params: { address: rinfo.address, port: rinfo.port }
+      });
+      return;
+    }
+    this.socket.send(JSON.stringify(response), rinfo.port, rinfo.address, err => {
+      if (err) {
+        logger.warn('Failed to send binding response', {
+          params: { address: rinfo.address, port: rinfo.port, err: err.message }
+        });
+      }
+    });
+  }
+
+  /**
+   * Stops listening for binding requests
+   * @return {void}
+   */
+  close () {
+    if (!this.socket) return;
+    this.socket.close();
+    this.socket = null;
+  }
+}
+
+var stunResponder = null;
+module.exports = function () {
+  if (stunResponder) return stunResponder;
+  else {
+    stunResponder = new StunResponder();
+    return stunResponder;
+  }
+};
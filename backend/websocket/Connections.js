@@ -23,6 +23,7 @@ const logger = require('../logging/logging')({ module: module.filename, type: 'w
 const notificationsMgr = require('../notifications/notifications')();
 const { verifyAgentVersion, isSemVer, isVppVersion } = require('../versioning');
 const flexibilling = require('../flexibilling');
+const { verifyDeviceToken, confirmPendingDeviceToken } = require('../utils/deviceTokens');
 /**
  * Verifies a device subscription.
  * @param  {string} device device machine id
@@ -177,8 +178,11 @@ class Connections {
    */
   async verifyDevice (info, done) {
     const connectionURL = new URL(`${info.req.headers.origin}${info.req.url}`);
-    const ip =
-      info.req.headers['x-forwarded-for'] || info.req.connection.remoteAddress;
+    const forwardedFor = info.req.headers['x-forwarded-for'];
+    let ip = forwardedFor
+      ? forwardedFor.split(',')[0].trim()
+      : info.req.connection.remoteAddress;
+    if (ip && ip.substr(0, 7) === '::ffff:') ip = ip.substr(7);
     logger.info('Device connection opened', {
       params: {
         ip: ip,
@@ -223,6 +227,16 @@ class Connections {
 
     const device = connectionURL.pathname.substr(1);
 
+    // Expired and revoked tokens are rejected before looking for the device
+    try {
+      await verifyDeviceToken(connectionURL.searchParams.get('token'));
+    } catch (err) {
+      logger.warn('Device token verification failed', {
+        params: { deviceId: connectionURL.pathname, err: err.message }
+      });
+      return done(false, err.status || 401);
+    }
+
     const { subscriptionValid, subscriptionError } = await verifySubscription(
       device
     );
@@ -233,17 +247,23 @@ class Connections {
       return done(false, 402);
     }
 
+    // A renewed token is accepted next to the current one until it is
+    // confirmed, connecting with it confirms it
+    const token = connectionURL.searchParams.get('token');
     devices
       .find({
         machineId: device,
-        deviceToken: connectionURL.searchParams.get('token')
+        $or: [{ deviceToken: token }, { pendingDeviceToken: token }]
       })
       .then(
-        resp => {
+        async resp => {
           if (resp.length === 1) {
             // exactly one token found
             // Check if device approved
             if (resp[0].isApproved) {
+              if (resp[0].deviceToken !== token) {
+                await confirmPendingDeviceToken(resp[0], token);
+              }
               // If there's already an open connection for the device, close
               // it before opening the new one. Remove all listeners on the
               // 'socket close' event, to prevent calling the registered callbacks.
@@ -262,6 +282,7 @@ class Connections {
                 org: resp[0].org.toString(),
                 deviceObj: resp[0]._id,
                 machineId: resp[0].machineId,
+                ip: ip,
                 ready: false
               });
               return done(true);
@@ -463,6 +484,8 @@ class Connections {
         params: { deviceId: device, message: deviceInfo }
       });
 
+      // Used to learn the public addresses of the device interfaces
+      this.devices.updateDeviceInfo(device, 'network', deviceInfo.message.network || {});
       this.devices.updateDeviceInfo(device, 'ready', true);
       this.callRegisteredCallbacks(this.connectCallbacks, device);
     } catch (err) {